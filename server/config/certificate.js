@@ -0,0 +1,9 @@
+// Completion certificates - the verification page of a certificate is
+// <siteUrl>/certificates/<certificateId>, printed on the PDF and shared on LinkedIn
+exports.certificateConfig = {
+  issuer: "StudyNotion",
+  prefix: process.env.CERTIFICATE_PREFIX || "SN",
+  siteUrl: (
+    process.env.FRONTEND_URL || "https://studynotion-edtech-mern.vercel.app"
+  ).replace(/\/$/, ""),
+};
@@ -0,0 +1,4 @@
+// Course prices are stored in the base currency, other currencies are
+// converted with the rates admins maintain (see models/CurrencyRate)
+exports.BASE_CURRENCY = "INR";
+exports.SUPPORTED_CURRENCIES = ["INR", "USD", "EUR"];
@@ -0,0 +1,7 @@
+require("dotenv").config();
+
+// Instructor earnings
+exports.earningsConfig = {
+  // percentage of every course sale kept by the platform
+  platformCommission: Number(process.env.PLATFORM_COMMISSION ?? 20),
+};
@@ -0,0 +1,12 @@
+// Seller details and tax settings printed on every invoice
+// Course prices are GST inclusive, the tax is taken out of the price
+exports.invoiceConfig = {
+  legalName: process.env.INVOICE_LEGAL_NAME || "StudyNotion",
+  gstin: process.env.INVOICE_GSTIN || "",
+  address: process.env.INVOICE_ADDRESS || "",
+  state: process.env.INVOICE_STATE || "",
+  prefix: process.env.INVOICE_PREFIX || "SN",
+  gstRate: Number(process.env.INVOICE_GST_RATE) || 18,
+  // SAC for online educational services
+  sacCode: "999293",
+};
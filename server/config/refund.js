@@ -0,0 +1,9 @@
+require("dotenv").config();
+
+// Refund window - a course can be refunded only while both limits hold
+exports.refundPolicy = {
+  // days since the order was paid
+  windowInDays: Number(process.env.REFUND_WINDOW_DAYS ?? 7),
+  // percentage of the course lectures marked completed
+  maxWatchedPercent: Number(process.env.REFUND_MAX_WATCHED_PERCENT ?? 30),
+};
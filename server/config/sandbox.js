@@ -0,0 +1,24 @@
+require("dotenv").config();
+
+const list = (value) =>
+  value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Sandbox of student code - every run gets its own network, process and mount
+// namespaces with a read-only root built from `mounts`, runs as `uid`/`gid` and
+// is held to the exercise's memory limit by a cgroup under `cgroupRoot`.
+// Needs Linux, util-linux (unshare, setpriv, prlimit) and a server running as root.
+exports.sandboxConfig = {
+  // an id owning no files and running nothing else (default nobody)
+  uid: Number(process.env.SANDBOX_UID ?? 65534),
+  gid: Number(process.env.SANDBOX_GID ?? 65534),
+  // read-only in the sandbox, what the interpreters need to start
+  mounts: list(
+    process.env.SANDBOX_MOUNTS ?? "/usr,/bin,/lib,/lib64,/etc/alternatives"
+  ),
+  cgroupRoot: process.env.SANDBOX_CGROUP_ROOT ?? "/sys/fs/cgroup",
+  // processes and threads of the sandbox uid over all runs
+  maxProcesses: Number(process.env.SANDBOX_MAX_PROCESSES ?? 64),
+};
@@ -0,0 +1,13 @@
+require("dotenv").config();
+
+// StudyNotion Pro - all-access membership
+exports.subscriptionConfig = {
+  // Razorpay plan period for each billing interval
+  periods: { Monthly: "monthly", Yearly: "yearly" },
+  // billing cycles a subscription runs for before it has to be renewed by the student
+  totalCount: { Monthly: 120, Yearly: 10 },
+  // percentage of subscription revenue shared among instructors by watch time
+  instructorShare: Number(process.env.SUBSCRIPTION_INSTRUCTOR_SHARE ?? 50),
+  // days of access kept after a period ends while Razorpay retries the renewal
+  graceDays: Number(process.env.SUBSCRIPTION_GRACE_DAYS ?? 3),
+};
@@ -0,0 +1,344 @@
+const Course = require("../models/Course");
+const SubSection = require("../models/SubSection");
+const User = require("../models/User");
+const Assignment = require("../models/Assignment");
+const AssignmentSubmission = require("../models/AssignmentSubmission");
+const CourseProgress = require("../models/CourseProgress");
+const mailSender = require("../utils/mailSender");
+const { escapeHtml } = require("../utils/escapeHtml");
+const {
+  uploadImageToCloudinary,
+  deleteResourceFromCloudinary,
+} = require("../utils/imageUploader");
+const { getCourseAccess } = require("../utils/courseAccess");
+const { completeLesson } = require("../utils/courseProgress");
+const { parseSubmission, gradeSubmission } = require("../utils/assignment");
+const {
+  assignmentReviewEmail,
+} = require("../mail/templates/assignmentReviewEmail");
+
+// assignment of a lesson and how the user can open it
+const findAssignment = async (subSectionId, user) => {
+  const subSection = await SubSection.findById(subSectionId);
+  if (!subSection?.assignment) return {};
+  const assignment = await Assignment.findById(subSection.assignment);
+  const course = assignment && (await Course.findById(assignment.course));
+  const access = course && (await getCourseAccess(course, user));
+  return { subSection, assignment, access };
+};
+
+// the assignment with the student's submissions, newest first - a new one can
+// be handed in before the first review or when a resubmission was requested
+const assignmentState = async (assignment, userId) => {
+  const submissions = await AssignmentSubmission.find({
+    user: userId,
+    assignment: assignment._id,
+  }).sort({ submittedAt: -1 });
+
+  return {
+    assignment,
+    submissions,
+    canSubmit:
+      !submissions.length || submissions[0].status === "Resubmission Requested",
+  };
+};
+
+// ================ get Assignment ================
+exports.getAssignment = async (req, res) => {
+  try {
+    const { subSectionId } = req.body;
+    const { assignment, access } = await findAssignment(subSectionId, req.user);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignment not found",
+      });
+    }
+    if (!access) {
+      return res.status(403).json({
+        success: false,
+        message: "Enroll in this course or subscribe to StudyNotion Pro to access it",
+      });
+    }
+
+    if (access.reason === "Instructor" || access.reason === "Admin") {
+      return res.status(200).json({
+        success: true,
+        data: { assignment, preview: true },
+        message: "Assignment fetched successfully",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await assignmentState(assignment, req.user.id),
+      message: "Assignment fetched successfully",
+    });
+  } catch (error) {
+    console.log("Error while fetching assignment");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while fetching assignment",
+    });
+  }
+};
+
+// ================ submit Assignment ================
+// files come as `files` (multipart), links as a JSON list
+exports.submitAssignment = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { subSectionId, links, note } = req.body;
+    const { assignment, access } = await findAssignment(subSectionId, req.user);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignment not found",
+      });
+    }
+    if (!access) {
+      return res.status(403).json({
+        success: false,
+        message: "Enroll in this course or subscribe to StudyNotion Pro to access it",
+      });
+    }
+
+    const { canSubmit } = await assignmentState(assignment, userId);
+    if (!canSubmit) {
+      return res.status(409).json({
+        success: false,
+        message: "Your submission is waiting for a review",
+      });
+    }
+
+    let work;
+    try {
+      work = parseSubmission(assignment, req.files?.files, links);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    const files = [];
+    for (const file of work.files) {
+      const details = await uploadImageToCloudinary(
+        file,
+        process.env.FOLDER_NAME
+      );
+      if (!details) {
+        return res.status(500).json({
+          success: false,
+          message: "Could not upload your files, please try again",
+        });
+      }
+      files.push({ url: details.secure_url, name: file.name });
+    }
+
+    // one pending submission per student and assignment (unique index),
+    // a double click is turned away here
+    try {
+      await AssignmentSubmission.create({
+        user: userId,
+        assignment: assignment._id,
+        course: assignment.course,
+        files,
+        links: work.links,
+        note,
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      await Promise.all(
+        files.map((file) => deleteResourceFromCloudinary(file.url))
+      );
+      return res.status(409).json({
+        success: false,
+        message: "Your submission is waiting for a review",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await assignmentState(assignment, userId),
+      message: "Assignment submitted successfully",
+    });
+  } catch (error) {
+    console.log("Error while submitting assignment");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while submitting assignment",
+    });
+  }
+};
+
+// ================ get Assignment Submissions (Instructor) ================
+// the review queue - submissions to the instructor's courses, the oldest
+// pending ones first
+exports.getAssignmentSubmissions = async (req, res) => {
+  try {
+    const { status = "Pending", courseId } = req.query;
+
+    const courses = await Course.find({ instructor: req.user.id }).select(
+      "_id"
+    );
+    const courseIds = courses
+      .map((course) => course._id)
+      .filter((id) => !courseId || id.toString() === courseId);
+
+    const submissions = await AssignmentSubmission.find({
+      course: { $in: courseIds },
+      status,
+    })
+      .populate("user", "firstName lastName email image")
+      .populate("course", "courseName")
+      .populate({
+        path: "assignment",
+        populate: { path: "subSection", select: "title" },
+      })
+      .sort({ submittedAt: status === "Pending" ? 1 : -1 })
+      .exec();
+
+    res.status(200).json({
+      success: true,
+      data: submissions,
+      message: "Assignment submissions fetched successfully",
+    });
+  } catch (error) {
+    console.log("Error while fetching assignment submissions");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while fetching assignment submissions",
+    });
+  }
+};
+
+// ================ grade Assignment (Instructor) ================
+// `status` is Graded - with a score for every rubric criterion, completes the
+// lesson - or Resubmission Requested, with feedback on what to change
+exports.gradeAssignment = async (req, res) => {
+  try {
+    const { submissionId, status, scores, feedback = "" } = req.body;
+
+    if (status !== "Graded" && status !== "Resubmission Requested") {
+      return res.status(400).json({
+        success: false,
+        message: "Grade the submission or request a resubmission",
+      });
+    }
+    if (typeof feedback !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Feedback must be text",
+      });
+    }
+    if (status === "Resubmission Requested" && !feedback.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Tell the student what to change",
+      });
+    }
+
+    const submission = await AssignmentSubmission.findOne({
+      _id: submissionId,
+      status: "Pending",
+    });
+    const course = submission && (await Course.findById(submission.course));
+    if (!course || course.instructor.toString() !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: "Pending submission not found",
+      });
+    }
+    const assignment = await Assignment.findById(submission.assignment);
+
+    let grade = {};
+    if (status === "Graded") {
+      try {
+        grade = gradeSubmission(assignment, scores);
+      } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+    }
+
+    // claim it, so two reviews of the same submission cannot both go through
+    const reviewed = await AssignmentSubmission.findOneAndUpdate(
+      { _id: submission._id, status: "Pending" },
+      {
+        ...grade,
+        status,
+        feedback,
+        reviewedBy: req.user.id,
+        reviewedAt: Date.now(),
+      },
+      { new: true }
+    );
+    if (!reviewed) {
+      return res.status(409).json({
+        success: false,
+        message: "This submission was already reviewed",
+      });
+    }
+
+    const [student, subSection] = await Promise.all([
+      User.findById(submission.user),
+      SubSection.findById(assignment.subSection),
+    ]);
+
+    // a graded assignment completes the lesson, while the student still has access
+    if (status === "Graded" && student) {
+      const access = await getCourseAccess(course, {
+        id: student._id.toString(),
+        accountType: student.accountType,
+      });
+      const alreadyCompleted = await CourseProgress.exists({
+        courseID: course._id,
+        userId: student._id,
+        completedVideos: subSection._id,
+      });
+      if (access && !alreadyCompleted) {
+        await completeLesson(student._id, course._id, subSection, access);
+      }
+    }
+
+    if (student) {
+      await mailSender(
+        student.email,
+        status === "Graded"
+          ? `Your assignment in ${course.courseName} was graded`
+          : `Please resubmit your assignment in ${course.courseName}`,
+        assignmentReviewEmail(
+          student.firstName,
+          course.courseName,
+          subSection.title,
+          status,
+          reviewed.score,
+          reviewed.maxScore,
+          escapeHtml(feedback)
+        )
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: reviewed,
+      message:
+        status === "Graded"
+          ? "Submission graded successfully"
+          : "Resubmission requested successfully",
+    });
+  } catch (error) {
+    console.log("Error while grading assignment");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while grading assignment",
+    });
+  }
+};
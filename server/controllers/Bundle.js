@@ -0,0 +1,308 @@
+const mongoose = require("mongoose");
+
+const Bundle = require("../models/Bundle");
+const Course = require("../models/Course");
+
+const { uploadImageToCloudinary } = require("../utils/imageUploader");
+
+// course fields shown on bundle cards and the bundle page
+const BUNDLE_COURSE_FIELDS =
+  "courseName courseDescription thumbnail price ratingAndReviews";
+
+const BUNDLE_STATUSES = ["Draft", "Published"];
+
+// the course ids come as a JSON array in the form data,
+// undefined when they can not be read
+const parseCourseIds = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+};
+
+// a bundle holds at least 2 different published courses of the instructor,
+// at a price below the courses bought separately
+const validateBundle = async ({ courses, price, status }, instructorId) => {
+  if (
+    !Array.isArray(courses) ||
+    !courses.every((id) => mongoose.isValidObjectId(id))
+  ) {
+    return { error: "Courses must be a list of course ids" };
+  }
+  if (courses.length < 2) {
+    return { error: "A bundle needs at least 2 courses" };
+  }
+  if (new Set(courses.map(String)).size !== courses.length) {
+    return { error: "A course can be in a bundle only once" };
+  }
+  if (status !== undefined && !BUNDLE_STATUSES.includes(status)) {
+    return {
+      error: `Bundle status must be one of ${BUNDLE_STATUSES.join(", ")}`,
+    };
+  }
+
+  const bundleCourses = await Course.find({
+    _id: { $in: courses },
+    instructor: instructorId,
+    status: "Published",
+  });
+  if (bundleCourses.length !== courses.length) {
+    return { error: "Bundles can only include your own published courses" };
+  }
+
+  const coursesPrice = bundleCourses.reduce(
+    (acc, course) => acc + course.price,
+    0
+  );
+  if (isNaN(price) || Number(price) <= 0 || Number(price) >= coursesPrice) {
+    return {
+      error: `Bundle price must be more than 0 and less than ${coursesPrice}, the price of its courses`,
+    };
+  }
+
+  return { bundleCourses };
+};
+
+// ================ create Bundle ================
+exports.createBundle = async (req, res) => {
+  try {
+    const { bundleName, bundleDescription, price, status } = req.body;
+    const courses = parseCourseIds(req.body.courses || "[]");
+    const thumbnail = req.files?.thumbnailImage;
+    const instructorId = req.user.id;
+
+    if (!bundleName || price === undefined || price === "") {
+      return res.status(400).json({
+        success: false,
+        message: "Bundle name, courses and price are required",
+      });
+    }
+
+    const { error, bundleCourses } = await validateBundle(
+      { courses, price, status: status || undefined },
+      instructorId
+    );
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    // without its own image the bundle shows the thumbnail of its first course
+    const thumbnailUrl = thumbnail
+      ? (await uploadImageToCloudinary(thumbnail, process.env.FOLDER_NAME))
+          .secure_url
+      : bundleCourses[0].thumbnail;
+
+    const bundle = await Bundle.create({
+      bundleName,
+      bundleDescription,
+      instructor: instructorId,
+      courses,
+      price,
+      thumbnail: thumbnailUrl,
+      category: bundleCourses[0].category,
+      status: status || "Draft",
+    });
+
+    res.status(200).json({
+      success: true,
+      data: bundle,
+      message: "Bundle created successfully",
+    });
+  } catch (error) {
+    console.log("Error while creating bundle");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while creating bundle",
+    });
+  }
+};
+
+// ================ edit Bundle ================
+exports.editBundle = async (req, res) => {
+  try {
+    const { bundleId, bundleName, bundleDescription, price, status } =
+      req.body;
+    const thumbnail = req.files?.thumbnailImage;
+
+    const bundle = await Bundle.findOne({
+      _id: bundleId,
+      instructor: req.user.id,
+    });
+    if (!bundle) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Bundle not found" });
+    }
+
+    const courses = req.body.courses
+      ? parseCourseIds(req.body.courses)
+      : bundle.courses.map((courseId) => courseId.toString());
+    const { error, bundleCourses } = await validateBundle(
+      { courses, price: price ?? bundle.price, status: status || undefined },
+      req.user.id
+    );
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    if (thumbnail) {
+      const thumbnailImage = await uploadImageToCloudinary(
+        thumbnail,
+        process.env.FOLDER_NAME
+      );
+      bundle.thumbnail = thumbnailImage.secure_url;
+    }
+    if (bundleName) bundle.bundleName = bundleName;
+    if (bundleDescription !== undefined) {
+      bundle.bundleDescription = bundleDescription;
+    }
+    if (price !== undefined) bundle.price = price;
+    if (status) bundle.status = status;
+    bundle.courses = courses;
+    bundle.category = bundleCourses[0].category;
+    await bundle.save();
+
+    res.status(200).json({
+      success: true,
+      data: bundle,
+      message: "Bundle updated successfully",
+    });
+  } catch (error) {
+    console.log("Error while updating bundle");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while updating bundle",
+    });
+  }
+};
+
+// ================ delete Bundle ================
+// students who bought it keep their courses
+exports.deleteBundle = async (req, res) => {
+  try {
+    const { bundleId } = req.body;
+
+    const bundle = await Bundle.findOneAndDelete({
+      _id: bundleId,
+      instructor: req.user.id,
+    });
+    if (!bundle) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Bundle not found" });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Bundle deleted successfully",
+    });
+  } catch (error) {
+    console.log("Error while deleting bundle");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while deleting bundle",
+    });
+  }
+};
+
+// ================ get Instructor Bundles ================
+exports.getInstructorBundles = async (req, res) => {
+  try {
+    const bundles = await Bundle.find({ instructor: req.user.id })
+      .populate("courses", BUNDLE_COURSE_FIELDS)
+      .sort({ createdAt: -1 })
+      .exec();
+
+    res.status(200).json({
+      success: true,
+      data: bundles,
+      message: "Instructor bundles fetched successfully",
+    });
+  } catch (error) {
+    console.log("Error while fetching instructor bundles");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while fetching instructor bundles",
+    });
+  }
+};
+
+// ================ get All Bundles ================
+// published bundles, optionally of one category (catalog page)
+exports.getAllBundles = async (req, res) => {
+  try {
+    const { categoryId } = req.query;
+
+    const bundles = await Bundle.find({
+      status: "Published",
+      ...(categoryId && { category: categoryId }),
+    })
+      .populate("courses", BUNDLE_COURSE_FIELDS)
+      .populate("instructor", "firstName lastName")
+      .sort({ createdAt: -1 })
+      .exec();
+
+    res.status(200).json({
+      success: true,
+      data: bundles,
+      message: "Bundles fetched successfully",
+    });
+  } catch (error) {
+    console.log("Error while fetching bundles");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while fetching bundles",
+    });
+  }
+};
+
+// ================ get Bundle Details ================
+exports.getBundleDetails = async (req, res) => {
+  try {
+    const { bundleId } = req.body;
+
+    const bundle = await Bundle.findOne({ _id: bundleId, status: "Published" })
+      .populate({
+        path: "courses",
+        select: `${BUNDLE_COURSE_FIELDS} studentsEnrolled`,
+      })
+      .populate({
+        path: "instructor",
+        select: "firstName lastName image additionalDetails",
+        populate: { path: "additionalDetails", select: "about" },
+      })
+      .populate("category", "name")
+      .exec();
+
+    if (!bundle) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Bundle not found" });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: bundle,
+      message: "Bundle details fetched successfully",
+    });
+  } catch (error) {
+    console.log("Error while fetching bundle details");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while fetching bundle details",
+    });
+  }
+};
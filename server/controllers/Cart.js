@@ -0,0 +1,246 @@
+const mongoose = require("mongoose");
+
+const Cart = require("../models/Cart");
+const Course = require("../models/Course");
+const User = require("../models/User");
+
+// course fields the cart page renders
+const CART_COURSE_FIELDS =
+  "courseName thumbnail price category ratingAndReviews status";
+
+// load the cart with current course prices
+// unpublished, deleted and already bought courses are dropped from the response
+const getPricedCart = async (userId) => {
+  const [cart, user] = await Promise.all([
+    Cart.findOne({ user: userId })
+      .populate({
+        path: "courses",
+        select: CART_COURSE_FIELDS,
+        populate: { path: "category", select: "name" },
+      })
+      .populate({
+        path: "wishlist",
+        select: CART_COURSE_FIELDS,
+        populate: { path: "category", select: "name" },
+      })
+      .lean(),
+    User.findById(userId, { courses: true }),
+  ]);
+
+  const enrolledCourses = user.courses.map((courseId) => courseId.toString());
+  const isAvailable = (course) =>
+    course &&
+    course.status === "Published" &&
+    !enrolledCourses.includes(course._id.toString());
+
+  const courses = (cart?.courses || []).filter(isAvailable);
+  const wishlist = (cart?.wishlist || []).filter(isAvailable);
+
+  return {
+    cart: courses,
+    wishlist,
+    total: courses.reduce((acc, course) => acc + (course.price || 0), 0),
+    totalItems: courses.length,
+  };
+};
+
+// a course can be put in the cart / wishlist only if it can be bought
+const validateCourse = async (courseId, userId) => {
+  if (!courseId || !mongoose.isValidObjectId(courseId)) {
+    return "Please provide a valid Course Id";
+  }
+  const course = await Course.findById(courseId, {
+    status: true,
+    studentsEnrolled: true,
+  });
+  if (!course || course.status !== "Published") {
+    return "Course not found";
+  }
+  if (course.studentsEnrolled.some((id) => id.toString() === userId)) {
+    return "You are already enrolled in this course";
+  }
+  return null;
+};
+
+// apply an update to the cart (created on first use) and return the priced cart
+const updateCart = async (userId, update) => {
+  await Cart.findOneAndUpdate({ user: userId }, update, { upsert: true });
+  return getPricedCart(userId);
+};
+
+// ================ get Cart ================
+exports.getCart = async (req, res) => {
+  try {
+    const data = await getPricedCart(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data,
+      message: "Cart fetched successfully",
+    });
+  } catch (error) {
+    console.log("Error while fetching cart");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while fetching cart",
+    });
+  }
+};
+
+// ================ add to Cart ================
+exports.addToCart = async (req, res) => {
+  try {
+    const { courseId } = req.body;
+    const userId = req.user.id;
+
+    const invalidCourse = await validateCourse(courseId, userId);
+    if (invalidCourse) {
+      return res.status(400).json({ success: false, message: invalidCourse });
+    }
+
+    if (await Cart.exists({ user: userId, courses: courseId })) {
+      return res
+        .status(409)
+        .json({ success: false, message: "Course already in cart" });
+    }
+
+    // adding to the cart takes it off the wishlist
+    const data = await updateCart(userId, {
+      $addToSet: { courses: courseId },
+      $pull: { wishlist: courseId },
+    });
+
+    res.status(200).json({
+      success: true,
+      data,
+      message: "Course added to cart",
+    });
+  } catch (error) {
+    console.log("Error while adding course to cart");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while adding course to cart",
+    });
+  }
+};
+
+// ================ remove from Cart ================
+exports.removeFromCart = async (req, res) => {
+  try {
+    const { courseId } = req.body;
+
+    const data = await updateCart(req.user.id, {
+      $pull: { courses: courseId },
+    });
+
+    res.status(200).json({
+      success: true,
+      data,
+      message: "Course removed from cart",
+    });
+  } catch (error) {
+    console.log("Error while removing course from cart");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while removing course from cart",
+    });
+  }
+};
+
+// ================ merge Cart ================
+// on login - the courses added on this device are merged into the stored cart
+exports.mergeCart = async (req, res) => {
+  try {
+    const { coursesId = [] } = req.body;
+    const userId = req.user.id;
+
+    const validCourses = [];
+    for (const courseId of coursesId) {
+      if (!(await validateCourse(courseId, userId))) {
+        validCourses.push(courseId);
+      }
+    }
+
+    const data = await updateCart(userId, {
+      $addToSet: { courses: { $each: validCourses } },
+    });
+
+    res.status(200).json({
+      success: true,
+      data,
+      message: "Cart merged successfully",
+    });
+  } catch (error) {
+    console.log("Error while merging cart");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while merging cart",
+    });
+  }
+};
+
+// ================ move to Wishlist ================
+// "save for later" - takes the course out of the cart
+exports.moveToWishlist = async (req, res) => {
+  try {
+    const { courseId } = req.body;
+    const userId = req.user.id;
+
+    const invalidCourse = await validateCourse(courseId, userId);
+    if (invalidCourse) {
+      return res.status(400).json({ success: false, message: invalidCourse });
+    }
+
+    const data = await updateCart(userId, {
+      $addToSet: { wishlist: courseId },
+      $pull: { courses: courseId },
+    });
+
+    res.status(200).json({
+      success: true,
+      data,
+      message: "Course saved for later",
+    });
+  } catch (error) {
+    console.log("Error while moving course to wishlist");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while moving course to wishlist",
+    });
+  }
+};
+
+// ================ remove from Wishlist ================
+exports.removeFromWishlist = async (req, res) => {
+  try {
+    const { courseId } = req.body;
+
+    const data = await updateCart(req.user.id, {
+      $pull: { wishlist: courseId },
+    });
+
+    res.status(200).json({
+      success: true,
+      data,
+      message: "Course removed from wishlist",
+    });
+  } catch (error) {
+    console.log("Error while removing course from wishlist");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while removing course from wishlist",
+    });
+  }
+};
@@ -1,15 +1,41 @@
+const mongoose = require("mongoose");
 const Category = require("../models/Category");
+const Course = require("../models/Course");
+const Bundle = require("../models/Bundle");
+const { invalidateSuggestions } = require("../utils/suggestions");
+const { cached, invalidateCache } = require("../utils/cache");
+const { paginate, parseLimit } = require("../utils/pagination");
+const {
+  uploadImageToCloudinary,
+  deleteResourceFromCloudinary,
+} = require("../utils/imageUploader");
+const { getRelatedCategory } = require("../utils/recommendations");
+const {
+  uniqueSlug,
+  getCategoryBranch,
+  getBreadcrumb,
+} = require("../utils/categories");
 
-// get Random Integer
-function getRandomInt(max) {
-  return Math.floor(Math.random() * max);
-}
+// catalog pages are served from cache for a minute at most
+const CATALOG_TTL = 60 * 1000;
+const LISTING_FIELDS =
+  "courseName price thumbnail instructor ratingAndReviews averageRating sold createdAt level language";
+const LISTING_POPULATE = { path: "instructor", select: "firstName lastName" };
+
+// what a category page can be sorted and filtered by
+const CATALOG_SORTS = ["popular", "new"];
+const COURSE_LEVELS = Course.schema.path("level").enumValues;
+const COURSE_LANGUAGES = Course.schema.path("language").enumValues;
+
+// a catalog option is either left out or one of `allowed`
+const isCatalogOption = (value, allowed) =>
+  value === undefined || value === "" || allowed.includes(value);
 
 // ================ create Category ================
 exports.createCategory = async (req, res) => {
   try {
     // extract data
-    const { name, description } = req.body;
+    const { name, description, parentId } = req.body;
 
     // validation
     if (!name || !description) {
@@ -19,13 +45,35 @@ exports.createCategory = async (req, res) => {
       });
     }
 
+    // subcategories sit below an existing category
+    const parent = parentId ? await Category.findById(parentId) : null;
+    if (parentId && !parent) {
+      return res.status(404).json({
+        success: false,
+        message: "Parent category not found",
+      });
+    }
+
+    // new categories go to the end of the Navbar menu
+    const icon = req.files?.icon
+      ? await uploadImageToCloudinary(req.files.icon, process.env.FOLDER_NAME)
+      : null;
+
     const categoryDetails = await Category.create({
       name: name,
       description: description,
+      icon: icon?.secure_url,
+      slug: await uniqueSlug(name, parent),
+      parent: parent?._id || null,
+      ancestors: parent ? [...parent.ancestors, parent._id] : [],
+      order: await Category.countDocuments({ parent: parent?._id || null }),
     });
+    invalidateSuggestions();
+    invalidateCache("catalog:");
 
     res.status(200).json({
       success: true,
+      data: categoryDetails,
       message: "Category created successfully",
     });
   } catch (error) {
@@ -39,11 +87,113 @@ exports.createCategory = async (req, res) => {
   }
 };
 
+// ================ update Category ================
+// name, description and icon - a new name gets a new slug
+exports.updateCategory = async (req, res) => {
+  try {
+    const { categoryId, name, description } = req.body;
+
+    const category = await Category.findById(categoryId);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    if (name !== undefined) {
+      if (!name.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: "Category name can't be empty",
+        });
+      }
+      if (name.trim() !== category.name) {
+        const parent = await Category.findById(category.parent);
+        category.name = name.trim();
+        category.slug = await uniqueSlug(category.name, parent, category._id);
+      }
+    }
+    if (description !== undefined) category.description = description;
+
+    if (req.files?.icon) {
+      const icon = await uploadImageToCloudinary(
+        req.files.icon,
+        process.env.FOLDER_NAME
+      );
+      await deleteResourceFromCloudinary(category.icon);
+      category.icon = icon.secure_url;
+    }
+
+    await category.save();
+    invalidateSuggestions();
+    invalidateCache("catalog:");
+
+    res.status(200).json({
+      success: true,
+      data: category,
+      message: "Category updated successfully",
+    });
+  } catch (error) {
+    console.log("Error while updating Category");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      message: "Error while updating Category",
+      error: error.message,
+    });
+  }
+};
+
+// ================ reorder Categories ================
+// the ids of one parent's subcategories (or the top level ones) in their new order
+exports.reorderCategories = async (req, res) => {
+  try {
+    const { parentId = null, categoryIds } = req.body;
+
+    const siblings = await Category.find({ parent: parentId || null })
+      .select("_id")
+      .lean();
+    const siblingIds = siblings.map((category) => String(category._id));
+    if (
+      !Array.isArray(categoryIds) ||
+      categoryIds.length !== siblingIds.length ||
+      !categoryIds.every((id) => siblingIds.includes(String(id)))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Send every category under this parent, in the new order",
+      });
+    }
+
+    await Category.bulkWrite(
+      categoryIds.map((id, index) => ({
+        updateOne: { filter: { _id: id }, update: { order: index } },
+      }))
+    );
+    invalidateCache("catalog:");
+
+    res.status(200).json({
+      success: true,
+      message: "Categories reordered successfully",
+    });
+  } catch (error) {
+    console.log("Error while reordering Categories");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      message: "Error while reordering Categories",
+      error: error.message,
+    });
+  }
+};
+
 // ================ delete Category ================
+// its courses and bundles move to the `reassignTo` category first
 exports.deleteCategory = async (req, res) => {
   try {
     // extract data
-    const { categoryId } = req.body;
+    const { categoryId, reassignTo } = req.body;
 
     // validation
     if (!categoryId) {
@@ -53,11 +203,54 @@ exports.deleteCategory = async (req, res) => {
       });
     }
 
+    const category = await Category.findById(categoryId);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    // subcategories would be left without a parent
+    if (await Category.exists({ parent: categoryId })) {
+      return res.status(400).json({
+        success: false,
+        message: "Delete the subcategories of this category first",
+      });
+    }
+
+    // courses must never point at a deleted category
+    const target =
+      reassignTo && String(reassignTo) !== String(categoryId)
+        ? await Category.findById(reassignTo)
+        : null;
+    if (!target) {
+      return res.status(400).json({
+        success: false,
+        message: "Choose another category to move this category's courses to",
+      });
+    }
+
+    const courses = await Course.find({ category: category._id })
+      .select("_id")
+      .lean();
+    const courseIds = courses.map((course) => course._id);
+    await Promise.all([
+      Course.updateMany({ category: category._id }, { category: target._id }),
+      Bundle.updateMany({ category: category._id }, { category: target._id }),
+      Category.findByIdAndUpdate(target._id, {
+        $addToSet: { courses: { $each: courseIds } },
+      }),
+    ]);
+
     await Category.findByIdAndDelete(categoryId);
+    await deleteResourceFromCloudinary(category.icon);
+    invalidateSuggestions();
+    invalidateCache("catalog:");
 
     res.status(200).json({
       success: true,
-      message: "Category deleted successfully",
+      message: `Category deleted, ${courseIds.length} course(s) moved to ${target.name}`,
     });
   } catch (error) {
     console.log("Error while deleting Category");
@@ -73,11 +266,18 @@ exports.deleteCategory = async (req, res) => {
 // ================ get All Category ================
 exports.showAllCategories = async (req, res) => {
   try {
-    // get all category from DB
+    // get all category from DB - flat, the frontend nests them by parent
     const allCategories = await Category.find(
       {},
-      { name: true, description: true }
-    );
+      {
+        name: true,
+        description: true,
+        slug: true,
+        parent: true,
+        icon: true,
+        order: true,
+      }
+    ).sort({ order: 1, name: 1 });
 
     // return response
     res.status(200).json({
@@ -95,33 +295,165 @@ exports.showAllCategories = async (req, res) => {
   }
 };
 
+// ================ category stats (admin) ================
+// courses and enrollments of each category, not counting its subcategories
+exports.getCategoryStats = async (req, res) => {
+  try {
+    const stats = await Course.aggregate([
+      { $match: { category: { $ne: null } } },
+      {
+        $group: {
+          _id: "$category",
+          courseCount: { $sum: 1 },
+          publishedCount: {
+            $sum: { $cond: [{ $eq: ["$status", "Published"] }, 1, 0] },
+          },
+          enrollmentCount: {
+            $sum: { $size: { $ifNull: ["$studentsEnrolled", []] } },
+          },
+        },
+      },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: stats,
+      message: "Category stats fetched successfully",
+    });
+  } catch (error) {
+    console.log("Error while fetching category stats");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      message: "Error while fetching category stats",
+      error: error.message,
+    });
+  }
+};
+
 // ================ Get Category Page Details ================
+// one page of the courses of the category and its subcategories (by sales or
+// newest), the courses of the category its students also learn from and the
+// best sellers overall - cached, course writes clear it.
+// `level` and `language` narrow down the category's own courses
 exports.getCategoryPageDetails = async (req, res) => {
   try {
-    const { categoryId } = req.body;
-    // console.log("PRINTING CATEGORY ID: ", categoryId);
-
-    // Get courses for the specified category
-    const selectedCategory = await Category.findById(categoryId)
-      .populate({
-        path: "courses",
-        match: { status: "Published" },
-        populate: "ratingAndReviews",
-      })
-      .exec();
-
-    // console.log('selectedCategory = ', selectedCategory)
+    const { categoryId, cursor, limit, sort, level, language } = req.body;
+
+    if (!mongoose.isValidObjectId(categoryId)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Category not found" });
+    }
+    if (
+      !isCatalogOption(sort, CATALOG_SORTS) ||
+      !isCatalogOption(level, COURSE_LEVELS) ||
+      !isCatalogOption(language, COURSE_LANGUAGES) ||
+      (cursor != null && typeof cursor !== "string")
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid sort, filter or page of the category",
+      });
+    }
+
+    const data = await cached(
+      `catalog:category:${categoryId}:${sort}:${cursor}:${parseLimit(limit)}:${level}:${language}`,
+      CATALOG_TTL,
+      async () => {
+        const selectedCategory = await Category.findById(categoryId)
+          .select("name description slug ancestors")
+          .lean();
+        if (!selectedCategory) return null;
+
+        const [branch, breadcrumb, subCategories] = await Promise.all([
+          getCategoryBranch(selectedCategory._id),
+          getBreadcrumb(selectedCategory),
+          Category.find({ parent: selectedCategory._id })
+            .select("name slug")
+            .lean(),
+        ]);
+
+        const listing = { select: LISTING_FIELDS, populate: LISTING_POPULATE };
+        const published = { status: "Published" };
+
+        const filters = {};
+        if (level) filters.level = level;
+        if (language) filters.language = language;
+
+        const page = await paginate(
+          Course,
+          { ...published, ...filters, category: { $in: branch } },
+          {
+            ...listing,
+            field: sort === "new" ? "createdAt" : "sold",
+            cursor,
+            limit,
+          }
+        );
+
+        // the category most shared by this category's students,
+        // any other one while there are no enrollments to go by
+        const relatedCategoryId = await getRelatedCategory(branch);
+        const [otherCategory] = relatedCategoryId
+          ? [
+              await Category.findById(relatedCategoryId)
+                .select("name description")
+                .lean(),
+            ]
+          : await Category.aggregate([
+              { $match: { _id: { $nin: branch } } },
+              { $sample: { size: 1 } },
+              { $project: { name: 1, description: 1 } },
+            ]);
+        const differentCategory = otherCategory && {
+          ...otherCategory,
+          courses: (
+            await paginate(
+              Course,
+              { ...published, category: otherCategory._id },
+              { ...listing, field: "sold", limit: 10 }
+            )
+          ).items,
+        };
+
+        // top-selling courses across all categories
+        const mostSellingCourses = (
+          await paginate(Course, published, {
+            ...listing,
+            field: "sold",
+            limit: 10,
+          })
+        ).items;
+
+        return {
+          selectedCategory: {
+            ...selectedCategory,
+            breadcrumb,
+            subCategories,
+            courses: page.items,
+          },
+          differentCategory,
+          mostSellingCourses,
+          nextCursor: page.nextCursor,
+        };
+      }
+    );
+
     // Handle the case when the category is not found
-    if (!selectedCategory) {
-      // console.log("Category not found.")
+    if (!data) {
       return res
         .status(404)
         .json({ success: false, message: "Category not found" });
     }
 
-    // Handle the case when there are no courses
-    if (selectedCategory.courses.length === 0) {
-      // console.log("No courses found for the selected category.")
+    // Handle the case when there are no courses (at all, not just for the filters)
+    if (
+      !cursor &&
+      !level &&
+      !language &&
+      data.selectedCategory.courses.length === 0
+    ) {
       return res.status(404).json({
         success: false,
         data: null,
@@ -129,46 +461,9 @@ exports.getCategoryPageDetails = async (req, res) => {
       });
     }
 
-    // Get courses for other categories
-    const categoriesExceptSelected = await Category.find({
-      _id: { $ne: categoryId },
-    });
-
-    let differentCategory = await Category.findOne(
-      categoriesExceptSelected[getRandomInt(categoriesExceptSelected.length)]
-        ._id
-    )
-      .populate({
-        path: "courses",
-        match: { status: "Published" },
-      })
-      .exec();
-
-    //console.log("Different COURSE", differentCategory)
-    // Get top-selling courses across all categories
-    const allCategories = await Category.find()
-      .populate({
-        path: "courses",
-        match: { status: "Published" },
-        populate: {
-          path: "instructor",
-        },
-      })
-      .exec();
-
-    const allCourses = allCategories.flatMap((category) => category.courses);
-    const mostSellingCourses = allCourses
-      .sort((a, b) => b.sold - a.sold)
-      .slice(0, 10);
-
-    // console.log("mostSellingCourses COURSE", mostSellingCourses)
     res.status(200).json({
       success: true,
-      data: {
-        selectedCategory,
-        differentCategory,
-        mostSellingCourses,
-      },
+      data,
     });
   } catch (error) {
     return res.status(500).json({
@@ -0,0 +1,120 @@
+const Certificate = require("../models/Certificate");
+const { renderCertificatePdf, certificateUrl } = require("../utils/certificate");
+
+// what anyone holding the id may see
+const publicCertificate = (certificate) => ({
+  certificateId: certificate.certificateId,
+  studentName: certificate.studentName,
+  courseName: certificate.courseName,
+  instructorName: certificate.instructorName,
+  completedAt: certificate.completedAt,
+  course: certificate.course,
+  url: certificateUrl(certificate.certificateId),
+  revoked: certificate.revoked,
+  revokedAt: certificate.revokedAt,
+});
+
+// ================ get My Certificates (Student) ================
+exports.getMyCertificates = async (req, res) => {
+  try {
+    const certificates = await Certificate.find({
+      user: req.user.id,
+      revoked: { $ne: true },
+    })
+      .populate("course", "thumbnail")
+      .sort({ completedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: certificates.map((certificate) => ({
+        ...publicCertificate(certificate),
+        thumbnail: certificate.course?.thumbnail,
+      })),
+      message: "Certificates fetched successfully",
+    });
+  } catch (error) {
+    console.log("Error while fetching certificates");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while fetching certificates",
+    });
+  }
+};
+
+// ================ verify Certificate (public) ================
+exports.verifyCertificate = async (req, res) => {
+  try {
+    const { certificateId } = req.query;
+
+    const certificate =
+      certificateId &&
+      (await Certificate.findOne({
+        certificateId: String(certificateId).trim().toUpperCase(),
+      }));
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: "No certificate was issued with this ID",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: publicCertificate(certificate),
+      message: "Certificate verified successfully",
+    });
+  } catch (error) {
+    console.log("Error while verifying certificate");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while verifying certificate",
+    });
+  }
+};
+
+// ================ download Certificate (public) ================
+// the PDF shows no more than the verification page
+exports.downloadCertificate = async (req, res) => {
+  try {
+    const { certificateId } = req.query;
+
+    const certificate =
+      certificateId &&
+      (await Certificate.findOne({
+        certificateId: String(certificateId).trim().toUpperCase(),
+      }));
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: "No certificate was issued with this ID",
+      });
+    }
+
+    if (certificate.revoked) {
+      return res.status(410).json({
+        success: false,
+        message: "This certificate was revoked",
+      });
+    }
+
+    const pdf = await renderCertificatePdf(certificate);
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="Certificate-${certificate.certificateId}.pdf"`,
+    });
+    res.status(200).send(pdf);
+  } catch (error) {
+    console.log("Error while downloading certificate");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while downloading certificate",
+    });
+  }
+};
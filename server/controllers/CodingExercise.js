@@ -0,0 +1,191 @@
+const Course = require("../models/Course");
+const SubSection = require("../models/SubSection");
+const CodingExercise = require("../models/CodingExercise");
+const CodeSubmission = require("../models/CodeSubmission");
+const CourseProgress = require("../models/CourseProgress");
+const { getCourseAccess } = require("../utils/courseAccess");
+const { completeLesson } = require("../utils/courseProgress");
+const { runTests, sandboxAvailable } = require("../utils/codeRunner");
+const {
+  MAX_CODE_LENGTH,
+  exerciseForStudent,
+  submissionForStudent,
+} = require("../utils/coding");
+
+// students with code running right now, one submission at a time each
+const runningUsers = new Set();
+
+// exercise of a lesson and how the user can open it
+const findExercise = async (subSectionId, user) => {
+  const subSection = await SubSection.findById(subSectionId);
+  if (!subSection?.codingExercise) return {};
+  const exercise = await CodingExercise.findById(subSection.codingExercise);
+  const course = exercise && (await Course.findById(exercise.course));
+  const access = course && (await getCourseAccess(course, user));
+  return { subSection, exercise, access };
+};
+
+// the exercise with the student's submissions, newest first
+const exerciseState = async (exercise, userId) => {
+  const submissions = await CodeSubmission.find({
+    user: userId,
+    exercise: exercise._id,
+  })
+    .sort({ submittedAt: -1 })
+    .limit(20);
+
+  return {
+    exercise: exerciseForStudent(exercise),
+    submissions: submissions.map((submission) =>
+      submissionForStudent(submission, exercise)
+    ),
+    passed: await CodeSubmission.exists({
+      user: userId,
+      exercise: exercise._id,
+      verdict: "Passed",
+    }).then(Boolean),
+  };
+};
+
+// ================ get Coding exercise ================
+// the instructor and admins get the hidden tests to edit them
+exports.getCodingExercise = async (req, res) => {
+  try {
+    const { subSectionId } = req.body;
+    const { exercise, access } = await findExercise(subSectionId, req.user);
+
+    if (!exercise) {
+      return res.status(404).json({
+        success: false,
+        message: "Exercise not found",
+      });
+    }
+    if (!access) {
+      return res.status(403).json({
+        success: false,
+        message: "Enroll in this course or subscribe to StudyNotion Pro to access it",
+      });
+    }
+
+    if (access.reason === "Instructor" || access.reason === "Admin") {
+      return res.status(200).json({
+        success: true,
+        data: { exercise, preview: true },
+        message: "Exercise fetched successfully",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await exerciseState(exercise, req.user.id),
+      message: "Exercise fetched successfully",
+    });
+  } catch (error) {
+    console.log("Error while fetching coding exercise");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while fetching coding exercise",
+    });
+  }
+};
+
+// ================ submit Code ================
+// runs the code against every test, passing them all completes the lesson
+exports.submitCode = async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const { subSectionId, code } = req.body;
+    const { subSection, exercise, access } = await findExercise(
+      subSectionId,
+      req.user
+    );
+
+    if (!exercise) {
+      return res.status(404).json({
+        success: false,
+        message: "Exercise not found",
+      });
+    }
+    if (!access) {
+      return res.status(403).json({
+        success: false,
+        message: "Enroll in this course or subscribe to StudyNotion Pro to access it",
+      });
+    }
+    if (typeof code !== "string" || !code.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Write some code before submitting",
+      });
+    }
+    if (code.length > MAX_CODE_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: "Your code is too long",
+      });
+    }
+    if (!sandboxAvailable()) {
+      return res.status(503).json({
+        success: false,
+        message: "Running code is not available right now, please try again later",
+      });
+    }
+    if (runningUsers.has(userId)) {
+      return res.status(429).json({
+        success: false,
+        message: "Your previous submission is still running",
+      });
+    }
+
+    runningUsers.add(userId);
+    let result;
+    try {
+      result = await runTests(exercise, code);
+    } finally {
+      runningUsers.delete(userId);
+    }
+
+    const submission = await CodeSubmission.create({
+      ...result,
+      user: userId,
+      exercise: exercise._id,
+      course: exercise.course,
+      language: exercise.language,
+      code,
+    });
+
+    // the first pass completes the lesson
+    let completed = false;
+    if (submission.verdict === "Passed") {
+      const alreadyCompleted = await CourseProgress.exists({
+        courseID: exercise.course,
+        userId,
+        completedVideos: subSection._id,
+      });
+      if (!alreadyCompleted) {
+        completed = Boolean(
+          await completeLesson(userId, exercise.course, subSection, access)
+        );
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { ...(await exerciseState(exercise, userId)), completed },
+      message:
+        submission.verdict === "Passed"
+          ? "All tests passed"
+          : `${submission.passedCount} of ${submission.results.length} tests passed`,
+    });
+  } catch (error) {
+    console.log("Error while running code");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while running code",
+    });
+  }
+};
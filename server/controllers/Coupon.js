@@ -0,0 +1,223 @@
+const Coupon = require("../models/Coupon");
+const Course = require("../models/Course");
+
+// fields an admin / instructor may set on a coupon
+const COUPON_FIELDS = [
+  "code",
+  "description",
+  "discountType",
+  "discountValue",
+  "maxDiscount",
+  "expiresAt",
+  "usageLimit",
+  "perUserLimit",
+  "applicableCourses",
+  "applicableCategories",
+  "applicableInstructors",
+  "active",
+];
+
+const pickCouponFields = (body) => {
+  const fields = {};
+  for (const key of COUPON_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+};
+
+// instructors can only discount their own courses
+const restrictToInstructor = async (fields, instructorId) => {
+  fields.applicableInstructors = [instructorId];
+  fields.applicableCategories = [];
+
+  if (fields.applicableCourses?.length) {
+    const ownCourses = await Course.find(
+      { _id: { $in: fields.applicableCourses }, instructor: instructorId },
+      { _id: true }
+    );
+    fields.applicableCourses = ownCourses.map((course) => course._id);
+  }
+};
+
+const validateDiscount = ({ discountType, discountValue }) => {
+  if (discountValue !== undefined && discountValue < 0) {
+    return "Discount value can not be negative";
+  }
+  if (discountType === "Percentage" && discountValue > 100) {
+    return "Percentage discount can not be more than 100";
+  }
+  return null;
+};
+
+// ================ create Coupon ================
+exports.createCoupon = async (req, res) => {
+  try {
+    const fields = pickCouponFields(req.body);
+    const { code, discountType, discountValue } = fields;
+
+    // validation
+    if (!code || !discountType || discountValue === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Code, discount type and discount value are required",
+      });
+    }
+
+    const invalidDiscount = validateDiscount(fields);
+    if (invalidDiscount) {
+      return res
+        .status(400)
+        .json({ success: false, message: invalidDiscount });
+    }
+
+    if (await Coupon.exists({ code: code.trim().toUpperCase() })) {
+      return res.status(409).json({
+        success: false,
+        message: "A coupon with this code already exists",
+      });
+    }
+
+    if (req.user.accountType === "Instructor") {
+      await restrictToInstructor(fields, req.user.id);
+    }
+
+    const coupon = await Coupon.create({ ...fields, createdBy: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      data: coupon,
+      message: "Coupon created successfully",
+    });
+  } catch (error) {
+    console.log("Error while creating coupon");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while creating coupon",
+    });
+  }
+};
+
+// ================ get Coupons ================
+// admins see every coupon, instructors only the ones they created
+exports.getCoupons = async (req, res) => {
+  try {
+    const filter =
+      req.user.accountType === "Admin" ? {} : { createdBy: req.user.id };
+
+    const coupons = await Coupon.find(filter)
+      .populate("applicableCourses", "courseName")
+      .populate("applicableCategories", "name")
+      .populate("applicableInstructors", "firstName lastName")
+      .sort({ createdAt: -1 })
+      .exec();
+
+    res.status(200).json({
+      success: true,
+      data: coupons,
+      message: "Coupons fetched successfully",
+    });
+  } catch (error) {
+    console.log("Error while fetching coupons");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while fetching coupons",
+    });
+  }
+};
+
+// ================ update Coupon ================
+exports.updateCoupon = async (req, res) => {
+  try {
+    const { couponId } = req.body;
+    const fields = pickCouponFields(req.body);
+
+    const coupon = await Coupon.findById(couponId);
+    if (!coupon) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Coupon not found" });
+    }
+
+    const isInstructor = req.user.accountType === "Instructor";
+    if (isInstructor && coupon.createdBy.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only update your own coupons",
+      });
+    }
+
+    const invalidDiscount = validateDiscount({
+      discountType: fields.discountType || coupon.discountType,
+      discountValue: fields.discountValue ?? coupon.discountValue,
+    });
+    if (invalidDiscount) {
+      return res
+        .status(400)
+        .json({ success: false, message: invalidDiscount });
+    }
+
+    if (isInstructor) {
+      await restrictToInstructor(fields, req.user.id);
+    }
+
+    Object.assign(coupon, fields);
+    await coupon.save();
+
+    res.status(200).json({
+      success: true,
+      data: coupon,
+      message: "Coupon updated successfully",
+    });
+  } catch (error) {
+    console.log("Error while updating coupon");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while updating coupon",
+    });
+  }
+};
+
+// ================ delete Coupon ================
+exports.deleteCoupon = async (req, res) => {
+  try {
+    const { couponId } = req.body;
+
+    const coupon = await Coupon.findById(couponId);
+    if (!coupon) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Coupon not found" });
+    }
+
+    if (
+      req.user.accountType === "Instructor" &&
+      coupon.createdBy.toString() !== req.user.id
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only delete your own coupons",
+      });
+    }
+
+    await Coupon.findByIdAndDelete(couponId);
+
+    res.status(200).json({
+      success: true,
+      message: "Coupon deleted successfully",
+    });
+  } catch (error) {
+    console.log("Error while deleting coupon");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while deleting coupon",
+    });
+  }
+};
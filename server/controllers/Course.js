@@ -1,15 +1,87 @@
+const mongoose = require("mongoose");
 const Course = require("../models/Course");
 const User = require("../models/User");
 const Category = require("../models/Category");
 const Section = require("../models/Section");
 const SubSection = require("../models/SubSection");
 const CourseProgress = require("../models/CourseProgress");
+const Bundle = require("../models/Bundle");
+const Tag = require("../models/Tags");
+const Quiz = require("../models/Quiz");
+const QuizAttempt = require("../models/QuizAttempt");
+const CodingExercise = require("../models/CodingExercise");
+const CodeSubmission = require("../models/CodeSubmission");
+const Assignment = require("../models/Assignment");
+const AssignmentSubmission = require("../models/AssignmentSubmission");
 
 const {
   uploadImageToCloudinary,
   deleteResourceFromCloudinary,
 } = require("../utils/imageUploader");
 const { convertSecondsToDuration } = require("../utils/secToDuration");
+const { getCourseAccess } = require("../utils/courseAccess");
+const {
+  getSuggestions,
+  invalidateSuggestions,
+} = require("../utils/suggestions");
+const { cached, invalidateCache } = require("../utils/cache");
+const { paginate, parseLimit } = require("../utils/pagination");
+const { getRecommendations } = require("../utils/recommendations");
+const { getCategoryBranch, getBreadcrumb } = require("../utils/categories");
+const {
+  normalizeTagNames,
+  setCourseTags,
+  refreshTagCounts,
+} = require("../utils/tags");
+
+// course listings are served from cache for a minute at most
+const CATALOG_TTL = 60 * 1000;
+
+// what an instructor may edit - sales, ratings, students, duration and the
+// instructor name are kept up by the server
+const EDITABLE_COURSE_FIELDS = [
+  "courseName",
+  "courseDescription",
+  "whatYouWillLearn",
+  "price",
+  "category",
+  "tag",
+  "instructions",
+  "status",
+  "language",
+  "level",
+  "subtitles",
+  "prerequisites",
+];
+
+// 0 is a valid price - the course is free
+const isValidPrice = (price) =>
+  typeof price !== "object" &&
+  String(price).trim() !== "" &&
+  Number.isFinite(Number(price)) &&
+  Number(price) >= 0;
+
+const COURSE_LANGUAGES = Course.schema.path("language").enumValues;
+
+// left out, the course is in English
+const isValidLanguage = (language) =>
+  language === undefined || COURSE_LANGUAGES.includes(language);
+
+// ids of published courses a course may list as prerequisites - never itself
+const validPrerequisites = async (ids, courseId) => {
+  const candidates = (Array.isArray(ids) ? ids : []).filter(
+    (id) => mongoose.isValidObjectId(id) && String(id) !== String(courseId)
+  );
+  const courses = await Course.find({
+    _id: { $in: candidates },
+    status: "Published",
+  })
+    .select("_id")
+    .lean();
+  return candidates.filter((id) =>
+    courses.some((course) => course._id.equals(id))
+  );
+};
 
 // ========== CREATE NEW COURSE ==========
 exports.createCourse = async (req, res) => {
@@ -23,17 +95,26 @@ exports.createCourse = async (req, res) => {
       instructions: _instructions,
       status,
       tag: _tag,
+      language,
+      level,
+      subtitles: _subtitles,
+      prerequisites: _prerequisites,
     } = req.body;
 
-    const tag = JSON.parse(_tag || "[]");
+    const tag = normalizeTagNames(JSON.parse(_tag || "[]"));
     const instructions = JSON.parse(_instructions || "[]");
+    const subtitles = JSON.parse(_subtitles || "[]");
+    const prerequisites = await validPrerequisites(
+      JSON.parse(_prerequisites || "[]")
+    );
     const thumbnail = req.files?.thumbnailImage;
 
     if (
       !courseName ||
       !courseDescription ||
       !whatYouWillLearn ||
-      !price ||
+      price === undefined ||
+      price === "" ||
       !category ||
       !thumbnail ||
       !instructions.length ||
@@ -45,9 +126,26 @@ exports.createCourse = async (req, res) => {
       });
     }
 
+    if (!isValidPrice(price)) {
+      return res.status(400).json({
+        success: false,
+        message: "Price must be 0 (free) or more",
+      });
+    }
+
+    if (!isValidLanguage(language)) {
+      return res.status(400).json({
+        success: false,
+        message: `Language must be one of ${COURSE_LANGUAGES.join(", ")}`,
+      });
+    }
+
     if (!status) status = "Draft";
 
     const instructorId = req.user?.id;
+    const instructorDetails = await User.findById(instructorId).select(
+      "firstName lastName"
+    );
     const categoryDetails = await Category.findById(category);
     if (!categoryDetails) {
       return res
@@ -64,17 +162,26 @@ exports.createCourse = async (req, res) => {
       courseName,
       courseDescription,
       instructor: instructorId,
+      instructorName: `${instructorDetails.firstName} ${instructorDetails.lastName}`,
       whatYouWillLearn,
       price,
       category: categoryDetails._id,
       tag,
       status,
+      language,
+      level,
+      subtitles,
+      prerequisites,
       instructions,
       thumbnail: thumbnailDetails.secure_url,
       createdAt: Date.now(),
     });
+    const changedTags = await setCourseTags(newCourse, tag);
+    await newCourse.save();
+    await newCourse.populate("prerequisites", "courseName thumbnail");
 
     await Promise.all([
+      refreshTagCounts(changedTags),
       User.findByIdAndUpdate(instructorId, {
         $push: { courses: newCourse._id },
       }),
@@ -82,6 +189,8 @@ exports.createCourse = async (req, res) => {
         $push: { courses: newCourse._id },
       }),
     ]);
+    invalidateSuggestions();
+    invalidateCache("catalog:");
 
     res.status(200).json({
       success: true,
@@ -99,18 +208,35 @@ exports.createCourse = async (req, res) => {
 };
 
 // ========== GET ALL COURSES ==========
+// newest first, one page at a time - pass back nextCursor for the next page
 exports.getAllCourses = async (req, res) => {
   try {
-    const allCourses = await Course.find(
-      {},
-      "courseName courseDescription price thumbnail instructor ratingAndReviews studentsEnrolled"
-    )
-      .populate("instructor", "firstName lastName email image")
-      .exec();
+    const { cursor, limit } = req.query;
+
+    const { items, nextCursor } = await cached(
+      `catalog:all:${cursor}:${parseLimit(limit)}`,
+      CATALOG_TTL,
+      () =>
+        paginate(
+          Course,
+          {},
+          {
+            cursor,
+            limit,
+            select:
+              "courseName courseDescription price thumbnail instructor ratingAndReviews averageRating sold level language",
+            populate: {
+              path: "instructor",
+              select: "firstName lastName email image",
+            },
+          }
+        )
+    );
 
     res.status(200).json({
       success: true,
-      data: allCourses,
+      data: items,
+      nextCursor,
       message: "All courses fetched successfully",
     });
   } catch (error) {
@@ -119,6 +245,178 @@ exports.getAllCourses = async (req, res) => {
   }
 };
 
+// ========== SEARCH COURSES ==========
+const SEARCH_SORTS = {
+  relevance: { score: { $meta: "textScore" }, popularity: -1 },
+  newest: { createdAt: -1 },
+  rating: { averageRating: -1, popularity: -1 },
+  popularity: { popularity: -1, averageRating: -1 },
+};
+
+exports.searchCourses = async (req, res) => {
+  try {
+    const {
+      q,
+      category,
+      minPrice,
+      maxPrice,
+      minRating,
+      minDuration,
+      maxDuration,
+      language,
+      level,
+      subtitle,
+      tag,
+    } = req.query;
+    const query = q?.trim();
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 50);
+
+    // relevance only makes sense with a search term
+    let sort = SEARCH_SORTS[req.query.sort] ? req.query.sort : "relevance";
+    if (sort === "relevance" && !query) sort = "popularity";
+
+    // $text has to be the first stage of the pipeline
+    const match = { status: "Published" };
+    if (query) match.$text = { $search: query };
+    // a category includes its subcategories
+    if (category && mongoose.isValidObjectId(category)) {
+      const branch = await getCategoryBranch(category);
+      match.category = {
+        $in: branch.map((id) => new mongoose.Types.ObjectId(String(id))),
+      };
+    }
+    if (language) match.language = language;
+    if (level) match.level = level;
+    if (subtitle) match.subtitles = subtitle;
+    // tags come by slug, an unknown one matches nothing
+    const tagDoc = tag
+      ? await Tag.findOne({ slug: tag }).select("name slug").lean()
+      : null;
+    if (tag) match.tags = tagDoc ? tagDoc._id : { $in: [] };
+
+    const range = (min, max) => {
+      const filter = {};
+      if (min !== undefined && min !== "") filter.$gte = Number(min);
+      if (max !== undefined && max !== "") filter.$lte = Number(max);
+      return Object.keys(filter).length ? filter : null;
+    };
+    const priceRange = range(minPrice, maxPrice);
+    if (priceRange) match.price = priceRange;
+    // duration filters come in hours, courses store seconds
+    const durationRange = range(
+      minDuration && minDuration * 3600,
+      maxDuration && maxDuration * 3600
+    );
+    if (durationRange) match.totalDuration = durationRange;
+    if (minRating) match.averageRating = { $gte: Number(minRating) };
+
+    const [result] = await Course.aggregate([
+      { $match: match },
+      { $addFields: { popularity: { $size: "$studentsEnrolled" } } },
+      { $sort: { ...SEARCH_SORTS[sort], _id: 1 } },
+      {
+        $facet: {
+          courses: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $project: {
+                courseName: 1,
+                courseDescription: 1,
+                price: 1,
+                thumbnail: 1,
+                instructor: 1,
+                ratingAndReviews: 1,
+                studentsEnrolled: 1,
+                averageRating: 1,
+                totalDuration: 1,
+                language: 1,
+                level: 1,
+                createdAt: 1,
+              },
+            },
+          ],
+          total: [{ $count: "count" }],
+        },
+      },
+    ]);
+
+    const courses = await Course.populate(result.courses, {
+      path: "instructor",
+      select: "firstName lastName image",
+    });
+    const total = result.total[0]?.count || 0;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        courses: courses.map((course) => ({
+          ...course,
+          totalDuration: convertSecondsToDuration(course.totalDuration),
+        })),
+        total,
+        page,
+        totalPages: Math.ceil(total / limit),
+        sort,
+        tag: tagDoc,
+      },
+      message: "Courses searched successfully",
+    });
+  } catch (error) {
+    console.error("Error while searching courses:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while searching courses",
+    });
+  }
+};
+
+// ========== SEARCH SUGGESTIONS ==========
+exports.getSearchSuggestions = async (req, res) => {
+  try {
+    const data = await getSuggestions(req.query.q || "");
+
+    res.status(200).json({
+      success: true,
+      data,
+      message: "Suggestions fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error while fetching search suggestions:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while fetching search suggestions",
+    });
+  }
+};
+
+// ========== COURSE RECOMMENDATIONS ==========
+// personalised for logged in students, best sellers for everyone else
+exports.getCourseRecommendations = async (req, res) => {
+  try {
+    const data = await getRecommendations({
+      user: req.user,
+      courseId: req.query.courseId,
+    });
+
+    res.status(200).json({
+      success: true,
+      data,
+      message: "Recommendations fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error while fetching recommendations:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while fetching recommendations",
+    });
+  }
+};
+
 // ========== GET COURSE DETAILS ==========
 exports.getCourseDetails = async (req, res) => {
   try {
@@ -129,11 +427,17 @@ exports.getCourseDetails = async (req, res) => {
         populate: { path: "additionalDetails" },
       })
       .populate("category")
+      .populate("tags", "name slug")
       .populate("ratingAndReviews")
       .populate({
         path: "courseContent",
-        populate: { path: "subSection", select: "-videoUrl" },
+        // lesson content is for students who can open the course
+        populate: {
+          path: "subSection",
+          select: "-videoUrl -content -fileUrl -fileName -linkUrl",
+        },
       })
+      .populate("prerequisites", "courseName thumbnail studentsEnrolled")
       .exec();
 
     if (!courseDetails)
@@ -149,10 +453,23 @@ exports.getCourseDetails = async (req, res) => {
     });
 
     const totalDuration = convertSecondsToDuration(totalDurationInSeconds);
+    const breadcrumb = await getBreadcrumb(courseDetails.category);
+
+    // "recommended first" - whether the logged in user already took each one
+    const prerequisites = courseDetails.prerequisites.map((prerequisite) => ({
+      _id: prerequisite._id,
+      courseName: prerequisite.courseName,
+      thumbnail: prerequisite.thumbnail,
+      enrolled: Boolean(
+        req.user &&
+          prerequisite.studentsEnrolled.some((id) => id.equals(req.user.id))
+      ),
+    }));
+    courseDetails.depopulate("prerequisites");
 
     res.status(200).json({
       success: true,
-      data: { courseDetails, totalDuration },
+      data: { courseDetails, totalDuration, breadcrumb, prerequisites },
       message: "Course details fetched successfully",
     });
   } catch (error) {
@@ -178,6 +495,7 @@ exports.getFullCourseDetails = async (req, res) => {
         path: "courseContent",
         populate: { path: "subSection" },
       })
+      .populate("prerequisites", "courseName thumbnail")
       .exec();
 
     if (!courseDetails)
@@ -185,6 +503,15 @@ exports.getFullCourseDetails = async (req, res) => {
         .status(404)
         .json({ success: false, message: "Course not found" });
 
+    // enrolled students, StudyNotion Pro subscribers, the instructor and admins
+    const access = await getCourseAccess(courseDetails, req.user);
+    if (!access) {
+      return res.status(403).json({
+        success: false,
+        message: "Enroll in this course or subscribe to StudyNotion Pro to access it",
+      });
+    }
+
     const courseProgressCount = await CourseProgress.findOne({
       courseID: courseId,
       userId: userId,
@@ -205,6 +532,7 @@ exports.getFullCourseDetails = async (req, res) => {
         courseDetails,
         totalDuration,
         completedVideos: courseProgressCount?.completedVideos || [],
+        accessType: access.reason,
       },
     });
   } catch (error) {
@@ -216,8 +544,32 @@ exports.getFullCourseDetails = async (req, res) => {
 // ========== EDIT COURSE ==========
 exports.editCourse = async (req, res) => {
   try {
-    const { courseId } = req.body;
-    const updates = JSON.parse(JSON.stringify(req.body)); // convert safely
+    const { courseId, ...updates } = req.body;
+
+    const lockedFields = Object.keys(updates).filter(
+      (key) => !EDITABLE_COURSE_FIELDS.includes(key)
+    );
+    if (lockedFields.length) {
+      return res.status(400).json({
+        success: false,
+        message: `These fields cannot be edited: ${lockedFields.join(", ")}`,
+      });
+    }
+
+    if ("price" in updates && !isValidPrice(updates.price)) {
+      return res.status(400).json({
+        success: false,
+        message: "Price must be 0 (free) or more",
+      });
+    }
+
+    if ("language" in updates && !isValidLanguage(updates.language)) {
+      return res.status(400).json({
+        success: false,
+        message: `Language must be one of ${COURSE_LANGUAGES.join(", ")}`,
+      });
+    }
+
     const course = await Course.findById(courseId);
 
     if (!course) return res.status(404).json({ error: "Course not found" });
@@ -231,18 +583,28 @@ exports.editCourse = async (req, res) => {
       course.thumbnail = thumbnailImage.secure_url;
     }
 
-    for (const key in updates) {
-      if (Object.prototype.hasOwnProperty.call(updates, key)) {
-        if (key === "tag" || key === "instructions") {
-          course[key] = JSON.parse(updates[key]);
-        } else {
-          course[key] = updates[key];
-        }
+    // the status may change too, so the old tags are always recounted
+    let changedTags = course.tags.map(String);
+    for (const key of Object.keys(updates)) {
+      if (key === "tag") {
+        changedTags = await setCourseTags(course, JSON.parse(updates[key]));
+      } else if (key === "instructions" || key === "subtitles") {
+        course[key] = JSON.parse(updates[key]);
+      } else if (key === "prerequisites") {
+        course[key] = await validPrerequisites(
+          JSON.parse(updates[key]),
+          course._id
+        );
+      } else {
+        course[key] = updates[key];
       }
     }
 
     course.updatedAt = Date.now();
     await course.save();
+    await refreshTagCounts(changedTags);
+    invalidateSuggestions();
+    invalidateCache("catalog:");
 
     const updatedCourse = await Course.findById(courseId)
       .populate({
@@ -254,6 +616,7 @@ exports.editCourse = async (req, res) => {
         path: "courseContent",
         populate: { path: "subSection" },
       })
+      .populate("prerequisites", "courseName thumbnail")
       .exec();
 
     res.status(200).json({
@@ -318,6 +681,7 @@ exports.deleteCourse = async (req, res) => {
             const subSection = await SubSection.findById(subSectionId);
             if (subSection) {
               await deleteResourceFromCloudinary(subSection.videoUrl);
+              await deleteResourceFromCloudinary(subSection.fileUrl);
               await SubSection.findByIdAndDelete(subSectionId);
             }
           })
@@ -326,7 +690,33 @@ exports.deleteCourse = async (req, res) => {
       }
     }
 
+    // drop the course from its bundles, a bundle left with one course is unpublished
+    await Bundle.updateMany(
+      { courses: courseId },
+      { $pull: { courses: courseId } }
+    );
+    await Bundle.updateMany(
+      { "courses.1": { $exists: false } },
+      { status: "Draft" }
+    );
+
+    await Quiz.deleteMany({ course: courseId });
+    await QuizAttempt.deleteMany({ course: courseId });
+    await CodingExercise.deleteMany({ course: courseId });
+    await CodeSubmission.deleteMany({ course: courseId });
+    await Assignment.deleteMany({ course: courseId });
+    await AssignmentSubmission.deleteMany({ course: courseId });
+
+    // and from the courses recommending it first
+    await Course.updateMany(
+      { prerequisites: courseId },
+      { $pull: { prerequisites: courseId } }
+    );
+
     await Course.findByIdAndDelete(courseId);
+    await refreshTagCounts(course.tags);
+    invalidateSuggestions();
+    invalidateCache("catalog:");
 
     res.status(200).json({
       success: true,
@@ -2,6 +2,10 @@ const mongoose = require("mongoose");
 const Section = require("../models/Section");
 const SubSection = require("../models/SubSection");
 const CourseProgress = require("../models/CourseProgress");
+const Course = require("../models/Course");
+const User = require("../models/User");
+const { getCourseAccess } = require("../utils/courseAccess");
+const { completeLesson } = require("../utils/courseProgress");
 
 // ================ update Course Progress ================
 exports.updateCourseProgress = async (req, res) => {
@@ -15,31 +19,56 @@ exports.updateCourseProgress = async (req, res) => {
       return res.status(404).json({ error: "Invalid subsection" });
     }
 
-    // Find the course progress document for the user and course
-    let courseProgress = await CourseProgress.findOne({
-      courseID: courseId,
-      userId: userId,
+    // enrolled students and StudyNotion Pro subscribers
+    const course = await Course.findById(courseId);
+    const access = course && (await getCourseAccess(course, req.user));
+    if (!access) {
+      return res.status(403).json({
+        success: false,
+        message: "Enroll in this course or subscribe to StudyNotion Pro to access it",
+      });
+    }
+
+    // only lessons of this course count towards its progress and watch time
+    const inCourse = await Section.exists({
+      _id: { $in: course.courseContent },
+      subSection: subsection._id,
     });
+    if (!inCourse) {
+      return res.status(400).json({
+        success: false,
+        message: "This lesson is not part of the course",
+      });
+    }
+
+    // quizzes and coding exercises are completed by passing them,
+    // assignments once the instructor grades them
+    const completedBy = {
+      Quiz: "Pass the quiz to complete this lesson",
+      Coding: "Pass the tests to complete this lesson",
+      Assignment: "This lesson is completed once your assignment is graded",
+    };
+    if (completedBy[subsection.type]) {
+      return res.status(400).json({
+        success: false,
+        message: completedBy[subsection.type],
+      });
+    }
+
+    let courseProgress;
+    try {
+      courseProgress = await completeLesson(userId, courseId, subsection, access);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
     if (!courseProgress) {
-      // If course progress doesn't exist, create a new one
       return res.status(404).json({
         success: false,
         message: "Course progress Does Not Exist",
       });
-    } else {
-      // If course progress exists, check if the subsection is already completed
-      if (courseProgress.completedVideos.includes(subsectionId)) {
-        return res.status(400).json({ error: "Subsection already completed" });
-      }
-
-      // Push the subsection into the completedVideos array
-      courseProgress.completedVideos.push(subsectionId);
     }
 
-    // Save the updated course progress
-    await courseProgress.save();
-
     return res.status(200).json({ message: "Course progress updated" });
   } catch (error) {
     console.error(error);
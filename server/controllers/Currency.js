@@ -0,0 +1,88 @@
+const CurrencyRate = require("../models/CurrencyRate");
+const {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+} = require("../config/currency");
+
+// ================ get Currency Rates ================
+// public - the frontend converts displayed prices with these
+exports.getCurrencyRates = async (req, res) => {
+  try {
+    const currencyRates = await CurrencyRate.find(
+      { currency: { $in: SUPPORTED_CURRENCIES } },
+      { currency: true, rate: true, updatedAt: true }
+    );
+
+    const rates = { [BASE_CURRENCY]: 1 };
+    currencyRates.forEach(({ currency, rate }) => {
+      rates[currency] = rate;
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        baseCurrency: BASE_CURRENCY,
+        supportedCurrencies: SUPPORTED_CURRENCIES,
+        rates,
+      },
+      message: "Currency rates fetched successfully",
+    });
+  } catch (error) {
+    console.log("Error while fetching currency rates");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while fetching currency rates",
+    });
+  }
+};
+
+// ================ update Currency Rate (Admin) ================
+exports.updateCurrencyRate = async (req, res) => {
+  try {
+    const { currency, rate } = req.body;
+
+    if (!currency || rate === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Currency and rate are required",
+      });
+    }
+
+    const code = currency.toUpperCase();
+    if (!SUPPORTED_CURRENCIES.includes(code) || code === BASE_CURRENCY) {
+      return res.status(400).json({
+        success: false,
+        message: `Rate can not be set for ${code}`,
+      });
+    }
+
+    if (isNaN(rate) || Number(rate) <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Rate must be more than 0",
+      });
+    }
+
+    const currencyRate = await CurrencyRate.findOneAndUpdate(
+      { currency: code },
+      { rate: Number(rate), updatedBy: req.user.id },
+      { new: true, upsert: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: currencyRate,
+      message: "Currency rate updated successfully",
+    });
+  } catch (error) {
+    console.log("Error while updating currency rate");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while updating currency rate",
+    });
+  }
+};
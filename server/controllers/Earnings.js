@@ -0,0 +1,343 @@
+const mongoose = require("mongoose");
+const EarningEntry = require("../models/EarningEntry");
+const Payout = require("../models/Payout");
+
+const { earningsConfig } = require("../config/earnings");
+const {
+  recordSubscriptionEarnings,
+  backfillSaleEarnings,
+} = require("../utils/earnings");
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+// ================ get Instructor Earnings ================
+// balance, monthly totals and payout batches of the logged in instructor
+exports.getInstructorEarnings = async (req, res) => {
+  try {
+    const instructorId = new mongoose.Types.ObjectId(req.user.id);
+
+    const [monthly, byPayout, payouts] = await Promise.all([
+      EarningEntry.aggregate([
+        { $match: { instructor: instructorId } },
+        {
+          $group: {
+            _id: {
+              month: { $dateToString: { format: "%Y-%m", date: "$earnedAt" } },
+              type: "$type",
+            },
+            grossAmount: { $sum: "$grossAmount" },
+            commission: { $sum: "$commission" },
+            netAmount: { $sum: "$netAmount" },
+          },
+        },
+      ]),
+      EarningEntry.aggregate([
+        { $match: { instructor: instructorId } },
+        { $group: { _id: "$payout", netAmount: { $sum: "$netAmount" } } },
+      ]),
+      Payout.find({ instructor: instructorId }).sort({ createdAt: -1 }),
+    ]);
+
+    // one row per month: sales, refunds and Pro share side by side
+    const months = {};
+    monthly.forEach(({ _id, grossAmount, commission, netAmount }) => {
+      const row = (months[_id.month] ??= {
+        month: _id.month,
+        sales: 0,
+        refunds: 0,
+        subscription: 0,
+        commission: 0,
+        net: 0,
+      });
+      if (_id.type === "Sale") row.sales += grossAmount;
+      if (_id.type === "Refund") row.refunds += grossAmount;
+      if (_id.type === "Subscription") row.subscription += grossAmount;
+      row.commission += commission;
+      row.net += netAmount;
+    });
+    const monthlyTotals = Object.values(months)
+      .map((row) => ({
+        ...row,
+        sales: round2(row.sales),
+        refunds: round2(row.refunds),
+        subscription: round2(row.subscription),
+        commission: round2(row.commission),
+        net: round2(row.net),
+      }))
+      .sort((a, b) => b.month.localeCompare(a.month));
+
+    // balance by where the entries are - not batched, in a pending or a paid payout
+    const payoutStatus = {};
+    payouts.forEach((payout) => {
+      payoutStatus[payout._id.toString()] = payout.status;
+    });
+    const summary = { totalEarned: 0, available: 0, pending: 0, paidOut: 0 };
+    byPayout.forEach(({ _id, netAmount }) => {
+      summary.totalEarned += netAmount;
+      const status = _id ? payoutStatus[_id.toString()] : null;
+      if (status === "Paid") summary.paidOut += netAmount;
+      else if (status === "Pending") summary.pending += netAmount;
+      else summary.available += netAmount;
+    });
+    Object.keys(summary).forEach((key) => {
+      summary[key] = round2(summary[key]);
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        summary,
+        monthlyTotals,
+        payouts,
+        platformCommission: earningsConfig.platformCommission,
+      },
+      message: "Earnings fetched successfully",
+    });
+  } catch (error) {
+    console.log("Error while fetching earnings");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while fetching earnings",
+    });
+  }
+};
+
+// ================ export Earnings CSV ================
+// every ledger entry of the instructor, optionally of one month ("YYYY-MM")
+exports.exportEarningsCsv = async (req, res) => {
+  try {
+    const { month } = req.query;
+    const filter = { instructor: req.user.id };
+    if (month) {
+      const from = new Date(`${month}-01T00:00:00.000Z`);
+      if (isNaN(from)) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Month must be YYYY-MM" });
+      }
+      const to = new Date(from);
+      to.setUTCMonth(to.getUTCMonth() + 1);
+      filter.earnedAt = { $gte: from, $lt: to };
+    }
+
+    const entries = await EarningEntry.find(filter)
+      .populate("payout", "status")
+      .sort({ earnedAt: 1 });
+
+    // quote every field, doubling quotes inside it
+    const toCsvRow = (values) =>
+      values
+        .map((value) => `"${String(value ?? "").replace(/"/g, '""')}"`)
+        .join(",");
+
+    const rows = [
+      toCsvRow([
+        "Date",
+        "Type",
+        "Course",
+        "Order",
+        "Gross (INR)",
+        "Commission (INR)",
+        "Net (INR)",
+        "Payout",
+      ]),
+      ...entries.map((entry) =>
+        toCsvRow([
+          entry.earnedAt.toISOString().slice(0, 10),
+          entry.type,
+          entry.courseName,
+          entry.order,
+          entry.grossAmount,
+          entry.commission,
+          entry.netAmount,
+          entry.payout?.status || "Not paid out",
+        ])
+      ),
+    ];
+
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="earnings${month ? `-${month}` : ""}.csv"`
+    );
+    res.status(200).send(rows.join("\n"));
+  } catch (error) {
+    console.log("Error while exporting earnings");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while exporting earnings",
+    });
+  }
+};
+
+// ================ generate Payouts (Admin) ================
+// batches every entry not paid out yet into one payout per instructor,
+// instructors whose balance is not positive (refunds) are left for later
+exports.generatePayouts = async (req, res) => {
+  try {
+    await backfillSaleEarnings();
+    await recordSubscriptionEarnings();
+
+    const cutoff = new Date();
+    const balances = await EarningEntry.aggregate([
+      { $match: { payout: null, createdAt: { $lte: cutoff } } },
+      {
+        $group: {
+          _id: "$instructor",
+          netAmount: { $sum: "$netAmount" },
+          entryCount: { $sum: 1 },
+        },
+      },
+      { $match: { netAmount: { $gt: 0 } } },
+    ]);
+
+    const payouts = [];
+    for (const balance of balances) {
+      const payout = await Payout.create({
+        instructor: balance._id,
+        amount: round2(balance.netAmount),
+        entryCount: balance.entryCount,
+      });
+      await EarningEntry.updateMany(
+        {
+          instructor: balance._id,
+          payout: null,
+          createdAt: { $lte: cutoff },
+        },
+        { payout: payout._id }
+      );
+      payouts.push(payout);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: payouts,
+      message: `${payouts.length} payout(s) created`,
+    });
+  } catch (error) {
+    console.log("Error while generating payouts");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while generating payouts",
+    });
+  }
+};
+
+// ================ get Payouts (Admin) ================
+exports.getPayouts = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const payouts = await Payout.find(status ? { status } : {})
+      .populate("instructor", "firstName lastName email")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: payouts,
+      message: "Payouts fetched successfully",
+    });
+  } catch (error) {
+    console.log("Error while fetching payouts");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while fetching payouts",
+    });
+  }
+};
+
+// ================ approve Payout (Admin) ================
+// marks the batch paid once the money has been transferred
+exports.approvePayout = async (req, res) => {
+  try {
+    const { payoutId, reference } = req.body;
+
+    if (!reference) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide the transfer reference",
+      });
+    }
+
+    const payout = await Payout.findOneAndUpdate(
+      { _id: payoutId, status: "Pending" },
+      {
+        status: "Paid",
+        reference,
+        reviewedBy: req.user.id,
+        reviewedAt: Date.now(),
+      },
+      { new: true }
+    );
+    if (!payout) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Pending payout not found" });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: payout,
+      message: "Payout approved successfully",
+    });
+  } catch (error) {
+    console.log("Error while approving payout");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while approving payout",
+    });
+  }
+};
+
+// ================ reject Payout (Admin) ================
+// its entries go back to the instructor's balance for the next batch
+exports.rejectPayout = async (req, res) => {
+  try {
+    const { payoutId, adminNote } = req.body;
+
+    const payout = await Payout.findOneAndUpdate(
+      { _id: payoutId, status: "Pending" },
+      {
+        status: "Rejected",
+        adminNote,
+        reviewedBy: req.user.id,
+        reviewedAt: Date.now(),
+      },
+      { new: true }
+    );
+    if (!payout) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Pending payout not found" });
+    }
+
+    await EarningEntry.updateMany(
+      { payout: payout._id },
+      { $unset: { payout: "" } }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: payout,
+      message: "Payout rejected",
+    });
+  } catch (error) {
+    console.log("Error while rejecting payout");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while rejecting payout",
+    });
+  }
+};
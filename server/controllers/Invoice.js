@@ -0,0 +1,50 @@
+const Order = require("../models/Order");
+const { getOrCreateInvoice, renderInvoicePdf } = require("../utils/invoice");
+
+// ================ download Invoice ================
+// students can download the invoices of their own orders, admins any invoice
+exports.downloadInvoice = async (req, res) => {
+  try {
+    const { orderId } = req.query;
+
+    if (!orderId) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Please provide Order Id" });
+    }
+
+    const order = await Order.findById(orderId);
+    const isOwner = order?.user.toString() === req.user.id;
+    if (!order || (!isOwner && req.user.accountType !== "Admin")) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Order not found" });
+    }
+
+    // issued here if sending it at payment time failed
+    const invoice = await getOrCreateInvoice(order);
+    if (!invoice) {
+      return res.status(400).json({
+        success: false,
+        message: "No invoice is issued for unpaid or free orders",
+      });
+    }
+
+    const pdf = await renderInvoicePdf(invoice);
+    const filename = `Invoice-${invoice.invoiceNumber.replace(/\//g, "-")}.pdf`;
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    });
+    res.status(200).send(pdf);
+  } catch (error) {
+    console.log("Error while downloading invoice");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while downloading invoice",
+    });
+  }
+};
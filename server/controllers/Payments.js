@@ -1,75 +1,292 @@
 const Razorpay = require("razorpay");
 const instance = require("../config/razorpay");
 const crypto = require("crypto");
-const mailSender = require("../utils/mailSender");
-const {
-  courseEnrollmentEmail,
-} = require("../mail/templates/courseEnrollmentEmail");
 require("dotenv").config();
 
 const User = require("../models/User");
 const Course = require("../models/Course");
-const CourseProgress = require("../models/CourseProgress");
+const Order = require("../models/Order");
+const Bundle = require("../models/Bundle");
+const RefundRequest = require("../models/RefundRequest");
+const Subscription = require("../models/Subscription");
+const { enrollStudents, unenrollStudents } = require("../utils/enrollment");
+const {
+  updateOrderStatus,
+  markOrderPaid,
+  enrollsBuyer,
+} = require("../utils/orderStatus");
+const { applyCoupon, splitDiscount } = require("../utils/coupon");
+const { revokeRedemptionCodes } = require("../utils/redemption");
+const { syncSubscription } = require("../utils/subscription");
+const { reverseSaleEarnings } = require("../utils/earnings");
+const { reverseCourseSales } = require("../utils/courseStats");
+const { completeRefund } = require("../utils/refunds");
+const { getExchangeRate, convertAmount } = require("../utils/currency");
+const { BASE_CURRENCY } = require("../config/currency");
 
 const { default: mongoose } = require("mongoose");
-const { paymentSuccess } = require("../mail/templates/paymentSuccess");
 
 // ================ capture the payment and Initiate the 'Razorpay order' ================
 exports.capturePayment = async (req, res) => {
   // extract courseId & userId
-  const { coursesId } = req.body;
+  const {
+    bundleId,
+    couponCode,
+    currency: requestedCurrency,
+    purchaseType = "Self",
+    recipientEmail,
+    giftMessage,
+    seats,
+  } = req.body;
   // console.log('coursesId = ', typeof (coursesId))
   // console.log('coursesId = ', coursesId)
 
   const userId = req.user.id;
 
+  // a bundle is bought as its courses - only the ones the student doesn't own yet
+  let bundle = null;
+  let coursesId = req.body.coursesId || [];
+  if (bundleId) {
+    let ownedCourses = [];
+    try {
+      bundle = await Bundle.findOne({ _id: bundleId, status: "Published" });
+      ownedCourses = await Course.find({
+        _id: { $in: bundle?.courses || [] },
+        studentsEnrolled: new mongoose.Types.ObjectId(userId),
+      }).select("_id");
+    } catch (error) {
+      console.log(error);
+      return res.status(500).json({ success: false, message: error.message });
+    }
+    if (!bundle) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Could not find the bundle" });
+    }
+    if (purchaseType !== "Self" || couponCode) {
+      return res.status(400).json({
+        success: false,
+        message: "Bundles can not be gifted or combined with coupons",
+      });
+    }
+    coursesId = bundle.courses.filter(
+      (courseId) => !ownedCourses.some((owned) => owned._id.equals(courseId))
+    );
+    if (!coursesId.length) {
+      return res.status(400).json({
+        success: false,
+        message: "You are already enrolled in every course of this bundle",
+      });
+    }
+  }
+
   if (coursesId.length === 0) {
     return res.json({ success: false, message: "Please provide Course Id" });
   }
 
+  // gifts and seats - one course, paid for by the buyer, enrolled through codes
+  const invalidPurchase = validatePurchaseForOthers({ ...req.body, coursesId });
+  if (invalidPurchase) {
+    return res.status(400).json({ success: false, message: invalidPurchase });
+  }
+  const forOthers = purchaseType !== "Self";
+  const quantity = purchaseType === "Seats" ? Number(seats) : 1;
+
   let totalAmount = 0;
+  const courses = [];
 
   for (const course_id of coursesId) {
     let course;
     try {
-      // valid course Details
+      // valid course Details - drafts can not be bought
       course = await Course.findById(course_id);
-      if (!course) {
+      if (!course || course.status !== "Published") {
         return res
           .status(404)
           .json({ success: false, message: "Could not find the course" });
       }
 
-      // check user already enrolled the course
+      if (forOthers && !course.price) {
+        return res.status(400).json({
+          success: false,
+          message: "Free courses can not be gifted, anyone can enroll in them",
+        });
+      }
+
+      // check user already enrolled the course - buying for others is still allowed
       const uid = new mongoose.Types.ObjectId(userId);
-      if (course.studentsEnrolled.includes(uid)) {
+      if (!forOthers && course.studentsEnrolled.includes(uid)) {
         return res
           .status(400)
           .json({ success: false, message: "Student is already Enrolled" });
       }
 
-      totalAmount += course.price;
+      totalAmount += course.price * quantity;
+      courses.push(course);
+    } catch (error) {
+      console.log(error);
+      return res.status(500).json({ success: false, message: error.message });
+    }
+  }
+
+  // free courses never go through Razorpay, only the paid ones are ordered -
+  // nothing is enrolled before the whole cart, coupon included, is valid
+  const freeCourses = courses.filter((course) => !course.price);
+  const paidCourses = courses.filter((course) => course.price > 0);
+
+  // apply coupon - the discount is always computed on the server
+  const subtotal = totalAmount;
+  let discount = 0;
+  let itemDiscounts = {};
+  let coupon = null;
+  if (couponCode && paidCourses.length) {
+    try {
+      ({ coupon, discount, itemDiscounts } = await applyCoupon(
+        couponCode,
+        userId,
+        paidCourses
+      ));
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    totalAmount = subtotal - discount;
+  }
+
+  // bundle saving - the bundle price scaled to the courses still to be bought,
+  // split over them by price so each course earns its share of the sale
+  if (bundle && paidCourses.length) {
+    let bundleSubtotal;
+    try {
+      const bundleCourses = await Course.find({ _id: { $in: bundle.courses } });
+      bundleSubtotal = bundleCourses.reduce(
+        (acc, course) => acc + course.price,
+        0
+      );
     } catch (error) {
       console.log(error);
       return res.status(500).json({ success: false, message: error.message });
     }
+    totalAmount = Math.min(
+      subtotal,
+      Math.round((bundle.price * subtotal) / bundleSubtotal)
+    );
+    discount = subtotal - totalAmount;
+    itemDiscounts = splitDiscount(discount, paidCourses);
   }
 
-  // create order
-  const currency = "INR";
-  const options = {
-    amount: totalAmount * 100,
-    currency,
-    receipt: Math.random(Date.now()).toString(),
+  const pricing = {
+    subtotal,
+    discount,
+    totalAmount,
+    couponCode: coupon?.code,
+  };
+
+  const orderDetails = {
+    bundle: bundle?._id,
+    subtotal,
+    discount,
+    coupon: coupon?._id,
+    couponCode: coupon?.code,
   };
 
+  // create order - in the currency the student picked, else their profile currency
+  let currency;
+  let exchangeRate;
+  if (totalAmount > 0) {
+    try {
+      const user = await User.findById(userId).populate("additionalDetails");
+      currency =
+        requestedCurrency || user.additionalDetails?.currency || BASE_CURRENCY;
+      exchangeRate = await getExchangeRate(currency);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+  }
+
+  // the cart is valid - the free courses are enrolled right away
+  let freeOrder = null;
+  if (freeCourses.length) {
+    try {
+      freeOrder = await completeFreeOrder(freeCourses, userId);
+    } catch (error) {
+      console.log(error);
+      return res.status(500).json({ success: false, message: error.message });
+    }
+  }
+  const enrolledFreeCourses = freeOrder ? freeOrder.courses : [];
+
+  if (!paidCourses.length) {
+    return res.status(200).json({
+      success: true,
+      paymentRequired: false,
+      enrolledFreeCourses,
+      message: "Enrolled in the free courses",
+    });
+  }
+
+  // a coupon can bring the total down to 0 - nothing to pay then
+  if (totalAmount === 0) {
+    try {
+      await completeFreeOrder(paidCourses, userId, orderDetails, itemDiscounts);
+    } catch (error) {
+      console.log(error);
+      return res.status(500).json({ success: false, message: error.message });
+    }
+    return res.status(200).json({
+      success: true,
+      paymentRequired: false,
+      enrolledFreeCourses: [
+        ...enrolledFreeCourses,
+        ...paidCourses.map((course) => course._id),
+      ],
+      pricing,
+      message: "Enrolled successfully",
+    });
+  }
+
+  const chargedAmount = convertAmount(totalAmount, exchangeRate);
+  pricing.currency = currency;
+  pricing.exchangeRate = exchangeRate;
+  pricing.chargedAmount = chargedAmount;
+
   // initiate payment using Razorpay
   try {
+    // record the order first, its id becomes the Razorpay receipt
+    const order = await Order.create({
+      user: userId,
+      courses: paidCourses.map((course) => course._id),
+      items: toOrderItems(paidCourses, itemDiscounts, quantity),
+      ...orderDetails,
+      purchaseType,
+      recipientEmail: forOthers ? recipientEmail : undefined,
+      giftMessage: purchaseType === "Gift" ? giftMessage : undefined,
+      amount: chargedAmount,
+      currency,
+      exchangeRate,
+      statusHistory: [{ status: "Created" }],
+    });
+
+    const options = {
+      amount: Math.round(chargedAmount * 100),
+      currency,
+      receipt: order._id.toString(),
+      notes: {
+        orderId: order._id.toString(),
+      },
+    };
+
     const paymentResponse = await instance.instance.orders.create(options);
+
+    order.razorpayOrderId = paymentResponse.id;
+    await order.save();
+
     // return response
     res.status(200).json({
       success: true,
+      paymentRequired: true,
       message: paymentResponse,
+      enrolledFreeCourses,
+      pricing,
     });
   } catch (error) {
     console.log(error);
@@ -79,12 +296,165 @@ exports.capturePayment = async (req, res) => {
   }
 };
 
+// price snapshot of the ordered courses
+const toOrderItems = (courses, itemDiscounts = {}, quantity = 1) =>
+  courses.map((course) => ({
+    course: course._id,
+    courseName: course.courseName,
+    price: course.price * quantity,
+    quantity,
+    discount: itemDiscounts[course._id.toString()] || 0,
+  }));
+
+// a course can be gifted to one email, or bought as seats for a team
+const MAX_SEATS = 500;
+const validatePurchaseForOthers = ({
+  coursesId,
+  couponCode,
+  purchaseType = "Self",
+  recipientEmail,
+  seats,
+}) => {
+  if (!["Self", "Gift", "Seats"].includes(purchaseType)) {
+    return "Invalid purchase type";
+  }
+  if (purchaseType === "Self") return null;
+
+  if (coursesId.length !== 1) {
+    return "Gifts and seats can be bought for one course at a time";
+  }
+  if (couponCode) {
+    return "Coupons can not be applied to gift and seat purchases";
+  }
+  const isEmail = /^\S+@\S+\.\S+$/.test(recipientEmail || "");
+  if (purchaseType === "Gift" && !isEmail) {
+    return "Please provide the email address of the gift recipient";
+  }
+  if (
+    purchaseType === "Seats" &&
+    (!Number.isInteger(Number(seats)) || seats < 1 || seats > MAX_SEATS)
+  ) {
+    return `Number of seats must be between 1 and ${MAX_SEATS}`;
+  }
+  return null;
+};
+
+// record a zero-amount order as paid and enroll the student right away
+const completeFreeOrder = async (
+  courses,
+  userId,
+  orderDetails = {},
+  itemDiscounts = {}
+) => {
+  const order = await Order.create({
+    user: userId,
+    courses: courses.map((course) => course._id),
+    items: toOrderItems(courses, itemDiscounts),
+    subtotal: courses.reduce((acc, course) => acc + course.price, 0),
+    ...orderDetails,
+    amount: 0,
+    statusHistory: [{ status: "Created" }],
+  });
+
+  await markOrderPaid(order);
+  await enrollStudents(order.courses, userId);
+  return order;
+};
+
+// ================ enroll in a Free course ================
+exports.enrollFreeCourse = async (req, res) => {
+  try {
+    const { courseId } = req.body;
+    const userId = req.user.id;
+
+    const course = await Course.findById(courseId);
+    if (!course || course.status !== "Published") {
+      return res
+        .status(404)
+        .json({ success: false, message: "Could not find the course" });
+    }
+
+    if (course.price > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "This course is not free, please purchase it",
+      });
+    }
+
+    if (course.studentsEnrolled.some((id) => id.toString() === userId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Student is already Enrolled" });
+    }
+
+    await completeFreeOrder([course], userId);
+
+    res.status(200).json({
+      success: true,
+      message: "Enrolled successfully",
+    });
+  } catch (error) {
+    console.log("Error while enrolling in free course");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while enrolling in free course",
+    });
+  }
+};
+
+// ================ preview Coupon discount for the cart ================
+exports.applyCouponCode = async (req, res) => {
+  try {
+    const { coursesId, couponCode } = req.body;
+    const userId = req.user.id;
+
+    if (!coursesId?.length || !couponCode) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide courses and coupon code",
+      });
+    }
+
+    const courses = await Course.find({ _id: { $in: coursesId } });
+    const subtotal = courses.reduce((acc, course) => acc + course.price, 0);
+
+    let result;
+    try {
+      result = await applyCoupon(couponCode, userId, courses);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        couponCode: result.coupon.code,
+        description: result.coupon.description,
+        subtotal,
+        discount: result.discount,
+        totalAmount: subtotal - result.discount,
+        itemDiscounts: result.itemDiscounts,
+      },
+      message: "Coupon applied successfully",
+    });
+  } catch (error) {
+    console.log("Error while applying coupon");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while applying coupon",
+    });
+  }
+};
+
 // ================ verify the payment ================
 exports.verifyPayment = async (req, res) => {
   const razorpay_order_id = req.body?.razorpay_order_id;
   const razorpay_payment_id = req.body?.razorpay_payment_id;
   const razorpay_signature = req.body?.razorpay_signature;
-  const courses = req.body?.coursesId;
   const userId = req.user.id;
   // console.log(' req.body === ', req.body)
 
@@ -92,7 +462,6 @@ exports.verifyPayment = async (req, res) => {
     !razorpay_order_id ||
     !razorpay_payment_id ||
     !razorpay_signature ||
-    !courses ||
     !userId
   ) {
     return res
@@ -107,180 +476,237 @@ exports.verifyPayment = async (req, res) => {
     .digest("hex");
 
   if (expectedSignature === razorpay_signature) {
-    //enroll student
-    await enrollStudents(courses, userId, res);
+    try {
+      // only the courses stored on the order are enrolled, never what the client sends
+      const order = await Order.findOne({
+        razorpayOrderId: razorpay_order_id,
+        user: userId,
+      });
+      if (!order) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Order not found" });
+      }
+
+      const paidOrder = await markOrderPaid(order, razorpay_payment_id);
+      //enroll student - gift / seat orders are enrolled when their codes are
+      // redeemed, a refunded order is not enrolled again on a replay
+      if (enrollsBuyer(paidOrder)) {
+        await enrollStudents(paidOrder.courses, paidOrder.user);
+      }
+    } catch (error) {
+      console.log(error);
+      return res.status(500).json({ success: false, message: error.message });
+    }
     //return res
     return res.status(200).json({ success: true, message: "Payment Verified" });
   }
   return res.status(200).json({ success: "false", message: "Payment Failed" });
 };
 
-// ================ enroll Students to course after payment ================
-const enrollStudents = async (courses, userId, res) => {
-  if (!courses || !userId) {
-    return res.status(400).json({
-      success: false,
-      message: "Please Provide data for Courses or UserId",
-    });
+// ================ verify Signature (Razorpay webhook) ================
+// Razorpay calls this directly, so enrollment no longer depends on the
+// student's browser staying open until verifyPayment runs
+exports.verifySignature = async (req, res) => {
+  const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  const signature = req.headers["x-razorpay-signature"];
+
+  if (!webhookSecret || !signature || !req.rawBody) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Invalid webhook request" });
   }
 
-  for (const courseId of courses) {
-    try {
-      //find the course and enroll the student in it
-      const enrolledCourse = await Course.findOneAndUpdate(
-        { _id: courseId },
-        { $push: { studentsEnrolled: userId } },
-        { new: true }
-      );
+  // signature is computed over the exact bytes Razorpay sent, not re-serialized JSON
+  const digest = crypto
+    .createHmac("sha256", webhookSecret)
+    .update(req.rawBody)
+    .digest("hex");
 
-      if (!enrolledCourse) {
-        return res
-          .status(500)
-          .json({ success: false, message: "Course not Found" });
+  if (
+    digest.length !== signature.length ||
+    !crypto.timingSafeEqual(Buffer.from(digest), Buffer.from(signature))
+  ) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Invalid signature" });
+  }
+
+  const { event, payload } = req.body;
+
+  try {
+    switch (event) {
+      case "payment.captured": {
+        const payment = payload.payment.entity;
+        if (isSubscriptionPayment(payment)) break;
+        const order = await getOrder(payment.order_id);
+        const paidOrder = await markOrderPaid(order, payment.id);
+        if (enrollsBuyer(paidOrder)) {
+          await enrollStudents(paidOrder.courses, paidOrder.user);
+        }
+        break;
       }
-      // console.log("Updated course: ", enrolledCourse)
 
-      // Initialize course preogres with 0 percent
-      const courseProgress = await CourseProgress.create({
-        courseID: courseId,
-        userId: userId,
-        completedVideos: [],
-      });
+      case "payment.failed": {
+        const payment = payload.payment.entity;
+        if (isSubscriptionPayment(payment)) break;
+        console.log(
+          `Payment ${payment.id} failed for order ${payment.order_id}:`,
+          payment.error_description
+        );
+        const order = await getOrder(payment.order_id);
+        // a later successful attempt on the same order must win
+        if (order.status === "Created") {
+          await updateOrderStatus(order, "Failed", {
+            razorpayPaymentId: payment.id,
+          });
+        }
+        break;
+      }
 
-      // Find the student and add the course to their list of enrolled courses
-      const enrolledStudent = await User.findByIdAndUpdate(
-        userId,
-        {
-          $push: {
-            courses: courseId,
-            courseProgress: courseProgress._id,
-          },
-        },
-        { new: true }
-      );
+      case "refund.processed": {
+        const refund = payload.refund.entity;
+
+        // refunds approved from the dashboard - finish what the approval did not
+        if (refund.notes?.refundRequestId) {
+          const refundRequest = await RefundRequest.findOneAndUpdate(
+            { _id: refund.notes.refundRequestId, status: "Approved" },
+            { razorpayRefundId: refund.id },
+            { new: true }
+          );
+          if (refundRequest) await completeRefund(refundRequest);
+          break;
+        }
+
+        // refund issued directly from Razorpay - revoke the whole order
+        const payment = payload.payment.entity;
+        if (isSubscriptionPayment(payment)) break;
+        const order = await getOrder(payment.order_id);
+        // courses refunded earlier from the dashboard were already taken back
+        const notRefunded = order.courses.filter(
+          (course) => !order.refundedCourses.some((id) => id.equals(course))
+        );
+        const refundedOrder = await updateOrderStatus(order, "Refunded", {
+          refundedCourses: order.courses,
+        });
+        if (order.purchaseType === "Self") {
+          await unenrollStudents(order.courses, order.user);
+        } else {
+          // the buyer was never enrolled, the students who redeemed codes were
+          await revokeRedemptionCodes(order);
+        }
+        await reverseSaleEarnings(order, order.courses);
+        if (refundedOrder) await reverseCourseSales(order, notRefunded);
+        break;
+      }
 
-      // console.log("Enrolled student: ", enrolledStudent)
+      // StudyNotion Pro - first payment and renewals carry the charged payment,
+      // the other events only move the subscription status
+      case "subscription.activated":
+      case "subscription.charged":
+      case "subscription.pending":
+      case "subscription.halted":
+      case "subscription.cancelled":
+      case "subscription.completed": {
+        const entity = payload.subscription.entity;
+        const subscription = await Subscription.findOne({
+          razorpaySubscriptionId: entity.id,
+        });
+        if (!subscription) {
+          throw new Error(`Subscription ${entity.id} not found`);
+        }
+        const payment = payload.payment?.entity;
+        await syncSubscription(
+          subscription,
+          entity,
+          payment?.status === "captured" ? payment : undefined
+        );
+        break;
+      }
 
-      // Send an email notification to the enrolled student
-      const emailResponse = await mailSender(
-        enrolledStudent.email,
-        `Successfully Enrolled into ${enrolledCourse.courseName}`,
-        courseEnrollmentEmail(
-          enrolledCourse.courseName,
-          `${enrolledStudent.firstName}`
-        )
-      );
-      // console.log("Email Sent Successfully", emailResponse);
-    } catch (error) {
-      console.log(error);
-      return res.status(500).json({ success: false, message: error.message });
+      default:
+        // events we have not subscribed to are acknowledged and ignored
+        break;
     }
+
+    return res
+      .status(200)
+      .json({ success: true, message: `Webhook ${event} processed` });
+  } catch (error) {
+    // a non 2xx response makes Razorpay retry the webhook later
+    console.log("Error while processing Razorpay webhook");
+    console.log(error);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while processing Razorpay webhook",
+    });
   }
 };
 
-exports.sendPaymentSuccessEmail = async (req, res) => {
-  const { orderId, paymentId, amount } = req.body;
-  const userId = req.user.id;
+// StudyNotion Pro charges are invoice payments with no Order, they are handled
+// by the subscription.* events
+const isSubscriptionPayment = (payment) =>
+  Boolean(payment.invoice_id || payment.subscription_id);
 
-  if (!orderId || !paymentId || !amount || !userId) {
-    return res
-      .status(400)
-      .json({ success: false, message: "Please provide all the fields" });
+// find the order recorded in capturePayment for a Razorpay order id
+const getOrder = async (razorpayOrderId) => {
+  const order = await Order.findOne({ razorpayOrderId });
+
+  if (!order) {
+    throw new Error(`Order ${razorpayOrderId} not found`);
   }
 
+  return order;
+};
+
+// ================ get orders of logged in student ================
+exports.getMyOrders = async (req, res) => {
   try {
-    // find student
-    const enrolledStudent = await User.findById(userId);
+    const orders = await Order.find({ user: req.user.id })
+      .populate("courses", "courseName thumbnail")
+      .sort({ createdAt: -1 })
+      .exec();
 
-    if (!enrolledStudent) {
-      return res
-        .status(404)
-        .json({ success: false, message: "User not found" });
-    }
+    res.status(200).json({
+      success: true,
+      data: orders,
+      message: "Orders fetched successfully",
+    });
+  } catch (error) {
+    console.log("Error while fetching orders");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while fetching orders",
+    });
+  }
+};
 
-    // 🐛 FIX APPLIED HERE: Arguments passed to paymentSuccess are now in the correct order
-    await mailSender(
-      enrolledStudent.email,
-      `Payment Successfully Received!`,
-      paymentSuccess(
-        // Corrected argument order and count
-        amount / 100, // Amount (in Rupees)
-        paymentId, // Payment ID
-        orderId, // Order ID
-        enrolledStudent.firstName // User's first name
-      )
-    );
+// ================ get All Orders (Admin) ================
+exports.getAllOrders = async (req, res) => {
+  try {
+    const { status } = req.query;
 
-    return res
-      .status(200)
-      .json({ success: true, message: "Payment Success Email Sent" });
+    const orders = await Order.find(status ? { status } : {})
+      .populate("user", "firstName lastName email")
+      .populate("courses", "courseName")
+      .sort({ createdAt: -1 })
+      .exec();
+
+    res.status(200).json({
+      success: true,
+      data: orders,
+      message: "All orders fetched successfully",
+    });
   } catch (error) {
-    console.log("Error in sending payment success mail", error);
-    return res.status(500).json({
+    console.log("Error while fetching all orders");
+    console.log(error);
+    res.status(500).json({
       success: false,
-      message: "Could not send payment success email",
+      error: error.message,
+      message: "Error while fetching all orders",
     });
   }
 };
-
-// ================ verify Signature ================
-// exports.verifySignature = async (req, res) => {
-//     const webhookSecret = '12345678';
-
-//     const signature = req.headers['x-Razorpay-signature'];
-
-//     const shasum = crypto.createHmac('sha256', webhookSecret);
-//     shasum.update(JSON.stringify(req.body));
-//     const digest = shasum.digest('hex');
-
-//     if (signature === digest) {
-//         console.log('Payment is Authorized');
-
-//         const { courseId, userId } = req.body.payload.payment.entity.notes;
-
-//         try {
-//             const enrolledCourse = await Course.findByIdAndUpdate({ _id: courseId },
-//                 { $push: { studentsEnrolled: userId } },
-//                 { new: true });
-
-//             // wrong upper ?
-
-//             if (!enrolledCourse) {
-//                 return res.status(500).json({
-//                     success: false,
-//                     message: 'Course not found'
-//                 });
-//             }
-
-//             // add course id to user course list
-//             const enrolledStudent = await User.findByIdAndUpdate(userId,
-//                 { $push: { courses: courseId } },
-//                 { new: true });
-
-//             // send enrolled mail
-
-//             // return response
-//             res.status(200).json({
-//                 success: true,
-//                 message: 'Signature Verified and Course Added'
-//             })
-//         }
-
-//         catch (error) {
-//             console.log('Error while verifing Razorpay signature');
-//             console.log(error);
-//             return res.status(500).json({
-//                 success: false,
-//                 error: error.messsage,
-//                 message: 'Error while verifing Razorpay signature'
-//             });
-//         }
-//     }
-
-//     else {
-//         return res.status(400).json({
-//             success: false,
-//             message: 'Invalid signature'
-//         });
-//     }
-// }
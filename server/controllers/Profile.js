@@ -1,13 +1,19 @@
+const mongoose = require("mongoose");
 const Profile = require("../models/Profile");
 const User = require("../models/User");
 const CourseProgress = require("../models/CourseProgress");
 const Course = require("../models/Course");
+const EarningEntry = require("../models/EarningEntry");
 
 const {
   uploadImageToCloudinary,
   deleteResourceFromCloudinary,
 } = require("../utils/imageUploader");
 const { convertSecondsToDuration } = require("../utils/secToDuration");
+const { SUPPORTED_CURRENCIES } = require("../config/currency");
+const { refreshInstructorName } = require("../utils/courseStats");
+const { invalidateSuggestions } = require("../utils/suggestions");
+const { paginate } = require("../utils/pagination");
 
 // ================ update Profile ================
 exports.updateProfile = async (req, res) => {
@@ -18,6 +24,7 @@ exports.updateProfile = async (req, res) => {
       dateOfBirth = "",
       about = "",
       contactNumber = "",
+      currency,
       firstName,
       lastName,
     } = req.body;
@@ -25,6 +32,13 @@ exports.updateProfile = async (req, res) => {
     // extract userId
     const userId = req.user.id;
 
+    if (currency && !SUPPORTED_CURRENCIES.includes(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Currency ${currency} is not supported`,
+      });
+    }
+
     // find profile
     const userDetails = await User.findById(userId);
     const profileId = userDetails.additionalDetails;
@@ -36,11 +50,16 @@ exports.updateProfile = async (req, res) => {
     userDetails.firstName = firstName;
     userDetails.lastName = lastName;
     await userDetails.save();
+    if (userDetails.accountType === "Instructor") {
+      await refreshInstructorName(userId);
+      invalidateSuggestions();
+    }
 
     profileDetails.gender = gender;
     profileDetails.dateOfBirth = dateOfBirth;
     profileDetails.about = about;
     profileDetails.contactNumber = contactNumber;
+    if (currency !== undefined) profileDetails.currency = currency;
 
     // save data to DB
     await profileDetails.save();
@@ -222,7 +241,7 @@ exports.getEnrolledCourses = async (req, res) => {
         totalDurationInSeconds += userDetails.courses[i].courseContent[
           j
         ].subSection.reduce(
-          (acc, curr) => acc + parseInt(curr.timeDuration),
+          (acc, curr) => acc + parseInt(curr.timeDuration || 0),
           0
         );
 
@@ -276,9 +295,37 @@ exports.instructorDashboard = async (req, res) => {
   try {
     const courseDetails = await Course.find({ instructor: req.user.id });
 
+    // earnings from the ledger - what the instructor is owed after platform
+    // commission, with refunds reversed and StudyNotion Pro watch-time shares
+    // of the months recorded so far
+    const earnings = await EarningEntry.aggregate([
+      { $match: { instructor: new mongoose.Types.ObjectId(req.user.id) } },
+      {
+        $group: {
+          _id: "$course",
+          salesAmount: {
+            $sum: {
+              $cond: [{ $ne: ["$type", "Subscription"] }, "$netAmount", 0],
+            },
+          },
+          subscriptionAmount: {
+            $sum: {
+              $cond: [{ $eq: ["$type", "Subscription"] }, "$netAmount", 0],
+            },
+          },
+        },
+      },
+    ]);
+
     const courseData = courseDetails.map((course) => {
       const totalStudentsEnrolled = course.studentsEnrolled.length;
-      const totalAmountGenerated = totalStudentsEnrolled * course.price;
+      const courseEarnings = earnings.find((entry) =>
+        entry._id?.equals(course._id)
+      );
+      const salesAmount = courseEarnings?.salesAmount || 0;
+      const subscriptionAmount = courseEarnings?.subscriptionAmount || 0;
+      const totalAmountGenerated =
+        Math.round((salesAmount + subscriptionAmount) * 100) / 100;
 
       // Create a new object with the additional fields
       const courseDataWithStats = {
@@ -287,6 +334,8 @@ exports.instructorDashboard = async (req, res) => {
         courseDescription: course.courseDescription,
         // Include other course properties as needed
         totalStudentsEnrolled,
+        salesAmount,
+        subscriptionAmount,
         totalAmountGenerated,
       };
 
@@ -306,12 +355,26 @@ exports.instructorDashboard = async (req, res) => {
 // ================ get All Students ================
 exports.getAllStudents = async (req, res) => {
   try {
-    const allStudentsDetails = await User.find({
-      accountType: "Student",
-    })
-      .populate("additionalDetails")
-      .populate("courses")
-      .sort({ createdAt: -1 });
+    const { cursor, limit } = req.query;
+
+    const { items: allStudentsDetails, nextCursor } = await paginate(
+      User,
+      { accountType: "Student" },
+      {
+        field: "createdAt",
+        cursor,
+        limit,
+        select:
+          "firstName lastName email image active approved additionalDetails courses createdAt",
+        populate: [
+          {
+            path: "additionalDetails",
+            select: "gender contactNumber dateOfBirth",
+          },
+          { path: "courses", select: "courseName price" },
+        ],
+      }
+    );
 
     const studentsCount = await User.countDocuments({
       accountType: "Student",
@@ -320,6 +383,7 @@ exports.getAllStudents = async (req, res) => {
     res.status(200).json({
       allStudentsDetails,
       studentsCount,
+      nextCursor,
       message: "All Students Data fetched successfully",
     });
   } catch (error) {
@@ -0,0 +1,192 @@
+const Course = require("../models/Course");
+const SubSection = require("../models/SubSection");
+const Quiz = require("../models/Quiz");
+const QuizAttempt = require("../models/QuizAttempt");
+const CourseProgress = require("../models/CourseProgress");
+const { getCourseAccess } = require("../utils/courseAccess");
+const { completeLesson } = require("../utils/courseProgress");
+const {
+  gradeAttempt,
+  isValidAnswer,
+  quizForStudent,
+} = require("../utils/quiz");
+
+// quiz of a lesson and how the user can open it - null when not found / no access
+const findQuiz = async (subSectionId, user) => {
+  const subSection = await SubSection.findById(subSectionId);
+  if (!subSection?.quiz) return {};
+  const quiz = await Quiz.findById(subSection.quiz);
+  const course = quiz && (await Course.findById(quiz.course));
+  const access = course && (await getCourseAccess(course, user));
+  return { subSection, quiz, access };
+};
+
+// what a student sees of a quiz - the answers only once it is passed
+// or no attempts are left, `attempts` newest first
+const quizState = (quiz, attempts) => {
+  const passed = attempts.some((attempt) => attempt.passed);
+  const attemptsLeft = quiz.maxAttempts
+    ? Math.max(0, quiz.maxAttempts - attempts.length)
+    : null;
+  const reveal = passed || attemptsLeft === 0;
+
+  return {
+    quiz: quizForStudent(quiz, attempts[0], reveal),
+    attempts: attempts.map((attempt) => ({
+      _id: attempt._id,
+      score: attempt.score,
+      maxScore: attempt.maxScore,
+      percentage: attempt.percentage,
+      passed: attempt.passed,
+      submittedAt: attempt.submittedAt,
+    })),
+    attemptsLeft,
+    passed,
+  };
+};
+
+// ================ get Quiz ================
+// the instructor and admins get the answers to edit or preview it
+exports.getQuiz = async (req, res) => {
+  try {
+    const { subSectionId } = req.body;
+    const { quiz, access } = await findQuiz(subSectionId, req.user);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: "Quiz not found",
+      });
+    }
+    if (!access) {
+      return res.status(403).json({
+        success: false,
+        message: "Enroll in this course or subscribe to StudyNotion Pro to access it",
+      });
+    }
+
+    if (access.reason === "Instructor" || access.reason === "Admin") {
+      return res.status(200).json({
+        success: true,
+        data: { quiz, preview: true },
+        message: "Quiz fetched successfully",
+      });
+    }
+
+    const attempts = await QuizAttempt.find({
+      user: req.user.id,
+      quiz: quiz._id,
+    }).sort({ submittedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: quizState(quiz, attempts),
+      message: "Quiz fetched successfully",
+    });
+  } catch (error) {
+    console.log("Error while fetching quiz");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while fetching quiz",
+    });
+  }
+};
+
+// ================ submit Quiz attempt ================
+// graded on the server, passing it completes the lesson
+exports.submitQuizAttempt = async (req, res) => {
+  try {
+    const { subSectionId, answers } = req.body;
+    const userId = req.user.id;
+    const { subSection, quiz, access } = await findQuiz(subSectionId, req.user);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: "Quiz not found",
+      });
+    }
+    if (!access) {
+      return res.status(403).json({
+        success: false,
+        message: "Enroll in this course or subscribe to StudyNotion Pro to access it",
+      });
+    }
+    if (!Array.isArray(answers)) {
+      return res.status(400).json({
+        success: false,
+        message: "Answers are required",
+      });
+    }
+    if (!answers.every(isValidAnswer)) {
+      return res.status(400).json({
+        success: false,
+        message: "Answers are not valid",
+      });
+    }
+
+    const attemptNumber =
+      (await QuizAttempt.countDocuments({ user: userId, quiz: quiz._id })) + 1;
+    if (quiz.maxAttempts && attemptNumber > quiz.maxAttempts) {
+      return res.status(400).json({
+        success: false,
+        message: "You have no attempts left for this quiz",
+      });
+    }
+
+    // the attempt number is unique per student and quiz,
+    // so two submissions at once can not both use the last attempt
+    let attempt;
+    try {
+      attempt = await QuizAttempt.create({
+        ...gradeAttempt(quiz, answers),
+        user: userId,
+        quiz: quiz._id,
+        course: quiz.course,
+        attemptNumber,
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return res.status(409).json({
+        success: false,
+        message: "Another attempt of this quiz was submitted at the same time",
+      });
+    }
+
+    // the first pass completes the lesson, later ones are just practice
+    let completed = false;
+    if (attempt.passed) {
+      const alreadyCompleted = await CourseProgress.exists({
+        courseID: quiz.course,
+        userId,
+        completedVideos: subSection._id,
+      });
+      if (!alreadyCompleted) {
+        completed = Boolean(
+          await completeLesson(userId, quiz.course, subSection, access)
+        );
+      }
+    }
+
+    const attempts = await QuizAttempt.find({
+      user: userId,
+      quiz: quiz._id,
+    }).sort({ submittedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { ...quizState(quiz, attempts), completed },
+      message: attempt.passed ? "Quiz passed" : "Quiz not passed",
+    });
+  } catch (error) {
+    console.log("Error while submitting quiz");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while submitting quiz",
+    });
+  }
+};
@@ -2,6 +2,7 @@ const mongoose = require("mongoose");
 const User = require("../models/User");
 const Course = require("../models/Course");
 const RatingAndReview = require("../models/RatingAndReview");
+const { refreshCourseRating } = require("../utils/courseStats");
 
 // ======================= CREATE RATING & REVIEW =======================
 exports.createRating = async (req, res) => {
@@ -55,6 +56,7 @@ exports.createRating = async (req, res) => {
     await Course.findByIdAndUpdate(courseId, {
       $push: { ratingAndReviews: newRating._id },
     });
+    await refreshCourseRating(courseId);
 
     return res.status(201).json({
       success: true,
@@ -0,0 +1,64 @@
+const RedemptionCode = require("../models/RedemptionCode");
+const { redeemCode } = require("../utils/redemption");
+
+// ================ redeem a Gift / Seat code ================
+exports.redeemCode = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Please provide the code" });
+    }
+
+    let redemptionCode;
+    try {
+      redemptionCode = await redeemCode(code, req.user.id);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { course: redemptionCode.course },
+      message: "Code redeemed, you are enrolled in the course",
+    });
+  } catch (error) {
+    console.log("Error while redeeming code");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while redeeming code",
+    });
+  }
+};
+
+// ================ get My Redemption Codes ================
+// gifts sent and seats bought by the student, with who claimed each one
+exports.getMyRedemptionCodes = async (req, res) => {
+  try {
+    const redemptionCodes = await RedemptionCode.find({
+      purchaser: req.user.id,
+    })
+      .populate("course", "courseName thumbnail")
+      .populate("redeemedBy", "firstName lastName email")
+      .sort({ createdAt: -1 })
+      .exec();
+
+    res.status(200).json({
+      success: true,
+      data: redemptionCodes,
+      message: "Codes fetched successfully",
+    });
+  } catch (error) {
+    console.log("Error while fetching redemption codes");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while fetching redemption codes",
+    });
+  }
+};
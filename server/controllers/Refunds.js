@@ -0,0 +1,291 @@
+const instance = require("../config/razorpay");
+const { refundPolicy } = require("../config/refund");
+const mailSender = require("../utils/mailSender");
+const { refundEmail } = require("../mail/templates/refundEmail");
+const { completeRefund } = require("../utils/refunds");
+const { convertAmount, formatAmount } = require("../utils/currency");
+
+const Course = require("../models/Course");
+const CourseProgress = require("../models/CourseProgress");
+const Order = require("../models/Order");
+const RefundRequest = require("../models/RefundRequest");
+const User = require("../models/User");
+
+// check the refund window: days since payment and share of lectures completed
+const checkRefundWindow = async (order, courseId, userId) => {
+  const paidAt =
+    order.statusHistory.find((entry) => entry.status === "Paid")?.changedAt ||
+    order.updatedAt;
+  const daysSincePayment = (Date.now() - paidAt) / (1000 * 60 * 60 * 24);
+
+  if (daysSincePayment > refundPolicy.windowInDays) {
+    return `Refunds are only available within ${refundPolicy.windowInDays} days of purchase`;
+  }
+
+  const course = await Course.findById(courseId).populate("courseContent");
+  if (!course) {
+    return "This course is no longer available";
+  }
+  const totalLectures = course.courseContent.reduce(
+    (acc, section) => acc + section.subSection.length,
+    0
+  );
+  const courseProgress = await CourseProgress.findOne({
+    courseID: courseId,
+    userId: userId,
+  });
+  const watchedPercent = totalLectures
+    ? ((courseProgress?.completedVideos.length || 0) / totalLectures) * 100
+    : 0;
+
+  if (watchedPercent >= refundPolicy.maxWatchedPercent) {
+    return `Refunds are only available before ${refundPolicy.maxWatchedPercent}% of the course is completed`;
+  }
+
+  return null;
+};
+
+// ================ request Refund (Student) ================
+exports.requestRefund = async (req, res) => {
+  try {
+    const { courseId, reason } = req.body;
+    const userId = req.user.id;
+
+    if (!courseId) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Please provide Course Id" });
+    }
+
+    // the paid order through which the student bought this course
+    // (gifts and seats are not refundable once bought)
+    const order = await Order.findOne({
+      user: userId,
+      courses: courseId,
+      purchaseType: { $nin: ["Gift", "Seats"] },
+      refundedCourses: { $ne: courseId },
+      status: { $in: ["Paid", "PartiallyRefunded"] },
+    }).sort({ createdAt: -1 });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "No paid order found for this course",
+      });
+    }
+
+    const existingRequest = await RefundRequest.findOne({
+      order: order._id,
+      course: courseId,
+      status: { $in: ["Pending", "Approved", "Processed"] },
+    });
+    if (existingRequest) {
+      return res.status(409).json({
+        success: false,
+        message: "A refund has already been requested for this course",
+      });
+    }
+
+    const item = order.items.find(
+      (orderItem) => orderItem.course.toString() === courseId
+    );
+    const amount = item
+      ? convertAmount(item.price - (item.discount || 0), order.exchangeRate)
+      : 0;
+
+    if (!amount) {
+      return res.status(400).json({
+        success: false,
+        message: "Nothing was paid for this course, so it can not be refunded",
+      });
+    }
+
+    const notEligibleReason = await checkRefundWindow(order, courseId, userId);
+    if (notEligibleReason) {
+      return res
+        .status(400)
+        .json({ success: false, message: notEligibleReason });
+    }
+
+    const refundRequest = await RefundRequest.create({
+      user: userId,
+      order: order._id,
+      course: courseId,
+      amount,
+      currency: order.currency,
+      reason,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: refundRequest,
+      message: "Refund requested successfully",
+    });
+  } catch (error) {
+    console.log("Error while requesting refund");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while requesting refund",
+    });
+  }
+};
+
+// ================ get Refund Requests (Admin) ================
+exports.getRefundRequests = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const refundRequests = await RefundRequest.find(status ? { status } : {})
+      .populate("user", "firstName lastName email")
+      .populate("course", "courseName thumbnail")
+      .populate("order", "razorpayOrderId razorpayPaymentId amount createdAt")
+      .sort({ createdAt: -1 })
+      .exec();
+
+    res.status(200).json({
+      success: true,
+      data: refundRequests,
+      message: "Refund requests fetched successfully",
+    });
+  } catch (error) {
+    console.log("Error while fetching refund requests");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while fetching refund requests",
+    });
+  }
+};
+
+// ================ approve Refund (Admin) ================
+// approving again an Approved request finishes what failed after the refund
+exports.approveRefund = async (req, res) => {
+  try {
+    const { refundRequestId } = req.body;
+
+    // claim the request first so a double click cannot refund twice
+    let refundRequest = await RefundRequest.findOneAndUpdate(
+      { _id: refundRequestId, status: "Pending" },
+      { status: "Approved", reviewedAt: Date.now() },
+      { new: true }
+    );
+
+    if (!refundRequest) {
+      // refunded on Razorpay, but not all of it was taken back yet
+      const approved = await RefundRequest.findOne({
+        _id: refundRequestId,
+        status: "Approved",
+        razorpayRefundId: { $exists: true },
+      });
+      if (!approved) {
+        return res.status(404).json({
+          success: false,
+          message: "Pending refund request not found",
+        });
+      }
+      return res.status(200).json({
+        success: true,
+        data: await completeRefund(approved),
+        message: "Refund completed successfully",
+      });
+    }
+
+    const order = await Order.findById(refundRequest.order);
+
+    let refund;
+    try {
+      refund = await instance.instance.payments.refund(
+        order.razorpayPaymentId,
+        {
+          amount: Math.round(refundRequest.amount * 100),
+          notes: { refundRequestId: refundRequest._id.toString() },
+        }
+      );
+    } catch (error) {
+      // release the request so the admin can retry
+      refundRequest.status = "Pending";
+      refundRequest.reviewedAt = undefined;
+      await refundRequest.save();
+      throw error;
+    }
+
+    refundRequest.razorpayRefundId = refund.id;
+    await refundRequest.save();
+
+    // the request stays Approved when this fails, approving it again or the
+    // refund.processed webhook finishes it
+    refundRequest = await completeRefund(refundRequest);
+
+    // the refund is done, a failed mail must not report it as failed
+    try {
+      const [student, course] = await Promise.all([
+        User.findById(refundRequest.user),
+        Course.findById(refundRequest.course),
+      ]);
+      await mailSender(
+        student.email,
+        `Refund issued for ${course.courseName}`,
+        refundEmail(
+          course.courseName,
+          student.firstName,
+          formatAmount(refundRequest.amount, refundRequest.currency),
+          refund.id
+        )
+      );
+    } catch (error) {
+      console.log("Error while sending refund email");
+      console.log(error);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: refundRequest,
+      message: "Refund approved successfully",
+    });
+  } catch (error) {
+    console.log("Error while approving refund");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while approving refund",
+    });
+  }
+};
+
+// ================ reject Refund (Admin) ================
+exports.rejectRefund = async (req, res) => {
+  try {
+    const { refundRequestId, adminNote } = req.body;
+
+    const refundRequest = await RefundRequest.findOneAndUpdate(
+      { _id: refundRequestId, status: "Pending" },
+      { status: "Rejected", adminNote, reviewedAt: Date.now() },
+      { new: true }
+    );
+
+    if (!refundRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Pending refund request not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: refundRequest,
+      message: "Refund rejected successfully",
+    });
+  } catch (error) {
+    console.log("Error while rejecting refund");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while rejecting refund",
+    });
+  }
+};
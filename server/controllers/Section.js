@@ -1,5 +1,6 @@
 const Course = require("../models/Course");
 const Section = require("../models/Section");
+const { refreshCourseDuration } = require("../utils/courseStats");
 
 // ================ create Section ================
 exports.createSection = async (req, res) => {
@@ -103,6 +104,7 @@ exports.deleteSection = async (req, res) => {
 
     // delete section by id from DB
     await Section.findByIdAndDelete(sectionId);
+    await refreshCourseDuration({ courseId });
 
     const updatedCourseDetails = await Course.findById(courseId).populate({
       path: "courseContent",
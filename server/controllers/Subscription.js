@@ -0,0 +1,324 @@
+const crypto = require("crypto");
+const instance = require("../config/razorpay");
+
+const Plan = require("../models/Plan");
+const Subscription = require("../models/Subscription");
+const { subscriptionConfig } = require("../config/subscription");
+const {
+  getActiveSubscription,
+  syncSubscription,
+} = require("../utils/subscription");
+
+// ================ get Plans ================
+// active StudyNotion Pro plans, for the pricing page
+exports.getPlans = async (req, res) => {
+  try {
+    const plans = await Plan.find({ active: true }).sort({ price: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: plans,
+      message: "Plans fetched successfully",
+    });
+  } catch (error) {
+    console.log("Error while fetching plans");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while fetching plans",
+    });
+  }
+};
+
+// ================ get All Plans (Admin) ================
+exports.getAllPlans = async (req, res) => {
+  try {
+    const plans = await Plan.find({}).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: plans,
+      message: "Plans fetched successfully",
+    });
+  } catch (error) {
+    console.log("Error while fetching plans");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while fetching plans",
+    });
+  }
+};
+
+// ================ create Plan (Admin) ================
+// the plan is created on Razorpay first, its price can't be changed later
+exports.createPlan = async (req, res) => {
+  try {
+    const { name, description, interval, price } = req.body;
+
+    if (!name || !interval || !price) {
+      return res.status(400).json({
+        success: false,
+        message: "Plan name, interval and price are required",
+      });
+    }
+    if (!subscriptionConfig.periods[interval]) {
+      return res.status(400).json({
+        success: false,
+        message: "Interval must be Monthly or Yearly",
+      });
+    }
+    if (isNaN(price) || Number(price) <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Price must be more than 0",
+      });
+    }
+
+    const razorpayPlan = await instance.instance.plans.create({
+      period: subscriptionConfig.periods[interval],
+      interval: 1,
+      item: {
+        name,
+        description,
+        amount: Math.round(Number(price) * 100),
+        currency: "INR",
+      },
+    });
+
+    const plan = await Plan.create({
+      name,
+      description,
+      interval,
+      price: Number(price),
+      razorpayPlanId: razorpayPlan.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: plan,
+      message: "Plan created successfully",
+    });
+  } catch (error) {
+    console.log("Error while creating plan");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while creating plan",
+    });
+  }
+};
+
+// ================ update Plan Status (Admin) ================
+// inactive plans can't be subscribed to, running subscriptions keep renewing
+exports.updatePlanStatus = async (req, res) => {
+  try {
+    const { planId, active } = req.body;
+
+    const plan = await Plan.findByIdAndUpdate(
+      planId,
+      { active: Boolean(active) },
+      { new: true }
+    );
+    if (!plan) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Plan not found" });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: plan,
+      message: "Plan updated successfully",
+    });
+  } catch (error) {
+    console.log("Error while updating plan");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while updating plan",
+    });
+  }
+};
+
+// ================ subscribe ================
+// creates the Razorpay subscription, the student authorises it in checkout
+exports.subscribe = async (req, res) => {
+  try {
+    const { planId } = req.body;
+    const userId = req.user.id;
+
+    const plan = await Plan.findOne({ _id: planId, active: true });
+    if (!plan) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Plan not found" });
+    }
+
+    if (await getActiveSubscription(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "You already have an active StudyNotion Pro subscription",
+      });
+    }
+
+    const razorpaySubscription = await instance.instance.subscriptions.create({
+      plan_id: plan.razorpayPlanId,
+      total_count: subscriptionConfig.totalCount[plan.interval],
+      customer_notify: 1,
+      notes: {
+        userId,
+        planId: plan._id.toString(),
+      },
+    });
+
+    await Subscription.create({
+      user: userId,
+      plan: plan._id,
+      razorpaySubscriptionId: razorpaySubscription.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        subscriptionId: razorpaySubscription.id,
+        plan,
+      },
+      message: "Subscription created",
+    });
+  } catch (error) {
+    console.log("Error while creating subscription");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Could not start the subscription",
+    });
+  }
+};
+
+// ================ verify Subscription ================
+// checkout callback after the first payment, renewals arrive by webhook
+exports.verifySubscription = async (req, res) => {
+  const {
+    razorpay_payment_id,
+    razorpay_subscription_id,
+    razorpay_signature,
+  } = req.body;
+
+  if (!razorpay_payment_id || !razorpay_subscription_id || !razorpay_signature) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Payment Failed, data not found" });
+  }
+
+  // subscription signatures are over payment id | subscription id
+  const expectedSignature = crypto
+    .createHmac("sha256", process.env.RAZORPAY_SECRET)
+    .update(razorpay_payment_id + "|" + razorpay_subscription_id)
+    .digest("hex");
+
+  if (expectedSignature !== razorpay_signature) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Payment verification failed" });
+  }
+
+  try {
+    const subscription = await Subscription.findOne({
+      razorpaySubscriptionId: razorpay_subscription_id,
+      user: req.user.id,
+    }).populate("plan");
+    if (!subscription) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Subscription not found" });
+    }
+
+    const entity = await instance.instance.subscriptions.fetch(
+      razorpay_subscription_id
+    );
+    const updated = await syncSubscription(subscription, entity, {
+      id: razorpay_payment_id,
+      amount: subscription.plan.price * 100,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: updated,
+      message: "Welcome to StudyNotion Pro",
+    });
+  } catch (error) {
+    console.log("Error while verifying subscription");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while verifying subscription",
+    });
+  }
+};
+
+// ================ get My Subscription ================
+exports.getMySubscription = async (req, res) => {
+  try {
+    const subscription = await getActiveSubscription(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: subscription,
+      message: "Subscription fetched successfully",
+    });
+  } catch (error) {
+    console.log("Error while fetching subscription");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while fetching subscription",
+    });
+  }
+};
+
+// ================ cancel Subscription ================
+// stops renewals, access lasts until the paid period ends
+exports.cancelSubscription = async (req, res) => {
+  try {
+    const subscription = await getActiveSubscription(req.user.id);
+    if (
+      !subscription ||
+      subscription.cancelAtPeriodEnd ||
+      subscription.status === "Cancelled"
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "No active subscription to cancel",
+      });
+    }
+
+    await instance.instance.subscriptions.cancel(
+      subscription.razorpaySubscriptionId,
+      true
+    );
+    subscription.cancelAtPeriodEnd = true;
+    await subscription.save();
+
+    res.status(200).json({
+      success: true,
+      data: subscription,
+      message: "Subscription cancelled, access lasts until the period ends",
+    });
+  } catch (error) {
+    console.log("Error while cancelling subscription");
+    console.log(error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: "Error while cancelling subscription",
+    });
+  }
+};
@@ -1,38 +1,93 @@
 const Section = require("../models/Section");
 const SubSection = require("../models/SubSection");
-const { uploadImageToCloudinary } = require("../utils/imageUploader");
+const Course = require("../models/Course");
+const Quiz = require("../models/Quiz");
+const QuizAttempt = require("../models/QuizAttempt");
+const CodingExercise = require("../models/CodingExercise");
+const CodeSubmission = require("../models/CodeSubmission");
+const Assignment = require("../models/Assignment");
+const AssignmentSubmission = require("../models/AssignmentSubmission");
+const { parseQuiz } = require("../utils/quiz");
+const { parseCodingExercise } = require("../utils/coding");
+const { parseAssignment } = require("../utils/assignment");
+const { LESSON_TYPES, setLessonContent } = require("../utils/lessons");
+const { refreshCourseDuration } = require("../utils/courseStats");
+
+// lesson types whose content lives in a model of its own - `field` of the
+// SubSection points to it, an update replaces it when `sentWith` is in the body
+const CONTENT_MODELS = {
+  Quiz: { Model: Quiz, field: "quiz", parse: parseQuiz, sentWith: "questions" },
+  Coding: {
+    Model: CodingExercise,
+    field: "codingExercise",
+    parse: parseCodingExercise,
+    sentWith: "tests",
+  },
+  Assignment: {
+    Model: Assignment,
+    field: "assignment",
+    parse: parseAssignment,
+    sentWith: "rubric",
+  },
+};
 
 // ================ create SubSection ================
 exports.createSubSection = async (req, res) => {
   try {
     // extract data
-    const { title, description, sectionId } = req.body;
-
-    // extract video file
-    const videoFile = req.files.video;
-    // console.log('videoFile ', videoFile)
+    const { title, description, sectionId, type = "Video" } = req.body;
 
-    // validation
-    if (!title || !description || !videoFile || !sectionId) {
+    // validation - the content each type needs is checked below
+    if (!title || !description || !sectionId || !LESSON_TYPES.includes(type)) {
       return res.status(400).json({
         success: false,
         message: "All fields are required",
       });
     }
 
-    // upload video to cloudinary
-    const videoFileDetails = await uploadImageToCloudinary(
-      videoFile,
-      process.env.FOLDER_NAME
-    );
+    let SubSectionDetails;
+    const contentModel = CONTENT_MODELS[type];
+    if (contentModel) {
+      // questions of a quiz, starter file and tests of a coding exercise,
+      // instructions and rubric of an assignment
+      let details;
+      try {
+        details = contentModel.parse(req.body);
+      } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      const course = await Course.findOne({ courseContent: sectionId });
+      if (!course) {
+        return res.status(404).json({
+          success: false,
+          message: "Section not found",
+        });
+      }
 
-    // create entry in DB
-    const SubSectionDetails = await SubSection.create({
-      title,
-      timeDuration: videoFileDetails.duration,
-      description,
-      videoUrl: videoFileDetails.secure_url,
-    });
+      SubSectionDetails = await SubSection.create({
+        type,
+        title,
+        description,
+      });
+      const content = await contentModel.Model.create({
+        ...details,
+        subSection: SubSectionDetails._id,
+        course: course._id,
+      });
+      SubSectionDetails[contentModel.field] = content._id;
+      await SubSectionDetails.save();
+    } else {
+      // upload the video / file, or take the article text or link
+      SubSectionDetails = new SubSection({ type, title, description });
+      try {
+        await setLessonContent(SubSectionDetails, req.body, req.files, true);
+      } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+
+      // create entry in DB
+      await SubSectionDetails.save();
+    }
 
     // link subsection id to section
     // Update the corresponding section with the newly created sub-section
@@ -41,6 +96,7 @@ exports.createSubSection = async (req, res) => {
       { $push: { subSection: SubSectionDetails._id } },
       { new: true }
     ).populate("subSection");
+    await refreshCourseDuration({ sectionId });
 
     // return response
     res.status(200).json({
@@ -91,19 +147,34 @@ exports.updateSubSection = async (req, res) => {
       subSection.description = description;
     }
 
-    // upload video to cloudinary
-    if (req.files && req.files.videoFile !== undefined) {
-      const video = req.files.videoFile;
-      const uploadDetails = await uploadImageToCloudinary(
-        video,
-        process.env.FOLDER_NAME
+    // a new quiz, coding exercise or assignment - attempts, submissions and
+    // grades already given keep their result
+    const contentModel = CONTENT_MODELS[subSection.type];
+    if (contentModel && req.body[contentModel.sentWith] !== undefined) {
+      let details;
+      try {
+        details = contentModel.parse(req.body);
+      } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      await contentModel.Model.findByIdAndUpdate(
+        subSection[contentModel.field],
+        details
       );
-      subSection.videoUrl = uploadDetails.secure_url;
-      subSection.timeDuration = uploadDetails.duration;
+    }
+
+    // a new video / file, article text or link - the type stays the same
+    if (!contentModel) {
+      try {
+        await setLessonContent(subSection, req.body, req.files, false);
+      } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
     }
 
     // save data to DB
     await subSection.save();
+    if (sectionId) await refreshCourseDuration({ sectionId });
 
     const updatedSection = await Section.findById(sectionId).populate(
       "subSection"
@@ -148,6 +219,21 @@ exports.deleteSubSection = async (req, res) => {
         .status(404)
         .json({ success: false, message: "SubSection not found" });
     }
+    if (subSection.quiz) {
+      await Quiz.findByIdAndDelete(subSection.quiz);
+      await QuizAttempt.deleteMany({ quiz: subSection.quiz });
+    }
+    if (subSection.codingExercise) {
+      await CodingExercise.findByIdAndDelete(subSection.codingExercise);
+      await CodeSubmission.deleteMany({ exercise: subSection.codingExercise });
+    }
+    if (subSection.assignment) {
+      await Assignment.findByIdAndDelete(subSection.assignment);
+      await AssignmentSubmission.deleteMany({
+        assignment: subSection.assignment,
+      });
+    }
+    await refreshCourseDuration({ sectionId });
 
     const updatedSection = await Section.findById(sectionId).populate(
       "subSection"
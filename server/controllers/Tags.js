@@ -1,4 +1,17 @@
+const mongoose = require("mongoose");
 const Tag = require("../models/Tags"); // Import the Mongoose model for course Tags
+const Course = require("../models/Course");
+const { slugify } = require("../utils/categories");
+const { refreshTagCounts, refreshCourseTagNames } = require("../utils/tags");
+const { invalidateSuggestions } = require("../utils/suggestions");
+const { cached, invalidateCache } = require("../utils/cache");
+const { paginate } = require("../utils/pagination");
+
+// tag pages are cached like the catalog, so course edits clear them too
+const CATALOG_TTL = 60 * 1000;
+const LISTING_FIELDS =
+  "courseName price thumbnail instructor ratingAndReviews averageRating sold createdAt level language";
+const LISTING_POPULATE = { path: "instructor", select: "firstName lastName" };
 
 // --------------------------------------------------------------------------------
 // ➕ CREATE TAG
@@ -7,9 +20,9 @@ const Tag = require("../models/Tags"); // Import the Mongoose model for course T
 /**
  * @async
  * @function createTag
- * @description Controller function to handle the creation of a new course Tag (category).
- * It validates required fields and persists the new Tag document to the database.
- * NOTE: This route should be protected by isAdmin or isInstructor middleware.
+ * @description Controller function to handle the creation of a new course Tag.
+ * Tags are normally created on the fly when instructors tag a course; this lets an admin
+ * add one up front with a description. A tag with the same slug is rejected.
  * @param {object} req - Express request object (expects 'name' and 'description' in req.body).
  * @param {object} res - Express response object.
  */
@@ -18,20 +31,26 @@ exports.createTag = async (req, res) => {
     // 1. Extract name and description from the request body
     const { name, description } = req.body; // 2. Validation: Check if mandatory fields are missing
 
-    if (!name || !description) {
+    const slug = slugify(name);
+    if (!slug || !description) {
       return res.status(400).json({
         success: false,
         message: "All fields are required (name and description)",
       });
-    } // 3. Create the new Tag document in the database
+    } // 3. "Node JS" and "node-js" are the same tag
 
-    // NOTE: A check for whether a Tag with this 'name' already exists would be highly recommended here.
+    if (await Tag.exists({ slug })) {
+      return res.status(409).json({
+        success: false,
+        message: "A tag with this name already exists",
+      });
+    } // 4. Create the new Tag document in the database
 
     const tagDetails = await Tag.create({
-      name: name,
+      name: name.trim(),
+      slug,
       description: description,
-    });
-    console.log(tagDetails); // 4. Return success response
+    }); // 5. Return success response
 
     return res.status(200).json({
       success: true,
@@ -56,16 +75,18 @@ exports.createTag = async (req, res) => {
 /**
  * @async
  * @function showAllTags
- * @description Controller function to retrieve all existing course Tags (categories) from the database.
- * This function is used by the frontend (e.g., in the course catalog or filter menus).
+ * @description Controller function to retrieve all existing course Tags, most used first.
+ * Used by the admin tag manager, which needs the usage counts to spot duplicates.
  * @param {object} req - Express request object.
  * @param {object} res - Express response object.
  */
 exports.showAllTags = async (req, res) => {
   try {
-    // 1. Query the database to find all Tag documents
-    // Projection { name: true, description: true } ensures only these fields are fetched, minimizing payload size.
-    const allTags = await Tag.find({}, { name: true, description: true }); // 2. Return success response with the list of tags
+    // 1. Query the database to find all Tag documents, most used first
+    const allTags = await Tag.find({})
+      .select("name slug description usageCount")
+      .sort({ usageCount: -1, name: 1 })
+      .lean(); // 2. Return success response with the list of tags
 
     res.status(200).json({
       success: true,
@@ -82,3 +103,249 @@ exports.showAllTags = async (req, res) => {
     });
   }
 };
+
+// --------------------------------------------------------------------------------
+// ⌨️ TAG AUTOCOMPLETE
+// --------------------------------------------------------------------------------
+
+/**
+ * @async
+ * @function searchTags
+ * @description Controller function returning the tags starting with the typed text,
+ * most used first. Backs the autocomplete of the tag input in the course builder.
+ * @param {object} req - Express request object (expects 'q' in req.query).
+ * @param {object} res - Express response object.
+ */
+exports.searchTags = async (req, res) => {
+  try {
+    // 1. Match on the slug, so "node js" also finds "Node.js"
+    const slug = slugify(req.query.q);
+    if (!slug) {
+      return res.status(200).json({ success: true, data: [] });
+    }
+
+    const escaped = slug.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const tags = await Tag.find({ slug: { $regex: `^${escaped}` } })
+      .select("name slug usageCount")
+      .sort({ usageCount: -1, name: 1 })
+      .limit(8)
+      .lean(); // 2. Return the matching tags
+
+    res.status(200).json({
+      success: true,
+      data: tags,
+    });
+  } catch (error) {
+    console.error("Error searching tags:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error: Could not search tags.",
+      error: error.message,
+    });
+  }
+};
+
+// --------------------------------------------------------------------------------
+// 🏷️ TAG PAGE
+// --------------------------------------------------------------------------------
+
+/**
+ * @async
+ * @function getTagPageDetails
+ * @description Controller function for the tag landing page (/tags/:slug): the tag and
+ * one page of its published courses, best sellers or newest first.
+ * @param {object} req - Express request object (expects 'slug', and optional 'cursor',
+ * 'limit' and 'sort' ("popular" | "new") in req.query).
+ * @param {object} res - Express response object.
+ */
+exports.getTagPageDetails = async (req, res) => {
+  try {
+    const { slug, cursor, limit, sort } = req.query;
+
+    // 1. Load the tag and the requested page of courses (cached)
+    const data = await cached(
+      `catalog:tag:${slug}:${sort}:${cursor}:${limit}`,
+      CATALOG_TTL,
+      async () => {
+        const tag = await Tag.findOne({ slug })
+          .select("name slug description usageCount")
+          .lean();
+        if (!tag) return null;
+
+        const page = await paginate(
+          Course,
+          { tags: tag._id, status: "Published" },
+          {
+            select: LISTING_FIELDS,
+            populate: LISTING_POPULATE,
+            field: sort === "new" ? "createdAt" : "sold",
+            cursor,
+            limit,
+          }
+        );
+        return { tag, courses: page.items, nextCursor: page.nextCursor };
+      }
+    ); // 2. Unknown tag
+
+    if (!data) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Tag not found" });
+    }
+
+    res.status(200).json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error("Error fetching tag page:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error: Could not retrieve tag page.",
+      error: error.message,
+    });
+  }
+};
+
+// --------------------------------------------------------------------------------
+// ✏️ RENAME TAG
+// --------------------------------------------------------------------------------
+
+/**
+ * @async
+ * @function renameTag
+ * @description Controller function (admin) to rename a tag, e.g. "reactjs" -> "React".
+ * The slug follows the name and every course using the tag shows the new name.
+ * Renaming onto another tag's slug is refused - that is a merge.
+ * @param {object} req - Express request object (expects 'tagId', 'name' and optional
+ * 'description' in req.body).
+ * @param {object} res - Express response object.
+ */
+exports.renameTag = async (req, res) => {
+  try {
+    const { tagId, name, description } = req.body;
+
+    // 1. Validation
+    const slug = slugify(name);
+    if (!mongoose.isValidObjectId(tagId) || !slug) {
+      return res.status(400).json({
+        success: false,
+        message: "Tag and new name are required",
+      });
+    }
+
+    const tag = await Tag.findById(tagId);
+    if (!tag) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Tag not found" });
+    } // 2. The new name must not belong to another tag
+
+    if (await Tag.exists({ slug, _id: { $ne: tag._id } })) {
+      return res.status(409).json({
+        success: false,
+        message: "Another tag already has this name - merge the two instead",
+      });
+    } // 3. Save and copy the name into the courses
+
+    tag.name = name.trim();
+    tag.slug = slug;
+    if (description !== undefined) tag.description = description;
+    await tag.save();
+    await refreshCourseTagNames({ tags: tag._id });
+
+    invalidateSuggestions();
+    invalidateCache("catalog:");
+
+    res.status(200).json({
+      success: true,
+      message: "Tag renamed successfully",
+      data: tag,
+    });
+  } catch (error) {
+    console.error("Error renaming tag:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error: Could not rename tag.",
+      error: error.message,
+    });
+  }
+};
+
+// --------------------------------------------------------------------------------
+// 🔀 MERGE TAGS
+// --------------------------------------------------------------------------------
+
+/**
+ * @async
+ * @function mergeTags
+ * @description Controller function (admin) to fold duplicate tags into one.
+ * Courses tagged with any source tag get the target tag instead, then the
+ * source tags are deleted.
+ * @param {object} req - Express request object (expects 'sourceTagIds' (array) and
+ * 'targetTagId' in req.body).
+ * @param {object} res - Express response object.
+ */
+exports.mergeTags = async (req, res) => {
+  try {
+    const { targetTagId } = req.body;
+    const sourceTagIds = (req.body.sourceTagIds || []).filter(
+      (id) => id !== targetTagId
+    );
+
+    // 1. Validation
+    if (
+      !mongoose.isValidObjectId(targetTagId) ||
+      !sourceTagIds.length ||
+      !sourceTagIds.every((id) => mongoose.isValidObjectId(id))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Select the tags to merge and the tag to keep",
+      });
+    }
+
+    const target = await Tag.findById(targetTagId);
+    if (!target) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Tag to keep not found" });
+    } // 2. Retag the courses, $addToSet keeps a course from getting the target twice
+
+    const affected = await Course.find({ tags: { $in: sourceTagIds } })
+      .select("_id")
+      .lean();
+    const courseIds = affected.map((course) => course._id);
+
+    await Course.updateMany(
+      { _id: { $in: courseIds } },
+      { $addToSet: { tags: target._id } }
+    );
+    await Course.updateMany(
+      { _id: { $in: courseIds } },
+      { $pull: { tags: { $in: sourceTagIds } } }
+    );
+    await refreshCourseTagNames({ _id: { $in: courseIds } }); // 3. Remove the duplicates
+
+    const { deletedCount } = await Tag.deleteMany({
+      _id: { $in: sourceTagIds },
+    });
+    await refreshTagCounts([target._id]);
+
+    invalidateSuggestions();
+    invalidateCache("catalog:");
+
+    res.status(200).json({
+      success: true,
+      message: `${deletedCount} tag(s) merged into "${target.name}"`,
+      data: await Tag.findById(target._id),
+    });
+  } catch (error) {
+    console.error("Error merging tags:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error: Could not merge tags.",
+      error: error.message,
+    });
+  }
+};
@@ -5,10 +5,16 @@ const app = express();
 const fileUpload = require("express-fileupload");
 const cookieParser = require("cookie-parser");
 const cors = require("cors");
+const schedule = require("node-schedule");
 require("dotenv").config();
 
 // connection to DB and cloudinary
 const { connectDB } = require("./config/database");
+const { backfillCourseStats } = require("./utils/courseStats");
+const { backfillCategorySlugs } = require("./utils/categories");
+const { backfillCourseTags } = require("./utils/tags");
+const { issuePendingCertificates } = require("./utils/certificate");
+const { recordSubscriptionEarnings } = require("./utils/earnings");
 const { cloudinaryConnect } = require("./config/cloudinary");
 
 // routes
@@ -16,9 +22,22 @@ const userRoutes = require("./routes/User");
 const profileRoutes = require("./routes/Profile");
 const paymentRoutes = require("./routes/Payments");
 const courseRoutes = require("./routes/Course");
+const couponRoutes = require("./routes/Coupon");
+const cartRoutes = require("./routes/Cart");
+const subscriptionRoutes = require("./routes/Subscription");
+const earningsRoutes = require("./routes/Earnings");
+const tagRoutes = require("./routes/Tags");
+const certificateRoutes = require("./routes/Certificate");
 
 // middleware
-app.use(express.json()); // to parse json body
+app.use(
+  express.json({
+    // keep the raw body, Razorpay webhook signatures are computed over it
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+); // to parse json body
 app.use(cookieParser());
 app.use(
   cors({
@@ -36,12 +55,43 @@ app.use(
 
 const PORT = process.env.PORT || 5000;
 
+// certificates that failed when the last lesson was completed are issued
+// again on start and every hour for the last day's completions, older ones
+// by `npm run certificates`
+const retryCertificates = () =>
+  issuePendingCertificates(
+    new Date(Date.now() - 24 * 60 * 60 * 1000)
+  ).catch((error) => {
+    console.log("Error while issuing pending certificates");
+    console.log(error);
+  });
+schedule.scheduleJob("0 * * * *", retryCertificates);
+
+// StudyNotion Pro payouts of the month that just closed, generating payouts
+// records them too where scheduled jobs do not run
+schedule.scheduleJob("0 1 1 * *", () =>
+  recordSubscriptionEarnings().catch((error) => {
+    console.log("Error while recording subscription earnings");
+    console.log(error);
+  })
+);
+
 app.listen(PORT, () => {
   console.log(`Server Started on PORT ${PORT}`);
 });
 
 // connections
-connectDB();
+connectDB().then(() => {
+  Promise.all([
+    backfillCourseStats(),
+    backfillCategorySlugs(),
+    backfillCourseTags(),
+  ]).catch((error) => {
+    console.log("Error while backfilling course, category and tag fields");
+    console.log(error);
+  });
+  retryCertificates();
+});
 cloudinaryConnect();
 
 // mount route
@@ -49,6 +99,12 @@ app.use("/api/v1/auth", userRoutes);
 app.use("/api/v1/profile", profileRoutes);
 app.use("/api/v1/payment", paymentRoutes);
 app.use("/api/v1/course", courseRoutes);
+app.use("/api/v1/coupon", couponRoutes);
+app.use("/api/v1/cart", cartRoutes);
+app.use("/api/v1/subscription", subscriptionRoutes);
+app.use("/api/v1/earnings", earningsRoutes);
+app.use("/api/v1/tag", tagRoutes);
+app.use("/api/v1/certificate", certificateRoutes);
 
 // Default Route
 app.get("/", (req, res) => {
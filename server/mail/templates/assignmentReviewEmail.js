@@ -0,0 +1,108 @@
+/**
+ * @function assignmentReviewEmail
+ * @description Generates the HTML content for the email sent when an instructor reviews an assignment.
+ * It either gives the grade, or asks the student to resubmit with the instructor's feedback.
+ * @param {string} name - The student's first name.
+ * @param {string} courseName - The name of the course.
+ * @param {string} lessonTitle - The title of the assignment lesson.
+ * @param {string} status - "Graded" or "Resubmission Requested".
+ * @param {number} score - The points given, when graded.
+ * @param {number} maxScore - The points the rubric is worth, when graded.
+ * @param {string} feedback - The instructor's comments, already HTML escaped.
+ * @returns {string} The complete HTML template string.
+ */
+exports.assignmentReviewEmail = (
+  name,
+  courseName,
+  lessonTitle,
+  status,
+  score,
+  maxScore,
+  feedback
+) => {
+  const graded = status === "Graded";
+
+  return `<!DOCTYPE html>
+    <html>
+
+    <head>
+        <meta charset="UTF-8">
+        <title>${graded ? "Assignment Graded" : "Resubmission Requested"}</title>
+        <style>
+            body {
+                background-color: #ffffff;
+                font-family: Arial, sans-serif;
+                font-size: 16px;
+                line-height: 1.4;
+                color: #333333;
+                margin: 0;
+                padding: 0;
+            }
+
+
+            .container {
+                max-width: 600px;
+                margin: 0 auto;
+                padding: 20px;
+                text-align: center;
+                background-color: #f9f9f9;
+            }
+
+            .logo {
+                max-width: 200px;
+                margin-bottom: 20px;
+                 background-color: #ffdf3f;
+                 padding: 7px;
+            }
+
+            .message {
+                font-size: 18px;
+                font-weight: bold;
+                margin-bottom: 20px;
+            }
+
+            .body {
+                font-size: 16px;
+                margin-bottom: 20px;
+                background-color: #ffffff;
+                padding: 12px;
+            }
+
+            .support {
+                font-size: 14px;
+                color: #999999;
+                margin-top: 20px;
+            }
+
+            .highlight {
+                font-weight: bold;
+            }
+        </style>
+
+    </head>
+
+    <body>
+        <div class="container">
+            <a href="https://studynotion-edtech-mern.vercel.app/"><img class="logo" src="https://i.ibb.co/ds6RzBPq/Study-Notion-Dark.png"
+                    alt="StudyNotion Logo"></a>
+            <div class="message">${graded ? "Your Assignment Was Graded" : "Please Resubmit Your Assignment"}</div>
+            <div class="body">
+                <p>Dear ${name},</p>
+                <p>Your instructor reviewed your submission for
+                    <span class="highlight">"${lessonTitle}"</span> in the course
+                    <span class="highlight">"${courseName}"</span>.</p>
+                ${
+                  graded
+                    ? `<p>You scored <span class="highlight">${score} / ${maxScore}</span> points and the lesson is now complete.</p>`
+                    : `<p>They asked you to make some changes and submit it again.</p>`
+                }
+                ${feedback ? `<p>Feedback: ${feedback}</p>` : ""}
+                <p>Open the lesson in your dashboard to see the full review.</p>
+            </div>
+            <div class="support">If you have any questions or need assistance, please feel free to reach out to us at
+            <a href="mailto:chinmaykaitade123@gmail.com">chinmaykaitade123@gmail.com</a>. We are here to help!</div>
+        </div>
+    </body>
+
+    </html>`;
+};
@@ -0,0 +1,90 @@
+/**
+ * @function certificateEmail
+ * @description Generates the HTML content for the course completion email template.
+ * This email congratulates the student, the certificate PDF is attached to it.
+ * @param {string} name - The student's first name.
+ * @param {string} courseName - The name of the completed course.
+ * @param {string} certificateId - The public ID of the certificate.
+ * @param {string} url - The public verification page of the certificate.
+ * @returns {string} The complete HTML template string.
+ */
+exports.certificateEmail = (name, courseName, certificateId, url) => {
+  return `<!DOCTYPE html>
+    <html>
+
+    <head>
+        <meta charset="UTF-8">
+        <title>Course Completed</title>
+        <style>
+            body {
+                background-color: #ffffff;
+                font-family: Arial, sans-serif;
+                font-size: 16px;
+                line-height: 1.4;
+                color: #333333;
+                margin: 0;
+                padding: 0;
+            }
+
+
+            .container {
+                max-width: 600px;
+                margin: 0 auto;
+                padding: 20px;
+                text-align: center;
+                background-color: #f9f9f9;
+            }
+
+            .logo {
+                max-width: 200px;
+                margin-bottom: 20px;
+                 background-color: #ffdf3f;
+                 padding: 7px;
+            }
+
+            .message {
+                font-size: 18px;
+                font-weight: bold;
+                margin-bottom: 20px;
+            }
+
+            .body {
+                font-size: 16px;
+                margin-bottom: 20px;
+                background-color: #ffffff;
+                padding: 12px;
+            }
+
+            .support {
+                font-size: 14px;
+                color: #999999;
+                margin-top: 20px;
+            }
+
+            .highlight {
+                font-weight: bold;
+            }
+        </style>
+
+    </head>
+
+    <body>
+        <div class="container">
+            <a href="https://studynotion-edtech-mern.vercel.app/"><img class="logo" src="https://i.ibb.co/ds6RzBPq/Study-Notion-Dark.png"
+                    alt="StudyNotion Logo"></a>
+            <div class="message">Congratulations on Completing Your Course!</div>
+            <div class="body">
+                <p>Dear ${name},</p>
+                <p>You have completed every lesson of
+                    <span class="highlight">"${courseName}"</span>. Your certificate of completion is attached to this email.</p>
+                <p>Your certificate ID is <span class="highlight">${certificateId}</span>. Anyone can verify it at
+                    <a href="${url}">${url}</a>.</p>
+                <p>You can also download it and share it on LinkedIn from the My Certificates page of your dashboard.</p>
+            </div>
+            <div class="support">If you have any questions or need assistance, please feel free to reach out to us at
+            <a href="mailto:chinmaykaitade123@gmail.com">chinmaykaitade123@gmail.com</a>. We are here to help!</div>
+        </div>
+    </body>
+
+    </html>`;
+};
@@ -0,0 +1,102 @@
+/**
+ * @function giftCourseEmail
+ * @description Generates the HTML content for the course gift email template.
+ * This email is sent to the gift recipient with the code to redeem the course.
+ * @param {string} courseName - The name of the gifted course.
+ * @param {string} senderName - The full name of the buyer who sent the gift.
+ * @param {string} giftMessage - The personal message from the buyer (may be empty).
+ * @param {string} code - The redemption code.
+ * @returns {string} The complete HTML template string.
+ */
+exports.giftCourseEmail = (courseName, senderName, giftMessage, code) => {
+  return `<!DOCTYPE html>
+    <html>
+
+    <head>
+        <meta charset="UTF-8">
+        <title>You received a course</title>
+        <style>
+            body {
+                background-color: #ffffff;
+                font-family: Arial, sans-serif;
+                font-size: 16px;
+                line-height: 1.4;
+                color: #333333;
+                margin: 0;
+                padding: 0;
+            }
+
+
+            .container {
+                max-width: 600px;
+                margin: 0 auto;
+                padding: 20px;
+                text-align: center;
+                background-color: #f9f9f9;
+            }
+
+            .logo {
+                max-width: 200px;
+                margin-bottom: 20px;
+                 background-color: #ffdf3f;
+                 padding: 7px;
+            }
+
+            .message {
+                font-size: 18px;
+                font-weight: bold;
+                margin-bottom: 20px;
+            }
+
+            .body {
+                font-size: 16px;
+                margin-bottom: 20px;
+                background-color: #ffffff;
+                padding: 12px;
+            }
+
+            .support {
+                font-size: 14px;
+                color: #999999;
+                margin-top: 20px;
+            }
+
+            .highlight {
+                font-weight: bold;
+            }
+
+            .cta {
+                display: inline-block;
+                padding: 10px 20px;
+                background-color: #FFD60A;
+                color: #000000;
+                text-decoration: none;
+                border-radius: 5px;
+                font-size: 16px;
+                font-weight: bold;
+                margin-top: 20px;
+            }
+        </style>
+
+    </head>
+
+    <body>
+        <div class="container">
+            <a href="https://studynotion-edtech-mern.vercel.app/"><img class="logo" src="https://i.ibb.co/ds6RzBPq/Study-Notion-Dark.png"
+                    alt="StudyNotion Logo"></a>
+            <div class="message">You Received a Course!</div>
+            <div class="body">
+                <p>Hi,</p>
+                <p><span class="highlight">${senderName}</span> has gifted you the course
+                    <span class="highlight">"${courseName}"</span> on StudyNotion.</p>
+                ${giftMessage ? `<p>"${giftMessage}"</p>` : ""}
+                <p>Your gift code is <span class="highlight">${code}</span></p>
+                <a class="cta" href="https://studynotion-edtech-mern.vercel.app/dashboard/gifts-and-seats?code=${code}">Redeem Gift</a>
+            </div>
+            <div class="support">If you have any questions or need assistance, please feel free to reach out to us at
+            <a href="mailto:chinmaykaitade123@gmail.com">chinmaykaitade123@gmail.com</a>. We are here to help!</div>
+        </div>
+    </body>
+
+    </html>`;
+};
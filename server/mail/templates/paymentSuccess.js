@@ -2,7 +2,7 @@
  * @function paymentSuccess
  * @description Generates the HTML content for the payment success email template.
  * This email confirms the user's payment and provides transaction details.
- * @param {number} amount - The total amount paid (in Rupees, not paise).
+ * @param {string} amount - The total amount paid, formatted with its currency (e.g. "₹1,499.00").
  * @param {string} paymentId - The unique ID assigned by the payment gateway (Razorpay).
  * @param {string} orderId - The unique ID for the order created on the server.
  * @param {string} name - The user's first name.
@@ -90,12 +90,12 @@ exports.paymentSuccess = (amount, paymentId, orderId, name, lastname) => {
                 <a href="https://studynotion-edtech-mern.vercel.app/"><img class="logo" src="https://i.ibb.co/ds6RzBPq/Study-Notion-Dark.png"
                         alt="StudyNotion Logo"></a>
                 <div class="message">
-                Your payment of ₹${amount} has been successfully received.
+                Your payment of ${amount} has been successfully received.
                 </div>
                 <div class="body">
                     <p class="user">Dear ${name} ${lastname},</p>
                     <p>
-                        Thank you for purchasing the course. Your payment of ₹${amount} has been successfully received.
+                        Thank you for purchasing the course. Your payment of ${amount} has been successfully received.
                     </p>
                     <p>
                         Your payment ID is <span class="highlight">${paymentId}</span> and your order ID is <span
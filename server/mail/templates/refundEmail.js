@@ -0,0 +1,90 @@
+/**
+ * @function refundEmail
+ * @description Generates the HTML content for the refund confirmation email template.
+ * This email tells the student the refund was issued and that course access was removed.
+ * @param {string} courseName - The name of the refunded course.
+ * @param {string} name - The user's first name.
+ * @param {string} amount - The refunded amount, formatted with its currency (e.g. "₹1,499.00").
+ * @param {string} refundId - The refund ID assigned by Razorpay.
+ * @returns {string} The complete HTML template string.
+ */
+exports.refundEmail = (courseName, name, amount, refundId) => {
+  return `<!DOCTYPE html>
+    <html>
+
+    <head>
+        <meta charset="UTF-8">
+        <title>Refund Confirmation</title>
+        <style>
+            body {
+                background-color: #ffffff;
+                font-family: Arial, sans-serif;
+                font-size: 16px;
+                line-height: 1.4;
+                color: #333333;
+                margin: 0;
+                padding: 0;
+            }
+
+
+            .container {
+                max-width: 600px;
+                margin: 0 auto;
+                padding: 20px;
+                text-align: center;
+                background-color: #f9f9f9;
+            }
+
+            .logo {
+                max-width: 200px;
+                margin-bottom: 20px;
+                 background-color: #ffdf3f;
+                 padding: 7px;
+            }
+
+            .message {
+                font-size: 18px;
+                font-weight: bold;
+                margin-bottom: 20px;
+            }
+
+            .body {
+                font-size: 16px;
+                margin-bottom: 20px;
+                background-color: #ffffff;
+                padding: 12px;
+            }
+
+            .support {
+                font-size: 14px;
+                color: #999999;
+                margin-top: 20px;
+            }
+
+            .highlight {
+                font-weight: bold;
+            }
+        </style>
+
+    </head>
+
+    <body>
+        <div class="container">
+            <a href="https://studynotion-edtech-mern.vercel.app/"><img class="logo" src="https://i.ibb.co/ds6RzBPq/Study-Notion-Dark.png"
+                    alt="StudyNotion Logo"></a>
+            <div class="message">Refund Confirmation</div>
+            <div class="body">
+                <p>Dear ${name},</p>
+                <p>Your refund of <span class="highlight">${amount}</span> for the course
+                    <span class="highlight">"${courseName}"</span> has been issued.</p>
+                <p>Your refund ID is <span class="highlight">${refundId}</span>. It may take 5-7 working days
+                    to reflect in your account.</p>
+                <p>Access to this course has been removed from your dashboard.</p>
+            </div>
+            <div class="support">If you have any questions or need assistance, please feel free to reach out to us at
+            <a href="mailto:chinmaykaitade123@gmail.com">chinmaykaitade123@gmail.com</a>. We are here to help!</div>
+        </div>
+    </body>
+
+    </html>`;
+};
@@ -0,0 +1,88 @@
+/**
+ * @function seatCodesEmail
+ * @description Generates the HTML content for the seat purchase email template.
+ * This email lists the seat codes the buyer can share with their team.
+ * @param {string} courseName - The name of the course the seats are for.
+ * @param {string} name - The buyer's first name.
+ * @param {string[]} codes - One redemption code per seat.
+ * @returns {string} The complete HTML template string.
+ */
+exports.seatCodesEmail = (courseName, name, codes) => {
+  return `<!DOCTYPE html>
+    <html>
+
+    <head>
+        <meta charset="UTF-8">
+        <title>Your course seats</title>
+        <style>
+            body {
+                background-color: #ffffff;
+                font-family: Arial, sans-serif;
+                font-size: 16px;
+                line-height: 1.4;
+                color: #333333;
+                margin: 0;
+                padding: 0;
+            }
+
+
+            .container {
+                max-width: 600px;
+                margin: 0 auto;
+                padding: 20px;
+                text-align: center;
+                background-color: #f9f9f9;
+            }
+
+            .logo {
+                max-width: 200px;
+                margin-bottom: 20px;
+                 background-color: #ffdf3f;
+                 padding: 7px;
+            }
+
+            .message {
+                font-size: 18px;
+                font-weight: bold;
+                margin-bottom: 20px;
+            }
+
+            .body {
+                font-size: 16px;
+                margin-bottom: 20px;
+                background-color: #ffffff;
+                padding: 12px;
+            }
+
+            .support {
+                font-size: 14px;
+                color: #999999;
+                margin-top: 20px;
+            }
+
+            .highlight {
+                font-weight: bold;
+            }
+        </style>
+
+    </head>
+
+    <body>
+        <div class="container">
+            <a href="https://studynotion-edtech-mern.vercel.app/"><img class="logo" src="https://i.ibb.co/ds6RzBPq/Study-Notion-Dark.png"
+                    alt="StudyNotion Logo"></a>
+            <div class="message">Your Seats are Ready</div>
+            <div class="body">
+                <p>Dear ${name},</p>
+                <p>Here are your <span class="highlight">${codes.length}</span> seat codes for the course
+                    <span class="highlight">"${courseName}"</span>. Each code enrolls one person.</p>
+                ${codes.map((code) => `<p class="highlight">${code}</p>`).join("")}
+                <p>You can see which seats have been claimed under Gifts &amp; Seats in your dashboard.</p>
+            </div>
+            <div class="support">If you have any questions or need assistance, please feel free to reach out to us at
+            <a href="mailto:chinmaykaitade123@gmail.com">chinmaykaitade123@gmail.com</a>. We are here to help!</div>
+        </div>
+    </body>
+
+    </html>`;
+};
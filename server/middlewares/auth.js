@@ -47,15 +47,36 @@ exports.auth = (req, res, next) => {
   }
 };
 
+/* ======================================================
+   🧩 1b. OPTIONAL AUTH — same as auth, but guests pass through
+   ====================================================== */
+// for public routes that personalise their answer when the user is logged in
+exports.optionalAuth = (req, res, next) => {
+  const token =
+    req.body?.token ||
+    req.cookies?.token ||
+    req.header("Authorization")?.replace("Bearer ", "");
+
+  if (token) {
+    try {
+      req.user = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+      // an expired token is treated like a guest
+    }
+  }
+  next();
+};
+
 /* ======================================================
    🧩 2. ROLE-BASED ACCESS CONTROL (RBAC)
    ====================================================== */
 
-// 🔸 Generic role validator
-const authorizeRole = (role) => {
+// 🔸 Generic role validator (accepts one or more allowed roles)
+const authorizeRole = (...roles) => {
+  const role = roles.join(" / ");
   return (req, res, next) => {
     try {
-      if (req.user?.accountType !== role) {
+      if (!roles.includes(req.user?.accountType)) {
         return res.status(403).json({
           success: false,
           message: `Access denied: Only ${role}s can access this route`,
@@ -77,3 +98,4 @@ const authorizeRole = (role) => {
 exports.isStudent = authorizeRole("Student");
 exports.isInstructor = authorizeRole("Instructor");
 exports.isAdmin = authorizeRole("Admin");
+exports.isInstructorOrAdmin = authorizeRole("Instructor", "Admin");
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// instructions and grading rubric of an Assignment lesson - submissions are
+// graded by the instructor, see AssignmentSubmission
+const assignmentSchema = new mongoose.Schema({
+  subSection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "SubSection",
+    required: true,
+    unique: true,
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Course",
+    required: true,
+  },
+  // markdown
+  instructions: {
+    type: String,
+    default: "",
+  },
+  // what students can hand in, at least one of them
+  allowFiles: {
+    type: Boolean,
+    default: true,
+  },
+  allowLinks: {
+    type: Boolean,
+    default: true,
+  },
+  rubric: [
+    {
+      criterion: {
+        type: String,
+        required: true,
+      },
+      // what earns the points, shown to students
+      description: {
+        type: String,
+        default: "",
+      },
+      points: {
+        type: Number,
+        default: 10,
+      },
+    },
+  ],
+});
+
+module.exports = mongoose.model("Assignment", assignmentSchema);
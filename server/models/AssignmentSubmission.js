@@ -0,0 +1,93 @@
+const mongoose = require("mongoose");
+
+// work handed in for an Assignment lesson and the instructor's review of it -
+// a resubmission is a new submission, earlier ones keep their review
+const assignmentSubmissionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Assignment",
+    required: true,
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Course",
+    required: true,
+  },
+  files: [
+    {
+      url: {
+        type: String,
+      },
+      // original name, used for downloads
+      name: {
+        type: String,
+      },
+    },
+  ],
+  links: [
+    {
+      type: String,
+    },
+  ],
+  // the student's note to the instructor
+  note: {
+    type: String,
+    trim: true,
+  },
+  // Graded completes the lesson
+  status: {
+    type: String,
+    enum: ["Pending", "Graded", "Resubmission Requested"],
+    default: "Pending",
+  },
+  // points given for each rubric criterion
+  scores: [
+    {
+      criterion: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+      points: {
+        type: Number,
+      },
+    },
+  ],
+  score: {
+    type: Number,
+  },
+  maxScore: {
+    type: Number,
+  },
+  feedback: {
+    type: String,
+    trim: true,
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  reviewedAt: {
+    type: Date,
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+assignmentSubmissionSchema.index({ user: 1, assignment: 1, submittedAt: -1 });
+assignmentSubmissionSchema.index({ course: 1, status: 1, submittedAt: 1 });
+// a student waits for the review before handing in again
+assignmentSubmissionSchema.index(
+  { user: 1, assignment: 1 },
+  { unique: true, partialFilterExpression: { status: "Pending" } }
+);
+
+module.exports = mongoose.model(
+  "AssignmentSubmission",
+  assignmentSubmissionSchema
+);
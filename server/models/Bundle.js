@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// several courses of one instructor sold together at a lower price
+const bundleSchema = new mongoose.Schema(
+  {
+    bundleName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    bundleDescription: {
+      type: String,
+      trim: true,
+    },
+    instructor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    courses: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Course",
+        required: true,
+      },
+    ],
+    // the combined price, less than the courses bought one by one
+    price: {
+      type: Number,
+      required: true,
+    },
+    thumbnail: {
+      type: String,
+    },
+    // shown on the catalog page of this category
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+    },
+    status: {
+      type: String,
+      enum: ["Draft", "Published"],
+      default: "Draft",
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Bundle", bundleSchema);
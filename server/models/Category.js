@@ -8,6 +8,34 @@ const categorySchema = new mongoose.Schema({
   description: {
     type: String,
   },
+  // image shown next to the name in the Navbar catalog menu
+  icon: {
+    type: String,
+  },
+  // position among its siblings in the Navbar, set by drag-to-reorder
+  order: {
+    type: Number,
+    default: 0,
+  },
+  // url of the catalog page - /catalog/:slug
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+  // null for top level categories, e.g. Development > Web > React
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Category",
+    default: null,
+  },
+  // every category above this one, top level first (utils/categories)
+  ancestors: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+    },
+  ],
   courses: [
     {
       type: mongoose.Schema.Types.ObjectId,
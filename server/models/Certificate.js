@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+// completion certificate of a course, one per student and course
+// names are copied in, so the certificate never changes afterwards
+const certificateSchema = new mongoose.Schema({
+  // public id printed on the certificate, e.g. SN-K7QM-X2PD-9RTA
+  certificateId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Course",
+    required: true,
+  },
+  studentName: {
+    type: String,
+  },
+  courseName: {
+    type: String,
+  },
+  instructorName: {
+    type: String,
+  },
+  // when the last lesson was completed
+  completedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // the student lost the course (refund) - verification shows it as revoked
+  revoked: {
+    type: Boolean,
+    default: false,
+  },
+  revokedAt: {
+    type: Date,
+  },
+});
+
+certificateSchema.index({ user: 1, course: 1 }, { unique: true });
+
+module.exports = mongoose.model("Certificate", certificateSchema);
@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+// code submitted for a Coding lesson and how it did on each test
+const codeSubmissionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  exercise: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "CodingExercise",
+    required: true,
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Course",
+    required: true,
+  },
+  language: {
+    type: String,
+  },
+  code: {
+    type: String,
+  },
+  // Passed, or the status of the first failing test
+  verdict: {
+    type: String,
+    enum: [
+      "Passed",
+      "Wrong Answer",
+      "Runtime Error",
+      "Time Limit Exceeded",
+      "Memory Limit Exceeded",
+    ],
+  },
+  results: [
+    {
+      test: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+      status: {
+        type: String,
+      },
+      // what the program printed, cut to a few KB
+      output: {
+        type: String,
+      },
+      error: {
+        type: String,
+      },
+      // milliseconds
+      time: {
+        type: Number,
+      },
+    },
+  ],
+  passedCount: {
+    type: Number,
+    default: 0,
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+codeSubmissionSchema.index({ user: 1, exercise: 1, submittedAt: -1 });
+
+module.exports = mongoose.model("CodeSubmission", codeSubmissionSchema);
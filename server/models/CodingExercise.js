@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+// starter file and test cases of a Coding lesson - kept apart from the
+// SubSection so hidden tests never go out with the course content
+const codingExerciseSchema = new mongoose.Schema({
+  subSection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "SubSection",
+    required: true,
+    unique: true,
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Course",
+    required: true,
+  },
+  language: {
+    type: String,
+    enum: ["javascript", "python"],
+    required: true,
+  },
+  starterCode: {
+    type: String,
+    default: "",
+  },
+  // the program reads `input` on stdin and must print `expectedOutput`
+  tests: [
+    {
+      input: {
+        type: String,
+        default: "",
+      },
+      expectedOutput: {
+        type: String,
+        default: "",
+      },
+      // examples are shown to students, hidden tests only pass or fail
+      hidden: {
+        type: Boolean,
+        default: true,
+      },
+    },
+  ],
+  // per test, in milliseconds
+  timeLimit: {
+    type: Number,
+    default: 2000,
+  },
+  // in MB
+  memoryLimit: {
+    type: Number,
+    default: 128,
+  },
+});
+
+module.exports = mongoose.model("CodingExercise", codingExerciseSchema);
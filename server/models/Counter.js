@@ -0,0 +1,16 @@
+const mongoose = require("mongoose");
+
+// named sequences, e.g. invoice numbers per financial year, and markers like
+// SubscriptionEarnings:<YYYY-MM> for months whose payouts are recorded
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+module.exports = mongoose.model("Counter", counterSchema);
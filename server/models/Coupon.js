@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    discountType: {
+      type: String,
+      enum: ["Percentage", "Flat"],
+      required: true,
+    },
+    // percent off for "Percentage", Rupees off for "Flat"
+    discountValue: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // upper limit (in Rupees) of a percentage discount
+    maxDiscount: {
+      type: Number,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    // total redemptions allowed, unlimited when not set
+    usageLimit: {
+      type: Number,
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+    },
+    perUserLimit: {
+      type: Number,
+      default: 1,
+    },
+    // restrictions - when all are empty the coupon applies to every course
+    applicableCourses: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Course",
+      },
+    ],
+    applicableCategories: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+      },
+    ],
+    applicableInstructors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Coupon", couponSchema);
@@ -37,10 +37,17 @@ const courseSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: "Category",
   },
+  // tag names, copied from `tags` for full text search
   tag: {
     type: [String],
     required: true,
   },
+  tags: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tag",
+    },
+  ],
   studentsEnrolled: [
     {
       type: mongoose.Schema.Types.ObjectId,
@@ -55,6 +62,44 @@ const courseSchema = new mongoose.Schema({
     type: String,
     enum: ["Draft", "Published"],
   },
+  // the languages the course form offers
+  language: {
+    type: String,
+    enum: ["English", "Hindi", "Marathi", "Tamil", "Telugu", "Bengali"],
+    default: "English",
+  },
+  level: {
+    type: String,
+    enum: ["Beginner", "Intermediate", "Advanced", "All Levels"],
+    default: "All Levels",
+  },
+  // languages the lectures have subtitles in
+  subtitles: [String],
+  // courses to take before this one, shown as "recommended first"
+  prerequisites: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+    },
+  ],
+  // kept in sync for search - instructor name, average of ratingAndReviews,
+  // and the summed timeDuration of every lecture in seconds (utils/courseStats)
+  instructorName: {
+    type: String,
+  },
+  averageRating: {
+    type: Number,
+    default: 0,
+  },
+  totalDuration: {
+    type: Number,
+    default: 0,
+  },
+  // seats sold through paid orders, less refunds (utils/courseStats)
+  sold: {
+    type: Number,
+    default: 0,
+  },
   createdAt: {
     type: Date,
   },
@@ -63,4 +108,24 @@ const courseSchema = new mongoose.Schema({
   },
 });
 
+// full-text search (GET /course/search), the course name weighs the most
+courseSchema.index(
+  {
+    courseName: "text",
+    tag: "text",
+    instructorName: "text",
+    courseDescription: "text",
+  },
+  {
+    name: "course_text_search",
+    weights: { courseName: 10, tag: 5, instructorName: 3, courseDescription: 1 },
+  }
+);
+
+// catalog listings, paginated by cursor (utils/pagination)
+courseSchema.index({ category: 1, status: 1, sold: -1, _id: -1 });
+courseSchema.index({ status: 1, sold: -1, _id: -1 });
+// tag landing pages
+courseSchema.index({ tags: 1, status: 1, sold: -1, _id: -1 });
+
 module.exports = mongoose.model("Course", courseSchema);
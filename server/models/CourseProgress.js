@@ -15,6 +15,19 @@ const courseProgressSchema = new mongoose.Schema({
       ref: "SubSection",
     },
   ],
+  // last completed lecture, for "continue where you left off"
+  lastSubSection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "SubSection",
+  },
+  lastActivityAt: {
+    type: Date,
+  },
+  // set when access is revoked (refund), kept so the progress can be restored
+  archived: {
+    type: Boolean,
+    default: false,
+  },
 });
 
 module.exports = mongoose.model("CourseProgress", courseProgressSchema);
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+const currencyRateSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+    },
+    // units of this currency for 1 unit of the base currency (INR)
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("CurrencyRate", currencyRateSchema);
@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+// one line of an instructor's earnings ledger, amounts in INR
+// Sale - a paid course, Refund - reversal of a refunded sale,
+// Subscription - StudyNotion Pro watch-time share of a month
+const earningEntrySchema = new mongoose.Schema(
+  {
+    // identifies what the entry is for, so it is never recorded twice
+    // e.g. Sale:<orderId>:<courseId>, Subscription:<YYYY-MM>:<courseId>
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      enum: ["Sale", "Refund", "Subscription"],
+      required: true,
+    },
+    instructor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+    },
+    courseName: {
+      type: String,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    // what the student paid for the course, negative for refunds
+    grossAmount: {
+      type: Number,
+      required: true,
+    },
+    // platform commission on grossAmount, negative for refunds
+    commission: {
+      type: Number,
+      default: 0,
+    },
+    // owed to the instructor - grossAmount - commission
+    netAmount: {
+      type: Number,
+      required: true,
+    },
+    // month the entry counts in
+    earnedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // payout batch the entry was paid in, unset while not batched yet
+    payout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payout",
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("EarningEntry", earningEntrySchema);
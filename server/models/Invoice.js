@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+
+// tax invoice issued for a paid order
+// seller and buyer details are copied in, so the invoice never changes afterwards
+const invoiceSchema = new mongoose.Schema(
+  {
+    invoiceNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    billedTo: {
+      name: { type: String },
+      email: { type: String },
+    },
+    seller: {
+      legalName: { type: String },
+      gstin: { type: String },
+      address: { type: String },
+      state: { type: String },
+    },
+    placeOfSupply: {
+      type: String,
+    },
+    currency: {
+      type: String,
+      default: "INR",
+    },
+    // one line per course, amounts in `currency`
+    items: [
+      {
+        course: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Course",
+        },
+        description: { type: String },
+        sacCode: { type: String },
+        taxableValue: { type: Number },
+        taxRate: { type: Number },
+        cgst: { type: Number, default: 0 },
+        sgst: { type: Number, default: 0 },
+        amount: { type: Number },
+      },
+    ],
+    taxableValue: {
+      type: Number,
+      required: true,
+    },
+    cgst: {
+      type: Number,
+      default: 0,
+    },
+    sgst: {
+      type: Number,
+      default: 0,
+    },
+    totalTax: {
+      type: Number,
+      required: true,
+    },
+    totalAmount: {
+      type: Number,
+      required: true,
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Invoice", invoiceSchema);
@@ -0,0 +1,154 @@
+const mongoose = require("mongoose");
+
+const orderSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    courses: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Course",
+        required: true,
+      },
+    ],
+    // prices as they were when the order was placed
+    items: [
+      {
+        course: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Course",
+        },
+        courseName: {
+          type: String,
+        },
+        // line total - unit price x quantity
+        price: {
+          type: Number,
+        },
+        // seats bought, 1 unless it is a seat purchase
+        quantity: {
+          type: Number,
+          default: 1,
+        },
+        // share of the coupon or bundle discount given on this course
+        discount: {
+          type: Number,
+          default: 0,
+        },
+      },
+    ],
+    // Self - the buyer is enrolled, Gift / Seats - redeemable codes are issued instead
+    purchaseType: {
+      type: String,
+      enum: ["Self", "Gift", "Seats"],
+      default: "Self",
+    },
+    recipientEmail: {
+      type: String,
+    },
+    giftMessage: {
+      type: String,
+    },
+    // bundle this order was bought through, its saving is in `discount`
+    bundle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bundle",
+    },
+    subtotal: {
+      type: Number,
+    },
+    discount: {
+      type: Number,
+      default: 0,
+    },
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+    },
+    couponCode: {
+      type: String,
+    },
+    // amount charged after discount, in `currency`
+    // (items, subtotal and discount are in the base currency INR)
+    amount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: "INR",
+    },
+    // base currency -> currency rate used for this order
+    exchangeRate: {
+      type: Number,
+      default: 1,
+    },
+    razorpayOrderId: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    razorpayPaymentId: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ["Created", "Paid", "Failed", "PartiallyRefunded", "Refunded"],
+      default: "Created",
+    },
+    // set once the tax invoice is issued (see models/Invoice)
+    invoiceNumber: {
+      type: String,
+    },
+    // steps done once the order is Paid (see utils/orderStatus markOrderPaid)
+    couponCounted: {
+      type: Boolean,
+      default: false,
+    },
+    codesIssued: {
+      type: Boolean,
+      default: false,
+    },
+    // sale entries written to the instructor earnings ledger, set by
+    // recordSaleEarnings - backfillSaleEarnings records paid orders without it
+    earningsRecorded: {
+      type: Boolean,
+      default: false,
+    },
+    // course `sold` counts raised
+    salesRecorded: {
+      type: Boolean,
+      default: false,
+    },
+    // payment email with the invoice sent
+    invoiceSent: {
+      type: Boolean,
+      default: false,
+    },
+    // courses of this order whose price was refunded and access revoked
+    refundedCourses: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Course",
+      },
+    ],
+    statusHistory: [
+      {
+        status: {
+          type: String,
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Order", orderSchema);
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// a batch of ledger entries paid to an instructor at once
+const payoutSchema = new mongoose.Schema(
+  {
+    instructor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // sum of the net amounts of its entries, in INR
+    amount: {
+      type: Number,
+      default: 0,
+    },
+    entryCount: {
+      type: Number,
+      default: 0,
+    },
+    // Pending - waiting for an admin, Paid - transferred, Rejected - entries released
+    status: {
+      type: String,
+      enum: ["Pending", "Paid", "Rejected"],
+      default: "Pending",
+    },
+    // bank transfer / UTR reference entered by the admin
+    reference: {
+      type: String,
+      trim: true,
+    },
+    adminNote: {
+      type: String,
+      trim: true,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Payout", payoutSchema);
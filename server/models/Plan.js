@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// a StudyNotion Pro plan, mirrored by a plan on Razorpay
+const planSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    interval: {
+      type: String,
+      enum: ["Monthly", "Yearly"],
+      required: true,
+    },
+    // price of one billing period in INR
+    price: {
+      type: Number,
+      required: true,
+    },
+    razorpayPlanId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // inactive plans are hidden, existing subscriptions keep renewing
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Plan", planSchema);
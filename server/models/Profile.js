@@ -15,6 +15,10 @@ const profileSchema = new mongoose.Schema({
     type: Number,
     trim: true,
   },
+  // preferred currency for prices and checkout
+  currency: {
+    type: String,
+  },
 });
 
 module.exports = mongoose.model("Profile", profileSchema);
@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+
+// questions of a Quiz lesson - kept apart from the SubSection so the
+// answers never go out with the course content
+const quizSchema = new mongoose.Schema({
+  subSection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "SubSection",
+    required: true,
+    unique: true,
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Course",
+    required: true,
+  },
+  questions: [
+    {
+      // single / multiple - choose one or several options,
+      // boolean - true or false, short - typed answer
+      questionType: {
+        type: String,
+        enum: ["single", "multiple", "boolean", "short"],
+        required: true,
+      },
+      prompt: {
+        type: String,
+        required: true,
+      },
+      options: [
+        {
+          type: String,
+        },
+      ],
+      // indexes into options, for boolean 0 is True and 1 is False
+      correctOptions: [
+        {
+          type: Number,
+        },
+      ],
+      // short answers matching one of these (ignoring case) are correct
+      acceptedAnswers: [
+        {
+          type: String,
+        },
+      ],
+      // shown once the question is answered
+      explanation: {
+        type: String,
+      },
+      points: {
+        type: Number,
+        default: 1,
+      },
+    },
+  ],
+  // percentage of the points needed to pass
+  passPercentage: {
+    type: Number,
+    default: 70,
+  },
+  // 0 - unlimited attempts
+  maxAttempts: {
+    type: Number,
+    default: 0,
+  },
+});
+
+module.exports = mongoose.model("Quiz", quizSchema);
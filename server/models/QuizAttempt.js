@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+// one graded submission of a quiz by a student
+const quizAttemptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Quiz",
+    required: true,
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Course",
+    required: true,
+  },
+  answers: [
+    {
+      question: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+      selected: [
+        {
+          type: Number,
+        },
+      ],
+      text: {
+        type: String,
+      },
+      correct: {
+        type: Boolean,
+      },
+    },
+  ],
+  score: {
+    type: Number,
+    default: 0,
+  },
+  maxScore: {
+    type: Number,
+    default: 0,
+  },
+  percentage: {
+    type: Number,
+    default: 0,
+  },
+  passed: {
+    type: Boolean,
+    default: false,
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // 1 for the first attempt of the student at this quiz
+  attemptNumber: {
+    type: Number,
+  },
+});
+
+quizAttemptSchema.index({ user: 1, quiz: 1, submittedAt: -1 });
+// attempts made before the numbering have none
+quizAttemptSchema.index(
+  { user: 1, quiz: 1, attemptNumber: 1 },
+  { unique: true, partialFilterExpression: { attemptNumber: { $exists: true } } }
+);
+
+module.exports = mongoose.model("QuizAttempt", quizAttemptSchema);
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// code issued for a gifted course or a purchased seat
+// whoever redeems it first is enrolled in the course
+const redemptionCodeSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      enum: ["Gift", "Seat"],
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    purchaser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // gifts only
+    recipientEmail: {
+      type: String,
+    },
+    redeemedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    redeemedAt: {
+      type: Date,
+    },
+    // the order was refunded - the code can not be redeemed, or its student
+    // lost the course
+    revoked: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("RedemptionCode", redemptionCodeSchema);
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+const refundRequestSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    // amount to refund, what was paid for the course in the order currency
+    amount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: "INR",
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    // Approved once Razorpay accepted the refund, Processed when the course,
+    // order, earnings and sales are all taken back
+    status: {
+      type: String,
+      enum: ["Pending", "Approved", "Rejected", "Processed"],
+      default: "Pending",
+    },
+    // course `sold` count lowered, the one step that must not run twice
+    salesReversed: {
+      type: Boolean,
+      default: false,
+    },
+    razorpayRefundId: {
+      type: String,
+    },
+    adminNote: {
+      type: String,
+      trim: true,
+    },
+    reviewedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("RefundRequest", refundRequestSchema);
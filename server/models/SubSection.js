@@ -1,6 +1,23 @@
 const mongoose = require("mongoose");
 
 const subSectionSchema = new mongoose.Schema({
+  // what the lesson is - its content is in the fields of that type:
+  // Video - videoUrl, Article - content (markdown), PDF / Resource - fileUrl,
+  // Link - linkUrl, Quiz - quiz, Coding - codingExercise, Assignment - assignment
+  type: {
+    type: String,
+    enum: [
+      "Video",
+      "Article",
+      "PDF",
+      "Resource",
+      "Link",
+      "Quiz",
+      "Coding",
+      "Assignment",
+    ],
+    default: "Video",
+  },
   title: {
     type: String,
   },
@@ -13,6 +30,31 @@ const subSectionSchema = new mongoose.Schema({
   videoUrl: {
     type: String,
   },
+  content: {
+    type: String,
+  },
+  fileUrl: {
+    type: String,
+  },
+  // original name of the uploaded file, used for downloads
+  fileName: {
+    type: String,
+  },
+  linkUrl: {
+    type: String,
+  },
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Quiz",
+  },
+  codingExercise: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "CodingExercise",
+  },
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Assignment",
+  },
 });
 
 module.exports = mongoose.model("SubSection", subSectionSchema);
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+const subscriptionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Plan",
+      required: true,
+    },
+    razorpaySubscriptionId: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    // Created - checkout not completed, Active - paid for the current period,
+    // Pending / Halted - a renewal failed, Cancelled / Completed - ended
+    status: {
+      type: String,
+      enum: ["Created", "Active", "Pending", "Halted", "Cancelled", "Completed"],
+      default: "Created",
+    },
+    currentPeriodStart: {
+      type: Date,
+    },
+    currentPeriodEnd: {
+      type: Date,
+    },
+    // cancelled by the student, access lasts until the current period ends
+    cancelAtPeriodEnd: {
+      type: Boolean,
+      default: false,
+    },
+    // one entry per billing period paid, in INR
+    payments: [
+      {
+        razorpayPaymentId: {
+          type: String,
+        },
+        amount: {
+          type: Number,
+        },
+        paidAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Subscription", subscriptionSchema);
@@ -3,20 +3,28 @@ const mongoose = require("mongoose");
 /**
  * @typedef TagsSchema
  * @description Defines the Mongoose Schema for the Tag model.
- * This schema is used for categorizing courses, allowing for easy filtering and discovery.
+ * Tags are shared between courses (Course.tags), so the same topic typed by
+ * different instructors ends up as one tag with one landing page (/tags/:slug).
  */
 const tagsSchema = new mongoose.Schema({
-  // The name of the tag (e.g., "Web Development", "Data Science"). Required field.
+  // The display name of the tag (e.g., "React", "Data Science"). Required field.
   name: {
     type: String,
     required: true,
-  }, // A brief description explaining what this category/tag represents. (optional)
+    trim: true,
+  }, // Normalized form of the name, unique - "Node JS" and "node-js" are the same tag.
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    sparse: true, // tags from before slugs existed get one on startup
+  }, // A brief description explaining what this tag represents. (optional)
   description: {
     type: String,
-  }, // Reference to the Course model. // NOTE: This field is typically used to hold an array of course IDs (courses: [{ type: ObjectId, ref: "Course" }]) // to track all courses associated with this tag. As structured, it only references one course.
-  course: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: "Course", // Links to the Course model
+  }, // Number of courses using the tag, kept in sync by utils/tags.
+  usageCount: {
+    type: Number,
+    default: 0,
   },
 });
 
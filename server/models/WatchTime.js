@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// a lecture completed by a subscriber through StudyNotion Pro,
+// subscription revenue is shared among instructors by these
+const watchTimeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Course",
+    required: true,
+    index: true,
+  },
+  subSection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "SubSection",
+    required: true,
+  },
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Subscription",
+  },
+  seconds: {
+    type: Number,
+    default: 0,
+  },
+  watchedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// a lecture counts once per subscriber
+watchTimeSchema.index({ user: 1, subSection: 1 }, { unique: true });
+
+module.exports = mongoose.model("WatchTime", watchTimeSchema);
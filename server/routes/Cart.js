@@ -0,0 +1,31 @@
+const express = require("express");
+const router = express.Router();
+
+// controllers
+const {
+  getCart,
+  addToCart,
+  removeFromCart,
+  mergeCart,
+  moveToWishlist,
+  removeFromWishlist,
+} = require("../controllers/Cart");
+
+// Middlewares
+const { auth, isStudent } = require("../middlewares/auth");
+
+// ********************************************************************************************************
+//                                      Cart & Wishlist routes (Student)
+// ********************************************************************************************************
+// every response returns the whole cart, priced with the current course prices
+
+router.get("/getCart", auth, isStudent, getCart);
+router.post("/addToCart", auth, isStudent, addToCart);
+router.post("/removeFromCart", auth, isStudent, removeFromCart);
+router.post("/mergeCart", auth, isStudent, mergeCart);
+
+// Wishlist ("save for later") - moving a course back to the cart is addToCart
+router.post("/moveToWishlist", auth, isStudent, moveToWishlist);
+router.post("/removeFromWishlist", auth, isStudent, removeFromWishlist);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require("express");
+const router = express.Router();
+
+// controllers
+const {
+  getMyCertificates,
+  verifyCertificate,
+  downloadCertificate,
+} = require("../controllers/Certificate");
+
+// Middlewares
+const { auth, isStudent } = require("../middlewares/auth");
+
+// ********************************************************************************************************
+//                                      Certificate routes
+// ********************************************************************************************************
+// Certificates are issued when the last lesson of a course is completed,
+// anyone with the certificate ID can verify and download it
+
+router.get("/getMyCertificates", auth, isStudent, getMyCertificates);
+router.get("/verifyCertificate", verifyCertificate);
+router.get("/downloadCertificate", downloadCertificate);
+
+module.exports = router;
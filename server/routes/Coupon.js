@@ -0,0 +1,25 @@
+const express = require("express");
+const router = express.Router();
+
+// controllers
+const {
+  createCoupon,
+  getCoupons,
+  updateCoupon,
+  deleteCoupon,
+} = require("../controllers/Coupon");
+
+// Middlewares
+const { auth, isInstructorOrAdmin } = require("../middlewares/auth");
+
+// ********************************************************************************************************
+//                                      Coupon routes (Admin & Instructor)
+// ********************************************************************************************************
+// Instructor coupons are always restricted to their own courses
+
+router.post("/createCoupon", auth, isInstructorOrAdmin, createCoupon);
+router.get("/getCoupons", auth, isInstructorOrAdmin, getCoupons);
+router.post("/updateCoupon", auth, isInstructorOrAdmin, updateCoupon);
+router.delete("/deleteCoupon", auth, isInstructorOrAdmin, deleteCoupon);
+
+module.exports = router;
@@ -8,6 +8,9 @@ const {
   createCourse,
   getCourseDetails,
   getAllCourses,
+  searchCourses,
+  getSearchSuggestions,
+  getCourseRecommendations,
   getFullCourseDetails,
   editCourse,
   deleteCourse,
@@ -19,6 +22,9 @@ const { updateCourseProgress } = require("../controllers/CourseProgress");
 // categories Controllers
 const {
   createCategory,
+  updateCategory,
+  reorderCategories,
+  getCategoryStats,
   showAllCategories,
   getCategoryPageDetails,
   deleteCategory,
@@ -38,6 +44,33 @@ const {
   deleteSubSection,
 } = require("../controllers/Subsection");
 
+// quiz controllers
+const { getQuiz, submitQuizAttempt } = require("../controllers/Quiz");
+
+// coding exercise controllers
+const {
+  getCodingExercise,
+  submitCode,
+} = require("../controllers/CodingExercise");
+
+// assignment controllers
+const {
+  getAssignment,
+  submitAssignment,
+  getAssignmentSubmissions,
+  gradeAssignment,
+} = require("../controllers/Assignment");
+
+// bundle controllers
+const {
+  createBundle,
+  editBundle,
+  deleteBundle,
+  getInstructorBundles,
+  getAllBundles,
+  getBundleDetails,
+} = require("../controllers/Bundle");
+
 // rating controllers
 const {
   createRating,
@@ -48,6 +81,7 @@ const {
 // Middlewares
 const {
   auth,
+  optionalAuth,
   isAdmin,
   isInstructor,
   isStudent,
@@ -75,9 +109,15 @@ router.post("/updateSubSection", auth, isInstructor, updateSubSection);
 router.post("/deleteSubSection", auth, isInstructor, deleteSubSection);
 
 // Get Details for a Specific Courses
-router.post("/getCourseDetails", getCourseDetails);
+router.post("/getCourseDetails", optionalAuth, getCourseDetails);
 // Get all Courses
 router.get("/getAllCourses", getAllCourses);
+// Search published courses with filters, sorting and pages
+router.get("/search", searchCourses);
+// Typo tolerant suggestions while typing in the search box
+router.get("/suggestions", getSearchSuggestions);
+// Recommendations - personalised when a student token is sent
+router.get("/recommendations", optionalAuth, getCourseRecommendations);
 // get full course details
 router.post("/getFullCourseDetails", auth, getFullCourseDetails);
 // Get all Courses Under a Specific Instructor
@@ -92,13 +132,52 @@ router.delete("/deleteCourse", auth, isInstructor, deleteCourse);
 // update Course Progress
 router.post("/updateCourseProgress", auth, isStudent, updateCourseProgress);
 
+// ********************************************************************************************************
+//                                      Quiz routes
+// ********************************************************************************************************
+// Quiz lessons are created and edited with the Sub Section routes
+router.post("/getQuiz", auth, getQuiz);
+router.post("/submitQuiz", auth, isStudent, submitQuizAttempt);
+
+// ********************************************************************************************************
+//                                      Coding exercise routes
+// ********************************************************************************************************
+// Coding lessons are created and edited with the Sub Section routes,
+// submitted code runs against the tests on this server
+router.post("/getCodingExercise", auth, getCodingExercise);
+router.post("/submitCode", auth, isStudent, submitCode);
+
+// ********************************************************************************************************
+//                                      Assignment routes
+// ********************************************************************************************************
+// Assignment lessons are created and edited with the Sub Section routes,
+// students hand in files / links and the instructor grades them from the review queue
+router.post("/getAssignment", auth, getAssignment);
+router.post("/submitAssignment", auth, isStudent, submitAssignment);
+router.get("/assignmentSubmissions", auth, isInstructor, getAssignmentSubmissions);
+router.post("/gradeAssignment", auth, isInstructor, gradeAssignment);
+
+// ********************************************************************************************************
+//                                      Bundle routes
+// ********************************************************************************************************
+// Bundles are made by Instructors from their own published courses
+router.post("/createBundle", auth, isInstructor, createBundle);
+router.post("/editBundle", auth, isInstructor, editBundle);
+router.delete("/deleteBundle", auth, isInstructor, deleteBundle);
+router.get("/getInstructorBundles", auth, isInstructor, getInstructorBundles);
+router.get("/getAllBundles", getAllBundles);
+router.post("/getBundleDetails", getBundleDetails);
+
 // ********************************************************************************************************
 //                                      Category routes (Only by Admin)
 // ********************************************************************************************************
 // Category can Only be Created by Admin
 
 router.post("/createCategory", auth, isAdmin, createCategory);
+router.post("/updateCategory", auth, isAdmin, updateCategory);
+router.post("/reorderCategories", auth, isAdmin, reorderCategories);
 router.delete("/deleteCategory", auth, isAdmin, deleteCategory);
+router.get("/getCategoryStats", auth, isAdmin, getCategoryStats);
 router.get("/showAllCategories", showAllCategories);
 router.post("/getCategoryPageDetails", getCategoryPageDetails);
 
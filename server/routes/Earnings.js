@@ -0,0 +1,31 @@
+const express = require("express");
+const router = express.Router();
+
+// controllers
+const {
+  getInstructorEarnings,
+  exportEarningsCsv,
+  generatePayouts,
+  getPayouts,
+  approvePayout,
+  rejectPayout,
+} = require("../controllers/Earnings");
+
+// Middlewares
+const { auth, isAdmin, isInstructor } = require("../middlewares/auth");
+
+// ********************************************************************************************************
+//                                      Earnings ledger (Instructor)
+// ********************************************************************************************************
+router.get("/getInstructorEarnings", auth, isInstructor, getInstructorEarnings);
+router.get("/exportEarnings", auth, isInstructor, exportEarningsCsv);
+
+// ********************************************************************************************************
+//                                      Payout batches (Admin)
+// ********************************************************************************************************
+router.post("/generatePayouts", auth, isAdmin, generatePayouts);
+router.get("/getPayouts", auth, isAdmin, getPayouts);
+router.post("/approvePayout", auth, isAdmin, approvePayout);
+router.post("/rejectPayout", auth, isAdmin, rejectPayout);
+
+module.exports = router;
@@ -4,8 +4,27 @@ const router = express.Router();
 const {
   capturePayment,
   verifyPayment,
-  sendPaymentSuccessEmail,
+  verifySignature,
+  getMyOrders,
+  getAllOrders,
+  applyCouponCode,
+  enrollFreeCourse,
 } = require("../controllers/Payments");
+const {
+  requestRefund,
+  getRefundRequests,
+  approveRefund,
+  rejectRefund,
+} = require("../controllers/Refunds");
+const { downloadInvoice } = require("../controllers/Invoice");
+const {
+  redeemCode,
+  getMyRedemptionCodes,
+} = require("../controllers/Redemption");
+const {
+  getCurrencyRates,
+  updateCurrencyRate,
+} = require("../controllers/Currency");
 const {
   auth,
   isAdmin,
@@ -15,11 +34,32 @@ const {
 
 router.post("/capturePayment", auth, isStudent, capturePayment);
 router.post("/verifyPayment", auth, isStudent, verifyPayment);
-router.post(
-  "/sendPaymentSuccessEmail",
-  auth,
-  isStudent,
-  sendPaymentSuccessEmail
-);
+// free courses skip Razorpay
+router.post("/enrollFree", auth, isStudent, enrollFreeCourse);
+// preview the discount of a coupon on the cart (checkout re-validates it)
+router.post("/applyCoupon", auth, isStudent, applyCouponCode);
+
+// Order history
+router.get("/myOrders", auth, isStudent, getMyOrders);
+router.get("/allOrders", auth, isAdmin, getAllOrders);
+// GST invoice PDF of a paid order
+router.get("/downloadInvoice", auth, downloadInvoice);
+
+// Gifts & seats - codes are issued when the order is paid
+router.post("/redeemCode", auth, isStudent, redeemCode);
+router.get("/myRedemptionCodes", auth, isStudent, getMyRedemptionCodes);
+
+// Refunds - requested by students, approved / rejected by admins
+router.post("/requestRefund", auth, isStudent, requestRefund);
+router.get("/refundRequests", auth, isAdmin, getRefundRequests);
+router.post("/approveRefund", auth, isAdmin, approveRefund);
+router.post("/rejectRefund", auth, isAdmin, rejectRefund);
+
+// Currency conversion rates - prices are stored in INR
+router.get("/currencyRates", getCurrencyRates);
+router.post("/updateCurrencyRate", auth, isAdmin, updateCurrencyRate);
+
+// Razorpay server-to-server webhook (authenticated by its HMAC signature)
+router.post("/webhook", verifySignature);
 
 module.exports = router;
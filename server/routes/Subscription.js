@@ -0,0 +1,37 @@
+const express = require("express");
+const router = express.Router();
+
+// controllers
+const {
+  getPlans,
+  getAllPlans,
+  createPlan,
+  updatePlanStatus,
+  subscribe,
+  verifySubscription,
+  getMySubscription,
+  cancelSubscription,
+} = require("../controllers/Subscription");
+
+// Middlewares
+const { auth, isAdmin, isStudent } = require("../middlewares/auth");
+
+// ********************************************************************************************************
+//                                      StudyNotion Pro plans
+// ********************************************************************************************************
+router.get("/getPlans", getPlans);
+// Plans are created on Razorpay by Admins
+router.get("/getAllPlans", auth, isAdmin, getAllPlans);
+router.post("/createPlan", auth, isAdmin, createPlan);
+router.post("/updatePlanStatus", auth, isAdmin, updatePlanStatus);
+
+// ********************************************************************************************************
+//                                      Subscriptions (Student)
+// ********************************************************************************************************
+// renewals, failed renewals and cancellations arrive on the payment webhook
+router.post("/subscribe", auth, isStudent, subscribe);
+router.post("/verifySubscription", auth, isStudent, verifySubscription);
+router.get("/mySubscription", auth, isStudent, getMySubscription);
+router.post("/cancelSubscription", auth, isStudent, cancelSubscription);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require("express");
+const router = express.Router();
+
+// controllers
+const {
+  createTag,
+  showAllTags,
+  searchTags,
+  getTagPageDetails,
+  renameTag,
+  mergeTags,
+} = require("../controllers/Tags");
+
+// Middlewares
+const { auth, isAdmin } = require("../middlewares/auth");
+
+// ********************************************************************************************************
+//                                      Tag routes
+// ********************************************************************************************************
+// Instructors create tags by tagging courses, admins clean them up
+
+router.get("/searchTags", searchTags);
+router.get("/getTagPageDetails", getTagPageDetails);
+
+router.get("/showAllTags", auth, isAdmin, showAllTags);
+router.post("/createTag", auth, isAdmin, createTag);
+router.post("/renameTag", auth, isAdmin, renameTag);
+router.post("/mergeTags", auth, isAdmin, mergeTags);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+// One-off: issues the certificates of every completed course, including
+// courses completed before certificates existed or more than a day ago.
+// npm run certificates
+const mongoose = require("mongoose");
+const { connectDB } = require("../config/database");
+const { issuePendingCertificates } = require("../utils/certificate");
+
+connectDB()
+  .then(() => issuePendingCertificates())
+  .then(() => console.log("Pending certificates issued"))
+  .catch((error) => {
+    console.log("Error while issuing pending certificates");
+    console.log(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
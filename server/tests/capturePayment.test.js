@@ -0,0 +1,79 @@
+const { test, mock, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+
+// read when the Razorpay client is created
+process.env.RAZORPAY_KEY = "rzp_test_key";
+process.env.RAZORPAY_SECRET = "test-secret";
+
+const Coupon = require("../models/Coupon");
+const Course = require("../models/Course");
+const Order = require("../models/Order");
+const { capturePayment } = require("../controllers/Payments");
+
+const id = () => new mongoose.Types.ObjectId();
+
+const makeCourse = (fields) => ({
+  _id: id(),
+  status: "Published",
+  price: 1000,
+  studentsEnrolled: [],
+  ...fields,
+});
+
+const response = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (data) => {
+    res.body = data;
+    return res;
+  };
+  return res;
+};
+
+// nothing is ordered or enrolled unless a test lets it through
+let createdOrders;
+beforeEach(() => {
+  mock.restoreAll();
+  createdOrders = 0;
+  mock.method(Order, "create", async () => {
+    createdOrders++;
+    throw new Error("no order expected");
+  });
+});
+
+const capture = async (courses, body = {}) => {
+  mock.method(Course, "findById", async (courseId) =>
+    courses.find((course) => course._id.equals(courseId))
+  );
+  const res = response();
+  await capturePayment(
+    {
+      body: { coursesId: courses.map((course) => course._id), ...body },
+      user: { id: String(id()) },
+    },
+    res
+  );
+  return res;
+};
+
+test("a draft course can not be bought", async () => {
+  const res = await capture([makeCourse({ status: "Draft" })]);
+
+  assert.strictEqual(res.statusCode, 404);
+  assert.strictEqual(createdOrders, 0);
+});
+
+test("an invalid coupon enrolls nothing, not even the free courses of the cart", async () => {
+  mock.method(Coupon, "findOne", async () => null);
+  const res = await capture([makeCourse({ price: 0 }), makeCourse()], {
+    couponCode: "NOPE",
+  });
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.message, "Invalid coupon code");
+  assert.strictEqual(createdOrders, 0);
+});
@@ -0,0 +1,53 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const { parseCodingExercise } = require("../utils/coding");
+
+const tests = [{ input: "2\n", expectedOutput: "4" }];
+
+test("parseCodingExercise accepts tests sent as JSON and fills in the limits", () => {
+  const parsed = parseCodingExercise({
+    language: "python",
+    tests: JSON.stringify([
+      { input: "2\n", expectedOutput: "4", hidden: false },
+      { expectedOutput: "0" },
+    ]),
+  });
+
+  assert.strictEqual(parsed.starterCode, "");
+  assert.strictEqual(parsed.timeLimit, 2000);
+  assert.strictEqual(parsed.memoryLimit, 128);
+  assert.deepStrictEqual(parsed.tests, [
+    { input: "2\n", expectedOutput: "4", hidden: false },
+    { input: "", expectedOutput: "0", hidden: true },
+  ]);
+});
+
+test("parseCodingExercise rejects unusable exercises", () => {
+  const rejects = (fields, message) =>
+    assert.throws(
+      () => parseCodingExercise({ language: "javascript", tests, ...fields }),
+      { message }
+    );
+
+  rejects({ language: "cobol" }, /^Pick one of the languages/);
+  rejects({ tests: "not json" }, "Test cases are not valid");
+  rejects({ tests: [] }, "Add at least one test case");
+  rejects(
+    { tests: Array(31).fill(tests[0]) },
+    "An exercise can have at most 30 test cases"
+  );
+  rejects(
+    { tests: [{ input: "1", expectedOutput: "  " }] },
+    "Test 1 needs an expected output"
+  );
+  rejects({ timeLimit: 100 }, "Time limit (ms) must be between 500 and 5000");
+  rejects(
+    { memoryLimit: "1.5" },
+    "Memory limit (MB) must be between 32 and 512"
+  );
+  rejects(
+    { starterCode: "x".repeat(64 * 1024 + 1) },
+    "The starter file is too long"
+  );
+});
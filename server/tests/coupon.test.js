@@ -0,0 +1,137 @@
+const { test, mock, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+
+const Coupon = require("../models/Coupon");
+const Order = require("../models/Order");
+const {
+  isCourseEligible,
+  applyCoupon,
+  splitDiscount,
+} = require("../utils/coupon");
+
+const id = () => new mongoose.Types.ObjectId();
+
+const makeCoupon = (fields) => ({
+  _id: id(),
+  code: "SAVE",
+  active: true,
+  discountType: "Percentage",
+  discountValue: 10,
+  usedCount: 0,
+  applicableCourses: [],
+  applicableCategories: [],
+  applicableInstructors: [],
+  ...fields,
+});
+
+const makeCourse = (fields) => ({
+  _id: id(),
+  category: id(),
+  instructor: id(),
+  price: 1000,
+  ...fields,
+});
+
+beforeEach(() => {
+  mock.restoreAll();
+  mock.method(Order, "countDocuments", async () => 0);
+});
+
+test("a coupon without restrictions covers every course", () => {
+  assert.strictEqual(isCourseEligible(makeCoupon(), makeCourse()), true);
+});
+
+test("every restriction of a coupon must match", () => {
+  const instructor = id();
+  const own = makeCourse({ instructor });
+  const other = makeCourse({ instructor });
+  const coupon = makeCoupon({
+    applicableCourses: [own._id],
+    applicableInstructors: [instructor],
+  });
+
+  assert.strictEqual(isCourseEligible(coupon, own), true);
+  assert.strictEqual(isCourseEligible(coupon, other), false);
+  assert.strictEqual(
+    isCourseEligible(coupon, makeCourse({ _id: own._id })),
+    false
+  );
+});
+
+test("a category coupon covers only courses of that category", () => {
+  const category = id();
+  const coupon = makeCoupon({ applicableCategories: [category] });
+
+  assert.strictEqual(isCourseEligible(coupon, makeCourse({ category })), true);
+  assert.strictEqual(isCourseEligible(coupon, makeCourse()), false);
+});
+
+test("the discount is taken only off eligible courses", async () => {
+  const eligible = makeCourse({ price: 1000 });
+  const other = makeCourse({ price: 500 });
+  const coupon = makeCoupon({ applicableCourses: [eligible._id] });
+  mock.method(Coupon, "findOne", async () => coupon);
+
+  const result = await applyCoupon(" save ", id(), [eligible, other]);
+
+  assert.strictEqual(result.discount, 100);
+  assert.deepStrictEqual(result.itemDiscounts, {
+    [eligible._id.toString()]: 100,
+  });
+});
+
+test("a percentage discount is capped by maxDiscount and a flat one by the price", async () => {
+  const course = makeCourse({ price: 1000 });
+  mock.method(Coupon, "findOne", async () =>
+    makeCoupon({ discountValue: 50, maxDiscount: 200 })
+  );
+  assert.strictEqual((await applyCoupon("SAVE", id(), [course])).discount, 200);
+
+  mock.method(Coupon, "findOne", async () =>
+    makeCoupon({ discountType: "Flat", discountValue: 5000 })
+  );
+  assert.strictEqual((await applyCoupon("SAVE", id(), [course])).discount, 1000);
+});
+
+test("applyCoupon rejects unusable coupons", async () => {
+  const course = makeCourse();
+  const rejects = async (coupon, message) => {
+    mock.method(Coupon, "findOne", async () => coupon);
+    await assert.rejects(applyCoupon("SAVE", id(), [course]), { message });
+  };
+
+  await rejects(null, "Invalid coupon code");
+  await rejects(
+    makeCoupon({ expiresAt: new Date(Date.now() - 1000) }),
+    "This coupon has expired"
+  );
+  await rejects(
+    makeCoupon({ usageLimit: 5, usedCount: 5 }),
+    "This coupon has reached its usage limit"
+  );
+  await rejects(
+    makeCoupon({ applicableCourses: [id()] }),
+    "This coupon is not applicable to the courses in your cart"
+  );
+
+  mock.method(Order, "countDocuments", async () => 1);
+  await rejects(
+    makeCoupon({ perUserLimit: 1 }),
+    "You have already used this coupon"
+  );
+});
+
+test("splitDiscount splits by price and adds up to the discount", () => {
+  const courses = [
+    makeCourse({ price: 100 }),
+    makeCourse({ price: 100 }),
+    makeCourse({ price: 100 }),
+  ];
+  const shares = splitDiscount(100, courses);
+
+  assert.deepStrictEqual(
+    courses.map((course) => shares[course._id.toString()]),
+    [33, 33, 34]
+  );
+});
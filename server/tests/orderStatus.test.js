@@ -0,0 +1,131 @@
+const { test, mock, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+// read when the Razorpay client is created
+process.env.RAZORPAY_KEY = "rzp_test_key";
+process.env.RAZORPAY_SECRET = "test-secret";
+
+const Course = require("../models/Course");
+const Order = require("../models/Order");
+const { updateOrderStatus, enrollsBuyer } = require("../utils/orderStatus");
+const { verifyPayment } = require("../controllers/Payments");
+
+const id = () => new mongoose.Types.ObjectId();
+
+const makeOrder = (fields) => ({
+  _id: id(),
+  user: id(),
+  purchaseType: "Self",
+  courses: [id()],
+  refundedCourses: [],
+  razorpayOrderId: "order_1",
+  statusHistory: [],
+  ...fields,
+});
+
+// the order lives in memory, updates apply only when their filter matches
+const storeOrder = (order) => {
+  mock.method(Order, "findOneAndUpdate", async (filter, update) => {
+    if (filter.status && !filter.status.$in.includes(order.status)) return null;
+    Object.assign(order, update.$set);
+    if (update.$push) order.statusHistory.push(update.$push.statusHistory);
+    return order;
+  });
+  mock.method(Order, "findOne", async () => order);
+  mock.method(Order, "findById", async () => order);
+};
+
+const response = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (data) => {
+    res.body = data;
+    return res;
+  };
+  return res;
+};
+
+beforeEach(() => mock.restoreAll());
+
+test("an order is paid from Created or Failed", async () => {
+  for (const status of ["Created", "Failed"]) {
+    const order = makeOrder({ status });
+    storeOrder(order);
+    assert.ok(await updateOrderStatus(order, "Paid"));
+    assert.strictEqual(order.status, "Paid");
+  }
+});
+
+test("a refunded order is never paid again", async () => {
+  for (const status of ["Refunded", "PartiallyRefunded", "Paid"]) {
+    const order = makeOrder({ status });
+    storeOrder(order);
+    assert.strictEqual(await updateOrderStatus(order, "Paid"), null);
+    assert.strictEqual(order.status, status);
+    assert.deepStrictEqual(order.statusHistory, []);
+  }
+});
+
+test("only a failed attempt of a new order marks it Failed", async () => {
+  const order = makeOrder({ status: "Paid" });
+  storeOrder(order);
+  assert.strictEqual(await updateOrderStatus(order, "Failed"), null);
+  assert.strictEqual(order.status, "Paid");
+});
+
+test("refunds move a paid order to Refunded once", async () => {
+  const order = makeOrder({ status: "PartiallyRefunded" });
+  storeOrder(order);
+  assert.ok(await updateOrderStatus(order, "Refunded"));
+  assert.strictEqual(await updateOrderStatus(order, "Refunded"), null);
+  assert.strictEqual(order.statusHistory.length, 1);
+});
+
+test("only a plainly paid self order enrolls its buyer", () => {
+  assert.strictEqual(enrollsBuyer(makeOrder({ status: "Paid" })), true);
+  assert.strictEqual(
+    enrollsBuyer(makeOrder({ status: "Paid", purchaseType: "Gift" })),
+    false
+  );
+  assert.strictEqual(
+    enrollsBuyer(makeOrder({ status: "Paid", refundedCourses: [id()] })),
+    false
+  );
+  assert.strictEqual(enrollsBuyer(makeOrder({ status: "Refunded" })), false);
+  assert.strictEqual(enrollsBuyer(null), false);
+});
+
+test("replaying verifyPayment on a refunded order does not enroll again", async () => {
+  const order = makeOrder({ status: "Refunded" });
+  order.refundedCourses = [...order.courses];
+  storeOrder(order);
+  const enroll = mock.method(Course, "findOneAndUpdate", async () => null);
+
+  const paymentId = "pay_1";
+  const signature = crypto
+    .createHmac("sha256", process.env.RAZORPAY_SECRET)
+    .update(`${order.razorpayOrderId}|${paymentId}`)
+    .digest("hex");
+  const res = response();
+  await verifyPayment(
+    {
+      body: {
+        razorpay_order_id: order.razorpayOrderId,
+        razorpay_payment_id: paymentId,
+        razorpay_signature: signature,
+      },
+      user: { id: String(order.user) },
+    },
+    res
+  );
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(enroll.mock.callCount(), 0);
+  assert.strictEqual(order.status, "Refunded");
+  assert.deepStrictEqual(order.statusHistory, []);
+});
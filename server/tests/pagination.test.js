@@ -0,0 +1,89 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+
+const { parseLimit, paginate } = require("../utils/pagination");
+
+// a model whose queries are recorded, `docs` is what every query finds
+const fakeModel = (docs) => {
+  const model = { queries: [] };
+  model.find = (filter) => {
+    const query = { filter };
+    model.queries.push(query);
+    const chain = {
+      sort: (sort) => {
+        query.sort = sort;
+        return chain;
+      },
+      limit: (limit) => {
+        query.limit = limit;
+        return chain;
+      },
+      select: () => chain,
+      populate: () => chain,
+      lean: async () => docs.slice(0, query.limit),
+    };
+    return chain;
+  };
+  return model;
+};
+
+const makeDocs = (count) =>
+  Array.from({ length: count }, (_, index) => ({
+    _id: new mongoose.Types.ObjectId(),
+    createdAt: new Date(Date.UTC(2026, 0, count - index)),
+  }));
+
+test("parseLimit keeps the page size between 1 and 50", () => {
+  assert.strictEqual(parseLimit(undefined), 12);
+  assert.strictEqual(parseLimit("abc"), 12);
+  assert.strictEqual(parseLimit("5"), 5);
+  assert.strictEqual(parseLimit(-3), 1);
+  assert.strictEqual(parseLimit(1000), 50);
+});
+
+test("paginate returns a cursor only when there is a next page", async () => {
+  const docs = makeDocs(5);
+
+  const firstPage = await paginate(fakeModel(docs), {}, { limit: 3 });
+  assert.deepStrictEqual(firstPage.items, docs.slice(0, 3));
+  assert.ok(firstPage.nextCursor);
+
+  const onlyPage = await paginate(fakeModel(docs), {}, { limit: 10 });
+  assert.strictEqual(onlyPage.items.length, 5);
+  assert.strictEqual(onlyPage.nextCursor, null);
+});
+
+test("the next page starts after the last item of the previous one", async () => {
+  const docs = makeDocs(5);
+  const { nextCursor } = await paginate(fakeModel(docs), {}, {
+    field: "createdAt",
+    limit: 2,
+  });
+
+  const model = fakeModel(docs);
+  await paginate(model, { status: "Published" }, {
+    field: "createdAt",
+    cursor: nextCursor,
+    limit: 2,
+  });
+  const [query] = model.queries;
+  assert.deepStrictEqual(query.sort, { createdAt: -1, _id: -1 });
+  assert.deepStrictEqual(query.filter, {
+    $and: [
+      { status: "Published" },
+      {
+        $or: [
+          { createdAt: { $lt: docs[1].createdAt } },
+          { createdAt: docs[1].createdAt, _id: { $lt: String(docs[1]._id) } },
+        ],
+      },
+    ],
+  });
+});
+
+test("an invalid cursor starts from the first page", async () => {
+  const model = fakeModel(makeDocs(2));
+  await paginate(model, { status: "Published" }, { cursor: "not-a-cursor" });
+  assert.deepStrictEqual(model.queries[0].filter, { status: "Published" });
+});
@@ -0,0 +1,128 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+
+const { parseQuiz, gradeAttempt, isValidAnswer } = require("../utils/quiz");
+
+const id = () => new mongoose.Types.ObjectId();
+
+const quiz = {
+  passPercentage: 60,
+  questions: [
+    {
+      _id: id(),
+      questionType: "single",
+      options: ["A", "B"],
+      correctOptions: [1],
+      points: 1,
+    },
+    {
+      _id: id(),
+      questionType: "multiple",
+      options: ["A", "B", "C"],
+      correctOptions: [0, 2],
+      points: 2,
+    },
+    {
+      _id: id(),
+      questionType: "short",
+      acceptedAnswers: ["Event  Loop"],
+      points: 2,
+    },
+  ],
+};
+const [single, multiple, short] = quiz.questions;
+
+test("parseQuiz accepts questions sent as JSON and fills in defaults", () => {
+  const parsed = parseQuiz({
+    questions: JSON.stringify([
+      {
+        questionType: "boolean",
+        prompt: "  Is JavaScript single threaded? ",
+        correctOptions: [0],
+      },
+    ]),
+  });
+
+  assert.strictEqual(parsed.passPercentage, 70);
+  assert.strictEqual(parsed.maxAttempts, 0);
+  assert.strictEqual(parsed.questions[0].prompt, "Is JavaScript single threaded?");
+  assert.deepStrictEqual(parsed.questions[0].options, ["True", "False"]);
+  assert.strictEqual(parsed.questions[0].points, 1);
+});
+
+test("parseQuiz rejects unusable questions", () => {
+  const rejects = (questions, message, fields = {}) =>
+    assert.throws(() => parseQuiz({ questions, ...fields }), { message });
+
+  rejects("not json", "Quiz questions are not valid");
+  rejects([], "Add at least one question to the quiz");
+  rejects([{ questionType: "single", prompt: "" }], "Question 1 has no text");
+  rejects(
+    [{ questionType: "single", prompt: "Q", options: ["A"] }],
+    "Question 1 needs between 2 and 8 options"
+  );
+  rejects(
+    [
+      {
+        questionType: "single",
+        prompt: "Q",
+        options: ["A", "B"],
+        correctOptions: [0, 1],
+      },
+    ],
+    "Question 1 needs exactly one correct option"
+  );
+  rejects(
+    [{ questionType: "short", prompt: "Q", acceptedAnswers: [" "] }],
+    "Question 1 needs at least one accepted answer"
+  );
+  rejects(
+    [{ questionType: "essay", prompt: "Q" }],
+    "Question 1 has an unknown question type"
+  );
+  rejects(
+    [{ questionType: "boolean", prompt: "Q", correctOptions: [1] }],
+    "Pass mark must be between 0 and 100 percent",
+    { passPercentage: 120 }
+  );
+});
+
+test("gradeAttempt scores every correct answer and passes on the pass mark", () => {
+  const result = gradeAttempt(quiz, [
+    { question: single._id, selected: [1] },
+    { question: multiple._id, selected: [2, 0] },
+    { question: short._id, text: " event loop " },
+  ]);
+
+  assert.strictEqual(result.score, 5);
+  assert.strictEqual(result.maxScore, 5);
+  assert.strictEqual(result.percentage, 100);
+  assert.strictEqual(result.passed, true);
+});
+
+test("a multiple choice answer needs every correct option and nothing else", () => {
+  const graded = (selected) =>
+    gradeAttempt(quiz, [{ question: multiple._id, selected }]).answers[1]
+      .correct;
+
+  assert.strictEqual(graded([0]), false);
+  assert.strictEqual(graded([0, 1, 2]), false);
+  assert.strictEqual(graded([0, 2, 2]), true);
+});
+
+test("unanswered questions score nothing", () => {
+  const result = gradeAttempt(quiz, [{ question: single._id, selected: [1] }]);
+
+  assert.strictEqual(result.score, 1);
+  assert.strictEqual(result.percentage, 20);
+  assert.strictEqual(result.passed, false);
+});
+
+test("isValidAnswer accepts only what the quiz player sends", () => {
+  assert.strictEqual(isValidAnswer({ selected: [0, 1] }), true);
+  assert.strictEqual(isValidAnswer({ text: "answer" }), true);
+  assert.strictEqual(isValidAnswer({ selected: ["0"] }), false);
+  assert.strictEqual(isValidAnswer({ text: { $ne: "" } }), false);
+  assert.strictEqual(isValidAnswer(null), false);
+});
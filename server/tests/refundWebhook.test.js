@@ -0,0 +1,120 @@
+const { test, mock, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+// read when the Razorpay client is created
+process.env.RAZORPAY_KEY = "rzp_test_key";
+process.env.RAZORPAY_SECRET = "test-secret";
+process.env.RAZORPAY_WEBHOOK_SECRET = "test-secret";
+
+const Certificate = require("../models/Certificate");
+const Course = require("../models/Course");
+const CourseProgress = require("../models/CourseProgress");
+const EarningEntry = require("../models/EarningEntry");
+const Order = require("../models/Order");
+const RedemptionCode = require("../models/RedemptionCode");
+const User = require("../models/User");
+const { verifySignature } = require("../controllers/Payments");
+
+const id = () => new mongoose.Types.ObjectId();
+
+// a signed refund.processed webhook for a refund made on the Razorpay dashboard
+const refundWebhook = (razorpayOrderId) => {
+  const body = {
+    event: "refund.processed",
+    payload: {
+      refund: { entity: { id: "rfnd_1", notes: {} } },
+      payment: { entity: { id: "pay_1", order_id: razorpayOrderId } },
+    },
+  };
+  const rawBody = Buffer.from(JSON.stringify(body));
+  const signature = crypto
+    .createHmac("sha256", process.env.RAZORPAY_WEBHOOK_SECRET)
+    .update(rawBody)
+    .digest("hex");
+  return { headers: { "x-razorpay-signature": signature }, rawBody, body };
+};
+
+const response = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (data) => {
+    res.body = data;
+    return res;
+  };
+  return res;
+};
+
+// records who lost a course, the database is never reached
+let unenrolledUsers;
+beforeEach(() => {
+  mock.restoreAll();
+  unenrolledUsers = [];
+  mock.method(Course, "findByIdAndUpdate", async () => null);
+  mock.method(Course, "updateOne", async () => null);
+  mock.method(CourseProgress, "findOneAndUpdate", async () => null);
+  mock.method(User, "findByIdAndUpdate", async (userId) => {
+    unenrolledUsers.push(String(userId));
+  });
+  mock.method(EarningEntry, "findOne", async () => null);
+  mock.method(Certificate, "updateMany", async () => null);
+});
+
+const paidOrder = (purchaseType) => {
+  const courseId = id();
+  return {
+    _id: id(),
+    user: id(),
+    purchaseType,
+    courses: [courseId],
+    items: [{ course: courseId, quantity: 2 }],
+    refundedCourses: [],
+    razorpayOrderId: "order_1",
+    status: "Paid",
+  };
+};
+
+test("refunding a seat order unenrolls the students who redeemed its codes, not the buyer", async () => {
+  const order = paidOrder("Seats");
+  const student = id();
+  mock.method(Order, "findOne", async () => order);
+  mock.method(Order, "findOneAndUpdate", async () => ({
+    ...order,
+    status: "Refunded",
+  }));
+  const revoke = mock.method(RedemptionCode, "updateMany", async () => null);
+  mock.method(RedemptionCode, "find", async () => [
+    { course: order.courses[0], redeemedBy: student },
+  ]);
+
+  const res = response();
+  await verifySignature(refundWebhook(order.razorpayOrderId), res);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(revoke.mock.calls[0].arguments, [
+    { order: order._id },
+    { revoked: true },
+  ]);
+  assert.deepStrictEqual(unenrolledUsers, [String(student)]);
+});
+
+test("refunding a self purchase unenrolls the buyer", async () => {
+  const order = paidOrder("Self");
+  mock.method(Order, "findOne", async () => order);
+  mock.method(Order, "findOneAndUpdate", async () => ({
+    ...order,
+    status: "Refunded",
+  }));
+  const revoke = mock.method(RedemptionCode, "updateMany", async () => null);
+
+  const res = response();
+  await verifySignature(refundWebhook(order.razorpayOrderId), res);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(revoke.mock.callCount(), 0);
+  assert.deepStrictEqual(unenrolledUsers, [String(order.user)]);
+});
@@ -0,0 +1,117 @@
+const { test, mock, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+
+const Certificate = require("../models/Certificate");
+const Course = require("../models/Course");
+const CourseProgress = require("../models/CourseProgress");
+const EarningEntry = require("../models/EarningEntry");
+const Order = require("../models/Order");
+const RefundRequest = require("../models/RefundRequest");
+const User = require("../models/User");
+const { completeRefund } = require("../utils/refunds");
+
+const id = () => new mongoose.Types.ObjectId();
+
+// the order and refund request live in memory, updates apply only when
+// their filter matches
+let order;
+let refundRequest;
+let soldUpdates;
+beforeEach(() => {
+  mock.restoreAll();
+  const courses = [id(), id()];
+  order = {
+    _id: id(),
+    user: id(),
+    purchaseType: "Self",
+    courses,
+    items: courses.map((course) => ({ course, quantity: 1 })),
+    refundedCourses: [],
+    status: "Paid",
+  };
+  refundRequest = {
+    _id: id(),
+    user: order.user,
+    order: order._id,
+    course: courses[0],
+    status: "Approved",
+    salesReversed: false,
+  };
+  soldUpdates = 0;
+
+  mock.method(Certificate, "updateMany", async () => null);
+  mock.method(Course, "findByIdAndUpdate", async () => null);
+  mock.method(CourseProgress, "findOneAndUpdate", async () => null);
+  mock.method(User, "findByIdAndUpdate", async () => null);
+  mock.method(EarningEntry, "findOne", async () => null);
+  mock.method(Course, "updateOne", async () => {
+    soldUpdates++;
+  });
+
+  mock.method(Order, "findByIdAndUpdate", async (orderId, update) => {
+    const course = update.$addToSet.refundedCourses;
+    if (!order.refundedCourses.some((id) => id.equals(course))) {
+      order.refundedCourses.push(course);
+    }
+    return order;
+  });
+  mock.method(Order, "findOneAndUpdate", async (filter, update) => {
+    if (!filter.status.$in.includes(order.status)) return null;
+    Object.assign(order, update.$set);
+    return order;
+  });
+
+  mock.method(RefundRequest, "findOneAndUpdate", async (filter, update) => {
+    if (filter.status && filter.status !== refundRequest.status) return null;
+    if (filter.salesReversed && refundRequest.salesReversed) return null;
+    Object.assign(refundRequest, update);
+    return refundRequest;
+  });
+  mock.method(RefundRequest, "updateOne", async (filter, update) => {
+    Object.assign(refundRequest, update);
+  });
+  mock.method(RefundRequest, "findById", async () => refundRequest);
+});
+
+test("a refund is Processed once every step is done", async () => {
+  const result = await completeRefund(refundRequest);
+
+  assert.strictEqual(result.status, "Processed");
+  assert.strictEqual(order.status, "PartiallyRefunded");
+  assert.deepStrictEqual(order.refundedCourses, [refundRequest.course]);
+  assert.strictEqual(soldUpdates, 1);
+});
+
+test("a failed step leaves the refund Approved and a retry finishes it", async () => {
+  mock.method(Course, "updateOne", async () => {
+    throw new Error("connection lost");
+  });
+  await assert.rejects(completeRefund(refundRequest), /connection lost/);
+  assert.strictEqual(refundRequest.status, "Approved");
+  assert.strictEqual(refundRequest.salesReversed, false);
+
+  mock.method(Course, "updateOne", async () => {
+    soldUpdates++;
+  });
+  const result = await completeRefund(refundRequest);
+  assert.strictEqual(result.status, "Processed");
+  assert.strictEqual(soldUpdates, 1);
+});
+
+test("finishing a refund twice lowers the course sales once", async () => {
+  await completeRefund(refundRequest);
+  const result = await completeRefund(refundRequest);
+
+  assert.strictEqual(result.status, "Processed");
+  assert.strictEqual(soldUpdates, 1);
+  assert.strictEqual(order.refundedCourses.length, 1);
+});
+
+test("refunding the last course refunds the order", async () => {
+  order.status = "PartiallyRefunded";
+  order.refundedCourses = [order.courses[1]];
+
+  await completeRefund(refundRequest);
+  assert.strictEqual(order.status, "Refunded");
+});
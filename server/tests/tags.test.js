@@ -0,0 +1,27 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const { normalizeTagNames } = require("../utils/tags");
+
+test("tag names are trimmed and their spaces collapsed", () => {
+  assert.deepStrictEqual(normalizeTagNames(["  node   JS ", "React"]), [
+    "node JS",
+    "React",
+  ]);
+});
+
+test("repeated and empty tags are dropped, the first spelling is kept", () => {
+  assert.deepStrictEqual(
+    normalizeTagNames(["React", "react", " REACT ", "", null, "  "]),
+    ["React"]
+  );
+});
+
+test("a course keeps at most 20 tags", () => {
+  const names = Array.from({ length: 25 }, (_, i) => `tag ${i}`);
+  assert.deepStrictEqual(normalizeTagNames(names), names.slice(0, 20));
+});
+
+test("no tags gives an empty list", () => {
+  assert.deepStrictEqual(normalizeTagNames(), []);
+});
@@ -0,0 +1,125 @@
+const mongoose = require("mongoose");
+const { parseLink } = require("./lessons");
+
+const MAX_CRITERIA = 20;
+const MAX_CRITERION_POINTS = 100;
+// what one submission may hold
+const MAX_FILES = 5;
+const MAX_LINKS = 5;
+const MAX_FILE_SIZE = 25 * 1024 * 1024;
+
+// multipart forms send booleans as strings
+const toBoolean = (value, fallback) =>
+  value === undefined || value === "" ? fallback : String(value) === "true";
+
+const parseList = (value, label) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${label} are not valid`);
+  }
+};
+
+// ================ parse Assignment ================
+// Validates the assignment sent by the course builder - `rubric` may be a JSON
+// string (multipart forms). Throws an Error with a user facing message when it
+// is not usable. Returns { instructions, allowFiles, allowLinks, rubric }.
+exports.parseAssignment = ({ instructions, allowFiles, allowLinks, rubric }) => {
+  const parsed = {
+    instructions: String(instructions || "").trim(),
+    allowFiles: toBoolean(allowFiles, true),
+    allowLinks: toBoolean(allowLinks, true),
+  };
+  if (!parsed.allowFiles && !parsed.allowLinks) {
+    throw new Error("Let students hand in files, links or both");
+  }
+
+  rubric = parseList(rubric, "Rubric criteria");
+  if (!Array.isArray(rubric) || !rubric.length) {
+    throw new Error("Add at least one rubric criterion");
+  }
+  if (rubric.length > MAX_CRITERIA) {
+    throw new Error(`A rubric can have at most ${MAX_CRITERIA} criteria`);
+  }
+
+  parsed.rubric = rubric.map((item, i) => {
+    const criterion = String(item.criterion || "").trim();
+    if (!criterion) throw new Error(`Criterion ${i + 1} has no name`);
+    const points = Number(item.points);
+    if (!Number.isInteger(points) || points < 1 || points > MAX_CRITERION_POINTS) {
+      throw new Error(
+        `Criterion ${i + 1} must be worth between 1 and ${MAX_CRITERION_POINTS} points`
+      );
+    }
+    const result = {
+      criterion,
+      description: String(item.description || "").trim(),
+      points,
+    };
+    // an edited criterion keeps its id, so earlier grades still line up
+    if (mongoose.isValidObjectId(item._id)) result._id = item._id;
+    return result;
+  });
+
+  return parsed;
+};
+
+// ================ parse Submission ================
+// Checks what a student hands in against what the assignment allows. `files`
+// is req.files.files (one file or a list), `links` may be a JSON string.
+// Throws an Error with a user facing message. Returns { files, links }.
+exports.parseSubmission = (assignment, files, links) => {
+  files = files ? [].concat(files) : [];
+  links = parseList(links, "Links") || [];
+  if (!Array.isArray(links)) throw new Error("Links are not valid");
+  links = links.map((link) => String(link || "").trim()).filter(Boolean);
+
+  if (files.length && !assignment.allowFiles) {
+    throw new Error("This assignment only takes links");
+  }
+  if (links.length && !assignment.allowLinks) {
+    throw new Error("This assignment only takes files");
+  }
+  if (!files.length && !links.length) {
+    throw new Error("Add your work before submitting");
+  }
+  if (files.length > MAX_FILES) {
+    throw new Error(`You can upload at most ${MAX_FILES} files`);
+  }
+  if (links.length > MAX_LINKS) {
+    throw new Error(`You can add at most ${MAX_LINKS} links`);
+  }
+  if (files.some((file) => file.size > MAX_FILE_SIZE)) {
+    throw new Error("Files can be at most 25 MB");
+  }
+
+  return { files, links: links.map(parseLink) };
+};
+
+// ================ grade Submission ================
+// `scores` is [{ criterion, points }] with an entry for every rubric criterion.
+// Throws an Error with a user facing message. Returns { scores, score, maxScore }.
+exports.gradeSubmission = (assignment, scores) => {
+  scores = parseList(scores, "Scores") || [];
+  if (!Array.isArray(scores)) throw new Error("Scores are not valid");
+
+  const graded = assignment.rubric.map((item) => {
+    const entry = scores.find(
+      (score) => String(score.criterion) === item._id.toString()
+    );
+    const points = Number(entry?.points);
+    if (!entry || !Number.isFinite(points) || points < 0 || points > item.points) {
+      throw new Error(
+        `Give "${item.criterion}" between 0 and ${item.points} points`
+      );
+    }
+    return { criterion: item._id, points };
+  });
+
+  return {
+    scores: graded,
+    score: graded.reduce((acc, entry) => acc + entry.points, 0),
+    maxScore: assignment.rubric.reduce((acc, item) => acc + item.points, 0),
+  };
+};
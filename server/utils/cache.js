@@ -0,0 +1,37 @@
+// in-process cache for hot public reads (catalog pages, course listings)
+// entries expire after their ttl, writes drop them earlier by key prefix
+const store = new Map();
+const MAX_ENTRIES = 500;
+// bumped on every invalidation, a load that started before it is not stored
+let generation = 0;
+
+const sweep = () => {
+  const now = Date.now();
+  for (const [key, entry] of store) {
+    if (entry.expiresAt <= now) store.delete(key);
+  }
+  // still full of live entries - drop the oldest
+  while (store.size >= MAX_ENTRIES) store.delete(store.keys().next().value);
+};
+
+// ================ read through the cache ================
+exports.cached = async (key, ttl, load) => {
+  const entry = store.get(key);
+  if (entry && entry.expiresAt > Date.now()) return entry.value;
+
+  const startedAt = generation;
+  const value = await load();
+  if (startedAt !== generation) return value;
+  if (store.size >= MAX_ENTRIES) sweep();
+  store.set(key, { value, expiresAt: Date.now() + ttl });
+  return value;
+};
+
+// ================ drop cached entries ================
+// e.g. invalidateCache("catalog:") after a course is created or edited
+exports.invalidateCache = (prefix = "") => {
+  generation++;
+  for (const key of store.keys()) {
+    if (key.startsWith(prefix)) store.delete(key);
+  }
+};
@@ -0,0 +1,68 @@
+const Category = require("../models/Category");
+
+// "Web Development" -> "web-development"
+exports.slugify = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/\+/g, "-plus")
+    .replace(/#/g, "-sharp")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+// ================ free slug for a category ================
+// a taken slug is prefixed with the parent's ("web-react"), then numbered
+exports.uniqueSlug = async (name, parent, excludeId) => {
+  const base = exports.slugify(name) || "category";
+  const candidates = [base];
+  if (parent?.slug) candidates.push(`${parent.slug}-${base}`);
+
+  const isFree = async (slug) =>
+    !(await Category.exists({ slug, _id: { $ne: excludeId } }));
+
+  for (const slug of candidates) {
+    if (await isFree(slug)) return slug;
+  }
+  const last = candidates[candidates.length - 1];
+  for (let i = 2; ; i++) {
+    if (await isFree(`${last}-${i}`)) return `${last}-${i}`;
+  }
+};
+
+// ================ a category and everything below it ================
+// catalog pages and search list the courses of the whole branch
+exports.getCategoryBranch = async (categoryId) => {
+  const descendants = await Category.find({ ancestors: categoryId })
+    .select("_id")
+    .lean();
+  return [categoryId, ...descendants.map((category) => category._id)];
+};
+
+// ================ top level first, down to the category itself ================
+exports.getBreadcrumb = async (category) => {
+  if (!category) return [];
+  const ancestors = await Category.find({
+    _id: { $in: category.ancestors || [] },
+  })
+    .select("name slug")
+    .lean();
+
+  return [
+    ...(category.ancestors || [])
+      .map((id) => ancestors.find((ancestor) => ancestor._id.equals(id)))
+      .filter(Boolean),
+    { _id: category._id, name: category.name, slug: category.slug },
+  ];
+};
+
+// ================ give older categories a slug ================
+// categories created before nesting existed are top level, runs once after connecting
+exports.backfillCategorySlugs = async () => {
+  const categories = await Category.find({ slug: { $exists: false } });
+  for (const category of categories) {
+    category.slug = await exports.uniqueSlug(category.name, null, category._id);
+    if (category.parent === undefined) category.parent = null;
+    await category.save();
+  }
+};
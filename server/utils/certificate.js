@@ -0,0 +1,242 @@
+const crypto = require("crypto");
+const PDFDocument = require("pdfkit");
+
+const Certificate = require("../models/Certificate");
+const Course = require("../models/Course");
+const CourseProgress = require("../models/CourseProgress");
+const User = require("../models/User");
+const QuizAttempt = require("../models/QuizAttempt");
+const CodeSubmission = require("../models/CodeSubmission");
+const AssignmentSubmission = require("../models/AssignmentSubmission");
+const { certificateConfig } = require("../config/certificate");
+const { certificateEmail } = require("../mail/templates/certificateEmail");
+const mailSender = require("./mailSender");
+
+// no 0/O or 1/I, so ids can be typed from a printed certificate
+const ID_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+// e.g. "SN-K7QM-X2PD-9RTA"
+const generateCertificateId = () => {
+  const chars = Array.from(
+    crypto.randomBytes(12),
+    (byte) => ID_ALPHABET[byte % ID_ALPHABET.length]
+  );
+  const groups = [0, 4, 8].map((i) => chars.slice(i, i + 4).join(""));
+  return [certificateConfig.prefix, ...groups].join("-");
+};
+
+exports.certificateUrl = (certificateId) =>
+  `${certificateConfig.siteUrl}/certificates/${certificateId}`;
+
+// graded lessons count only while their pass still stands - a quiz passed,
+// tests passed or an assignment graded
+const lessonPassed = (lesson, userId) => {
+  switch (lesson.type) {
+    case "Quiz":
+      return QuizAttempt.exists({ user: userId, quiz: lesson.quiz, passed: true });
+    case "Coding":
+      return CodeSubmission.exists({
+        user: userId,
+        exercise: lesson.codingExercise,
+        verdict: "Passed",
+      });
+    case "Assignment":
+      return AssignmentSubmission.exists({
+        user: userId,
+        assignment: lesson.assignment,
+        status: "Graded",
+      });
+    default:
+      return true;
+  }
+};
+
+// ================ has the student completed the course ================
+// every lesson of the course is in the progress, and every graded lesson passed
+const hasCompletedCourse = async (course, courseProgress, userId) => {
+  const lessons = course.courseContent.flatMap((section) => section.subSection);
+  if (!lessons.length) return false;
+
+  const completed = new Set(
+    courseProgress.completedVideos.map((id) => id.toString())
+  );
+  if (!lessons.every((lesson) => completed.has(lesson._id.toString()))) {
+    return false;
+  }
+
+  const passed = await Promise.all(
+    lessons.map((lesson) => lessonPassed(lesson, userId))
+  );
+  return passed.every(Boolean);
+};
+
+// ================ issue the Certificate of a completed course ================
+// runs whenever a lesson is completed - returns the certificate, or null while
+// the course is not completed. Emails the PDF when it is issued.
+exports.issueCertificate = async (userId, courseId) => {
+  const existingCertificate = await Certificate.findOne({
+    user: userId,
+    course: courseId,
+  });
+  if (existingCertificate && !existingCertificate.revoked) {
+    return existingCertificate;
+  }
+
+  const [courseProgress, course] = await Promise.all([
+    CourseProgress.findOne({ courseID: courseId, userId, archived: { $ne: true } }),
+    Course.findById(courseId)
+      .populate({
+        path: "courseContent",
+        populate: {
+          path: "subSection",
+          select: "type quiz codingExercise assignment",
+        },
+      })
+      .populate("instructor", "firstName lastName"),
+  ]);
+  if (!courseProgress || !course) return null;
+  if (!(await hasCompletedCourse(course, courseProgress, userId))) return null;
+
+  // enrolled again after a refund, the course is still completed
+  if (existingCertificate) {
+    return Certificate.findByIdAndUpdate(
+      existingCertificate._id,
+      { revoked: false, $unset: { revokedAt: 1 } },
+      { new: true }
+    );
+  }
+
+  const user = await User.findById(userId);
+
+  let certificate;
+  try {
+    certificate = await Certificate.create({
+      certificateId: generateCertificateId(),
+      user: userId,
+      course: courseId,
+      studentName: `${user.firstName} ${user.lastName}`,
+      courseName: course.courseName,
+      instructorName: course.instructor
+        ? `${course.instructor.firstName} ${course.instructor.lastName}`
+        : "",
+      completedAt: courseProgress.lastActivityAt || Date.now(),
+    });
+  } catch (error) {
+    // the last two lessons completed at the same time
+    if (error.code === 11000) {
+      return Certificate.findOne({ user: userId, course: courseId });
+    }
+    throw error;
+  }
+
+  await mailSender(
+    user.email,
+    `Your certificate for ${course.courseName}`,
+    certificateEmail(
+      user.firstName,
+      course.courseName,
+      certificate.certificateId,
+      exports.certificateUrl(certificate.certificateId)
+    ),
+    [
+      {
+        filename: `Certificate-${certificate.certificateId}.pdf`,
+        content: await exports.renderCertificatePdf(certificate),
+        contentType: "application/pdf",
+      },
+    ]
+  );
+
+  return certificate;
+};
+
+// ================ issue Certificates missing after a failure ================
+// courses completed since `since` (all of them without it) that have no valid
+// certificate yet - one failing certificate does not stop the others
+exports.issuePendingCertificates = async (since) => {
+  const courseProgress = await CourseProgress.find({
+    archived: { $ne: true },
+    "completedVideos.0": { $exists: true },
+    ...(since && { lastActivityAt: { $gte: since } }),
+  })
+    .select("userId courseID")
+    .lean();
+
+  for (const progress of courseProgress) {
+    const issued = await Certificate.exists({
+      user: progress.userId,
+      course: progress.courseID,
+      revoked: { $ne: true },
+    });
+    if (issued) continue;
+    try {
+      await exports.issueCertificate(progress.userId, progress.courseID);
+    } catch (error) {
+      console.log("Error while issuing certificate");
+      console.log(error);
+    }
+  }
+};
+
+// ================ render a Certificate as PDF ================
+// landscape A4 with the built in PDF fonts
+exports.renderCertificatePdf = (certificate) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", layout: "landscape", margin: 60 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const { width, height } = doc.page;
+    const center = { align: "center", width: width - 120 };
+
+    // double border
+    doc.lineWidth(4).strokeColor("#161D29");
+    doc.rect(20, 20, width - 40, height - 40).stroke();
+    doc.lineWidth(1).strokeColor("#FFD60A");
+    doc.rect(32, 32, width - 64, height - 64).stroke();
+
+    doc.fillColor("#161D29");
+    doc.font("Helvetica-Bold").fontSize(14);
+    doc.text(certificateConfig.issuer.toUpperCase(), 60, 70, {
+      ...center,
+      characterSpacing: 4,
+    });
+    doc.moveDown(1.5);
+    doc.font("Times-Bold").fontSize(36).text("Certificate of Completion", center);
+    doc.moveDown(1);
+    doc.font("Helvetica").fontSize(13).fillColor("#585D69");
+    doc.text("This is to certify that", center);
+    doc.moveDown(0.6);
+    doc.font("Times-BoldItalic").fontSize(30).fillColor("#161D29");
+    doc.text(certificate.studentName, center);
+    doc.moveDown(0.6);
+    doc.font("Helvetica").fontSize(13).fillColor("#585D69");
+    doc.text("has successfully completed the course", center);
+    doc.moveDown(0.6);
+    doc.font("Helvetica-Bold").fontSize(20).fillColor("#161D29");
+    doc.text(certificate.courseName, center);
+    if (certificate.instructorName) {
+      doc.moveDown(0.4);
+      doc.font("Helvetica").fontSize(12).fillColor("#585D69");
+      doc.text(`taught by ${certificate.instructorName}`, center);
+    }
+
+    // footer - date, id and where to verify it
+    const completedOn = certificate.completedAt.toLocaleDateString("en-IN", {
+      day: "numeric",
+      month: "long",
+      year: "numeric",
+    });
+    doc.font("Helvetica").fontSize(10).fillColor("#585D69");
+    doc.text(`Completed on ${completedOn}`, 60, height - 120, center);
+    doc.text(`Certificate ID: ${certificate.certificateId}`, center);
+    doc.text(
+      `Verify at ${exports.certificateUrl(certificate.certificateId)}`,
+      center
+    );
+
+    doc.end();
+  });
+};
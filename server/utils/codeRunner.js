@@ -0,0 +1,428 @@
+const { spawn } = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+
+const { sandboxConfig } = require("../config/sandbox");
+
+// output kept per stream - a program printing more than this is stopped
+const MAX_OUTPUT = 64 * 1024;
+// stored per test, the rest is cut off
+const MAX_STORED_OUTPUT = 4 * 1024;
+// programs running at the same time, later submissions wait for a free slot
+const MAX_RUNNING = 2;
+
+// Node's permission model - the program may only read its own file, and cannot
+// start processes or workers. Newer Node versions dropped "experimental".
+const NODE_PERMISSION_FLAG = process.allowedNodeEnvironmentFlags.has(
+  "--permission"
+)
+  ? "--permission"
+  : "--experimental-permission";
+
+// caps the address space of the Python program before running it, argv: memory
+// limit in MB, file
+const PYTHON_LAUNCHER = [
+  "import resource, runpy, sys",
+  "limit = int(sys.argv[1]) * 1024 * 1024",
+  "resource.setrlimit(resource.RLIMIT_AS, (limit, limit))",
+  "path = sys.argv[2]",
+  "sys.argv = [path]",
+  "runpy.run_path(path, run_name='__main__')",
+].join("\n");
+
+// `overhead` - MB the interpreter itself needs on top of the exercise's limit
+const LANGUAGES = {
+  javascript: {
+    file: "main.js",
+    overhead: 64,
+    command: () => process.execPath,
+    args: (file, memoryLimit) => [
+      NODE_PERMISSION_FLAG,
+      `--allow-fs-read=${file}`,
+      `--max-old-space-size=${memoryLimit}`,
+      "--no-warnings",
+      file,
+    ],
+  },
+  python: {
+    file: "main.py",
+    overhead: 16,
+    command: () => process.env.PYTHON_BIN || "python3",
+    // -I isolated mode, no user site packages or PYTHON* variables
+    args: (file, memoryLimit) => [
+      "-I",
+      "-c",
+      PYTHON_LAUNCHER,
+      String(memoryLimit),
+      file,
+    ],
+  },
+};
+exports.LANGUAGES = Object.keys(LANGUAGES);
+
+// ================ sandbox ================
+// where the code folder shows up in the sandbox
+const SANDBOX_CODE = "/sandbox";
+// exit status of the sandbox script when the sandbox could not be set up
+const SANDBOX_FAILED = 125;
+const SANDBOX_PATH =
+  "/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin";
+
+// Runs in new mount, pid, network, ipc and uts namespaces as root - joins the
+// cgroup, builds a read-only root on a tmpfs, then runs the command in it with
+// the sandbox uid, no new privileges and the process limit.
+// argv: root cgroupProcs uid gid maxProcesses code mounts... -- command...
+const SANDBOX_SCRIPT = `
+set -e
+trap 'exit ${SANDBOX_FAILED}' EXIT
+root=$1 procs=$2 uid=$3 gid=$4 nproc=$5 code=$6
+shift 6
+
+echo $$ > "$procs"
+mount -t tmpfs -o mode=755,size=1m sandbox "$root"
+while [ "$1" != -- ]; do
+  if [ -e "$root$1" ] || [ ! -e "$1" ]; then
+    :
+  elif [ -L "$1" ]; then
+    mkdir -p "$root$(dirname "$1")"
+    ln -s "$(readlink "$1")" "$root$1"
+  else
+    mkdir -p "$root$(dirname "$1")"
+    if [ -d "$1" ]; then mkdir "$root$1"; else touch "$root$1"; fi
+    mount --bind -o ro,nosuid,nodev "$1" "$root$1"
+  fi
+  shift
+done
+shift
+
+mkdir "$root/dev" "$root/proc" "$root${SANDBOX_CODE}"
+for device in null zero random urandom; do
+  touch "$root/dev/$device"
+  mount --bind "/dev/$device" "$root/dev/$device"
+done
+mount -t proc -o nosuid,nodev,noexec proc "$root/proc"
+mount --bind -o ro,nosuid,nodev "$code" "$root${SANDBOX_CODE}"
+mount -o remount,ro "$root"
+
+exec chroot "$root" prlimit --nproc="$nproc" --core=0 --fsize=0 -- \
+  setpriv --reuid="$uid" --regid="$gid" --clear-groups --no-new-privs -- "$@"
+`;
+
+const exists = (file) =>
+  fs.access(file).then(
+    () => true,
+    () => false
+  );
+
+// files written only when the kernel has them, e.g. no swap accounting
+const writeIfExists = async (file, value) => {
+  if (await exists(file)) await fs.writeFile(file, value);
+};
+
+// ================ memory cgroup of a run ================
+// cgroup v2, or the memory hierarchy of cgroup v1
+const createCgroup = async (memoryLimit) => {
+  const { cgroupRoot } = sandboxConfig;
+  const v2 = await exists(path.join(cgroupRoot, "cgroup.controllers"));
+  const dir = path.join(
+    cgroupRoot,
+    v2 ? "" : "memory",
+    `studynotion-run-${crypto.randomUUID()}`
+  );
+  const bytes = String(memoryLimit * 1024 * 1024);
+
+  await fs.mkdir(dir);
+  if (v2) {
+    await fs.writeFile(path.join(dir, "memory.max"), bytes);
+    await writeIfExists(path.join(dir, "memory.swap.max"), "0");
+  } else {
+    await fs.writeFile(path.join(dir, "memory.limit_in_bytes"), bytes);
+    await writeIfExists(path.join(dir, "memory.memsw.limit_in_bytes"), bytes);
+  }
+
+  return {
+    procs: path.join(dir, "cgroup.procs"),
+    // the kernel killed a process of the run for going over the limit
+    oomKilled: async () => {
+      const events = await fs.readFile(
+        path.join(dir, v2 ? "memory.events" : "memory.oom_control"),
+        "utf8"
+      );
+      return Number(events.match(/oom_kill (\d+)/)?.[1]) > 0;
+    },
+    // every process of the run, the sandbox uid drops the parent death signal
+    // so stopping unshare alone leaves them running
+    kill: async () => {
+      for (let tries = 0; tries < 20; tries++) {
+        const procs = await fs
+          .readFile(path.join(dir, "cgroup.procs"), "utf8")
+          .catch(() => "");
+        const pids = procs.split("\n").filter(Boolean);
+        if (!pids.length) return;
+        for (const pid of pids) {
+          try {
+            process.kill(Number(pid), "SIGKILL");
+          } catch {
+            // exited meanwhile
+          }
+        }
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+    },
+    // busy until the last process of the run has exited
+    remove: async () => {
+      for (let tries = 0; ; tries++) {
+        try {
+          return await fs.rmdir(dir);
+        } catch (error) {
+          if (error.code !== "EBUSY" || tries === 20) throw error;
+          await new Promise((resolve) => setTimeout(resolve, 50));
+        }
+      }
+    },
+  };
+};
+
+// ================ run slots ================
+let running = 0;
+const waiting = [];
+
+const acquireSlot = () => {
+  if (running < MAX_RUNNING) {
+    running++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => waiting.push(resolve));
+};
+
+// the slot goes straight to the next waiting run
+const releaseSlot = () => {
+  const next = waiting.shift();
+  if (next) next();
+  else running--;
+};
+
+// ================ run a program once ================
+// in the sandbox, with nothing from the server environment (no secrets),
+// killed when over the time limit or printing too much
+const runSandboxed = async ({
+  command,
+  args,
+  dir,
+  mounts,
+  memoryLimit,
+  input,
+  timeLimit,
+}) => {
+  const cgroup = await createCgroup(memoryLimit);
+  try {
+    const run = await runProgram({
+      command: "unshare",
+      args: [
+        "--mount",
+        "--propagation=private",
+        "--pid",
+        "--fork",
+        "--kill-child",
+        "--net",
+        "--ipc",
+        "--uts",
+        "--",
+        "sh",
+        "-c",
+        SANDBOX_SCRIPT,
+        "sandbox",
+        path.join(dir, "root"),
+        cgroup.procs,
+        String(sandboxConfig.uid),
+        String(sandboxConfig.gid),
+        String(sandboxConfig.maxProcesses),
+        path.join(dir, "code"),
+        ...mounts,
+        "--",
+        command,
+        ...args,
+      ],
+      cwd: dir,
+      input,
+      timeLimit,
+      kill: cgroup.kill,
+    });
+    if (run.code === SANDBOX_FAILED && !run.stdout) {
+      throw new Error(`Could not start the code sandbox: ${run.stderr}`);
+    }
+    return {
+      ...run,
+      // unshare reports the program being killed
+      stderr: run.stderr.replace(/^unshare: .*\n?/gm, ""),
+      memoryExceeded: await cgroup.oomKilled(),
+    };
+  } finally {
+    // a cgroup left behind must not hide how the run went
+    await cgroup.remove().catch((error) => {
+      console.log("Error while removing the sandbox cgroup");
+      console.log(error);
+    });
+  }
+};
+
+// `kill` stops the program and everything it started
+const runProgram = ({ command, args, cwd, input, timeLimit, kill }) =>
+  new Promise((resolve) => {
+    const started = Date.now();
+    let stdout = "";
+    let stderr = "";
+    let timedOut = false;
+    let outputExceeded = false;
+
+    const child = spawn(command, args, {
+      cwd,
+      env: {
+        PATH: SANDBOX_PATH,
+        LANG: "C.UTF-8",
+        PYTHONIOENCODING: "utf-8",
+      },
+      stdio: "pipe",
+    });
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      kill();
+    }, timeLimit);
+
+    const collect = (append) => (chunk) => {
+      if (stdout.length + stderr.length > MAX_OUTPUT) {
+        outputExceeded = true;
+        kill();
+        return;
+      }
+      append(chunk.toString());
+    };
+    child.stdout.on("data", collect((text) => (stdout += text)));
+    child.stderr.on("data", collect((text) => (stderr += text)));
+
+    // e.g. the interpreter is not installed
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      resolve({ stdout, stderr: error.message, code: -1, time: 0 });
+    });
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      resolve({
+        stdout,
+        stderr,
+        code,
+        signal,
+        timedOut,
+        outputExceeded,
+        time: Date.now() - started,
+      });
+    });
+
+    // a program exiting without reading its input is fine
+    child.stdin.on("error", () => {});
+    child.stdin.end(input);
+  });
+
+// "a  \r\nb\n\n" and "a\nb" are the same output
+const normalizeOutput = (text) =>
+  text
+    .replace(/\r\n/g, "\n")
+    .split("\n")
+    .map((line) => line.trimEnd())
+    .join("\n")
+    .trim();
+
+const cut = (text) =>
+  text.length > MAX_STORED_OUTPUT
+    ? `${text.slice(0, MAX_STORED_OUTPUT)}\n...`
+    : text;
+
+const testStatus = (run, expectedOutput) => {
+  if (run.outputExceeded) return "Runtime Error";
+  if (run.timedOut) return "Time Limit Exceeded";
+  if (run.memoryExceeded) return "Memory Limit Exceeded";
+  if (run.code !== 0) {
+    return /heap out of memory|MemoryError/.test(run.stderr)
+      ? "Memory Limit Exceeded"
+      : "Runtime Error";
+  }
+  return normalizeOutput(run.stdout) === normalizeOutput(expectedOutput)
+    ? "Passed"
+    : "Wrong Answer";
+};
+
+// ================ can code run here ================
+// the sandbox needs Linux and root, serverless hosts like Vercel have neither
+exports.sandboxAvailable = () =>
+  process.platform === "linux" && process.getuid() === 0;
+
+// ================ run the tests of a coding exercise ================
+// Every test runs the code in a fresh sandbox with the exercise's time and
+// memory limits. Returns { verdict, results, passedCount } for a CodeSubmission,
+// the verdict is "Passed" or the status of the first failing test.
+exports.runTests = async (exercise, code) => {
+  if (!exports.sandboxAvailable()) {
+    throw new Error(
+      "Code runs only in the sandbox, which needs Linux and the server running as root"
+    );
+  }
+
+  const language = LANGUAGES[exercise.language];
+  const command = language.command();
+  // the program file as the sandbox sees it
+  const file = `${SANDBOX_CODE}/${language.file}`;
+  const mounts = path.isAbsolute(command)
+    ? [...sandboxConfig.mounts, command]
+    : sandboxConfig.mounts;
+
+  let dir;
+  await acquireSlot();
+  try {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "studynotion-run-"));
+    // readable by the sandbox uid, `root` is where the sandbox root is mounted
+    await fs.mkdir(path.join(dir, "code"), { mode: 0o755 });
+    await fs.mkdir(path.join(dir, "root"));
+    await fs.writeFile(path.join(dir, "code", language.file), code, {
+      mode: 0o644,
+    });
+
+    const results = [];
+    for (const test of exercise.tests) {
+      const run = await runSandboxed({
+        command,
+        args: language.args(file, exercise.memoryLimit),
+        dir,
+        mounts,
+        memoryLimit: exercise.memoryLimit + language.overhead,
+        input: test.input,
+        timeLimit: exercise.timeLimit,
+      });
+      results.push({
+        test: test._id,
+        status: testStatus(run, test.expectedOutput),
+        output: cut(run.stdout),
+        error: cut(run.outputExceeded ? "Output limit exceeded" : run.stderr),
+        time: run.time,
+      });
+    }
+
+    const failed = results.find((result) => result.status !== "Passed");
+    return {
+      verdict: failed ? failed.status : "Passed",
+      results,
+      passedCount: results.filter((result) => result.status === "Passed")
+        .length,
+    };
+  } finally {
+    releaseSlot();
+    if (dir) {
+      await fs.rm(dir, { recursive: true, force: true }).catch((error) => {
+        console.log("Error while removing the run directory");
+        console.log(error);
+      });
+    }
+  }
+};
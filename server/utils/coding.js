@@ -0,0 +1,123 @@
+const mongoose = require("mongoose");
+const { LANGUAGES } = require("./codeRunner");
+
+// limits an instructor can pick, a submission runs every test
+const MAX_TESTS = 30;
+const TIME_LIMITS = { min: 500, max: 5000, default: 2000 };
+const MEMORY_LIMITS = { min: 32, max: 512, default: 128 };
+exports.MAX_CODE_LENGTH = 64 * 1024;
+
+const limit = (value, { min, max, default: fallback }, label) => {
+  if (value === undefined || value === "") return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`${label} must be between ${min} and ${max}`);
+  }
+  return number;
+};
+
+// ================ parse Coding exercise ================
+// Validates the exercise sent by the course builder - `tests` may be a JSON
+// string (multipart forms). Throws an Error with a user facing message when it
+// is not usable. Returns { language, starterCode, tests, timeLimit, memoryLimit }.
+exports.parseCodingExercise = ({
+  language,
+  starterCode,
+  tests,
+  timeLimit,
+  memoryLimit,
+}) => {
+  if (!LANGUAGES.includes(language)) {
+    throw new Error(`Pick one of the languages: ${LANGUAGES.join(", ")}`);
+  }
+  starterCode = String(starterCode || "");
+  if (starterCode.length > exports.MAX_CODE_LENGTH) {
+    throw new Error("The starter file is too long");
+  }
+
+  if (typeof tests === "string") {
+    try {
+      tests = JSON.parse(tests);
+    } catch (error) {
+      throw new Error("Test cases are not valid");
+    }
+  }
+  if (!Array.isArray(tests) || !tests.length) {
+    throw new Error("Add at least one test case");
+  }
+  if (tests.length > MAX_TESTS) {
+    throw new Error(`An exercise can have at most ${MAX_TESTS} test cases`);
+  }
+
+  const parsed = tests.map((test, i) => {
+    const expectedOutput = String(test.expectedOutput || "");
+    if (!expectedOutput.trim()) {
+      throw new Error(`Test ${i + 1} needs an expected output`);
+    }
+    const result = {
+      input: String(test.input || ""),
+      expectedOutput,
+      hidden: test.hidden !== false,
+    };
+    // an edited test keeps its id, so earlier results still line up
+    if (mongoose.isValidObjectId(test._id)) result._id = test._id;
+    return result;
+  });
+
+  return {
+    language,
+    starterCode,
+    tests: parsed,
+    timeLimit: limit(timeLimit, TIME_LIMITS, "Time limit (ms)"),
+    memoryLimit: limit(memoryLimit, MEMORY_LIMITS, "Memory limit (MB)"),
+  };
+};
+
+// ================ exercise as a student sees it ================
+// only the example tests, hidden ones are just counted
+exports.exerciseForStudent = (exercise) => ({
+  _id: exercise._id,
+  language: exercise.language,
+  starterCode: exercise.starterCode,
+  timeLimit: exercise.timeLimit,
+  memoryLimit: exercise.memoryLimit,
+  examples: exercise.tests
+    .filter((test) => !test.hidden)
+    .map((test) => ({
+      _id: test._id,
+      input: test.input,
+      expectedOutput: test.expectedOutput,
+    })),
+  testCount: exercise.tests.length,
+});
+
+// ================ submission as a student sees it ================
+// output of hidden tests stays on the server - printing the input
+// would give the test away
+exports.submissionForStudent = (submission, exercise) => ({
+  _id: submission._id,
+  language: submission.language,
+  code: submission.code,
+  verdict: submission.verdict,
+  passedCount: submission.passedCount,
+  testCount: submission.results.length,
+  submittedAt: submission.submittedAt,
+  results: submission.results.map((result, i) => {
+    const test = exercise.tests.find(
+      (t) => t._id.toString() === result.test?.toString()
+    );
+    const visible = test && !test.hidden;
+    return {
+      number: i + 1,
+      status: result.status,
+      time: result.time,
+      hidden: !visible,
+      ...(visible && {
+        input: test.input,
+        expectedOutput: test.expectedOutput,
+        output: result.output,
+        error: result.error,
+      }),
+    };
+  }),
+});
@@ -0,0 +1,95 @@
+const Coupon = require("../models/Coupon");
+const Order = require("../models/Order");
+
+// ================ is a course covered by the coupon ================
+// every restriction that is set must match - an instructor coupon limited to
+// some courses only covers those, not every course of the instructor
+exports.isCourseEligible = (coupon, course) => {
+  const includes = (ids, id) =>
+    !!id && ids.some((item) => item.toString() === id.toString());
+  const matches = (ids, id) => !ids?.length || includes(ids, id);
+
+  return (
+    matches(coupon.applicableCourses, course._id) &&
+    matches(coupon.applicableCategories, course.category) &&
+    matches(coupon.applicableInstructors, course.instructor)
+  );
+};
+
+// ================ apply Coupon ================
+// Validates the coupon for this user and these courses and computes the discount
+// on the server. Throws an Error with a user facing message when it cannot be used.
+// Returns { coupon, discount, itemDiscounts } where itemDiscounts maps courseId -> Rupees off.
+exports.applyCoupon = async (couponCode, userId, courses) => {
+  const coupon = await Coupon.findOne({
+    code: couponCode.trim().toUpperCase(),
+    active: true,
+  });
+
+  if (!coupon) {
+    throw new Error("Invalid coupon code");
+  }
+
+  if (coupon.expiresAt && coupon.expiresAt < Date.now()) {
+    throw new Error("This coupon has expired");
+  }
+
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw new Error("This coupon has reached its usage limit");
+  }
+
+  if (coupon.perUserLimit) {
+    const usedByUser = await Order.countDocuments({
+      user: userId,
+      coupon: coupon._id,
+      status: { $in: ["Paid", "PartiallyRefunded", "Refunded"] },
+    });
+    if (usedByUser >= coupon.perUserLimit) {
+      throw new Error("You have already used this coupon");
+    }
+  }
+
+  const eligibleCourses = courses.filter((course) =>
+    exports.isCourseEligible(coupon, course)
+  );
+  const eligibleAmount = eligibleCourses.reduce(
+    (acc, course) => acc + course.price,
+    0
+  );
+
+  if (!eligibleAmount) {
+    throw new Error("This coupon is not applicable to the courses in your cart");
+  }
+
+  let discount =
+    coupon.discountType === "Percentage"
+      ? (eligibleAmount * coupon.discountValue) / 100
+      : coupon.discountValue;
+  if (coupon.discountType === "Percentage" && coupon.maxDiscount) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  discount = Math.round(Math.min(discount, eligibleAmount));
+
+  // split the discount over eligible courses by price, so a refund of one
+  // course returns what was actually paid for it
+  const itemDiscounts = exports.splitDiscount(discount, eligibleCourses);
+
+  return { coupon, discount, itemDiscounts };
+};
+
+// ================ split a discount over courses by price ================
+// returns { courseId: share }, the last course takes the rounding remainder
+exports.splitDiscount = (discount, courses) => {
+  const totalPrice = courses.reduce((acc, course) => acc + course.price, 0);
+  const itemDiscounts = {};
+  let remaining = discount;
+  courses.forEach((course, index) => {
+    const share =
+      index === courses.length - 1
+        ? remaining
+        : Math.round((discount * course.price) / totalPrice);
+    itemDiscounts[course._id.toString()] = share;
+    remaining -= share;
+  });
+  return itemDiscounts;
+};
@@ -0,0 +1,21 @@
+const { getActiveSubscription } = require("./subscription");
+
+// ================ how a user can open a course ================
+// returns { reason, subscription } - reason is one of "Instructor", "Admin",
+// "Enrolled" or "Subscription" - or null when the course is not accessible
+exports.getCourseAccess = async (course, user) => {
+  if (user.accountType === "Admin") return { reason: "Admin" };
+  // the instructor may be populated or a plain id
+  const instructorId = course.instructor?._id || course.instructor;
+  if (instructorId?.toString() === user.id) return { reason: "Instructor" };
+  if (course.studentsEnrolled.some((studentId) => studentId.equals(user.id))) {
+    return { reason: "Enrolled" };
+  }
+
+  // StudyNotion Pro unlocks every published course
+  if (course.status === "Published") {
+    const subscription = await getActiveSubscription(user.id);
+    if (subscription) return { reason: "Subscription", subscription };
+  }
+  return null;
+};
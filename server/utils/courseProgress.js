@@ -0,0 +1,52 @@
+const CourseProgress = require("../models/CourseProgress");
+const User = require("../models/User");
+const { recordWatchTime } = require("./subscription");
+const { issueCertificate } = require("./certificate");
+
+// ================ mark a lesson complete ================
+// `access` comes from getCourseAccess - subscribers get their progress on the
+// first completed lesson, the last lesson issues the certificate. Returns the
+// progress, or null when the student has none. Throws when the lesson was
+// already completed.
+exports.completeLesson = async (userId, courseId, subSection, access) => {
+  let courseProgress = await CourseProgress.findOne({
+    courseID: courseId,
+    userId: userId,
+  });
+
+  if (!courseProgress && access.reason === "Subscription") {
+    courseProgress = await CourseProgress.create({
+      courseID: courseId,
+      userId: userId,
+      completedVideos: [],
+    });
+    await User.findByIdAndUpdate(userId, {
+      $addToSet: { courseProgress: courseProgress._id },
+    });
+  }
+  if (!courseProgress) return null;
+
+  if (courseProgress.completedVideos.some((id) => id.equals(subSection._id))) {
+    throw new Error("Subsection already completed");
+  }
+
+  courseProgress.completedVideos.push(subSection._id);
+  courseProgress.lastSubSection = subSection._id;
+  courseProgress.lastActivityAt = Date.now();
+  await courseProgress.save();
+
+  // watch time of subscribers decides the instructor payout share
+  if (access.reason === "Subscription") {
+    await recordWatchTime(userId, courseId, subSection, access.subscription);
+  }
+
+  // the lesson stays completed when the certificate fails,
+  // issuePendingCertificates retries it later
+  try {
+    await issueCertificate(userId, courseId);
+  } catch (error) {
+    console.log("Error while issuing certificate");
+    console.log(error);
+  }
+  return courseProgress;
+};
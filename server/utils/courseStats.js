@@ -0,0 +1,124 @@
+const mongoose = require("mongoose");
+const Course = require("../models/Course");
+const Section = require("../models/Section");
+const SubSection = require("../models/SubSection");
+const RatingAndReview = require("../models/RatingAndReview");
+const User = require("../models/User");
+const Order = require("../models/Order");
+
+// ================ refresh the rating of a course ================
+exports.refreshCourseRating = async (courseId) => {
+  const [result] = await RatingAndReview.aggregate([
+    { $match: { course: new mongoose.Types.ObjectId(courseId) } },
+    { $group: { _id: null, average: { $avg: { $toDouble: "$rating" } } } },
+  ]);
+  const averageRating = Math.round((result?.average || 0) * 10) / 10;
+  await Course.findByIdAndUpdate(courseId, { averageRating });
+};
+
+// ================ refresh the duration of a course ================
+// the course is found through one of its sections when only that is known
+exports.refreshCourseDuration = async ({ courseId, sectionId }) => {
+  const course = courseId
+    ? await Course.findById(courseId)
+    : await Course.findOne({ courseContent: sectionId });
+  if (!course) return;
+
+  const sections = await Section.find({ _id: { $in: course.courseContent } });
+  const subSections = await SubSection.find({
+    _id: { $in: sections.flatMap((section) => section.subSection) },
+  }).select("timeDuration");
+
+  course.totalDuration = subSections.reduce(
+    (acc, subSection) => acc + (parseInt(subSection.timeDuration) || 0),
+    0
+  );
+  await course.save();
+};
+
+// ================ refresh the instructor name on courses ================
+exports.refreshInstructorName = async (instructorId) => {
+  const instructor = await User.findById(instructorId).select(
+    "firstName lastName"
+  );
+  if (!instructor) return;
+  await Course.updateMany(
+    { instructor: instructorId },
+    { instructorName: `${instructor.firstName} ${instructor.lastName}` }
+  );
+};
+
+// ================ count the seats sold by a paid order ================
+exports.recordCourseSales = async (order) => {
+  await Promise.all(
+    order.items.map((item) =>
+      Course.updateOne(
+        { _id: item.course },
+        { $inc: { sold: item.quantity || 1 } }
+      )
+    )
+  );
+};
+
+// ================ take back the seats of refunded courses ================
+exports.reverseCourseSales = async (order, courseIds) => {
+  await Promise.all(
+    order.items
+      .filter((item) => courseIds.some((id) => item.course.equals(id)))
+      .map((item) =>
+        Course.updateOne(
+          { _id: item.course },
+          { $inc: { sold: -(item.quantity || 1) } }
+        )
+      )
+  );
+};
+
+// sold = seats of paid orders, less the refunded courses
+const backfillCourseSales = async () => {
+  const courses = await Course.find({ sold: { $exists: false } })
+    .select("_id")
+    .lean();
+  if (!courses.length) return;
+
+  const sales = await Order.aggregate([
+    { $match: { status: { $in: ["Paid", "PartiallyRefunded"] } } },
+    { $unwind: "$items" },
+    {
+      $match: {
+        "items.course": { $in: courses.map((course) => course._id) },
+        $expr: { $not: { $in: ["$items.course", { $ifNull: ["$refundedCourses", []] }] } },
+      },
+    },
+    {
+      $group: {
+        _id: "$items.course",
+        sold: { $sum: { $ifNull: ["$items.quantity", 1] } },
+      },
+    },
+  ]);
+
+  for (const course of courses) {
+    const sale = sales.find((sale) => sale._id.equals(course._id));
+    await Course.updateOne({ _id: course._id }, { sold: sale?.sold || 0 });
+  }
+};
+
+// ================ fill the search and sales fields of older courses ================
+// courses created before these fields existed, runs once after connecting
+exports.backfillCourseStats = async () => {
+  const courses = await Course.find({ instructorName: { $exists: false } })
+    .select("_id instructor")
+    .lean();
+
+  for (const course of courses) {
+    await exports.refreshCourseRating(course._id);
+    await exports.refreshCourseDuration({ courseId: course._id });
+    await exports.refreshInstructorName(course.instructor);
+  }
+  await Course.updateMany(
+    { language: { $exists: false } },
+    { language: "English" }
+  );
+  await backfillCourseSales();
+};
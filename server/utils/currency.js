@@ -0,0 +1,29 @@
+const CurrencyRate = require("../models/CurrencyRate");
+const {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+} = require("../config/currency");
+
+// rate to convert a base currency amount into the given currency
+exports.getExchangeRate = async (currency) => {
+  if (!SUPPORTED_CURRENCIES.includes(currency)) {
+    throw new Error(`Currency ${currency} is not supported`);
+  }
+  if (currency === BASE_CURRENCY) return 1;
+
+  const currencyRate = await CurrencyRate.findOne({ currency });
+  if (!currencyRate) {
+    throw new Error(`No conversion rate configured for ${currency}`);
+  }
+  return currencyRate.rate;
+};
+
+// convert and round to 2 decimals - the smallest unit Razorpay accepts
+exports.convertAmount = (amount, rate) =>
+  Math.round(amount * rate * 100) / 100;
+
+// e.g. "₹1,499.00", "$18.00" - used in emails
+exports.formatAmount = (amount, currency = BASE_CURRENCY) =>
+  new Intl.NumberFormat("en-IN", { style: "currency", currency }).format(
+    amount
+  );
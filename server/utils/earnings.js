@@ -0,0 +1,151 @@
+const Counter = require("../models/Counter");
+const Course = require("../models/Course");
+const Order = require("../models/Order");
+const EarningEntry = require("../models/EarningEntry");
+const WatchTime = require("../models/WatchTime");
+const { earningsConfig } = require("../config/earnings");
+const { getMonthlySubscriptionPayouts } = require("./subscription");
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+// "YYYY-MM" of a date, in UTC like the monthly aggregations
+const toMonth = (date) => date.toISOString().slice(0, 7);
+
+// two upserts of the same new key can race, the loser finds it recorded
+const ignoreDuplicate = (error) => {
+  if (error.code !== 11000) throw error;
+};
+
+// entries are keyed, recording the same entry twice is a no-op
+const recordEntry = (entry) =>
+  EarningEntry.updateOne(
+    { key: entry.key },
+    { $setOnInsert: entry },
+    { upsert: true }
+  ).catch(ignoreDuplicate);
+
+// ================ record the Sale entries of a paid order ================
+// one entry per course, on what was actually paid for it (after coupon / bundle discount)
+exports.recordSaleEarnings = async (order, earnedAt = new Date()) => {
+  const courses = await Course.find({
+    _id: { $in: order.items.map((item) => item.course) },
+  }).select("instructor courseName");
+
+  for (const item of order.items) {
+    const course = courses.find((course) => course._id.equals(item.course));
+    const grossAmount = round2((item.price || 0) - (item.discount || 0));
+    if (!course || grossAmount <= 0) continue;
+
+    const commission = round2(
+      (grossAmount * earningsConfig.platformCommission) / 100
+    );
+    await recordEntry({
+      key: `Sale:${order._id}:${course._id}`,
+      type: "Sale",
+      instructor: course.instructor,
+      course: course._id,
+      courseName: course.courseName,
+      order: order._id,
+      grossAmount,
+      commission,
+      netAmount: round2(grossAmount - commission),
+      earnedAt,
+    });
+  }
+
+  await Order.updateOne({ _id: order._id }, { earningsRecorded: true });
+};
+
+// ================ reverse the Sale entries of refunded courses ================
+// the commission is returned along with the instructor's share
+exports.reverseSaleEarnings = async (order, courseIds) => {
+  for (const courseId of courseIds) {
+    const sale = await EarningEntry.findOne({
+      key: `Sale:${order._id}:${courseId}`,
+    });
+    if (!sale) continue;
+
+    await recordEntry({
+      key: `Refund:${order._id}:${courseId}`,
+      type: "Refund",
+      instructor: sale.instructor,
+      course: sale.course,
+      courseName: sale.courseName,
+      order: order._id,
+      grossAmount: -sale.grossAmount,
+      commission: -sale.commission,
+      netAmount: -sale.netAmount,
+    });
+  }
+};
+
+// ================ record StudyNotion Pro payouts of closed months ================
+// a month is shared out once it is over, so its watch time is final. Runs from
+// the monthly job and before payouts are generated. A month is marked done only
+// after all its entries are written, a run that stopped halfway is finished by
+// the next one.
+exports.recordSubscriptionEarnings = async () => {
+  const currentMonth = toMonth(new Date());
+
+  const [watchedMonths, recordedMonths] = await Promise.all([
+    WatchTime.aggregate([
+      {
+        $group: {
+          _id: { $dateToString: { format: "%Y-%m", date: "$watchedAt" } },
+        },
+      },
+    ]),
+    Counter.find({ _id: /^SubscriptionEarnings:/ }).select("_id"),
+  ]);
+  const recorded = new Set(
+    recordedMonths.map((counter) => counter._id.split(":")[1])
+  );
+
+  const pendingMonths = watchedMonths
+    .map((entry) => entry._id)
+    .filter((month) => month < currentMonth && !recorded.has(month));
+
+  for (const month of pendingMonths) {
+    const payouts = await getMonthlySubscriptionPayouts(month);
+    const courses = await Course.find({
+      _id: { $in: payouts.map((payout) => payout.course) },
+    }).select("instructor courseName");
+
+    for (const payout of payouts) {
+      const course = courses.find((course) => course._id.equals(payout.course));
+      if (!course) continue;
+      await recordEntry({
+        key: `Subscription:${month}:${course._id}`,
+        type: "Subscription",
+        instructor: course.instructor,
+        course: course._id,
+        courseName: course.courseName,
+        grossAmount: payout.amount,
+        commission: 0,
+        netAmount: payout.amount,
+        earnedAt: new Date(`${month}-01T00:00:00.000Z`),
+      });
+    }
+
+    await Counter.updateOne(
+      { _id: `SubscriptionEarnings:${month}` },
+      { seq: 1 },
+      { upsert: true }
+    ).catch(ignoreDuplicate);
+  }
+};
+
+// ================ record orders paid before the ledger existed ================
+exports.backfillSaleEarnings = async () => {
+  const orders = await Order.find({
+    status: { $in: ["Paid", "PartiallyRefunded", "Refunded"] },
+    earningsRecorded: { $ne: true },
+  });
+
+  for (const order of orders) {
+    const paid = order.statusHistory.find((entry) => entry.status === "Paid");
+    await exports.recordSaleEarnings(order, paid?.changedAt || order.createdAt);
+    await exports.reverseSaleEarnings(order, order.refundedCourses);
+  }
+  return orders.length;
+};
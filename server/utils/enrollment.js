@@ -0,0 +1,103 @@
+const Course = require("../models/Course");
+const User = require("../models/User");
+const CourseProgress = require("../models/CourseProgress");
+const Cart = require("../models/Cart");
+const Certificate = require("../models/Certificate");
+const mailSender = require("./mailSender");
+const {
+  courseEnrollmentEmail,
+} = require("../mail/templates/courseEnrollmentEmail");
+
+// ================ enroll Students to course after payment ================
+// Safe to call more than once for the same order (browser callback + webhook):
+// a course is only pushed / progress only created when the student is not enrolled yet
+exports.enrollStudents = async (courses, userId) => {
+  if (!courses || !userId) {
+    throw new Error("Please Provide data for Courses or UserId");
+  }
+
+  for (const courseId of courses) {
+    //find the course and enroll the student in it, unless already enrolled
+    const enrolledCourse = await Course.findOneAndUpdate(
+      { _id: courseId, studentsEnrolled: { $ne: userId } },
+      { $push: { studentsEnrolled: userId } },
+      { new: true }
+    );
+
+    if (!enrolledCourse) {
+      if (!(await Course.exists({ _id: courseId }))) {
+        throw new Error("Course not Found");
+      }
+      // already enrolled by an earlier call for this order
+      continue;
+    }
+    // console.log("Updated course: ", enrolledCourse)
+
+    // Initialize course preogres with 0 percent,
+    // or restore the progress archived when this course was refunded earlier
+    const courseProgress = await CourseProgress.findOneAndUpdate(
+      { courseID: courseId, userId: userId },
+      { $set: { archived: false }, $setOnInsert: { completedVideos: [] } },
+      { upsert: true, new: true }
+    );
+
+    // Find the student and add the course to their list of enrolled courses
+    const enrolledStudent = await User.findByIdAndUpdate(
+      userId,
+      {
+        $addToSet: {
+          courses: courseId,
+          courseProgress: courseProgress._id,
+        },
+      },
+      { new: true }
+    );
+
+    // console.log("Enrolled student: ", enrolledStudent)
+
+    // Send an email notification to the enrolled student
+    const emailResponse = await mailSender(
+      enrolledStudent.email,
+      `Successfully Enrolled into ${enrolledCourse.courseName}`,
+      courseEnrollmentEmail(
+        enrolledCourse.courseName,
+        `${enrolledStudent.firstName}`
+      )
+    );
+    // console.log("Email Sent Successfully", emailResponse);
+  }
+
+  // bought courses leave the stored cart and wishlist
+  await Cart.updateOne(
+    { user: userId },
+    { $pullAll: { courses: courses, wishlist: courses } }
+  );
+};
+
+// ================ remove Students from course after refund ================
+// revokes access and certificates, the course progress is archived rather than deleted
+exports.unenrollStudents = async (courses, userId) => {
+  await Certificate.updateMany(
+    { user: userId, course: { $in: courses }, revoked: { $ne: true } },
+    { revoked: true, revokedAt: Date.now() }
+  );
+
+  for (const courseId of courses) {
+    await Course.findByIdAndUpdate(courseId, {
+      $pull: { studentsEnrolled: userId },
+    });
+
+    const courseProgress = await CourseProgress.findOneAndUpdate(
+      { courseID: courseId, userId: userId },
+      { archived: true },
+      { new: true }
+    );
+
+    await User.findByIdAndUpdate(userId, {
+      $pull: {
+        courses: courseId,
+        ...(courseProgress && { courseProgress: courseProgress._id }),
+      },
+    });
+  }
+};
@@ -0,0 +1,11 @@
+// text typed by users that goes into an HTML email
+const HTML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+exports.escapeHtml = (text = "") =>
+  text.replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
@@ -0,0 +1,255 @@
+const PDFDocument = require("pdfkit");
+
+const Counter = require("../models/Counter");
+const Invoice = require("../models/Invoice");
+const Order = require("../models/Order");
+const User = require("../models/User");
+const { invoiceConfig } = require("../config/invoice");
+const { paymentSuccess } = require("../mail/templates/paymentSuccess");
+const { convertAmount, formatAmount } = require("./currency");
+const mailSender = require("./mailSender");
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Indian financial year (April - March) of a date, e.g. "2026-27"
+const financialYear = (date) => {
+  const year =
+    date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${year}-${String(year + 1).slice(2)}`;
+};
+
+// invoice numbers run in sequence per financial year, e.g. SN/2026-27/000042.
+// A number is never reused, but one is skipped when two requests invoice the
+// same order at once or the server stops between taking it and saving the
+// invoice - the sequence may have gaps, it never has duplicates.
+const nextInvoiceNumber = async (date) => {
+  const year = financialYear(date);
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `invoice-${year}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  const serial = String(counter.seq).padStart(6, "0");
+  return `${invoiceConfig.prefix}/${year}/${serial}`;
+};
+
+// prices are GST inclusive - take the tax out of the amount paid
+// the buyer's address is not collected, so the place of supply is the seller's
+// state and the tax is split equally into CGST and SGST
+const taxBreakdown = (amount) => {
+  const taxableValue = roundAmount(amount / (1 + invoiceConfig.gstRate / 100));
+  const tax = roundAmount(amount - taxableValue);
+  const cgst = roundAmount(tax / 2);
+  return { taxableValue, cgst, sgst: roundAmount(tax - cgst) };
+};
+
+// ================ get or create the Invoice of a paid order ================
+// free orders have nothing to invoice and return null
+exports.getOrCreateInvoice = async (order) => {
+  const existingInvoice = await Invoice.findOne({ order: order._id });
+  if (existingInvoice) return existingInvoice;
+
+  const isPaid = !["Created", "Failed"].includes(order.status);
+  if (!order.amount || !isPaid) return null;
+
+  const user = await User.findById(order.user);
+
+  const items = order.items
+    .map((item) => {
+      const amount = convertAmount(
+        item.price - (item.discount || 0),
+        order.exchangeRate
+      );
+      return {
+        course: item.course,
+        description:
+          item.quantity > 1
+            ? `${item.courseName} (${item.quantity} seats)`
+            : item.courseName,
+        sacCode: invoiceConfig.sacCode,
+        taxRate: invoiceConfig.gstRate,
+        amount,
+        ...taxBreakdown(amount),
+      };
+    })
+    .filter((item) => item.amount > 0);
+
+  const sum = (key) =>
+    roundAmount(items.reduce((acc, item) => acc + item[key], 0));
+
+  try {
+    const invoice = new Invoice({
+      order: order._id,
+      user: order.user,
+      billedTo: {
+        name: `${user.firstName} ${user.lastName}`,
+        email: user.email,
+      },
+      seller: {
+        legalName: invoiceConfig.legalName,
+        gstin: invoiceConfig.gstin,
+        address: invoiceConfig.address,
+        state: invoiceConfig.state,
+      },
+      placeOfSupply: invoiceConfig.state,
+      currency: order.currency,
+      items,
+      taxableValue: sum("taxableValue"),
+      cgst: sum("cgst"),
+      sgst: sum("sgst"),
+      totalTax: roundAmount(sum("cgst") + sum("sgst")),
+      totalAmount: sum("amount"),
+    });
+    // an invoice that can not be saved must not use up a number
+    await invoice.validate({ pathsToSkip: ["invoiceNumber"] });
+    invoice.invoiceNumber = await nextInvoiceNumber(new Date());
+    await invoice.save();
+
+    await Order.findByIdAndUpdate(order._id, {
+      invoiceNumber: invoice.invoiceNumber,
+    });
+
+    return invoice;
+  } catch (error) {
+    // issued at the same time by the webhook and the client callback
+    if (error.code === 11000) {
+      return Invoice.findOne({ order: order._id });
+    }
+    throw error;
+  }
+};
+
+// ================ render an Invoice as PDF ================
+// the built in PDF fonts have no ₹ glyph, so amounts use the currency code
+exports.renderInvoicePdf = (invoice) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const money = (amount) =>
+      new Intl.NumberFormat("en-IN", {
+        style: "currency",
+        currency: invoice.currency,
+        currencyDisplay: "code",
+      }).format(amount);
+
+    // header
+    doc.fontSize(20).text("TAX INVOICE", { align: "right" });
+    doc.moveDown(0.5);
+    doc.fontSize(12).text(invoice.seller.legalName);
+    doc.fontSize(9);
+    if (invoice.seller.address) doc.text(invoice.seller.address);
+    if (invoice.seller.gstin) doc.text(`GSTIN: ${invoice.seller.gstin}`);
+    doc.moveDown();
+
+    doc.text(`Invoice No: ${invoice.invoiceNumber}`);
+    doc.text(`Invoice Date: ${invoice.issuedAt.toLocaleDateString("en-IN")}`);
+    if (invoice.placeOfSupply) {
+      doc.text(`Place of Supply: ${invoice.placeOfSupply}`);
+    }
+    doc.moveDown();
+
+    doc.fontSize(10).text("Billed To", { underline: true });
+    doc.fontSize(9).text(invoice.billedTo.name);
+    doc.text(invoice.billedTo.email);
+    doc.moveDown();
+
+    // line items
+    const columns = [
+      { title: "Course", x: 50, width: 170 },
+      { title: "SAC", x: 225, width: 45 },
+      { title: "Taxable Value", x: 275, width: 80 },
+      { title: "CGST", x: 360, width: 60 },
+      { title: "SGST", x: 425, width: 60 },
+      { title: "Total", x: 490, width: 60 },
+    ];
+    const printRow = (values, options = {}) => {
+      const y = doc.y;
+      let height = 0;
+      columns.forEach((column, i) => {
+        doc.font(options.bold ? "Helvetica-Bold" : "Helvetica");
+        doc.text(values[i], column.x, y, { width: column.width });
+        height = Math.max(height, doc.y - y);
+      });
+      doc.x = 50;
+      doc.y = y + height + 6;
+    };
+
+    printRow(
+      columns.map((column) => column.title),
+      { bold: true }
+    );
+    invoice.items.forEach((item) => {
+      printRow([
+        item.description,
+        item.sacCode,
+        money(item.taxableValue),
+        `${money(item.cgst)} (${item.taxRate / 2}%)`,
+        `${money(item.sgst)} (${item.taxRate / 2}%)`,
+        money(item.amount),
+      ]);
+    });
+    doc.moveTo(50, doc.y).lineTo(550, doc.y).stroke();
+    doc.y += 6;
+    printRow(
+      [
+        "Total",
+        "",
+        money(invoice.taxableValue),
+        money(invoice.cgst),
+        money(invoice.sgst),
+        money(invoice.totalAmount),
+      ],
+      { bold: true }
+    );
+
+    // tax summary
+    doc.moveDown();
+    doc.font("Helvetica").fontSize(9);
+    doc.text(`Total Tax: ${money(invoice.totalTax)}`);
+    doc.text(`Amount Paid: ${money(invoice.totalAmount)}`);
+    doc.moveDown(2);
+    doc
+      .fontSize(8)
+      .fillColor("#666666")
+      .text("This is a computer generated invoice and needs no signature.");
+
+    doc.end();
+  });
+};
+
+// ================ issue the Invoice and send the payment email ================
+// runs once per order, when it becomes Paid (verifyPayment or webhook)
+exports.issueInvoice = async (order) => {
+  const invoice = await exports.getOrCreateInvoice(order);
+  if (!invoice) return null;
+
+  const [user, pdf] = await Promise.all([
+    User.findById(order.user),
+    exports.renderInvoicePdf(invoice),
+  ]);
+
+  await mailSender(
+    user.email,
+    `Payment Successfully Received!`,
+    paymentSuccess(
+      formatAmount(order.amount, order.currency),
+      order.razorpayPaymentId,
+      order.razorpayOrderId,
+      user.firstName,
+      user.lastName
+    ),
+    [
+      {
+        filename: `Invoice-${invoice.invoiceNumber.replace(/\//g, "-")}.pdf`,
+        content: pdf,
+        contentType: "application/pdf",
+      },
+    ]
+  );
+
+  return invoice;
+};
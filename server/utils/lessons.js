@@ -0,0 +1,108 @@
+const { uploadImageToCloudinary } = require("./imageUploader");
+
+// Quiz, Coding and Assignment lessons keep their content in their own models
+// (see utils/quiz, utils/coding and utils/assignment)
+exports.LESSON_TYPES = [
+  "Video",
+  "Article",
+  "PDF",
+  "Resource",
+  "Link",
+  "Quiz",
+  "Coding",
+  "Assignment",
+];
+
+// attachments of PDF and Resource lessons
+const MAX_FILE_SIZE = 100 * 1024 * 1024;
+const SLIDE_MIME_TYPES = [
+  "application/pdf",
+  "application/vnd.ms-powerpoint",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+];
+
+// an article counts towards the course duration by its reading time
+const WORDS_PER_MINUTE = 200;
+
+const upload = async (file) => {
+  const details = await uploadImageToCloudinary(file, process.env.FOLDER_NAME);
+  if (!details) throw new Error("Could not upload the file, please try again");
+  return details;
+};
+
+// ================ parse Link ================
+// an http(s) url, throws an Error with a user facing message otherwise
+exports.parseLink = (value) => {
+  let url;
+  try {
+    url = new URL(String(value || "").trim());
+  } catch (error) {
+    throw new Error("Enter a valid link");
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error("Links must start with http:// or https://");
+  }
+  return url.href;
+};
+
+// ================ content of a lesson ================
+// Sets what the lesson type needs from the request, uploading its file. On create
+// (`required`) everything must be there, on update only what was sent is replaced.
+// Throws an Error with a user facing message when something is missing or invalid.
+exports.setLessonContent = async (subSection, body, files, required) => {
+  switch (subSection.type) {
+    case "Video": {
+      const video = files?.video;
+      if (!video) {
+        if (required) throw new Error("All fields are required");
+        return;
+      }
+      if (!video.mimetype.startsWith("video/")) {
+        throw new Error("Upload a video file");
+      }
+      const details = await upload(video);
+      subSection.videoUrl = details.secure_url;
+      subSection.timeDuration = details.duration;
+      return;
+    }
+
+    case "Article": {
+      if (body.content === undefined && !required) return;
+      const content = String(body.content || "").trim();
+      if (!content) throw new Error("Write the article before saving");
+      subSection.content = content;
+      const words = content.split(/\s+/).length;
+      subSection.timeDuration = Math.ceil(words / WORDS_PER_MINUTE) * 60;
+      return;
+    }
+
+    // PDF - a document or slides read in the player, Resource - any download
+    case "PDF":
+    case "Resource": {
+      const file = files?.file;
+      if (!file) {
+        if (required) throw new Error("All fields are required");
+        return;
+      }
+      if (file.size > MAX_FILE_SIZE) {
+        throw new Error("Files can be at most 100 MB");
+      }
+      if (subSection.type === "PDF" && !SLIDE_MIME_TYPES.includes(file.mimetype)) {
+        throw new Error("Upload a PDF or PowerPoint file");
+      }
+      const details = await upload(file);
+      subSection.fileUrl = details.secure_url;
+      subSection.fileName = file.name;
+      return;
+    }
+
+    case "Link": {
+      if (body.linkUrl === undefined && !required) return;
+      subSection.linkUrl = exports.parseLink(body.linkUrl);
+      return;
+    }
+
+    default:
+      throw new Error("Unknown lesson type");
+  }
+};
@@ -1,6 +1,6 @@
 const nodemailer = require("nodemailer");
 
-const mailSender = async (email, title, body) => {
+const mailSender = async (email, title, body, attachments = []) => {
   try {
     const transporter = nodemailer.createTransport({
       host: process.env.MAIL_HOST,
@@ -15,6 +15,7 @@ const mailSender = async (email, title, body) => {
       to: email,
       subject: title,
       html: body,
+      attachments,
     });
 
     // console.log('Info of sent mail - ', info);
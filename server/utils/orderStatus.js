@@ -0,0 +1,96 @@
+const Order = require("../models/Order");
+const Coupon = require("../models/Coupon");
+const { issueInvoice } = require("./invoice");
+const { issueRedemptionCodes } = require("./redemption");
+const { recordSaleEarnings } = require("./earnings");
+const { recordCourseSales } = require("./courseStats");
+
+// statuses an order can move to a status from - a refunded order is never
+// paid again, however late a payment callback comes
+const ORDER_TRANSITIONS = {
+  Paid: ["Created", "Failed"],
+  Failed: ["Created"],
+  PartiallyRefunded: ["Paid"],
+  Refunded: ["Paid", "PartiallyRefunded"],
+};
+
+// ================ order status transitions ================
+// each transition is applied only once and only from the statuses above, so
+// repeated callbacks do not add history twice. Returns the updated order, or
+// null when the order was not moved.
+exports.updateOrderStatus = async (order, status, fields = {}) => {
+  return Order.findOneAndUpdate(
+    { _id: order._id, status: { $in: ORDER_TRANSITIONS[status] } },
+    {
+      $set: { status, ...fields },
+      $push: { statusHistory: { status, changedAt: Date.now() } },
+    },
+    { new: true }
+  );
+};
+
+// ================ run a step of a paid order once ================
+// the flag on the order is claimed first, so concurrent callbacks do not both
+// run the step, and released when the step fails, so a later callback retries it.
+// Orders paid before the flags existed have none stored and are left alone.
+const runStepOnce = async (order, flag, step) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, [flag]: false },
+    { $set: { [flag]: true } }
+  );
+  if (!claimed) return;
+
+  try {
+    await step();
+  } catch (error) {
+    await Order.updateOne({ _id: order._id }, { $set: { [flag]: false } });
+    throw error;
+  }
+};
+
+// ================ does a paid order enroll its buyer ================
+// a Self order that is still plainly Paid - nothing refunded from it
+exports.enrollsBuyer = (order) =>
+  order?.purchaseType === "Self" &&
+  order.status === "Paid" &&
+  !order.refundedCourses?.length;
+
+// Created / Failed -> Paid, then the coupon use is counted and the gift / seat codes,
+// instructor earnings, course sales and invoice recorded. Every call (browser
+// callback, webhook, retries) finishes the steps an earlier call did not.
+exports.markOrderPaid = async (order, paymentId) => {
+  // free orders are paid without a Razorpay payment
+  await exports.updateOrderStatus(
+    order,
+    "Paid",
+    paymentId ? { razorpayPaymentId: paymentId } : {}
+  );
+
+  const paidOrder = await Order.findById(order._id);
+  if (paidOrder?.status !== "Paid") return paidOrder;
+
+  if (paidOrder.coupon) {
+    await runStepOnce(paidOrder, "couponCounted", () =>
+      Coupon.findByIdAndUpdate(paidOrder.coupon, { $inc: { usedCount: 1 } })
+    );
+  }
+  await runStepOnce(paidOrder, "codesIssued", () =>
+    issueRedemptionCodes(paidOrder)
+  );
+  // every call - the entries are keyed upserts, a repeat writes nothing
+  await recordSaleEarnings(paidOrder);
+  await runStepOnce(paidOrder, "salesRecorded", () =>
+    recordCourseSales(paidOrder)
+  );
+
+  // the invoice can be issued again later from the download endpoint,
+  // a failure here must not block the enrollment
+  try {
+    await runStepOnce(paidOrder, "invoiceSent", () => issueInvoice(paidOrder));
+  } catch (error) {
+    console.log("Error while issuing invoice");
+    console.log(error);
+  }
+
+  return paidOrder;
+};
@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+
+const DEFAULT_LIMIT = 12;
+const MAX_LIMIT = 50;
+
+exports.parseLimit = (limit) =>
+  Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+// the cursor is the sort value and _id of the last item of the previous page,
+// so pages stay stable while new documents are added
+const encodeCursor = (doc, field) =>
+  Buffer.from(JSON.stringify([doc[field], doc._id])).toString("base64url");
+
+const decodeCursor = (cursor, field) => {
+  try {
+    const [value, id] = JSON.parse(
+      Buffer.from(cursor, "base64url").toString()
+    );
+    if (!mongoose.isValidObjectId(id)) return null;
+    // dates travel as ISO strings
+    const isDate = typeof value === "string" && field.endsWith("At");
+    return { value: isDate ? new Date(value) : value, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// ================ one page of a query, newest / highest first ================
+// sorts on `field` descending with _id as tie breaker, fetches one extra
+// document to know whether there is a next page
+exports.paginate = async (
+  model,
+  filter,
+  { field = "_id", cursor, limit, select, populate } = {}
+) => {
+  limit = exports.parseLimit(limit);
+
+  const after = cursor && decodeCursor(cursor, field);
+  const pageFilter = after
+    ? {
+        $and: [
+          filter,
+          field === "_id"
+            ? { _id: { $lt: after.id } }
+            : {
+                $or: [
+                  { [field]: { $lt: after.value } },
+                  { [field]: after.value, _id: { $lt: after.id } },
+                ],
+              },
+        ],
+      }
+    : filter;
+
+  let query = model
+    .find(pageFilter)
+    .sort(field === "_id" ? { _id: -1 } : { [field]: -1, _id: -1 })
+    .limit(limit + 1);
+  if (select) query = query.select(select);
+  if (populate) query = query.populate(populate);
+  const docs = await query.lean();
+
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], field) : null,
+  };
+};
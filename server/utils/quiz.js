@@ -0,0 +1,200 @@
+const mongoose = require("mongoose");
+
+// how many options a choice question may have
+const MAX_OPTIONS = 8;
+
+const BOOLEAN_OPTIONS = ["True", "False"];
+
+const normalizeAnswer = (text) =>
+  String(text || "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+
+// ================ parse Quiz ================
+// Validates the quiz sent by the course builder - `questions` may be a JSON
+// string (multipart forms). Throws an Error with a user facing message when it
+// is not usable. Returns { questions, passPercentage, maxAttempts }.
+exports.parseQuiz = ({ questions, passPercentage, maxAttempts }) => {
+  if (typeof questions === "string") {
+    try {
+      questions = JSON.parse(questions);
+    } catch (error) {
+      throw new Error("Quiz questions are not valid");
+    }
+  }
+  if (!Array.isArray(questions) || !questions.length) {
+    throw new Error("Add at least one question to the quiz");
+  }
+
+  const parsed = questions.map((question, i) => {
+    const label = `Question ${i + 1}`;
+    const prompt = String(question.prompt || "").trim();
+    if (!prompt) throw new Error(`${label} has no text`);
+
+    const result = {
+      questionType: question.questionType,
+      prompt,
+      explanation: String(question.explanation || "").trim(),
+      points: Math.max(1, parseInt(question.points) || 1),
+      options: [],
+      correctOptions: [],
+      acceptedAnswers: [],
+    };
+    // an edited question keeps its id, so earlier attempts still line up
+    if (mongoose.isValidObjectId(question._id)) result._id = question._id;
+
+    switch (question.questionType) {
+      case "single":
+      case "multiple": {
+        // correct options point into this list, so blanks are not dropped
+        result.options = (question.options || []).map((option) =>
+          String(option || "").trim()
+        );
+        if (result.options.length < 2 || result.options.length > MAX_OPTIONS) {
+          throw new Error(`${label} needs between 2 and ${MAX_OPTIONS} options`);
+        }
+        if (result.options.some((option) => !option)) {
+          throw new Error(`${label} has an empty option`);
+        }
+        result.correctOptions = [
+          ...new Set((question.correctOptions || []).map(Number)),
+        ].filter((index) => index >= 0 && index < result.options.length);
+        if (
+          !result.correctOptions.length ||
+          (question.questionType === "single" &&
+            result.correctOptions.length !== 1)
+        ) {
+          throw new Error(
+            question.questionType === "single"
+              ? `${label} needs exactly one correct option`
+              : `${label} needs at least one correct option`
+          );
+        }
+        break;
+      }
+      case "boolean": {
+        const answer = Number(question.correctOptions?.[0]);
+        if (answer !== 0 && answer !== 1) {
+          throw new Error(`${label} needs to be marked True or False`);
+        }
+        result.options = BOOLEAN_OPTIONS;
+        result.correctOptions = [answer];
+        break;
+      }
+      case "short": {
+        result.acceptedAnswers = (question.acceptedAnswers || [])
+          .map((answer) => String(answer || "").trim())
+          .filter(Boolean);
+        if (!result.acceptedAnswers.length) {
+          throw new Error(`${label} needs at least one accepted answer`);
+        }
+        break;
+      }
+      default:
+        throw new Error(`${label} has an unknown question type`);
+    }
+    return result;
+  });
+
+  const pass = passPercentage === undefined ? 70 : Number(passPercentage);
+  if (!Number.isFinite(pass) || pass < 0 || pass > 100) {
+    throw new Error("Pass mark must be between 0 and 100 percent");
+  }
+  const attempts = maxAttempts === undefined ? 0 : Number(maxAttempts);
+  if (!Number.isInteger(attempts) || attempts < 0) {
+    throw new Error("Attempt limit must be 0 (unlimited) or more");
+  }
+
+  return {
+    questions: parsed,
+    passPercentage: pass,
+    maxAttempts: attempts,
+  };
+};
+
+// an answer as the quiz player sends it - `selected` option indexes, `text`
+// for short answers, both optional
+exports.isValidAnswer = (answer) =>
+  answer !== null &&
+  typeof answer === "object" &&
+  !Array.isArray(answer) &&
+  (answer.selected === undefined ||
+    (Array.isArray(answer.selected) &&
+      answer.selected.every((index) => Number.isInteger(index)))) &&
+  (answer.text === undefined || typeof answer.text === "string");
+
+// ================ grade an attempt ================
+// `answers` is [{ question, selected: [index], text }] - unanswered questions
+// score nothing. Returns the fields of a QuizAttempt.
+exports.gradeAttempt = (quiz, answers = []) => {
+  let score = 0;
+  let maxScore = 0;
+
+  const graded = quiz.questions.map((question) => {
+    const answer =
+      answers.find((a) => String(a.question) === question._id.toString()) ||
+      {};
+    const selected = [...new Set((answer.selected || []).map(Number))];
+    const text = String(answer.text || "").trim();
+
+    let correct;
+    if (question.questionType === "short") {
+      correct = question.acceptedAnswers.some(
+        (accepted) => normalizeAnswer(accepted) === normalizeAnswer(text)
+      );
+    } else {
+      // every correct option chosen, and nothing else
+      correct =
+        selected.length === question.correctOptions.length &&
+        selected.every((index) => question.correctOptions.includes(index));
+    }
+
+    maxScore += question.points;
+    if (correct) score += question.points;
+    return { question: question._id, selected, text, correct };
+  });
+
+  const percentage = maxScore ? Math.round((score / maxScore) * 100) : 0;
+  return {
+    answers: graded,
+    score,
+    maxScore,
+    percentage,
+    passed: percentage >= quiz.passPercentage,
+  };
+};
+
+// ================ quiz as a student sees it ================
+// without the answers - `review` (an attempt) adds whether each question was
+// answered correctly with its explanation, `reveal` adds the correct answers
+exports.quizForStudent = (quiz, review, reveal) => ({
+  _id: quiz._id,
+  passPercentage: quiz.passPercentage,
+  maxAttempts: quiz.maxAttempts,
+  questions: quiz.questions.map((question) => {
+    const result = {
+      _id: question._id,
+      questionType: question.questionType,
+      prompt: question.prompt,
+      options: question.options,
+      points: question.points,
+    };
+    const answer = review?.answers.find(
+      (a) => a.question?.toString() === question._id.toString()
+    );
+    if (answer) {
+      result.answer = {
+        selected: answer.selected,
+        text: answer.text,
+        correct: answer.correct,
+      };
+      result.explanation = question.explanation;
+    }
+    if (reveal) {
+      result.correctOptions = question.correctOptions;
+      result.acceptedAnswers = question.acceptedAnswers;
+    }
+    return result;
+  }),
+});
@@ -0,0 +1,245 @@
+const mongoose = require("mongoose");
+const Course = require("../models/Course");
+const Category = require("../models/Category");
+const CourseProgress = require("../models/CourseProgress");
+const User = require("../models/User");
+const { cached } = require("./cache");
+
+const LIMIT = 10;
+// co-enrollment looks at this many fellow students at most
+const MAX_PEERS = 1000;
+const POPULAR_TTL = 5 * 60 * 1000;
+// best sellers kept per category, enough to fill a row after leaving out
+// the courses a student owns
+const POPULAR_POOL = LIMIT * 5;
+
+const LISTING_FIELDS = {
+  courseName: 1,
+  price: 1,
+  thumbnail: 1,
+  instructor: 1,
+  category: 1,
+  ratingAndReviews: 1,
+  averageRating: 1,
+  sold: 1,
+  level: 1,
+  language: 1,
+};
+
+const toObjectIds = (ids) =>
+  ids.map((id) => new mongoose.Types.ObjectId(String(id)));
+
+const withInstructors = (courses) =>
+  Course.populate(courses, {
+    path: "instructor",
+    select: "firstName lastName",
+  });
+
+// students enrolled in any of the given courses, except the user asking - one
+// document per student, so the list never grows past what a document can hold
+const getPeers = async (match, userId) => {
+  const peers = await Course.aggregate([
+    { $match: match },
+    { $project: { studentsEnrolled: 1 } },
+    { $unwind: "$studentsEnrolled" },
+    ...(userId
+      ? [{ $match: { studentsEnrolled: { $ne: toObjectIds([userId])[0] } } }]
+      : []),
+    { $group: { _id: "$studentsEnrolled" } },
+    { $limit: MAX_PEERS },
+  ]);
+  return peers.map((peer) => peer._id);
+};
+
+// ================ students who bought X also bought Y ================
+// ranked by how many students the course shares with the given courses
+exports.getAlsoBought = async (courseIds, { userId, exclude = [] } = {}) => {
+  const ids = toObjectIds(courseIds);
+  if (!ids.length) return [];
+
+  const peers = await getPeers({ _id: { $in: ids } }, userId);
+  if (!peers.length) return [];
+
+  const courses = await Course.aggregate([
+    {
+      $match: {
+        status: "Published",
+        _id: { $nin: [...ids, ...toObjectIds(exclude)] },
+        studentsEnrolled: { $in: peers },
+      },
+    },
+    {
+      $addFields: {
+        overlap: { $size: { $setIntersection: ["$studentsEnrolled", peers] } },
+      },
+    },
+    { $sort: { overlap: -1, sold: -1, _id: -1 } },
+    { $limit: LIMIT },
+    { $project: LISTING_FIELDS },
+  ]);
+  return withInstructors(courses);
+};
+
+// ================ the category most shared by a category's students ================
+// used on the catalog page for the "Top courses in ..." row, the branch is the
+// category with its subcategories
+exports.getRelatedCategory = async (branch) => {
+  const ids = toObjectIds(branch);
+  const peers = await getPeers({
+    category: { $in: ids },
+    status: "Published",
+  });
+  if (!peers.length) return null;
+
+  const [related] = await Course.aggregate([
+    {
+      $match: {
+        status: "Published",
+        category: { $nin: ids },
+        studentsEnrolled: { $in: peers },
+      },
+    },
+    {
+      $group: {
+        _id: "$category",
+        overlap: {
+          $sum: { $size: { $setIntersection: ["$studentsEnrolled", peers] } },
+        },
+      },
+    },
+    { $sort: { overlap: -1 } },
+    { $limit: 1 },
+  ]);
+  return related?._id || null;
+};
+
+// ================ best sellers in a category, or overall ================
+// the best sellers are cached once for everyone, the courses a student already
+// owns are left out afterwards
+const getPopular = async (categoryId, exclude = []) => {
+  const courses = await cached(
+    `catalog:popular:${categoryId || "all"}`,
+    POPULAR_TTL,
+    async () => {
+      const courses = await Course.find({
+        status: "Published",
+        ...(categoryId && { category: categoryId }),
+      })
+        .select(LISTING_FIELDS)
+        .sort({ sold: -1, _id: -1 })
+        .limit(POPULAR_POOL)
+        .lean();
+      return withInstructors(courses);
+    }
+  );
+  return courses
+    .filter((course) => !exclude.includes(String(course._id)))
+    .slice(0, LIMIT);
+};
+
+// ================ continue where you left off ================
+// unfinished courses, most recently watched first, with the next lecture to open
+exports.getContinueLearning = async (userId) => {
+  const progresses = await CourseProgress.find({
+    userId,
+    archived: { $ne: true },
+  })
+    .sort({ lastActivityAt: -1, _id: -1 })
+    .limit(LIMIT * 2)
+    .populate({
+      path: "courseID",
+      select: { ...LISTING_FIELDS, courseContent: 1 },
+      populate: [
+        { path: "courseContent", select: "subSection" },
+        { path: "instructor", select: "firstName lastName" },
+      ],
+    })
+    .lean();
+
+  const result = [];
+  for (const progress of progresses) {
+    const course = progress.courseID;
+    if (!course) continue;
+
+    const completed = new Set(progress.completedVideos.map(String));
+    const lectures = course.courseContent.flatMap((section) =>
+      section.subSection.map((subSectionId) => ({
+        sectionId: section._id,
+        subSectionId,
+      }))
+    );
+    const next = lectures.find(
+      (lecture) => !completed.has(String(lecture.subSectionId))
+    );
+    if (!next) continue;
+
+    const { courseContent, ...listing } = course;
+    result.push({
+      course: listing,
+      totalLectures: lectures.length,
+      completedLectures: lectures.filter((lecture) =>
+        completed.has(String(lecture.subSectionId))
+      ).length,
+      resume: next,
+      lastActivityAt: progress.lastActivityAt,
+    });
+    if (result.length === LIMIT) break;
+  }
+  return result;
+};
+
+// ================ recommendations for the home, catalog and dashboard pages ================
+// guests (and instructors / admins) only get the best sellers
+exports.getRecommendations = async ({ user, courseId }) => {
+  const result = {
+    continueLearning: [],
+    becauseYouAreLearning: null,
+    alsoBought: [],
+    popular: [],
+  };
+
+  const student =
+    user?.accountType === "Student" &&
+    (await User.findById(user.id).select("courses").lean());
+  const owned = student ? student.courses : [];
+
+  if (courseId && mongoose.isValidObjectId(courseId)) {
+    result.alsoBought = await exports.getAlsoBought([courseId], {
+      userId: student?._id,
+      exclude: owned,
+    });
+  }
+
+  if (student) {
+    result.continueLearning = await exports.getContinueLearning(student._id);
+
+    if (!courseId) {
+      result.alsoBought = await exports.getAlsoBought(owned, {
+        userId: student._id,
+      });
+    }
+
+    // the category the student owns the most courses in
+    const categories = await Course.aggregate([
+      { $match: { _id: { $in: toObjectIds(owned) } } },
+      { $group: { _id: "$category", count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: 1 },
+    ]);
+    if (categories[0]?._id) {
+      const [category, courses] = await Promise.all([
+        Category.findById(categories[0]._id).select("name").lean(),
+        getPopular(categories[0]._id, owned.map(String)),
+      ]);
+      if (category && courses.length) {
+        result.becauseYouAreLearning = { category, courses };
+      }
+    }
+  }
+
+  if (!result.alsoBought.length && !result.becauseYouAreLearning) {
+    result.popular = await getPopular(null, owned.map(String));
+  }
+
+  return result;
+};
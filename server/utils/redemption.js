@@ -0,0 +1,138 @@
+const crypto = require("crypto");
+
+const Course = require("../models/Course");
+const RedemptionCode = require("../models/RedemptionCode");
+const User = require("../models/User");
+const { enrollStudents, unenrollStudents } = require("./enrollment");
+const mailSender = require("./mailSender");
+const { escapeHtml } = require("./escapeHtml");
+const { giftCourseEmail } = require("../mail/templates/giftCourseEmail");
+const { seatCodesEmail } = require("../mail/templates/seatCodesEmail");
+
+// no 0/O or 1/I, so codes can be typed from an email
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+// e.g. "K7QM-X2PD-9RTA"
+const generateCode = () => {
+  const chars = Array.from(
+    crypto.randomBytes(12),
+    (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+  );
+  return [0, 4, 8].map((i) => chars.slice(i, i + 4).join("")).join("-");
+};
+
+// ================ issue the codes of a paid Gift / Seats order ================
+// runs once per order, when it becomes Paid - a retry after a failure reuses
+// the codes already issued and sends the email again
+exports.issueRedemptionCodes = async (order) => {
+  if (order.purchaseType === "Self") return [];
+
+  const [item] = order.items;
+  const [buyer, course, issuedCodes] = await Promise.all([
+    User.findById(order.user),
+    Course.findById(item.course),
+    RedemptionCode.find({ order: order._id }),
+  ]);
+
+  const newCodes = await RedemptionCode.insertMany(
+    Array.from({ length: item.quantity - issuedCodes.length }, () => ({
+      code: generateCode(),
+      type: order.purchaseType === "Gift" ? "Gift" : "Seat",
+      order: order._id,
+      course: item.course,
+      purchaser: order.user,
+      recipientEmail: order.recipientEmail,
+    }))
+  );
+  const codes = [...issuedCodes, ...newCodes];
+
+  if (order.purchaseType === "Gift") {
+    await mailSender(
+      order.recipientEmail,
+      `${buyer.firstName} gifted you ${course.courseName}`,
+      giftCourseEmail(
+        course.courseName,
+        `${buyer.firstName} ${buyer.lastName}`,
+        // typed by the buyer
+        escapeHtml(order.giftMessage),
+        codes[0].code
+      )
+    );
+  } else {
+    await mailSender(
+      buyer.email,
+      `Your seats for ${course.courseName}`,
+      seatCodesEmail(
+        course.courseName,
+        buyer.firstName,
+        codes.map((redemptionCode) => redemptionCode.code)
+      )
+    );
+  }
+
+  return codes;
+};
+
+// ================ revoke the codes of a refunded order ================
+// unused codes can no longer be redeemed and the students who redeemed one
+// lose the course. Safe to call again for the same order.
+exports.revokeRedemptionCodes = async (order) => {
+  // revoked first, so no code is redeemed while the students are unenrolled
+  await RedemptionCode.updateMany({ order: order._id }, { revoked: true });
+
+  const redeemedCodes = await RedemptionCode.find({
+    order: order._id,
+    redeemedBy: { $ne: null },
+  });
+  for (const redemptionCode of redeemedCodes) {
+    await unenrollStudents([redemptionCode.course], redemptionCode.redeemedBy);
+  }
+};
+
+// ================ redeem a Gift / Seat code ================
+// throws an Error with a message for the student when the code can not be used
+exports.redeemCode = async (code, userId) => {
+  const normalizedCode = code.trim().toUpperCase();
+
+  const redemptionCode = await RedemptionCode.findOne({
+    code: normalizedCode,
+  });
+  if (!redemptionCode || redemptionCode.revoked) {
+    throw new Error("Invalid code");
+  }
+  if (redemptionCode.redeemedBy) {
+    throw new Error("This code has already been redeemed");
+  }
+
+  // do not use up a seat on someone who already has the course
+  const alreadyEnrolled = await Course.exists({
+    _id: redemptionCode.course,
+    studentsEnrolled: userId,
+  });
+  if (alreadyEnrolled) {
+    throw new Error("You are already enrolled in this course");
+  }
+
+  // claim the code first, two people can not redeem the same code
+  const claimedCode = await RedemptionCode.findOneAndUpdate(
+    { _id: redemptionCode._id, redeemedBy: null, revoked: false },
+    { redeemedBy: userId, redeemedAt: Date.now() },
+    { new: true }
+  );
+  if (!claimedCode) {
+    throw new Error("This code has already been redeemed");
+  }
+
+  try {
+    await enrollStudents([claimedCode.course], userId);
+  } catch (error) {
+    // release the code so it can be redeemed again
+    await RedemptionCode.findByIdAndUpdate(claimedCode._id, {
+      redeemedBy: null,
+      $unset: { redeemedAt: 1 },
+    });
+    throw error;
+  }
+
+  return claimedCode;
+};
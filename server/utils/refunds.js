@@ -0,0 +1,57 @@
+const Order = require("../models/Order");
+const RefundRequest = require("../models/RefundRequest");
+const { unenrollStudents } = require("./enrollment");
+const { updateOrderStatus } = require("./orderStatus");
+const { reverseSaleEarnings } = require("./earnings");
+const { reverseCourseSales } = require("./courseStats");
+
+// ================ finish an approved refund ================
+// Takes back what a refund Razorpay accepted paid for - the course, the order
+// status, the instructor earnings and the course sales. Every call (approval,
+// admin retry, refund.processed webhook) finishes the steps an earlier call did
+// not, the request is Processed once all are done. Returns the updated request.
+exports.completeRefund = async (refundRequest) => {
+  const { course } = refundRequest;
+
+  // revoke access to the refunded course
+  await unenrollStudents([course], refundRequest.user);
+
+  const order = await Order.findByIdAndUpdate(
+    refundRequest.order,
+    { $addToSet: { refundedCourses: course } },
+    { new: true }
+  );
+  // keyed entries, a repeat writes nothing
+  await reverseSaleEarnings(order, [course]);
+
+  const claimed = await RefundRequest.findOneAndUpdate(
+    { _id: refundRequest._id, salesReversed: { $ne: true } },
+    { salesReversed: true }
+  );
+  if (claimed) {
+    try {
+      await reverseCourseSales(order, [course]);
+    } catch (error) {
+      await RefundRequest.updateOne(
+        { _id: refundRequest._id },
+        { salesReversed: false }
+      );
+      throw error;
+    }
+  }
+
+  await updateOrderStatus(
+    order,
+    order.refundedCourses.length === order.courses.length
+      ? "Refunded"
+      : "PartiallyRefunded"
+  );
+
+  return (
+    (await RefundRequest.findOneAndUpdate(
+      { _id: refundRequest._id, status: "Approved" },
+      { status: "Processed" },
+      { new: true }
+    )) || RefundRequest.findById(refundRequest._id)
+  );
+};
@@ -0,0 +1,137 @@
+const Subscription = require("../models/Subscription");
+const WatchTime = require("../models/WatchTime");
+const { subscriptionConfig } = require("../config/subscription");
+
+// ================ get the active Subscription of a user ================
+// a subscription grants access until its paid period ends (plus a grace period
+// while Razorpay retries a failed renewal), even after it has been cancelled
+exports.getActiveSubscription = async (userId) => {
+  const graceMs = subscriptionConfig.graceDays * 24 * 60 * 60 * 1000;
+  return Subscription.findOne({
+    user: userId,
+    status: { $in: ["Active", "Pending", "Cancelled"] },
+    currentPeriodEnd: { $gt: new Date(Date.now() - graceMs) },
+  })
+    .populate("plan")
+    .sort({ currentPeriodEnd: -1 });
+};
+
+// ================ record a paid billing period ================
+// Safe to call more than once for the same payment (checkout callback + webhook)
+exports.recordSubscriptionPayment = async (
+  subscription,
+  { razorpayPaymentId, amount, periodStart, periodEnd }
+) => {
+  const update = {
+    status: "Active",
+    ...(periodStart && { currentPeriodStart: periodStart }),
+    ...(periodEnd && { currentPeriodEnd: periodEnd }),
+  };
+
+  const paid = await Subscription.findOneAndUpdate(
+    {
+      _id: subscription._id,
+      "payments.razorpayPaymentId": { $ne: razorpayPaymentId },
+    },
+    { ...update, $push: { payments: { razorpayPaymentId, amount } } },
+    { new: true }
+  );
+  if (paid) return paid;
+
+  // payment already recorded - only move the period forward
+  return Subscription.findByIdAndUpdate(subscription._id, update, {
+    new: true,
+  });
+};
+
+// ================ record watch time of a subscriber ================
+// a lecture counts once per subscriber, however often it is rewatched
+exports.recordWatchTime = async (userId, courseId, subSection, subscription) => {
+  await WatchTime.updateOne(
+    { user: userId, subSection: subSection._id },
+    {
+      $setOnInsert: {
+        course: courseId,
+        subscription: subscription._id,
+        seconds: parseInt(subSection.timeDuration || 0),
+        watchedAt: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+};
+
+// ================ subscription payouts of a month ================
+// each month, instructorShare % of the subscription revenue is split over
+// courses by the time subscribers spent watching them that month
+// returns [{ course, amount }] in INR, `month` is "YYYY-MM" (UTC)
+exports.getMonthlySubscriptionPayouts = async (month) => {
+  const [year, monthIndex] = month.split("-").map(Number);
+  const from = new Date(Date.UTC(year, monthIndex - 1, 1));
+  const to = new Date(Date.UTC(year, monthIndex, 1));
+
+  const [revenue, watchTime] = await Promise.all([
+    Subscription.aggregate([
+      { $unwind: "$payments" },
+      { $match: { "payments.paidAt": { $gte: from, $lt: to } } },
+      { $group: { _id: null, amount: { $sum: "$payments.amount" } } },
+    ]),
+    WatchTime.aggregate([
+      { $match: { watchedAt: { $gte: from, $lt: to } } },
+      { $group: { _id: "$course", seconds: { $sum: "$seconds" } } },
+    ]),
+  ]);
+
+  const pool =
+    ((revenue[0]?.amount || 0) * subscriptionConfig.instructorShare) / 100;
+  const totalSeconds = watchTime.reduce((acc, entry) => acc + entry.seconds, 0);
+  if (!pool || !totalSeconds) return [];
+
+  return watchTime
+    .filter((entry) => entry.seconds > 0)
+    .map((entry) => ({
+      course: entry._id,
+      amount: Math.round(((pool * entry.seconds) / totalSeconds) * 100) / 100,
+    }));
+};
+
+// Razorpay subscription status -> our status
+const RAZORPAY_STATUS = {
+  created: "Created",
+  authenticated: "Created",
+  active: "Active",
+  pending: "Pending",
+  halted: "Halted",
+  cancelled: "Cancelled",
+  completed: "Completed",
+  expired: "Completed",
+};
+
+// ================ sync a Subscription with Razorpay ================
+// `entity` is the Razorpay subscription, `payment` the Razorpay payment of a
+// billing period if one was charged (amount in paise)
+exports.syncSubscription = async (subscription, entity, payment) => {
+  const toDate = (seconds) => (seconds ? new Date(seconds * 1000) : undefined);
+  const period = {
+    periodStart: toDate(entity.current_start),
+    periodEnd: toDate(entity.current_end),
+  };
+
+  if (payment) {
+    return exports.recordSubscriptionPayment(subscription, {
+      razorpayPaymentId: payment.id,
+      amount: payment.amount / 100,
+      ...period,
+    });
+  }
+
+  return Subscription.findByIdAndUpdate(
+    subscription._id,
+    {
+      status: RAZORPAY_STATUS[entity.status] || subscription.status,
+      ...(period.periodStart && { currentPeriodStart: period.periodStart }),
+      ...(period.periodEnd && { currentPeriodEnd: period.periodEnd }),
+    },
+    { new: true }
+  );
+};
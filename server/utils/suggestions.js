@@ -0,0 +1,209 @@
+const Course = require("../models/Course");
+const Category = require("../models/Category");
+const User = require("../models/User");
+const Tag = require("../models/Tags");
+
+// the index is rebuilt lazily - on the first request after a write marked it
+// stale, or once it is older than this in case a write was missed
+const MAX_AGE = 10 * 60 * 1000;
+// dice similarity of word trigrams needed to count as a typo of a word
+const MIN_SIMILARITY = 0.4;
+const PER_TYPE = 5;
+
+let index = null;
+let building = null;
+let stale = true;
+
+const normalize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9+#.]+/g, " ")
+    .trim();
+
+const tokenize = (text) => normalize(text).split(" ").filter(Boolean);
+
+// "python" -> "  p", " py", "pyt", ..., "on "
+const trigrams = (word) => {
+  const padded = `  ${word} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+};
+
+const similarity = (a, b) => {
+  let shared = 0;
+  a.forEach((gram) => b.has(gram) && shared++);
+  return (2 * shared) / (a.size + b.size);
+};
+
+const buildIndex = async () => {
+  const [courses, categories, tags, instructors] = await Promise.all([
+    Course.find({ status: "Published" })
+      .select("courseName thumbnail instructorName")
+      .lean(),
+    Category.find().select("name slug").lean(),
+    Tag.find({ usageCount: { $gt: 0 } }).select("name slug usageCount").lean(),
+    User.find({ accountType: "Instructor", active: { $ne: false } })
+      .select("firstName lastName image")
+      .lean(),
+  ]);
+
+  const entries = [];
+  courses.forEach((course) =>
+    entries.push({
+      type: "courses",
+      id: course._id,
+      label: course.courseName,
+      detail: course.instructorName,
+      image: course.thumbnail,
+      weight: 1,
+    })
+  );
+  categories.forEach((category) =>
+    entries.push({
+      type: "categories",
+      id: category._id,
+      label: category.name,
+      slug: category.slug,
+      weight: 1,
+    })
+  );
+
+  // a tag is ranked by how many published courses use it
+  tags.forEach((tag) =>
+    entries.push({
+      type: "tags",
+      id: tag._id,
+      label: tag.name,
+      slug: tag.slug,
+      detail: tag.usageCount,
+      weight: tag.usageCount,
+    })
+  );
+
+  instructors.forEach((instructor) =>
+    entries.push({
+      type: "instructors",
+      id: instructor._id,
+      label: `${instructor.firstName} ${instructor.lastName}`,
+      image: instructor.image,
+      weight: 1,
+    })
+  );
+
+  // word -> entries containing it, trigram -> words containing it
+  const words = new Map();
+  const grams = new Map();
+  entries.forEach((entry, i) => {
+    entry.words = tokenize(entry.label);
+    entry.words.forEach((word) => {
+      if (!words.has(word)) {
+        words.set(word, { entries: new Set(), grams: trigrams(word) });
+        words.get(word).grams.forEach((gram) => {
+          if (!grams.has(gram)) grams.set(gram, new Set());
+          grams.get(gram).add(word);
+        });
+      }
+      words.get(word).entries.add(i);
+    });
+  });
+
+  return { entries, words, grams, builtAt: Date.now() };
+};
+
+const getIndex = async () => {
+  if (index && !stale && Date.now() - index.builtAt < MAX_AGE) return index;
+  if (!building) {
+    stale = false;
+    building = buildIndex()
+      .then((built) => (index = built))
+      .catch((error) => {
+        stale = true;
+        throw error;
+      })
+      .finally(() => (building = null));
+  }
+  return building;
+};
+
+// ================ mark the suggestion index stale ================
+// called after writes to courses, categories, tags or instructor names
+exports.invalidateSuggestions = () => {
+  stale = true;
+};
+
+// best score of every indexed word close to a typed word - prefixes score 1
+const matchWord = ({ words, grams }, typed) => {
+  const scores = new Map();
+  words.forEach((_, word) => {
+    if (word.startsWith(typed)) scores.set(word, 1);
+  });
+  // too short to tell a typo from a different word
+  if (typed.length < 3) return scores;
+
+  const typedGrams = trigrams(typed);
+  const candidates = new Set();
+  typedGrams.forEach((gram) =>
+    (grams.get(gram) || []).forEach((word) => candidates.add(word))
+  );
+  candidates.forEach((word) => {
+    if (scores.has(word)) return;
+    const score = similarity(typedGrams, words.get(word).grams);
+    if (score >= MIN_SIMILARITY) scores.set(word, score);
+  });
+  return scores;
+};
+
+// ================ suggestions for a partly typed query ================
+exports.getSuggestions = async (query) => {
+  const typedWords = tokenize(query);
+  const result = { courses: [], categories: [], tags: [], instructors: [] };
+  if (!typedWords.length) return result;
+
+  const built = await getIndex();
+
+  // every typed word has to match some word of the entry
+  let scores = null;
+  typedWords.forEach((typed) => {
+    const entryScores = new Map();
+    matchWord(built, typed).forEach((score, word) =>
+      built.words.get(word).entries.forEach((i) => {
+        if (!scores || scores.has(i)) {
+          entryScores.set(i, Math.max(entryScores.get(i) || 0, score));
+        }
+      })
+    );
+    if (scores) {
+      entryScores.forEach((score, i) =>
+        entryScores.set(i, score + scores.get(i))
+      );
+    }
+    scores = entryScores;
+  });
+
+  [...scores]
+    .map(([i, score]) => ({ entry: built.entries[i], score }))
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        b.entry.weight - a.entry.weight ||
+        a.entry.label.length - b.entry.label.length
+    )
+    .forEach(({ entry }) => {
+      const group = result[entry.type];
+      if (group.length >= PER_TYPE) return;
+      group.push({
+        id: entry.id,
+        label: entry.label,
+        slug: entry.slug,
+        detail: entry.detail,
+        image: entry.image,
+      });
+    });
+
+  return result;
+};
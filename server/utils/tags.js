@@ -0,0 +1,108 @@
+const Course = require("../models/Course");
+const Tag = require("../models/Tags");
+const { slugify } = require("./categories");
+
+// a course can carry at most this many tags
+const MAX_TAGS = 20;
+
+// "  node   JS " -> "node JS", repeated tags (same slug) are dropped
+exports.normalizeTagNames = (names = []) => {
+  const seen = new Set();
+  const result = [];
+  for (const raw of names) {
+    const name = String(raw || "").trim().replace(/\s+/g, " ");
+    const slug = slugify(name);
+    if (!slug || seen.has(slug)) continue;
+    seen.add(slug);
+    result.push(name);
+  }
+  return result.slice(0, MAX_TAGS);
+};
+
+// ================ tag documents for a list of names ================
+// an existing tag keeps its name, so "react" typed later still shows as "React"
+const findOrCreateTags = async (names) => {
+  const tags = [];
+  for (const name of exports.normalizeTagNames(names)) {
+    const tag = await Tag.findOneAndUpdate(
+      { slug: slugify(name) },
+      { $setOnInsert: { name } },
+      { upsert: true, new: true }
+    );
+    tags.push(tag);
+  }
+  return tags;
+};
+
+// ================ usage counts ================
+// a tag counts the published courses using it
+exports.refreshTagCounts = async (tagIds = []) => {
+  await Promise.all(
+    tagIds.map(async (tagId) =>
+      Tag.findByIdAndUpdate(tagId, {
+        usageCount: await Course.countDocuments({
+          tags: tagId,
+          status: "Published",
+        }),
+      })
+    )
+  );
+};
+
+// ================ set the tags of a course ================
+// keeps Course.tag (the names, used by full text search) in step with Course.tags,
+// returns every tag whose count may have changed - save the course, then refresh them
+exports.setCourseTags = async (course, names) => {
+  const previous = (course.tags || []).map(String);
+  const tags = await findOrCreateTags(names);
+  course.tags = tags.map((tag) => tag._id);
+  course.tag = tags.map((tag) => tag.name);
+  return [...new Set([...previous, ...tags.map((tag) => String(tag._id))])];
+};
+
+// ================ re-read tag names into courses ================
+// after a tag was renamed or merged away
+exports.refreshCourseTagNames = async (filter) => {
+  const courses = await Course.find(filter)
+    .select("tags")
+    .populate("tags", "name")
+    .lean();
+  await Promise.all(
+    courses.map((course) =>
+      Course.updateOne(
+        { _id: course._id },
+        { tag: course.tags.filter(Boolean).map((tag) => tag.name) }
+      )
+    )
+  );
+};
+
+// ================ link older courses to tag documents ================
+// courses created before tags were normalized only have names,
+// tags from the old schema have no slug - runs once after connecting
+exports.backfillCourseTags = async () => {
+  const oldTags = await Tag.find({ slug: { $exists: false } });
+  for (const tag of oldTags) {
+    const slug = slugify(tag.name);
+    if (!slug || (await Tag.exists({ slug }))) {
+      await Tag.deleteOne({ _id: tag._id });
+      continue;
+    }
+    await Tag.updateOne(
+      { _id: tag._id },
+      { slug, $unset: { course: 1 } },
+      { strict: false }
+    );
+  }
+
+  const courses = await Course.find({ tags: { $exists: false } });
+  for (const course of courses) {
+    await exports.setCourseTags(course, course.tag);
+    await course.save();
+  }
+
+  if (oldTags.length || courses.length) {
+    const tags = await Tag.find().select("_id").lean();
+    await exports.refreshTagCounts(tags.map((tag) => tag._id));
+  }
+};
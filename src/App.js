@@ -1,6 +1,6 @@
 import { useEffect, useState } from "react";
 import { Route, Routes, useLocation } from "react-router-dom";
-import { useSelector } from "react-redux";
+import { useDispatch, useSelector } from "react-redux";
 
 import Home from "./pages/Home";
 import Login from "./pages/Login";
@@ -13,6 +13,11 @@ import Contact from "./pages/Contact";
 import PageNotFound from "./pages/PageNotFound";
 import CourseDetails from "./pages/CourseDetails";
 import Catalog from "./pages/Catalog";
+import BundleDetails from "./pages/BundleDetails";
+import Pro from "./pages/Pro";
+import SearchResults from "./pages/SearchResults";
+import TagCourses from "./pages/TagCourses";
+import Certificate from "./pages/Certificate";
 
 import Navbar from "./components/common/Navbar";
 
@@ -23,11 +28,16 @@ import Dashboard from "./pages/Dashboard";
 import MyProfile from "./components/core/Dashboard/MyProfile";
 import Settings from "./components/core/Dashboard/Settings/Settings";
 import MyCourses from "./components/core/Dashboard/MyCourses";
+import MyBundles from "./components/core/Dashboard/MyBundles";
+import InstructorEarnings from "./components/core/Dashboard/InstructorEarnings";
 import EditCourse from "./components/core/Dashboard/EditCourse/EditCourse";
 import Instructor from "./components/core/Dashboard/InstructorDashboard/Instructor";
 
 import Cart from "./components/core/Dashboard/Cart/Cart";
 import EnrolledCourses from "./components/core/Dashboard/EnrolledCourses";
+import PurchaseHistory from "./components/core/Dashboard/PurchaseHistory";
+import GiftsAndSeats from "./components/core/Dashboard/GiftsAndSeats";
+import MySubscription from "./components/core/Dashboard/MySubscription";
 import AddCourse from "./components/core/Dashboard/AddCourse/AddCourse";
 
 import ViewCourse from "./pages/ViewCourse";
@@ -39,13 +49,36 @@ import { HiArrowNarrowUp } from "react-icons/hi";
 import CreateCategory from "./components/core/Dashboard/CreateCategory";
 import AllStudents from "./components/core/Dashboard/AllStudents";
 import AllInstructors from "./components/core/Dashboard/AllInstructors";
+import RefundRequests from "./components/core/Dashboard/RefundRequests";
+import CurrencyRates from "./components/core/Dashboard/CurrencyRates";
+import SubscriptionPlans from "./components/core/Dashboard/SubscriptionPlans";
+import Payouts from "./components/core/Dashboard/Payouts";
+import ManageTags from "./components/core/Dashboard/ManageTags";
+import AssignmentReviews from "./components/core/Dashboard/AssignmentReviews";
+import MyCertificates from "./components/core/Dashboard/MyCertificates";
+
+import { getCurrencyRates } from "./services/operations/currencyAPI";
+import { setCurrency } from "./slices/currencySlice";
 
 function App() {
   const { user } = useSelector((state) => state.profile);
   const location = useLocation();
+  const dispatch = useDispatch();
 
   const [showArrow, setShowArrow] = useState(false);
 
+  // -----------------------------
+  // Currency - rates for converting INR prices, user's currency from profile
+  // -----------------------------
+  useEffect(() => {
+    dispatch(getCurrencyRates());
+  }, [dispatch]);
+
+  const profileCurrency = user?.additionalDetails?.currency;
+  useEffect(() => {
+    if (profileCurrency) dispatch(setCurrency(profileCurrency));
+  }, [profileCurrency, dispatch]);
+
   // -----------------------------
   // Scroll to top whenever route changes
   // -----------------------------
@@ -90,6 +123,11 @@ function App() {
         <Route path="/about" element={<About />} />
         <Route path="catalog/:catalogName" element={<Catalog />} />
         <Route path="courses/:courseId" element={<CourseDetails />} />
+        <Route path="bundles/:bundleId" element={<BundleDetails />} />
+        <Route path="pro" element={<Pro />} />
+        <Route path="search" element={<SearchResults />} />
+        <Route path="tags/:slug" element={<TagCourses />} />
+        <Route path="certificates/:id" element={<Certificate />} />
 
         {/* Open Routes */}
         <Route
@@ -150,6 +188,11 @@ function App() {
               <Route path="dashboard/create-category" element={<CreateCategory />} />
               <Route path="dashboard/all-students" element={<AllStudents />} />
               <Route path="dashboard/all-instructors" element={<AllInstructors />} />
+              <Route path="dashboard/refund-requests" element={<RefundRequests />} />
+              <Route path="dashboard/currency-rates" element={<CurrencyRates />} />
+              <Route path="dashboard/subscription-plans" element={<SubscriptionPlans />} />
+              <Route path="dashboard/payouts" element={<Payouts />} />
+              <Route path="dashboard/tags" element={<ManageTags />} />
             </>
           )}
 
@@ -158,6 +201,10 @@ function App() {
             <>
               <Route path="dashboard/cart" element={<Cart />} />
               <Route path="dashboard/enrolled-courses" element={<EnrolledCourses />} />
+              <Route path="dashboard/purchase-history" element={<PurchaseHistory />} />
+              <Route path="dashboard/gifts-and-seats" element={<GiftsAndSeats />} />
+              <Route path="dashboard/subscription" element={<MySubscription />} />
+              <Route path="dashboard/certificates" element={<MyCertificates />} />
             </>
           )}
 
@@ -167,6 +214,9 @@ function App() {
               <Route path="dashboard/instructor" element={<Instructor />} />
               <Route path="dashboard/add-course" element={<AddCourse />} />
               <Route path="dashboard/my-courses" element={<MyCourses />} />
+              <Route path="dashboard/my-bundles" element={<MyBundles />} />
+              <Route path="dashboard/earnings" element={<InstructorEarnings />} />
+              <Route path="dashboard/assignment-reviews" element={<AssignmentReviews />} />
               <Route path="dashboard/edit-course/:courseId" element={<EditCourse />} />
             </>
           )}
@@ -0,0 +1,49 @@
+import { useRef } from "react";
+
+// plain code editor - Tab indents, Esc then Tab leaves the field
+export default function CodeEditor({
+  id,
+  value,
+  onChange,
+  disabled = false,
+  placeholder = "",
+  className = "",
+}) {
+  const escaped = useRef(false);
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape") {
+      escaped.current = true;
+      return;
+    }
+    if (e.key !== "Tab" || escaped.current) {
+      escaped.current = false;
+      return;
+    }
+    e.preventDefault();
+    const { selectionStart, selectionEnd } = e.target;
+    onChange(
+      value.slice(0, selectionStart) + "    " + value.slice(selectionEnd)
+    );
+    // put the caret after the inserted spaces once React has re-rendered
+    const textarea = e.target;
+    requestAnimationFrame(() => {
+      textarea.selectionStart = textarea.selectionEnd = selectionStart + 4;
+    });
+  };
+
+  return (
+    <textarea
+      id={id}
+      value={value}
+      disabled={disabled}
+      placeholder={placeholder}
+      onChange={(e) => onChange(e.target.value)}
+      onKeyDown={handleKeyDown}
+      spellCheck={false}
+      autoCapitalize="off"
+      autoComplete="off"
+      className={`w-full resize-y rounded-lg border border-richblack-600 bg-richblack-900 p-4 font-mono text-sm leading-6 text-richblack-5 outline-none focus:border-yellow-50 ${className}`}
+    />
+  );
+}
@@ -0,0 +1,29 @@
+import {
+  MdCode,
+  MdOutlineAssignment,
+  MdOutlineArticle,
+  MdOutlineFileDownload,
+  MdOutlineLink,
+  MdOutlineOndemandVideo,
+  MdOutlinePictureAsPdf,
+  MdOutlineQuiz,
+} from "react-icons/md";
+
+import { LESSON_TYPES } from "../../utils/constants";
+
+const ICONS = {
+  [LESSON_TYPES.VIDEO]: MdOutlineOndemandVideo,
+  [LESSON_TYPES.ARTICLE]: MdOutlineArticle,
+  [LESSON_TYPES.PDF]: MdOutlinePictureAsPdf,
+  [LESSON_TYPES.RESOURCE]: MdOutlineFileDownload,
+  [LESSON_TYPES.LINK]: MdOutlineLink,
+  [LESSON_TYPES.QUIZ]: MdOutlineQuiz,
+  [LESSON_TYPES.CODING]: MdCode,
+  [LESSON_TYPES.ASSIGNMENT]: MdOutlineAssignment,
+};
+
+// icon of a lesson by its type, lessons made before types existed are videos
+export default function LessonTypeIcon({ type, className = "" }) {
+  const Icon = ICONS[type] || ICONS[LESSON_TYPES.VIDEO];
+  return <Icon className={className} title={type || LESSON_TYPES.VIDEO} />;
+}
@@ -0,0 +1,12 @@
+import ReactMarkdown from "react-markdown";
+
+// markdown written by instructors - raw HTML is not rendered
+export default function Markdown({ children, className = "" }) {
+  return (
+    <div
+      className={`flex flex-col gap-4 leading-7 text-richblack-50 [&_a]:text-blue-100 [&_a]:underline [&_blockquote]:border-l-4 [&_blockquote]:border-richblack-500 [&_blockquote]:pl-4 [&_code]:rounded [&_code]:bg-richblack-700 [&_code]:px-1 [&_h1]:text-3xl [&_h1]:font-semibold [&_h1]:text-richblack-5 [&_h2]:text-2xl [&_h2]:font-semibold [&_h2]:text-richblack-5 [&_h3]:text-xl [&_h3]:font-semibold [&_h3]:text-richblack-5 [&_ol]:list-decimal [&_ol]:pl-6 [&_pre]:overflow-x-auto [&_pre]:rounded-md [&_pre]:bg-richblack-700 [&_pre]:p-4 [&_pre_code]:bg-transparent [&_pre_code]:p-0 [&_ul]:list-disc [&_ul]:pl-6 ${className}`}
+    >
+      <ReactMarkdown>{children}</ReactMarkdown>
+    </div>
+  );
+}
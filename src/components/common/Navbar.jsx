@@ -8,9 +8,49 @@ import { fetchCourseCategories } from "./../../services/operations/courseDetails
 
 import ProfileDropDown from "../core/Auth/ProfileDropDown";
 import MobileProfileDropDown from "../core/Auth/MobileProfileDropDown";
+import SearchBar from "./SearchBar";
 
 import { AiOutlineShoppingCart } from "react-icons/ai";
-import { MdKeyboardArrowDown } from "react-icons/md";
+import { MdKeyboardArrowDown, MdKeyboardArrowRight } from "react-icons/md";
+import { buildCategoryTree } from "../../utils/categoryTree";
+
+// one level of the catalog dropdown - subcategories open to the side on hover
+const CategoryMenu = ({ categories, nested = false }) => {
+  const [openId, setOpenId] = useState(null);
+
+  return categories.map((category) => (
+    <div
+      key={category._id}
+      className="relative"
+      onMouseEnter={() => setOpenId(category._id)}
+      onMouseLeave={() => setOpenId(null)}
+    >
+      <Link
+        to={`/catalog/${category.slug}`}
+        className={`flex items-center justify-between rounded-lg bg-transparent pl-4 pr-2 hover:bg-richblack-50 ${
+          nested ? "py-3" : "py-4"
+        }`}
+      >
+        <p className="flex items-center gap-2">
+          {category.icon && (
+            <img
+              src={category.icon}
+              alt=""
+              className="h-5 w-5 rounded object-cover"
+            />
+          )}
+          {category.name}
+        </p>
+        {category.children.length > 0 && <MdKeyboardArrowRight />}
+      </Link>
+      {category.children.length > 0 && openId === category._id && (
+        <div className="absolute left-full top-0 z-[1000] ml-1 flex w-[220px] flex-col rounded-lg bg-richblack-5 p-2 text-richblack-900 shadow-lg">
+          <CategoryMenu categories={category.children} nested />
+        </div>
+      )}
+    </div>
+  ));
+};
 
 const Navbar = () => {
   // console.log("Printing base url: ", import.meta.env.VITE_APP_BASE_URL);
@@ -30,7 +70,7 @@ const Navbar = () => {
       // const result = await apiConnector("GET", categories.CATEGORIES_API);
       // const result = await apiConnector('GET', 'http://localhost:4000/api/v1/course/showAllCategories');
       // console.log("Printing Sublinks result:", result);
-      setSubLinks(res);
+      setSubLinks(buildCategoryTree(res));
     } catch (error) {
       console.log("Could not fetch the category list = ", error);
     }
@@ -110,20 +150,7 @@ const Navbar = () => {
                     {loading ? (
                       <p className="text-center ">Loading...</p>
                     ) : subLinks.length ? (
-                      <>
-                        {subLinks?.map((subLink, i) => (
-                          <Link
-                            to={`/catalog/${subLink.name
-                              .split(" ")
-                              .join("-")
-                              .toLowerCase()}`}
-                            className="rounded-lg bg-transparent py-4 pl-4 hover:bg-richblack-50"
-                            key={i}
-                          >
-                            <p>{subLink.name}</p>
-                          </Link>
-                        ))}
-                      </>
+                      <CategoryMenu categories={subLinks} />
                     ) : (
                       <p className="text-center">No Courses Found</p>
                     )}
@@ -148,6 +175,7 @@ const Navbar = () => {
 
         {/* Login/SignUp/Dashboard */}
         <div className="flex gap-x-4 items-center">
+          <SearchBar />
           {user && user?.accountType === "Student" && (
             <Link to="/dashboard/cart" className="relative">
               <AiOutlineShoppingCart className="text-[2.35rem] text-richblack-5 hover:bg-richblack-700 rounded-full p-2 duration-200" />
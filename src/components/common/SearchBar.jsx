@@ -0,0 +1,181 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useLocation, useNavigate, useSearchParams } from "react-router-dom";
+
+import { AiOutlineSearch } from "react-icons/ai";
+
+import { fetchSearchSuggestions } from "../../services/operations/courseDetailsAPI";
+
+const GROUPS = [
+  { key: "courses", title: "Courses" },
+  { key: "categories", title: "Categories" },
+  { key: "tags", title: "Tags" },
+  { key: "instructors", title: "Instructors" },
+];
+
+const suggestionPath = (type, item) => {
+  switch (type) {
+    case "courses":
+      return `/courses/${item.id}`;
+    case "categories":
+      return `/catalog/${item.slug}`;
+    case "tags":
+      return `/tags/${item.slug}`;
+    default:
+      // instructor names are covered by full search
+      return `/search?q=${encodeURIComponent(item.label)}`;
+  }
+};
+
+function SearchBar() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
+  const [query, setQuery] = useState("");
+  const [suggestions, setSuggestions] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+  const latestQuery = useRef("");
+
+  // keep the box in sync with the results page
+  useEffect(() => {
+    if (location.pathname === "/search") setQuery(searchParams.get("q") || "");
+  }, [location.pathname, searchParams]);
+
+  // wait for a pause in typing, and ignore answers to older queries
+  useEffect(() => {
+    const q = query.trim();
+    latestQuery.current = q;
+    setHighlighted(-1);
+    if (!q) {
+      setSuggestions(null);
+      return;
+    }
+    const timer = setTimeout(async () => {
+      const result = await fetchSearchSuggestions(q);
+      if (latestQuery.current === q) setSuggestions(result);
+    }, 250);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  // flat list in display order, for keyboard navigation
+  const items = GROUPS.flatMap(({ key }) =>
+    (suggestions?.[key] || []).map((item) => ({
+      ...item,
+      path: suggestionPath(key, item),
+    }))
+  );
+
+  const goTo = (path) => {
+    setOpen(false);
+    navigate(path);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (highlighted >= 0 && items[highlighted]) {
+      goTo(items[highlighted].path);
+      return;
+    }
+    const q = query.trim();
+    if (!q) return;
+    goTo(`/search?q=${encodeURIComponent(q)}`);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setOpen(true);
+      setHighlighted((i) => (i + 1 < items.length ? i + 1 : 0));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setHighlighted((i) => (i > 0 ? i - 1 : items.length - 1));
+    } else if (e.key === "Escape") {
+      setOpen(false);
+      setHighlighted(-1);
+    }
+  };
+
+  let index = -1;
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="relative hidden md:flex items-center gap-2 rounded-full border border-richblack-700 bg-richblack-800 px-3 py-1.5"
+    >
+      <AiOutlineSearch className="text-lg text-richblack-300" />
+      <input
+        type="text"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        // let a click on a suggestion land before the list closes
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        onKeyDown={handleKeyDown}
+        placeholder="Search courses"
+        role="combobox"
+        aria-expanded={open && items.length > 0}
+        aria-controls="search-suggestions"
+        className="w-36 bg-transparent text-sm text-richblack-5 outline-none placeholder:text-richblack-400 lg:w-48"
+      />
+
+      {/* suggestions grouped by type */}
+      {open && items.length > 0 && (
+        <div
+          id="search-suggestions"
+          role="listbox"
+          className="absolute right-0 top-[calc(100%+0.5rem)] z-[1000] flex max-h-[70vh] w-[340px] flex-col gap-2 overflow-y-auto rounded-lg bg-richblack-5 p-2 text-richblack-900 shadow-lg"
+        >
+          {GROUPS.filter(({ key }) => suggestions?.[key]?.length).map(
+            ({ key, title }) => (
+              <div key={key}>
+                <p className="px-2 py-1 text-xs font-semibold uppercase text-richblack-400">
+                  {title}
+                </p>
+                {suggestions[key].map((item) => {
+                  index++;
+                  const itemIndex = index;
+                  return (
+                    <div
+                      key={`${key}-${item.id || item.label}`}
+                      role="option"
+                      aria-selected={highlighted === itemIndex}
+                      onMouseDown={(e) => e.preventDefault()}
+                      onMouseEnter={() => setHighlighted(itemIndex)}
+                      onClick={() => goTo(items[itemIndex].path)}
+                      className={`flex cursor-pointer items-center gap-2 rounded-md px-2 py-1.5 text-sm ${
+                        highlighted === itemIndex ? "bg-richblack-50" : ""
+                      }`}
+                    >
+                      {item.image && (
+                        <img
+                          src={item.image}
+                          alt=""
+                          className={`h-7 w-7 object-cover ${
+                            key === "instructors" ? "rounded-full" : "rounded"
+                          }`}
+                        />
+                      )}
+                      <span className="line-clamp-1 flex-1">{item.label}</span>
+                      {item.detail !== undefined && (
+                        <span className="text-xs text-richblack-400">
+                          {key === "tags"
+                            ? `${item.detail} courses`
+                            : item.detail}
+                        </span>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )
+          )}
+        </div>
+      )}
+    </form>
+  );
+}
+
+export default SearchBar;
@@ -0,0 +1,109 @@
+import React, { useEffect, useRef, useState } from "react";
+
+import { searchTags } from "../../services/operations/tagAPI";
+
+// text input suggesting existing tags as you type - picking a suggestion,
+// or pressing Enter / "," on free text, calls onSelect with { name, slug? }
+function TagInput({ id, placeholder, exclude = [], onSelect, className = "" }) {
+  const [value, setValue] = useState("");
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+  const latestQuery = useRef("");
+
+  // wait for a pause in typing, and ignore answers to older queries
+  useEffect(() => {
+    const q = value.trim();
+    latestQuery.current = q;
+    setHighlighted(-1);
+    if (!q) {
+      setSuggestions([]);
+      return;
+    }
+    const timer = setTimeout(async () => {
+      const result = await searchTags(q);
+      if (latestQuery.current === q) setSuggestions(result);
+    }, 250);
+    return () => clearTimeout(timer);
+  }, [value]);
+
+  const excluded = exclude.map((name) => name.toLowerCase());
+  const items = suggestions.filter(
+    (tag) => !excluded.includes(tag.name.toLowerCase())
+  );
+
+  const select = (tag) => {
+    onSelect(tag);
+    setValue("");
+    setSuggestions([]);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setOpen(true);
+      setHighlighted((i) => (i + 1 < items.length ? i + 1 : 0));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setHighlighted((i) => (i > 0 ? i - 1 : items.length - 1));
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    } else if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      if (highlighted >= 0 && items[highlighted]) select(items[highlighted]);
+      else if (value.trim()) select({ name: value.trim() });
+    }
+  };
+
+  return (
+    <div className="relative w-full">
+      <input
+        id={id}
+        type="text"
+        value={value}
+        placeholder={placeholder}
+        onChange={(e) => {
+          setValue(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        // let a click on a suggestion land before the list closes
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        onKeyDown={handleKeyDown}
+        role="combobox"
+        aria-expanded={open && items.length > 0}
+        aria-controls={`${id}-suggestions`}
+        className={`form-style w-full ${className}`}
+      />
+
+      {open && items.length > 0 && (
+        <div
+          id={`${id}-suggestions`}
+          role="listbox"
+          className="absolute left-0 top-[calc(100%+0.25rem)] z-[100] flex w-full flex-col rounded-lg bg-richblack-5 p-1 text-richblack-900 shadow-lg"
+        >
+          {items.map((tag, i) => (
+            <div
+              key={tag._id}
+              role="option"
+              aria-selected={highlighted === i}
+              onMouseDown={(e) => e.preventDefault()}
+              onMouseEnter={() => setHighlighted(i)}
+              onClick={() => select(tag)}
+              className={`flex cursor-pointer items-center justify-between rounded-md px-2 py-1.5 text-sm ${
+                highlighted === i ? "bg-richblack-50" : ""
+              }`}
+            >
+              <span>{tag.name}</span>
+              <span className="text-xs text-richblack-400">
+                {tag.usageCount} courses
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TagInput;
@@ -0,0 +1,62 @@
+import React from "react";
+import { Link } from "react-router-dom";
+
+import usePrice from "../../../hooks/usePrice";
+import Img from "../../common/Img";
+
+function BundleCard({ bundle }) {
+  const formatPrice = usePrice();
+
+  // price of the courses bought one by one
+  const coursesPrice = bundle?.courses?.reduce(
+    (acc, course) => acc + (course.price || 0),
+    0
+  );
+
+  return (
+    <Link to={`/bundles/${bundle._id}`}>
+      <div className="bg-richblack-800 rounded-xl overflow-hidden shadow-md hover:shadow-lg transform hover:scale-105 transition-all duration-300 cursor-pointer w-full sm:w-72 md:w-80">
+        {/* Bundle Thumbnail */}
+        <div className="relative w-full h-40 sm:h-48 md:h-52 overflow-hidden">
+          <Img
+            src={bundle?.thumbnail}
+            alt={bundle?.bundleName}
+            className="w-full h-full object-cover rounded-t-xl"
+          />
+          <span className="absolute left-3 top-3 rounded-full bg-yellow-50 px-3 py-1 text-xs font-semibold text-richblack-900">
+            {bundle?.courses?.length} Courses
+          </span>
+        </div>
+
+        {/* Bundle Details */}
+        <div className="p-3 sm:p-4 flex flex-col gap-1.5 sm:gap-2">
+          <p className="text-md sm:text-lg font-semibold text-richblack-5 line-clamp-2">
+            {bundle?.bundleName}
+          </p>
+
+          <p className="text-xs sm:text-sm text-richblack-400">
+            {bundle?.instructor?.firstName} {bundle?.instructor?.lastName}
+          </p>
+
+          <p className="text-xs sm:text-sm text-richblack-300 line-clamp-2">
+            {bundle?.courses?.map((course) => course.courseName).join(" + ")}
+          </p>
+
+          {/* Price */}
+          <div className="flex items-center gap-2 mt-1 sm:mt-2">
+            <p className="text-md sm:text-lg font-semibold text-yellow-50">
+              {formatPrice(bundle?.price)}
+            </p>
+            {coursesPrice > bundle?.price && (
+              <p className="text-sm text-richblack-400 line-through">
+                {formatPrice(coursesPrice)}
+              </p>
+            )}
+          </div>
+        </div>
+      </div>
+    </Link>
+  );
+}
+
+export default BundleCard;
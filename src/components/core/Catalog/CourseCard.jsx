@@ -2,14 +2,17 @@ import React, { useEffect, useState } from "react";
 import { Link } from "react-router-dom";
 
 import GetAvgRating from "../../../utils/avgRating";
+import usePrice from "../../../hooks/usePrice";
 import RatingStars from "../../common/RatingStars";
 import Img from "../../common/Img";
 
 function CourseCard({ course }) {
   const [avgReviewCount, setAvgReviewCount] = useState(0);
+  const formatPrice = usePrice();
 
   useEffect(() => {
-    const count = GetAvgRating(course.ratingAndReviews);
+    // search results only carry the stored average, not the reviews
+    const count = course.averageRating ?? GetAvgRating(course.ratingAndReviews);
     setAvgReviewCount(count);
   }, [course]);
 
@@ -37,6 +40,20 @@ function CourseCard({ course }) {
             {course?.instructor?.firstName} {course?.instructor?.lastName}
           </p>
 
+          {/* Level & Language */}
+          {(course?.level || course?.language) && (
+            <div className="flex flex-wrap gap-2 text-[11px] sm:text-xs">
+              {[course.level, course.language].filter(Boolean).map((badge) => (
+                <span
+                  key={badge}
+                  className="rounded-full bg-richblack-700 px-2 py-0.5 text-richblack-100"
+                >
+                  {badge}
+                </span>
+              ))}
+            </div>
+          )}
+
           {/* Rating */}
           <div className="flex items-center gap-1 sm:gap-2 mt-1">
             <span className="text-yellow-50 font-medium text-sm sm:text-base">
@@ -51,7 +68,7 @@ function CourseCard({ course }) {
 
           {/* Price */}
           <p className="text-md sm:text-lg font-semibold text-yellow-50 mt-1 sm:mt-2">
-            Rs. {course?.price}
+            {course?.price ? formatPrice(course.price) : "Free"}
           </p>
         </div>
       </div>
@@ -0,0 +1,108 @@
+import React, { useEffect, useState } from "react";
+import ProgressBar from "@ramonak/react-progress-bar";
+import { useSelector } from "react-redux";
+import { Link } from "react-router-dom";
+
+import CourseSlider from "./CourseSlider";
+import Img from "../../common/Img";
+import { getRecommendations } from "../../../services/operations/courseDetailsAPI";
+
+// rows shown by default - pages can leave some out (e.g. no best sellers on the dashboard)
+const ALL_ROWS = ["continueLearning", "becauseYouAreLearning", "alsoBought", "popular"];
+
+function Recommendations({ courseId, rows = ALL_ROWS, className = "" }) {
+  const { token } = useSelector((state) => state.auth);
+  const [recommendations, setRecommendations] = useState(null);
+
+  useEffect(() => {
+    (async () => {
+      setRecommendations(await getRecommendations(token, courseId));
+    })();
+  }, [token, courseId]);
+
+  if (!recommendations) return null;
+
+  const { continueLearning, becauseYouAreLearning, alsoBought, popular } =
+    recommendations;
+  const show = (row) => rows.includes(row);
+
+  return (
+    <div className={`flex flex-col gap-12 ${className}`}>
+      {/* Continue where you left off */}
+      {show("continueLearning") && continueLearning?.length > 0 && (
+        <div>
+          <div className="section_heading">Continue where you left off</div>
+          <div className="mt-6 grid grid-cols-1 gap-6 md:grid-cols-2 lg:grid-cols-3">
+            {continueLearning.slice(0, 3).map(
+              ({ course, totalLectures, completedLectures, resume }) => (
+                <Link
+                  key={course._id}
+                  to={`/view-course/${course._id}/section/${resume.sectionId}/sub-section/${resume.subSectionId}`}
+                  className="flex gap-4 rounded-xl bg-richblack-800 p-4 transition-all duration-200 hover:bg-richblack-700"
+                >
+                  <Img
+                    src={course.thumbnail}
+                    alt={course.courseName}
+                    className="h-20 w-28 rounded-lg object-cover"
+                  />
+                  <div className="flex flex-1 flex-col justify-between gap-2">
+                    <p className="line-clamp-2 font-semibold text-richblack-5">
+                      {course.courseName}
+                    </p>
+                    <div>
+                      <p className="mb-1 text-xs text-richblack-300">
+                        {completedLectures} / {totalLectures} lectures
+                      </p>
+                      <ProgressBar
+                        completed={Math.round(
+                          (completedLectures / totalLectures) * 100
+                        )}
+                        height="8px"
+                        isLabelVisible={false}
+                      />
+                    </div>
+                  </div>
+                </Link>
+              )
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Because you are learning <category> */}
+      {show("becauseYouAreLearning") && becauseYouAreLearning && (
+        <div>
+          <div className="section_heading">
+            Because you are learning{" "}
+            <span className="text-yellow-25">
+              {becauseYouAreLearning.category.name}
+            </span>
+          </div>
+          <CourseSlider Courses={becauseYouAreLearning.courses} />
+        </div>
+      )}
+
+      {/* co-enrollment */}
+      {show("alsoBought") && alsoBought?.length > 0 && (
+        <div>
+          <div className="section_heading">
+            {courseId
+              ? "Students who bought this course also bought"
+              : "Students who bought your courses also bought"}
+          </div>
+          <CourseSlider Courses={alsoBought} />
+        </div>
+      )}
+
+      {/* best sellers, when there is nothing personal to show */}
+      {show("popular") && popular?.length > 0 && (
+        <div>
+          <div className="section_heading">Popular on StudyNotion</div>
+          <CourseSlider Courses={popular} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Recommendations;
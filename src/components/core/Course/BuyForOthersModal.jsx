@@ -0,0 +1,152 @@
+import { useState } from "react";
+import { useForm } from "react-hook-form";
+import { useDispatch, useSelector } from "react-redux";
+import { useNavigate } from "react-router-dom";
+
+import usePrice from "../../../hooks/usePrice";
+import { buyCourse } from "../../../services/operations/studentFeaturesAPI";
+import { selectDisplayCurrency } from "../../../slices/currencySlice";
+import IconBtn from "../../common/IconBtn";
+
+// buy a course as a gift for one email, or as seats for a team
+export default function BuyForOthersModal({ course, onClose }) {
+  const { user } = useSelector((state) => state.profile);
+  const { token } = useSelector((state) => state.auth);
+  const currency = useSelector(selectDisplayCurrency);
+  const formatPrice = usePrice();
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+
+  const [purchaseType, setPurchaseType] = useState("Gift");
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors },
+  } = useForm({ defaultValues: { seats: 5 } });
+
+  const seats = Number(watch("seats")) || 0;
+  const quantity = purchaseType === "Seats" ? seats : 1;
+
+  const onSubmit = async (data) => {
+    onClose();
+    await buyCourse(
+      token,
+      [course._id],
+      user,
+      navigate,
+      dispatch,
+      null,
+      currency,
+      purchaseType === "Gift"
+        ? {
+            purchaseType,
+            recipientEmail: data.recipientEmail,
+            giftMessage: data.giftMessage,
+          }
+        : { purchaseType, seats: Number(data.seats) }
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 z-[1000] !mt-0 grid place-items-center overflow-auto bg-white bg-opacity-10 backdrop-blur-sm">
+      <div className="w-11/12 max-w-[450px] rounded-lg border border-richblack-400 bg-richblack-800 p-6">
+        <p className="text-2xl font-semibold text-richblack-5">
+          Buy for Others
+        </p>
+        <p className="mt-1 text-sm text-richblack-300">{course.courseName}</p>
+
+        {/* gift or seats */}
+        <div className="my-5 flex gap-x-2 rounded-full bg-richblack-700 p-1">
+          {["Gift", "Seats"].map((type) => (
+            <button
+              key={type}
+              type="button"
+              onClick={() => setPurchaseType(type)}
+              className={`flex-1 rounded-full py-1 text-sm font-medium duration-200 ${
+                purchaseType === type
+                  ? "bg-richblack-900 text-richblack-5"
+                  : "text-richblack-200"
+              }`}
+            >
+              {type === "Gift" ? "Gift a Friend" : "Seats for a Team"}
+            </button>
+          ))}
+        </div>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="flex flex-col gap-4">
+          {purchaseType === "Gift" ? (
+            <>
+              <div className="flex flex-col gap-2">
+                <label htmlFor="recipientEmail" className="lable-style">
+                  Recipient Email <sup className="text-pink-200">*</sup>
+                </label>
+                <input
+                  id="recipientEmail"
+                  type="email"
+                  placeholder="Enter recipient email"
+                  className="form-style"
+                  {...register("recipientEmail", { required: true })}
+                />
+                {errors.recipientEmail && (
+                  <span className="-mt-1 text-[12px] text-yellow-100">
+                    Please enter the recipient email.
+                  </span>
+                )}
+              </div>
+              <div className="flex flex-col gap-2">
+                <label htmlFor="giftMessage" className="lable-style">
+                  Message
+                </label>
+                <textarea
+                  id="giftMessage"
+                  placeholder="Add a personal message"
+                  className="form-style resize-x-none min-h-[90px]"
+                  {...register("giftMessage", { maxLength: 500 })}
+                />
+              </div>
+            </>
+          ) : (
+            <div className="flex flex-col gap-2">
+              <label htmlFor="seats" className="lable-style">
+                Number of Seats <sup className="text-pink-200">*</sup>
+              </label>
+              <input
+                id="seats"
+                type="number"
+                min="1"
+                max="500"
+                className="form-style"
+                {...register("seats", { required: true, min: 1, max: 500 })}
+              />
+              {errors.seats && (
+                <span className="-mt-1 text-[12px] text-yellow-100">
+                  Seats must be between 1 and 500.
+                </span>
+              )}
+              <p className="text-xs text-richblack-300">
+                You will get one code per seat to share with your team.
+              </p>
+            </div>
+          )}
+
+          <p className="text-lg font-semibold text-yellow-50">
+            Total: {formatPrice(course.price * quantity)}
+          </p>
+
+          <div className="flex items-center gap-x-4">
+            <IconBtn type="submit" text="Proceed to Pay" />
+            <button
+              type="button"
+              onClick={onClose}
+              className="cursor-pointer rounded-md bg-richblack-200 py-[8px] px-[20px] font-semibold text-richblack-900"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
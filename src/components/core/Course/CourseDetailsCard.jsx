@@ -1,4 +1,4 @@
-import React from "react";
+import React, { useState } from "react";
 import copy from "copy-to-clipboard";
 import { toast } from "react-hot-toast";
 import { useDispatch, useSelector } from "react-redux";
@@ -7,15 +7,24 @@ import { useNavigate } from "react-router-dom";
 import { BsFillCaretRightFill } from "react-icons/bs";
 import { FaShareSquare } from "react-icons/fa";
 
-import { addToCart } from "../../../slices/cartSlice";
+import { addToCart } from "../../../services/operations/cartAPI";
 import { ACCOUNT_TYPE } from "../../../utils/constants";
+import usePrice from "../../../hooks/usePrice";
 import Img from "./../../common/Img";
+import BuyForOthersModal from "./BuyForOthersModal";
 
-function CourseDetailsCard({ course, setConfirmationModal, handleBuyCourse }) {
+function CourseDetailsCard({
+  course,
+  setConfirmationModal,
+  handleBuyCourse,
+  handleWatchWithPro,
+}) {
   const { user } = useSelector((state) => state.profile);
   const { token } = useSelector((state) => state.auth);
   const navigate = useNavigate();
   const dispatch = useDispatch();
+  const formatPrice = usePrice();
+  const [buyForOthers, setBuyForOthers] = useState(false);
 
   const {
     thumbnail: ThumbnailImage,
@@ -34,7 +43,7 @@ function CourseDetailsCard({ course, setConfirmationModal, handleBuyCourse }) {
       return;
     }
     if (token) {
-      dispatch(addToCart(course));
+      dispatch(addToCart(token, course._id));
       return;
     }
     setConfirmationModal({
@@ -61,9 +70,19 @@ function CourseDetailsCard({ course, setConfirmationModal, handleBuyCourse }) {
 
         <div className="px-4">
           <div className="space-x-3 pb-4 text-3xl font-semibold">
-            Rs. {CurrentPrice}
+            {CurrentPrice ? formatPrice(CurrentPrice) : "Free"}
           </div>
           <div className="flex flex-col gap-4">
+            {/* StudyNotion Pro members can watch without buying */}
+            {handleWatchWithPro &&
+              !course?.studentsEnrolled.includes(user?._id) && (
+                <button
+                  className="yellowButton outline-none"
+                  onClick={handleWatchWithPro}
+                >
+                  Start Learning with Pro
+                </button>
+              )}
             <button
               className="yellowButton outline-none"
               onClick={
@@ -74,7 +93,9 @@ function CourseDetailsCard({ course, setConfirmationModal, handleBuyCourse }) {
             >
               {user && course?.studentsEnrolled.includes(user?._id)
                 ? "Go To Course"
-                : "Buy Now"}
+                : CurrentPrice
+                ? "Buy Now"
+                : "Enroll for Free"}
             </button>
             {(!user || !course?.studentsEnrolled.includes(user?._id)) && (
               <button
@@ -84,6 +105,17 @@ function CourseDetailsCard({ course, setConfirmationModal, handleBuyCourse }) {
                 Add to Cart
               </button>
             )}
+            {/* gifts and team seats - also for students who already own the course */}
+            {token &&
+              user?.accountType === ACCOUNT_TYPE.STUDENT &&
+              CurrentPrice > 0 && (
+                <button
+                  onClick={() => setBuyForOthers(true)}
+                  className="text-sm font-medium text-yellow-50 hover:underline"
+                >
+                  Gift this course / Buy for a team
+                </button>
+              )}
           </div>
 
           <p className="pb-3 pt-6 text-center text-sm text-richblack-25">
@@ -116,6 +148,13 @@ function CourseDetailsCard({ course, setConfirmationModal, handleBuyCourse }) {
           </div>
         </div>
       </div>
+
+      {buyForOthers && (
+        <BuyForOthersModal
+          course={course}
+          onClose={() => setBuyForOthers(false)}
+        />
+      )}
     </>
   );
 }
@@ -1,7 +1,7 @@
 import React from "react"; // Only React is needed
 // Removed: useEffect, useRef, useState
 // Removed: AiOutlineDown
-import { HiOutlineVideoCamera } from "react-icons/hi";
+import LessonTypeIcon from "../../common/LessonTypeIcon";
 
 function CourseSubSectionAccordion({ subSec }) {
   return (
@@ -9,7 +9,7 @@ function CourseSubSectionAccordion({ subSec }) {
       <div className="flex justify-between py-2">
         <div className={`flex items-center gap-2`}>
           <span>
-            <HiOutlineVideoCamera />
+            <LessonTypeIcon type={subSec?.type} />
           </span>
           <p>{subSec?.title}</p>
         </div>
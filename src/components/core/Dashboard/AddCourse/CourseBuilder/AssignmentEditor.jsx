@@ -0,0 +1,150 @@
+import { FaPlus } from "react-icons/fa";
+import { RiDeleteBin6Line } from "react-icons/ri";
+
+const newCriterion = () => ({ criterion: "", description: "", points: 10 });
+
+export const newAssignment = () => ({
+  instructions: "",
+  allowFiles: true,
+  allowLinks: true,
+  rubric: [newCriterion()],
+});
+
+// instructions and grading rubric of an Assignment lesson - the instructor
+// grades every submission against the rubric from the review queue
+export default function AssignmentEditor({
+  assignment,
+  setAssignment,
+  disabled = false,
+}) {
+  const updateCriterion = (index, changes) => {
+    setAssignment({
+      ...assignment,
+      rubric: assignment.rubric.map((item, i) =>
+        i === index ? { ...item, ...changes } : item
+      ),
+    });
+  };
+
+  const maxScore = assignment.rubric.reduce(
+    (acc, item) => acc + (Number(item.points) || 0),
+    0
+  );
+
+  return (
+    <fieldset disabled={disabled} className="flex flex-col gap-6">
+      {/* Instructions */}
+      <div className="flex flex-col space-y-2">
+        <label className="text-sm text-richblack-5" htmlFor="instructions">
+          Instructions{" "}
+          <span className="text-xs text-richblack-300">- markdown</span>
+        </label>
+        <textarea
+          id="instructions"
+          value={assignment.instructions}
+          placeholder="What should students build and hand in?"
+          onChange={(e) =>
+            setAssignment({ ...assignment, instructions: e.target.value })
+          }
+          className="form-style min-h-[130px] w-full"
+        />
+      </div>
+
+      {/* What can be handed in */}
+      <div className="flex flex-wrap gap-6 text-sm text-richblack-5">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={assignment.allowFiles}
+            onChange={(e) =>
+              setAssignment({ ...assignment, allowFiles: e.target.checked })
+            }
+          />
+          Students can upload files
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={assignment.allowLinks}
+            onChange={(e) =>
+              setAssignment({ ...assignment, allowLinks: e.target.checked })
+            }
+          />
+          Students can add links
+        </label>
+      </div>
+
+      {/* Rubric */}
+      <div className="flex flex-col gap-4">
+        <p className="text-sm text-richblack-5">
+          Rubric{" "}
+          <span className="text-xs text-richblack-300">
+            - {maxScore} points in total
+          </span>
+        </p>
+        {assignment.rubric.map((item, index) => (
+          <div
+            key={index}
+            className="flex flex-col gap-3 rounded-lg border border-richblack-600 p-4"
+          >
+            <div className="flex items-center gap-3">
+              <input
+                value={item.criterion}
+                placeholder={`Criterion ${index + 1}`}
+                onChange={(e) =>
+                  updateCriterion(index, { criterion: e.target.value })
+                }
+                className="form-style w-full"
+              />
+              <input
+                type="number"
+                min={1}
+                max={100}
+                value={item.points}
+                onChange={(e) =>
+                  updateCriterion(index, { points: e.target.value })
+                }
+                aria-label="Points"
+                className="form-style w-24"
+              />
+              {assignment.rubric.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() =>
+                    setAssignment({
+                      ...assignment,
+                      rubric: assignment.rubric.filter((_, i) => i !== index),
+                    })
+                  }
+                  aria-label={`Remove criterion ${index + 1}`}
+                >
+                  <RiDeleteBin6Line className="text-lg text-pink-200 hover:scale-125 duration-200" />
+                </button>
+              )}
+            </div>
+            <textarea
+              value={item.description}
+              placeholder="What earns the points (optional)"
+              onChange={(e) =>
+                updateCriterion(index, { description: e.target.value })
+              }
+              className="form-style min-h-[60px] w-full text-sm"
+            />
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() =>
+            setAssignment({
+              ...assignment,
+              rubric: [...assignment.rubric, newCriterion()],
+            })
+          }
+          className="flex w-max items-center gap-2 rounded-md border border-yellow-50 px-4 py-2 text-sm font-semibold text-yellow-50"
+        >
+          <FaPlus /> Add criterion
+        </button>
+      </div>
+    </fieldset>
+  );
+}
@@ -0,0 +1,173 @@
+import { FaPlus } from "react-icons/fa";
+import { RiDeleteBin6Line } from "react-icons/ri";
+
+import CodeEditor from "../../../../common/CodeEditor";
+import { CODING_LANGUAGES } from "../../../../../utils/constants";
+
+const newTest = () => ({ input: "", expectedOutput: "", hidden: true });
+
+export const newCodingExercise = () => ({
+  language: "javascript",
+  starterCode: "",
+  timeLimit: 2000,
+  memoryLimit: 128,
+  tests: [{ ...newTest(), hidden: false }],
+});
+
+// starter file and test cases of a Coding lesson - the student's program reads
+// a test's input on stdin and must print its expected output
+export default function CodingExerciseEditor({
+  exercise,
+  setExercise,
+  disabled = false,
+}) {
+  const updateTest = (index, changes) => {
+    setExercise({
+      ...exercise,
+      tests: exercise.tests.map((test, i) =>
+        i === index ? { ...test, ...changes } : test
+      ),
+    });
+  };
+
+  return (
+    <fieldset disabled={disabled} className="flex flex-col gap-6">
+      {/* Language and limits */}
+      <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+        <label className="flex flex-col space-y-2 text-sm text-richblack-5">
+          Language
+          <select
+            value={exercise.language}
+            onChange={(e) =>
+              setExercise({ ...exercise, language: e.target.value })
+            }
+            className="form-style w-full"
+          >
+            {Object.entries(CODING_LANGUAGES).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col space-y-2 text-sm text-richblack-5">
+          Time limit per test (ms)
+          <input
+            type="number"
+            min={500}
+            max={5000}
+            step={100}
+            value={exercise.timeLimit}
+            onChange={(e) =>
+              setExercise({ ...exercise, timeLimit: e.target.value })
+            }
+            className="form-style w-full"
+          />
+        </label>
+        <label className="flex flex-col space-y-2 text-sm text-richblack-5">
+          Memory limit (MB)
+          <input
+            type="number"
+            min={32}
+            max={512}
+            value={exercise.memoryLimit}
+            onChange={(e) =>
+              setExercise({ ...exercise, memoryLimit: e.target.value })
+            }
+            className="form-style w-full"
+          />
+        </label>
+      </div>
+
+      {/* Starter file */}
+      <div className="flex flex-col space-y-2">
+        <label className="text-sm text-richblack-5" htmlFor="starterCode">
+          Starter file
+        </label>
+        <CodeEditor
+          id="starterCode"
+          value={exercise.starterCode}
+          onChange={(starterCode) => setExercise({ ...exercise, starterCode })}
+          disabled={disabled}
+          placeholder={
+            exercise.language === "python"
+              ? "# read the input with input(), print the answer"
+              : '// read the input from require("fs").readFileSync(0, "utf8"), print the answer'
+          }
+          className="min-h-[200px]"
+        />
+      </div>
+
+      {/* Tests */}
+      <div className="flex flex-col gap-4">
+        <p className="text-sm text-richblack-5">
+          Test cases{" "}
+          <span className="text-xs text-richblack-300">
+            - trailing spaces and blank lines are ignored when comparing output
+          </span>
+        </p>
+        {exercise.tests.map((test, index) => (
+          <div
+            key={index}
+            className="flex flex-col gap-3 rounded-lg border border-richblack-600 p-4"
+          >
+            <div className="flex items-center justify-between gap-3">
+              <p className="font-semibold text-richblack-5">Test {index + 1}</p>
+              <label className="flex items-center gap-2 text-sm text-richblack-200">
+                <input
+                  type="checkbox"
+                  checked={!test.hidden}
+                  onChange={(e) =>
+                    updateTest(index, { hidden: !e.target.checked })
+                  }
+                />
+                Show to students as an example
+              </label>
+              {exercise.tests.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() =>
+                    setExercise({
+                      ...exercise,
+                      tests: exercise.tests.filter((_, i) => i !== index),
+                    })
+                  }
+                  aria-label={`Remove test ${index + 1}`}
+                >
+                  <RiDeleteBin6Line className="text-lg text-pink-200 hover:scale-125 duration-200" />
+                </button>
+              )}
+            </div>
+            <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+              <textarea
+                value={test.input}
+                placeholder="Input (stdin)"
+                onChange={(e) => updateTest(index, { input: e.target.value })}
+                spellCheck={false}
+                className="form-style min-h-[90px] w-full font-mono text-sm"
+              />
+              <textarea
+                value={test.expectedOutput}
+                placeholder="Expected output"
+                onChange={(e) =>
+                  updateTest(index, { expectedOutput: e.target.value })
+                }
+                spellCheck={false}
+                className="form-style min-h-[90px] w-full font-mono text-sm"
+              />
+            </div>
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() =>
+            setExercise({ ...exercise, tests: [...exercise.tests, newTest()] })
+          }
+          className="flex w-max items-center gap-2 rounded-md border border-yellow-50 px-4 py-2 text-sm font-semibold text-yellow-50"
+        >
+          <FaPlus /> Add test case
+        </button>
+      </div>
+    </fieldset>
+  );
+}
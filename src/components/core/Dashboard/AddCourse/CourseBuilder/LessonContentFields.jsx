@@ -0,0 +1,123 @@
+import { useState } from "react";
+
+import Markdown from "../../../../common/Markdown";
+import { LESSON_TYPES } from "../../../../../utils/constants";
+
+// accepted by the server for PDF lessons
+const SLIDE_FILES = ".pdf,.ppt,.pptx";
+
+// content of Article, PDF, Resource and Link lessons - videos use Upload
+// and quizzes QuizEditor. A new file is only required when adding.
+export default function LessonContentFields({
+  type,
+  register,
+  watch,
+  errors,
+  modalData,
+  add,
+  disabled,
+}) {
+  const [preview, setPreview] = useState(false);
+
+  if (type === LESSON_TYPES.ARTICLE) {
+    return (
+      <div className="flex flex-col space-y-2">
+        <div className="flex items-center justify-between">
+          <label className="text-sm text-richblack-5" htmlFor="lectureContent">
+            Article {!disabled && <sup className="text-pink-200">*</sup>}
+          </label>
+          <button
+            type="button"
+            onClick={() => setPreview(!preview)}
+            className="text-sm text-yellow-50"
+          >
+            {preview ? "Write" : "Preview"}
+          </button>
+        </div>
+        {preview ? (
+          <div className="min-h-[250px] rounded-lg bg-richblack-700 p-4">
+            <Markdown>{watch("lectureContent") || ""}</Markdown>
+          </div>
+        ) : (
+          <textarea
+            disabled={disabled}
+            id="lectureContent"
+            placeholder="Write the lesson - Markdown is supported"
+            {...register("lectureContent", { required: true })}
+            className="form-style resize-x-none min-h-[250px] w-full font-mono"
+          />
+        )}
+        {errors.lectureContent && (
+          <span className="ml-2 text-xs tracking-wide text-pink-200">
+            Article is required
+          </span>
+        )}
+      </div>
+    );
+  }
+
+  if (type === LESSON_TYPES.PDF || type === LESSON_TYPES.RESOURCE) {
+    const label = type === LESSON_TYPES.PDF ? "PDF or slides" : "File";
+    return (
+      <div className="flex flex-col space-y-2">
+        <label className="text-sm text-richblack-5" htmlFor="lectureFile">
+          {label} {add && <sup className="text-pink-200">*</sup>}
+        </label>
+        {modalData?.fileUrl && (
+          <a
+            href={modalData.fileUrl}
+            target="_blank"
+            rel="noreferrer"
+            className="text-sm text-yellow-50 underline"
+          >
+            {modalData.fileName || "Current file"}
+          </a>
+        )}
+        {!disabled && (
+          <input
+            type="file"
+            id="lectureFile"
+            accept={type === LESSON_TYPES.PDF ? SLIDE_FILES : undefined}
+            {...register("lectureFile", { required: add })}
+            className="text-sm text-richblack-200"
+          />
+        )}
+        <p className="text-xs text-richblack-300">
+          {type === LESSON_TYPES.PDF
+            ? "Shown in the course player, up to 100 MB"
+            : "Code archives, datasets or any other download, up to 100 MB"}
+        </p>
+        {errors.lectureFile && (
+          <span className="ml-2 text-xs tracking-wide text-pink-200">
+            {label} is required
+          </span>
+        )}
+      </div>
+    );
+  }
+
+  if (type === LESSON_TYPES.LINK) {
+    return (
+      <div className="flex flex-col space-y-2">
+        <label className="text-sm text-richblack-5" htmlFor="lectureLink">
+          Link {!disabled && <sup className="text-pink-200">*</sup>}
+        </label>
+        <input
+          type="url"
+          disabled={disabled}
+          id="lectureLink"
+          placeholder="https://"
+          {...register("lectureLink", { required: true })}
+          className="form-style w-full"
+        />
+        {errors.lectureLink && (
+          <span className="ml-2 text-xs tracking-wide text-pink-200">
+            Link is required
+          </span>
+        )}
+      </div>
+    );
+  }
+
+  return null;
+}
@@ -118,6 +118,11 @@ export default function NestedView({ handleChangeEditSectionName }) {
                     <p className="font-semibold text-richblack-50">
                       {data.title}
                     </p>
+                    {data.type && data.type !== "Video" && (
+                      <span className="rounded-full bg-richblack-600 px-2 py-0.5 text-xs text-yellow-50">
+                        {data.type}
+                      </span>
+                    )}
                   </div>
                   <div
                     onClick={(e) => e.stopPropagation()}
@@ -0,0 +1,297 @@
+import { FaPlus } from "react-icons/fa";
+import { RiDeleteBin6Line } from "react-icons/ri";
+
+const QUESTION_TYPES = [
+  { value: "single", label: "Multiple choice" },
+  { value: "multiple", label: "Multi-select" },
+  { value: "boolean", label: "True / False" },
+  { value: "short", label: "Short answer" },
+];
+
+// the server allows up to this many options per question
+const MAX_OPTIONS = 8;
+
+const newQuestion = () => ({
+  questionType: "single",
+  prompt: "",
+  options: ["", ""],
+  correctOptions: [],
+  acceptedAnswers: [""],
+  explanation: "",
+  points: 1,
+});
+
+export const newQuiz = () => ({
+  passPercentage: 70,
+  maxAttempts: 0,
+  questions: [newQuestion()],
+});
+
+// questions of a Quiz lesson, graded on the server - `quiz` is
+// { passPercentage, maxAttempts, questions }
+export default function QuizEditor({ quiz, setQuiz, disabled = false }) {
+  const updateQuestion = (index, changes) => {
+    setQuiz({
+      ...quiz,
+      questions: quiz.questions.map((question, i) =>
+        i === index ? { ...question, ...changes } : question
+      ),
+    });
+  };
+
+  // keep what still makes sense for the new type
+  const changeType = (index, questionType) => {
+    const question = quiz.questions[index];
+    const changes = { questionType };
+    if (questionType === "boolean") {
+      changes.correctOptions = [0];
+    } else if (questionType === "single" || questionType === "multiple") {
+      changes.options =
+        question.questionType === "boolean" || question.options.length < 2
+          ? ["", ""]
+          : question.options;
+      changes.correctOptions =
+        question.questionType === "boolean"
+          ? []
+          : question.correctOptions.slice(
+              0,
+              questionType === "single" ? 1 : undefined
+            );
+    } else if (!question.acceptedAnswers?.length) {
+      changes.acceptedAnswers = [""];
+    }
+    updateQuestion(index, changes);
+  };
+
+  const toggleCorrect = (index, optionIndex) => {
+    const question = quiz.questions[index];
+    if (question.questionType === "multiple") {
+      updateQuestion(index, {
+        correctOptions: question.correctOptions.includes(optionIndex)
+          ? question.correctOptions.filter((i) => i !== optionIndex)
+          : [...question.correctOptions, optionIndex],
+      });
+    } else {
+      updateQuestion(index, { correctOptions: [optionIndex] });
+    }
+  };
+
+  // removing an option shifts the ones after it
+  const removeOption = (index, optionIndex) => {
+    const question = quiz.questions[index];
+    updateQuestion(index, {
+      options: question.options.filter((_, i) => i !== optionIndex),
+      correctOptions: question.correctOptions
+        .filter((i) => i !== optionIndex)
+        .map((i) => (i > optionIndex ? i - 1 : i)),
+    });
+  };
+
+  // list of text inputs - the options, or the accepted short answers
+  const renderList = (index, field, placeholder) => {
+    const question = quiz.questions[index];
+    const choice = field === "options";
+    return (
+      <div className="flex flex-col gap-2">
+        {question[field].map((value, i) => (
+          <div key={i} className="flex items-center gap-2">
+            {choice && (
+              <input
+                type={question.questionType === "multiple" ? "checkbox" : "radio"}
+                name={`correct-${index}`}
+                checked={question.correctOptions.includes(i)}
+                onChange={() => toggleCorrect(index, i)}
+                aria-label={`Mark option ${i + 1} as correct`}
+              />
+            )}
+            <input
+              type="text"
+              value={value}
+              placeholder={`${placeholder} ${i + 1}`}
+              onChange={(e) =>
+                updateQuestion(index, {
+                  [field]: question[field].map((item, j) =>
+                    j === i ? e.target.value : item
+                  ),
+                })
+              }
+              className="form-style w-full"
+            />
+            {question[field].length > (choice ? 2 : 1) && (
+              <button
+                type="button"
+                onClick={() =>
+                  choice
+                    ? removeOption(index, i)
+                    : updateQuestion(index, {
+                        [field]: question[field].filter((_, j) => j !== i),
+                      })
+                }
+                aria-label={`Remove ${placeholder.toLowerCase()} ${i + 1}`}
+              >
+                <RiDeleteBin6Line className="text-pink-200 hover:scale-125 duration-200" />
+              </button>
+            )}
+          </div>
+        ))}
+        {(!choice || question.options.length < MAX_OPTIONS) && (
+          <button
+            type="button"
+            onClick={() =>
+              updateQuestion(index, { [field]: [...question[field], ""] })
+            }
+            className="flex w-max items-center gap-1 text-sm text-yellow-50"
+          >
+            <FaPlus className="text-xs" /> Add {placeholder.toLowerCase()}
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <fieldset disabled={disabled} className="flex flex-col gap-6">
+      {/* Pass mark and attempts */}
+      <div className="flex flex-col gap-4 sm:flex-row">
+        <label className="flex flex-1 flex-col space-y-2 text-sm text-richblack-5">
+          Pass mark (%)
+          <input
+            type="number"
+            min={0}
+            max={100}
+            value={quiz.passPercentage}
+            onChange={(e) =>
+              setQuiz({ ...quiz, passPercentage: e.target.value })
+            }
+            className="form-style w-full"
+          />
+        </label>
+        <label className="flex flex-1 flex-col space-y-2 text-sm text-richblack-5">
+          Attempts allowed (0 = unlimited)
+          <input
+            type="number"
+            min={0}
+            value={quiz.maxAttempts}
+            onChange={(e) => setQuiz({ ...quiz, maxAttempts: e.target.value })}
+            className="form-style w-full"
+          />
+        </label>
+      </div>
+
+      {/* Questions */}
+      {quiz.questions.map((question, index) => (
+        <div
+          key={index}
+          className="flex flex-col gap-4 rounded-lg border border-richblack-600 p-4"
+        >
+          <div className="flex flex-wrap items-center gap-3">
+            <p className="font-semibold text-richblack-5">
+              Question {index + 1}
+            </p>
+            <select
+              value={question.questionType}
+              onChange={(e) => changeType(index, e.target.value)}
+              className="form-style flex-1"
+            >
+              {QUESTION_TYPES.map((type) => (
+                <option key={type.value} value={type.value}>
+                  {type.label}
+                </option>
+              ))}
+            </select>
+            <label className="flex items-center gap-2 text-sm text-richblack-200">
+              Points
+              <input
+                type="number"
+                min={1}
+                value={question.points}
+                onChange={(e) =>
+                  updateQuestion(index, { points: e.target.value })
+                }
+                className="form-style w-20"
+              />
+            </label>
+            {quiz.questions.length > 1 && (
+              <button
+                type="button"
+                onClick={() =>
+                  setQuiz({
+                    ...quiz,
+                    questions: quiz.questions.filter((_, i) => i !== index),
+                  })
+                }
+                aria-label={`Remove question ${index + 1}`}
+              >
+                <RiDeleteBin6Line className="text-lg text-pink-200 hover:scale-125 duration-200" />
+              </button>
+            )}
+          </div>
+
+          <textarea
+            value={question.prompt}
+            placeholder="Enter the question"
+            onChange={(e) => updateQuestion(index, { prompt: e.target.value })}
+            className="form-style resize-x-none min-h-[80px] w-full"
+          />
+
+          {(question.questionType === "single" ||
+            question.questionType === "multiple") && (
+            <>
+              <p className="text-xs text-richblack-300">
+                {question.questionType === "single"
+                  ? "Select the correct option"
+                  : "Tick every correct option"}
+              </p>
+              {renderList(index, "options", "Option")}
+            </>
+          )}
+
+          {question.questionType === "boolean" && (
+            <div className="flex gap-6 text-sm text-richblack-5">
+              {["True", "False"].map((label, i) => (
+                <label key={label} className="flex items-center gap-2">
+                  <input
+                    type="radio"
+                    name={`correct-${index}`}
+                    checked={question.correctOptions[0] === i}
+                    onChange={() => updateQuestion(index, { correctOptions: [i] })}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+          )}
+
+          {question.questionType === "short" && (
+            <>
+              <p className="text-xs text-richblack-300">
+                Answers are matched ignoring case and extra spaces
+              </p>
+              {renderList(index, "acceptedAnswers", "Accepted answer")}
+            </>
+          )}
+
+          <input
+            type="text"
+            value={question.explanation}
+            placeholder="Explanation shown after answering (optional)"
+            onChange={(e) =>
+              updateQuestion(index, { explanation: e.target.value })
+            }
+            className="form-style w-full"
+          />
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={() =>
+          setQuiz({ ...quiz, questions: [...quiz.questions, newQuestion()] })
+        }
+        className="flex w-max items-center gap-2 rounded-md border border-yellow-50 px-4 py-2 text-sm font-semibold text-yellow-50"
+      >
+        <FaPlus /> Add question
+      </button>
+    </fieldset>
+  );
+}
@@ -1,4 +1,4 @@
-import { useEffect, useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import { useForm } from "react-hook-form";
 import { toast } from "react-hot-toast";
 import { RxCross2 } from "react-icons/rx";
@@ -8,9 +8,77 @@ import {
   createSubSection,
   updateSubSection,
 } from "../../../../../services/operations/courseDetailsAPI";
+import { getQuiz } from "../../../../../services/operations/quizAPI";
+import { getCodingExercise } from "../../../../../services/operations/codingAPI";
+import { getAssignment } from "../../../../../services/operations/assignmentAPI";
 import { setCourse } from "../../../../../slices/courseSlice";
 import IconBtn from "../../../../common/IconBtn";
+import LessonTypeIcon from "../../../../common/LessonTypeIcon";
+import { LESSON_TYPES } from "../../../../../utils/constants";
 import Upload from "../Upload";
+import AssignmentEditor, { newAssignment } from "./AssignmentEditor";
+import CodingExerciseEditor, { newCodingExercise } from "./CodingExerciseEditor";
+import LessonContentFields from "./LessonContentFields";
+import QuizEditor, { newQuiz } from "./QuizEditor";
+
+// form field holding the content of each lesson type, quizzes, coding
+// exercises and assignments have their own state
+const CONTENT_FIELDS = {
+  [LESSON_TYPES.VIDEO]: "lectureVideo",
+  [LESSON_TYPES.ARTICLE]: "lectureContent",
+  [LESSON_TYPES.PDF]: "lectureFile",
+  [LESSON_TYPES.RESOURCE]: "lectureFile",
+  [LESSON_TYPES.LINK]: "lectureLink",
+};
+
+// what the server needs of a quiz, to send and to detect changes
+const quizFields = (quiz) => ({
+  passPercentage: quiz.passPercentage,
+  maxAttempts: quiz.maxAttempts,
+  questions: JSON.stringify(
+    quiz.questions.map((question) => ({
+      _id: question._id,
+      questionType: question.questionType,
+      prompt: question.prompt,
+      options: question.options,
+      correctOptions: question.correctOptions,
+      acceptedAnswers: question.acceptedAnswers,
+      explanation: question.explanation,
+      points: question.points,
+    }))
+  ),
+});
+
+// what the server needs of a coding exercise, to send and to detect changes
+const exerciseFields = (exercise) => ({
+  language: exercise.language,
+  starterCode: exercise.starterCode,
+  timeLimit: exercise.timeLimit,
+  memoryLimit: exercise.memoryLimit,
+  tests: JSON.stringify(
+    exercise.tests.map((test) => ({
+      _id: test._id,
+      input: test.input,
+      expectedOutput: test.expectedOutput,
+      hidden: test.hidden,
+    }))
+  ),
+});
+
+// what the server needs of an assignment, to send and to detect changes
+const assignmentFields = (assignment) => ({
+  instructions: assignment.instructions,
+  allowFiles: assignment.allowFiles,
+  allowLinks: assignment.allowLinks,
+  rubric: JSON.stringify(
+    assignment.rubric.map((item) => ({
+      _id: item._id,
+      criterion: item.criterion,
+      description: item.description,
+      points: item.points,
+    }))
+  ),
+});
 
 export default function SubSectionModal({
   modalData,
@@ -25,6 +93,8 @@ export default function SubSectionModal({
     setValue,
     formState: { errors },
     getValues,
+    unregister,
+    watch,
   } = useForm();
 
   const dispatch = useDispatch();
@@ -32,14 +102,63 @@ export default function SubSectionModal({
   const { token } = useSelector((state) => state.auth);
   const { course } = useSelector((state) => state.course);
 
+  // the lesson type is chosen when it is added
+  const [type, setType] = useState(modalData?.type || LESSON_TYPES.VIDEO);
+  const [quiz, setQuiz] = useState(newQuiz);
+  const savedQuiz = useRef(null);
+  const [exercise, setExercise] = useState(newCodingExercise);
+  const savedExercise = useRef(null);
+  const [assignment, setAssignment] = useState(newAssignment);
+  const savedAssignment = useRef(null);
+
+  // the questions and tests are not part of the course content, fetch them to edit
+  useEffect(() => {
+    if ((view || edit) && modalData?.type === LESSON_TYPES.QUIZ) {
+      (async () => {
+        const result = await getQuiz(modalData._id, token);
+        if (result?.quiz) {
+          setQuiz(result.quiz);
+          savedQuiz.current = result.quiz;
+        }
+      })();
+    }
+    if ((view || edit) && modalData?.type === LESSON_TYPES.CODING) {
+      (async () => {
+        const result = await getCodingExercise(modalData._id, token);
+        if (result?.preview) {
+          setExercise(result.exercise);
+          savedExercise.current = result.exercise;
+        }
+      })();
+    }
+    if ((view || edit) && modalData?.type === LESSON_TYPES.ASSIGNMENT) {
+      (async () => {
+        const result = await getAssignment(modalData._id, token);
+        if (result?.preview) {
+          setAssignment(result.assignment);
+          savedAssignment.current = result.assignment;
+        }
+      })();
+    }
+  }, [view, edit, modalData, token]);
+
+  // only the content of the chosen type is validated and sent
+  useEffect(() => {
+    Object.values(CONTENT_FIELDS)
+      .filter((field) => field !== CONTENT_FIELDS[type])
+      .forEach((field) => unregister(field));
+  }, [type, unregister]);
+
   // useEffect to populate form fields when in view or edit mode
   useEffect(() => {
     if (view || edit) {
       // Deconstruct modalData to list specific properties in dependencies
-      const { title, description, videoUrl } = modalData;
+      const { title, description, videoUrl, content, linkUrl } = modalData;
       setValue("lectureTitle", title);
       setValue("lectureDesc", description);
       setValue("lectureVideo", videoUrl);
+      setValue("lectureContent", content);
+      setValue("lectureLink", linkUrl);
     }
   }, [
     view, // Dependency: changes if view mode is enabled/disabled
@@ -58,11 +177,32 @@ export default function SubSectionModal({
     if (
       currentValues.lectureTitle !== modalData?.title ||
       currentValues.lectureDesc !== modalData?.description ||
-      currentValues.lectureVideo !== modalData?.videoUrl
+      (type === LESSON_TYPES.VIDEO &&
+        currentValues.lectureVideo !== modalData?.videoUrl) ||
+      (type === LESSON_TYPES.ARTICLE &&
+        currentValues.lectureContent !== modalData?.content) ||
+      (type === LESSON_TYPES.LINK &&
+        currentValues.lectureLink !== modalData?.linkUrl) ||
+      currentValues.lectureFile?.length > 0
     ) {
       return true;
     }
-    return false;
+    // savedQuiz, savedExercise and savedAssignment are empty when they could
+    // not be fetched
+    return (
+      (type === LESSON_TYPES.QUIZ &&
+        !!savedQuiz.current &&
+        JSON.stringify(quizFields(quiz)) !==
+          JSON.stringify(quizFields(savedQuiz.current))) ||
+      (type === LESSON_TYPES.CODING &&
+        !!savedExercise.current &&
+        JSON.stringify(exerciseFields(exercise)) !==
+          JSON.stringify(exerciseFields(savedExercise.current))) ||
+      (type === LESSON_TYPES.ASSIGNMENT &&
+        !!savedAssignment.current &&
+        JSON.stringify(assignmentFields(assignment)) !==
+          JSON.stringify(assignmentFields(savedAssignment.current)))
+    );
   };
 
   // handle the editing of subsection
@@ -79,9 +219,42 @@ export default function SubSectionModal({
     if (currentValues.lectureDesc !== modalData.description) {
       formData.append("description", currentValues.lectureDesc);
     }
-    if (currentValues.lectureVideo !== modalData.videoUrl) {
+    if (
+      type === LESSON_TYPES.VIDEO &&
+      currentValues.lectureVideo !== modalData.videoUrl
+    ) {
       formData.append("video", currentValues.lectureVideo);
     }
+    if (
+      type === LESSON_TYPES.ARTICLE &&
+      currentValues.lectureContent !== modalData.content
+    ) {
+      formData.append("content", currentValues.lectureContent);
+    }
+    if (
+      type === LESSON_TYPES.LINK &&
+      currentValues.lectureLink !== modalData.linkUrl
+    ) {
+      formData.append("linkUrl", currentValues.lectureLink);
+    }
+    if (currentValues.lectureFile?.length > 0) {
+      formData.append("file", currentValues.lectureFile[0]);
+    }
+    if (type === LESSON_TYPES.QUIZ && savedQuiz.current) {
+      Object.entries(quizFields(quiz)).forEach(([key, value]) =>
+        formData.append(key, value)
+      );
+    }
+    if (type === LESSON_TYPES.CODING && savedExercise.current) {
+      Object.entries(exerciseFields(exercise)).forEach(([key, value]) =>
+        formData.append(key, value)
+      );
+    }
+    if (type === LESSON_TYPES.ASSIGNMENT && savedAssignment.current) {
+      Object.entries(assignmentFields(assignment)).forEach(([key, value]) =>
+        formData.append(key, value)
+      );
+    }
 
     setLoading(true);
     const result = await updateSubSection(formData, token);
@@ -113,7 +286,28 @@ export default function SubSectionModal({
     formData.append("sectionId", modalData); // Assuming modalData is the sectionId when adding
     formData.append("title", data.lectureTitle);
     formData.append("description", data.lectureDesc);
-    formData.append("video", data.lectureVideo);
+    formData.append("type", type);
+    if (type === LESSON_TYPES.QUIZ) {
+      Object.entries(quizFields(quiz)).forEach(([key, value]) =>
+        formData.append(key, value)
+      );
+    } else if (type === LESSON_TYPES.CODING) {
+      Object.entries(exerciseFields(exercise)).forEach(([key, value]) =>
+        formData.append(key, value)
+      );
+    } else if (type === LESSON_TYPES.ASSIGNMENT) {
+      Object.entries(assignmentFields(assignment)).forEach(([key, value]) =>
+        formData.append(key, value)
+      );
+    } else if (type === LESSON_TYPES.ARTICLE) {
+      formData.append("content", data.lectureContent);
+    } else if (type === LESSON_TYPES.LINK) {
+      formData.append("linkUrl", data.lectureLink);
+    } else if (type === LESSON_TYPES.PDF || type === LESSON_TYPES.RESOURCE) {
+      formData.append("file", data.lectureFile[0]);
+    } else {
+      formData.append("video", data.lectureVideo);
+    }
     setLoading(true);
     const result = await createSubSection(formData, token);
     if (result) {
@@ -134,7 +328,8 @@ export default function SubSectionModal({
         {/* Modal Header */}
         <div className="flex items-center justify-between rounded-t-lg bg-richblack-700 p-5">
           <p className="text-xl font-semibold text-richblack-5">
-            {view && "Viewing"} {add && "Adding"} {edit && "Editing"} Lecture
+            {view && "Viewing"} {add && "Adding"} {edit && "Editing"}{" "}
+            {type === LESSON_TYPES.VIDEO ? "Lecture" : type}
           </p>
           <button onClick={() => (!loading ? setModalData(null) : {})}>
             <RxCross2 className="text-2xl text-richblack-5" />
@@ -145,18 +340,41 @@ export default function SubSectionModal({
           onSubmit={handleSubmit(onSubmit)}
           className="space-y-8 px-8 py-10"
         >
+          {/* Lesson type */}
+          {add && (
+            <div className="flex flex-wrap gap-2 rounded-3xl bg-richblack-700 p-1 w-max max-w-full">
+              {Object.values(LESSON_TYPES).map((lessonType) => (
+                <button
+                  type="button"
+                  key={lessonType}
+                  onClick={() => setType(lessonType)}
+                  className={`flex items-center gap-1 rounded-full px-4 py-1.5 text-sm font-medium transition-all duration-200 ${
+                    type === lessonType
+                      ? "bg-richblack-900 text-richblack-5"
+                      : "text-richblack-200 hover:text-richblack-5"
+                  }`}
+                >
+                  <LessonTypeIcon type={lessonType} />
+                  {lessonType}
+                </button>
+              ))}
+            </div>
+          )}
+
           {/* Lecture Video Upload */}
-          <Upload
-            name="lectureVideo"
-            label="Lecture Video"
-            register={register}
-            setValue={setValue}
-            errors={errors}
-            video={true}
-            // Use modalData safely with optional chaining
-            viewData={view ? modalData?.videoUrl : null}
-            editData={edit ? modalData?.videoUrl : null}
-          />
+          {type === LESSON_TYPES.VIDEO && (
+            <Upload
+              name="lectureVideo"
+              label="Lecture Video"
+              register={register}
+              setValue={setValue}
+              errors={errors}
+              video={true}
+              // Use modalData safely with optional chaining
+              viewData={view ? modalData?.videoUrl : null}
+              editData={edit ? modalData?.videoUrl : null}
+            />
+          )}
           {/* Lecture Title */}
           <div className="flex flex-col space-y-2">
             <label className="text-sm text-richblack-5" htmlFor="lectureTitle">
@@ -195,6 +413,44 @@ export default function SubSectionModal({
               </span>
             )}
           </div>
+
+          {/* Article, file or link */}
+          <LessonContentFields
+            type={type}
+            register={register}
+            watch={watch}
+            errors={errors}
+            modalData={view || edit ? modalData : null}
+            add={add}
+            disabled={view || loading}
+          />
+
+          {/* Quiz questions */}
+          {type === LESSON_TYPES.QUIZ && (
+            <QuizEditor
+              quiz={quiz}
+              setQuiz={setQuiz}
+              disabled={view || loading}
+            />
+          )}
+
+          {/* Coding exercise */}
+          {type === LESSON_TYPES.CODING && (
+            <CodingExerciseEditor
+              exercise={exercise}
+              setExercise={setExercise}
+              disabled={view || loading}
+            />
+          )}
+
+          {/* Assignment */}
+          {type === LESSON_TYPES.ASSIGNMENT && (
+            <AssignmentEditor
+              assignment={assignment}
+              setAssignment={setAssignment}
+              disabled={view || loading}
+            />
+          )}
           {!view && (
             <div className="flex justify-end">
               <IconBtn
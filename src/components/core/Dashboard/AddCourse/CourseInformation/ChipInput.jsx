@@ -3,6 +3,8 @@ import { useEffect, useState } from "react";
 import { MdClose } from "react-icons/md";
 import { useSelector } from "react-redux";
 
+import TagInput from "../../../../common/TagInput";
+
 // Defining a functional component ChipInput
 export default function ChipInput({
   label,
@@ -48,21 +50,14 @@ export default function ChipInput({
     setValue(name, chips);
   }, [chips, name, setValue]); // Dependencies are already correct here
 
-  // Function to handle user input when chips are added
-  const handleKeyDown = (event) => {
-    // Check if user presses "Enter" or ","
-    if (event.key === "Enter" || event.key === ",") {
-      event.preventDefault();
-      // Get the input value and remove any leading/trailing spaces
-      const chipValue = event.target.value.trim();
-      // Check if the input value exists and is not already in the chips array
-      if (chipValue && !chips.includes(chipValue)) {
-        // Add the chip to the array and clear the input
-        const newChips = [...chips, chipValue];
-
-        setChips(newChips);
-        event.target.value = "";
-      }
+  // Function to add a chip - an existing tag picked from the suggestions or a new name
+  const handleAddChip = ({ name: chipValue }) => {
+    // Check the chip is not already there (tags are case-insensitive)
+    const exists = chips.some(
+      (chip) => chip.toLowerCase() === chipValue.toLowerCase()
+    );
+    if (!exists) {
+      setChips([...chips, chipValue]);
     }
   };
 
@@ -100,13 +95,12 @@ export default function ChipInput({
           </div>
         ))}
 
-        <input
+        {/* suggests existing tags, so courses share them instead of near duplicates */}
+        <TagInput
           id={name}
-          name={name}
-          type="text"
           placeholder={placeholder}
-          onKeyDown={handleKeyDown}
-          className="form-style w-full"
+          exclude={chips || []}
+          onSelect={handleAddChip}
         />
       </div>
       {errors[name] && (
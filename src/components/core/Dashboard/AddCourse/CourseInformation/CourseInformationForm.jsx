@@ -11,12 +11,26 @@ import {
   fetchCourseCategories,
 } from "../../../../../services/operations/courseDetailsAPI";
 import { setCourse, setStep } from "../../../../../slices/courseSlice";
-import { COURSE_STATUS } from "../../../../../utils/constants";
+import {
+  COURSE_LANGUAGES,
+  COURSE_LEVELS,
+  COURSE_STATUS,
+} from "../../../../../utils/constants";
+import { flattenCategoryTree } from "../../../../../utils/categoryTree";
 import IconBtn from "../../../../common/IconBtn";
 import Upload from "../Upload";
 import ChipInput from "./ChipInput";
+import PrerequisitesField from "./PrerequisitesField";
 import RequirementsField from "./RequirementField";
 
+// prerequisites come populated from the server, the form keeps their ids
+const prerequisiteIds = (course) =>
+  (course?.prerequisites || []).map(
+    (prerequisite) => prerequisite._id || prerequisite
+  );
+// a checkbox group with nothing ticked may read as false
+const asList = (value) => (Array.isArray(value) ? value : []);
+
 export default function CourseInformationForm() {
   const {
     register,
@@ -24,7 +38,9 @@ export default function CourseInformationForm() {
     setValue,
     getValues,
     formState: { errors },
-  } = useForm();
+  } = useForm({
+    defaultValues: { courseLanguage: "English", courseLevel: "All Levels" },
+  });
 
   const dispatch = useDispatch();
   const { token } = useSelector((state) => state.auth);
@@ -37,7 +53,8 @@ export default function CourseInformationForm() {
       setLoading(true);
       const categories = await fetchCourseCategories();
       if (categories.length > 0) {
-        setCourseCategories(categories);
+        // subcategories listed under their parent, e.g. "Development / Web"
+        setCourseCategories(flattenCategoryTree(categories));
       }
       setLoading(false);
     };
@@ -53,6 +70,9 @@ export default function CourseInformationForm() {
       setValue("courseCategory", course.category._id);
       setValue("courseRequirements", course.instructions);
       setValue("courseImage", course.thumbnail);
+      setValue("courseLanguage", course.language || "English");
+      setValue("courseLevel", course.level || "All Levels");
+      setValue("courseSubtitles", course.subtitles || []);
     }
 
     getCategories();
@@ -68,6 +88,9 @@ export default function CourseInformationForm() {
     course?.category?._id,
     course?.instructions,
     course?.thumbnail,
+    course?.language,
+    course?.level,
+    course?.subtitles,
   ]);
 
   // ... rest of the component remains the same
@@ -84,7 +107,13 @@ export default function CourseInformationForm() {
       currentValues.courseCategory !== course.category._id || // Changed to compare ID
       currentValues.courseRequirements.toString() !==
         course.instructions.toString() ||
-      currentValues.courseImage !== course.thumbnail
+      currentValues.courseImage !== course.thumbnail ||
+      currentValues.courseLanguage !== (course.language || "English") ||
+      currentValues.courseLevel !== (course.level || "All Levels") ||
+      asList(currentValues.courseSubtitles).toString() !==
+        (course.subtitles || []).toString() ||
+      currentValues.coursePrerequisites.toString() !==
+        prerequisiteIds(course).toString()
     ) {
       return true;
     }
@@ -136,6 +165,30 @@ export default function CourseInformationForm() {
         if (currentValues.courseImage !== course.thumbnail) {
           formData.append("thumbnailImage", data.courseImage);
         }
+        if (currentValues.courseLanguage !== (course.language || "English")) {
+          formData.append("language", data.courseLanguage);
+        }
+        if (currentValues.courseLevel !== (course.level || "All Levels")) {
+          formData.append("level", data.courseLevel);
+        }
+        if (
+          asList(currentValues.courseSubtitles).toString() !==
+          (course.subtitles || []).toString()
+        ) {
+          formData.append(
+            "subtitles",
+            JSON.stringify(asList(data.courseSubtitles))
+          );
+        }
+        if (
+          currentValues.coursePrerequisites.toString() !==
+          prerequisiteIds(course).toString()
+        ) {
+          formData.append(
+            "prerequisites",
+            JSON.stringify(data.coursePrerequisites)
+          );
+        }
 
         // send data to backend
         setLoading(true);
@@ -162,6 +215,13 @@ export default function CourseInformationForm() {
     formData.append("status", COURSE_STATUS.DRAFT);
     formData.append("instructions", JSON.stringify(data.courseRequirements));
     formData.append("thumbnailImage", data.courseImage);
+    formData.append("language", data.courseLanguage);
+    formData.append("level", data.courseLevel);
+    formData.append("subtitles", JSON.stringify(asList(data.courseSubtitles)));
+    formData.append(
+      "prerequisites",
+      JSON.stringify(data.coursePrerequisites || [])
+    );
     setLoading(true);
     const result = await addCourseDetails(formData, token);
     if (result) {
@@ -256,7 +316,7 @@ export default function CourseInformationForm() {
           {!loading &&
             courseCategories?.map((category, index) => (
               <option key={index} value={category?._id}>
-                {category?.name}
+                {category?.label}
               </option>
             ))}
         </select>
@@ -267,6 +327,62 @@ export default function CourseInformationForm() {
         )}
       </div>
 
+      {/* Course Language & Level */}
+      <div className="flex flex-col gap-5 lg:flex-row">
+        <div className="flex flex-col space-y-2 lg:w-1/2">
+          <label className="text-sm text-richblack-5" htmlFor="courseLanguage">
+            Language <sup className="text-pink-200">*</sup>
+          </label>
+          <select
+            {...register("courseLanguage", { required: true })}
+            id="courseLanguage"
+            className="form-style w-full cursor-pointer"
+          >
+            {COURSE_LANGUAGES.map((language) => (
+              <option key={language} value={language}>
+                {language}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="flex flex-col space-y-2 lg:w-1/2">
+          <label className="text-sm text-richblack-5" htmlFor="courseLevel">
+            Level <sup className="text-pink-200">*</sup>
+          </label>
+          <select
+            {...register("courseLevel", { required: true })}
+            id="courseLevel"
+            className="form-style w-full cursor-pointer"
+          >
+            {COURSE_LEVELS.map((level) => (
+              <option key={level} value={level}>
+                {level}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Subtitles */}
+      <div className="flex flex-col space-y-2">
+        <p className="text-sm text-richblack-5">Subtitles</p>
+        <div className="flex flex-wrap gap-x-6 gap-y-2">
+          {COURSE_LANGUAGES.map((language) => (
+            <label
+              key={language}
+              className="flex cursor-pointer items-center gap-2 text-sm text-richblack-100"
+            >
+              <input
+                type="checkbox"
+                value={language}
+                {...register("courseSubtitles")}
+              />
+              {language}
+            </label>
+          ))}
+        </div>
+      </div>
+
       {/* Course Tags */}
       <ChipInput
         label="Tags"
@@ -314,6 +430,14 @@ export default function CourseInformationForm() {
         errors={errors}
       />
 
+      {/* Prerequisite courses */}
+      <PrerequisitesField
+        name="coursePrerequisites"
+        label="Recommended first (prerequisite courses)"
+        register={register}
+        setValue={setValue}
+      />
+
       {/* Next Button */}
       <div className="flex justify-end gap-x-2">
         {editCourse && (
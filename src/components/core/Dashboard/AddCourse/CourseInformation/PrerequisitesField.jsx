@@ -0,0 +1,120 @@
+import { useEffect, useRef, useState } from "react";
+import { useSelector } from "react-redux";
+
+import { RiDeleteBin6Line } from "react-icons/ri";
+
+import { searchCourses } from "../../../../../services/operations/courseDetailsAPI";
+
+// published courses students should take first - optional, stored as course ids
+export default function PrerequisitesField({ name, label, register, setValue }) {
+  const { editCourse, course } = useSelector((state) => state.course);
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState([]);
+  const [prerequisites, setPrerequisites] = useState([]);
+  const latestQuery = useRef("");
+
+  // 1. Initialization and Registration
+  useEffect(() => {
+    if (editCourse) {
+      // populated by the server with the course names
+      setPrerequisites(course?.prerequisites || []);
+    }
+    register(name);
+  }, [editCourse, name, register, course?.prerequisites]);
+
+  // 2. Synchronization - the form only keeps the ids
+  useEffect(() => {
+    setValue(
+      name,
+      prerequisites.map((prerequisite) => prerequisite._id)
+    );
+  }, [prerequisites, name, setValue]);
+
+  // search published courses after a pause in typing
+  useEffect(() => {
+    const q = query.trim();
+    latestQuery.current = q;
+    if (!q) {
+      setResults([]);
+      return;
+    }
+    const timer = setTimeout(async () => {
+      const result = await searchCourses({ q, limit: 6 });
+      if (latestQuery.current === q) setResults(result?.courses || []);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const handleAddPrerequisite = (result) => {
+    setPrerequisites([
+      ...prerequisites,
+      { _id: result._id, courseName: result.courseName },
+    ]);
+    setQuery("");
+  };
+
+  const handleRemovePrerequisite = (id) => {
+    setPrerequisites(
+      prerequisites.filter((prerequisite) => prerequisite._id !== id)
+    );
+  };
+
+  const available = results.filter(
+    (result) =>
+      result._id !== course?._id &&
+      !prerequisites.some((prerequisite) => prerequisite._id === result._id)
+  );
+
+  return (
+    <div className="flex flex-col space-y-2">
+      <label className="text-sm text-richblack-5" htmlFor={name}>
+        {label}
+      </label>
+
+      <div className="relative">
+        <input
+          type="text"
+          id={name}
+          value={query}
+          placeholder="Search published courses"
+          onChange={(e) => setQuery(e.target.value)}
+          className="form-style w-full"
+        />
+        {available.length > 0 && (
+          <div className="absolute left-0 top-[calc(100%+0.25rem)] z-[100] flex w-full flex-col rounded-lg bg-richblack-5 p-1 text-richblack-900 shadow-lg">
+            {available.map((result) => (
+              <button
+                type="button"
+                key={result._id}
+                onClick={() => handleAddPrerequisite(result)}
+                className="rounded-md px-2 py-1.5 text-left text-sm hover:bg-richblack-50"
+              >
+                {result.courseName}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {prerequisites.length > 0 && (
+        <ul className="mt-2 list-inside list-disc">
+          {prerequisites.map((prerequisite) => (
+            <li
+              key={prerequisite._id}
+              className="flex items-center text-richblack-5"
+            >
+              <span>{prerequisite.courseName}</span>
+              <button
+                type="button"
+                className="ml-2 text-xs text-pure-greys-300 "
+                onClick={() => handleRemovePrerequisite(prerequisite._id)}
+              >
+                <RiDeleteBin6Line className="text-pink-200 text-sm hover:scale-125 duration-200" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
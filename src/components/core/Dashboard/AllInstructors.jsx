@@ -7,6 +7,7 @@ import { Table, Tbody, Td, Th, Thead, Tr } from "react-super-responsive-table";
 import { getAllInstructorDetails } from "../../../services/operations/adminApi";
 
 import IconBtn from "../../common/IconBtn";
+import { formatPrice } from "../../../utils/formatPrice";
 
 // loading skeleton
 const LoadingSkeleton = () => {
@@ -147,7 +148,7 @@ function AllInstructors() {
                         <div className="text-white text-sm" key={course._id}>
                           <p>{course.courseName}</p>
                           <p className="text-sm font-normal">
-                            Price: ₹{course.price}
+                            Price: {formatPrice(course.price)}
                           </p>
                         </div>
                       ))}
@@ -7,6 +7,7 @@ import IconBtn from "../../common/IconBtn";
 
 import { VscAdd } from "react-icons/vsc";
 import user_logo from "../../../assets/Images/user.png";
+import { formatPrice } from "../../../utils/formatPrice";
 
 // loading skeleton
 const LoadingSkeleton = () => {
@@ -33,24 +34,40 @@ const AllStudents = () => {
   const { token } = useSelector((state) => state.auth);
   const [allStudents, setAllStudents] = useState([]);
   const [studentsCount, setStudentsCount] = useState();
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const navigate = useNavigate();
 
   // fetch all Students Details
   useEffect(() => {
     const fetchAllStudents = async () => {
       setLoading(true);
-      const { allStudentsDetails, studentsCount } = await getAllStudentsData(
-        token
-      );
+      const { allStudentsDetails, studentsCount, nextCursor } =
+        await getAllStudentsData(token);
       setAllStudents(allStudentsDetails);
       setStudentsCount(studentsCount);
+      setNextCursor(nextCursor);
       setLoading(false);
     };
 
     fetchAllStudents();
   }, [token]);
 
+  // students come one page at a time
+  const loadMore = async () => {
+    setLoadingMore(true);
+    const { allStudentsDetails, nextCursor: cursor } = await getAllStudentsData(
+      token,
+      nextCursor
+    );
+    if (allStudentsDetails) {
+      setAllStudents((students) => [...students, ...allStudentsDetails]);
+      setNextCursor(cursor);
+    }
+    setLoadingMore(false);
+  };
+
   return (
     <div className="">
       <div className="mb-14 flex items-center justify-between">
@@ -150,7 +167,7 @@ const AllStudents = () => {
                         <div className="text-white text-sm" key={course._id}>
                           <p>{course.courseName}</p>
                           <p className="text-sm font-normal">
-                            Price: ₹{course.price}
+                            Price: {formatPrice(course.price)}
                           </p>
                         </div>
                       ))}
@@ -166,6 +183,16 @@ const AllStudents = () => {
           )}
         </Tbody>
       </Table>
+
+      {!loading && nextCursor && (
+        <div className="mt-6 flex justify-center">
+          <IconBtn
+            text={loadingMore ? "Loading..." : "Load More"}
+            onclick={loadMore}
+            disabled={loadingMore}
+          />
+        </div>
+      )}
     </div>
   );
 };
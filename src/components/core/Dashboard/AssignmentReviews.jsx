@@ -0,0 +1,275 @@
+import { useCallback, useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+import { MdOpenInNew, MdOutlineFileDownload } from "react-icons/md";
+
+import {
+  getAssignmentSubmissions,
+  gradeAssignment,
+} from "../../../services/operations/assignmentAPI";
+import { formatDate } from "../../../services/formatDate";
+import { ASSIGNMENT_STATUS } from "../../../utils/constants";
+
+const STATUS_FILTERS = Object.values(ASSIGNMENT_STATUS);
+
+// loading skeleton
+const LoadingSkeleton = () => {
+  return (
+    <div className="flex p-5 flex-col gap-4 rounded-xl border border-richblack-700">
+      <p className="h-4 w-[220px] rounded-xl skeleton"></p>
+      <p className="h-4 w-[160px] rounded-xl skeleton"></p>
+    </div>
+  );
+};
+
+// points for each rubric criterion and a comment, then grade or send back
+const ReviewForm = ({ submission, onReviewed }) => {
+  const { token } = useSelector((state) => state.auth);
+  const { rubric } = submission.assignment;
+  // criterionId -> points, as typed
+  const [scores, setScores] = useState({});
+  const [feedback, setFeedback] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const allScored = rubric.every((item) => (scores[item._id] ?? "") !== "");
+  const total = rubric.reduce(
+    (acc, item) => acc + (Number(scores[item._id]) || 0),
+    0
+  );
+  const maxScore = rubric.reduce((acc, item) => acc + item.points, 0);
+
+  const review = async (status) => {
+    setLoading(true);
+    const success = await gradeAssignment(
+      {
+        submissionId: submission._id,
+        status,
+        feedback,
+        scores:
+          status === ASSIGNMENT_STATUS.GRADED
+            ? rubric.map((item) => ({
+                criterion: item._id,
+                points: Number(scores[item._id]),
+              }))
+            : undefined,
+      },
+      token
+    );
+    setLoading(false);
+    if (success) onReviewed();
+  };
+
+  return (
+    <div className="flex flex-col gap-3 rounded-lg bg-richblack-700 p-4">
+      {rubric.map((item) => (
+        <label
+          key={item._id}
+          className="flex items-center justify-between gap-4 text-sm text-richblack-5"
+        >
+          <span>
+            {item.criterion}
+            {item.description && (
+              <span className="block text-xs text-richblack-300">
+                {item.description}
+              </span>
+            )}
+          </span>
+          <span className="flex shrink-0 items-center gap-2 text-richblack-200">
+            <input
+              type="number"
+              min={0}
+              max={item.points}
+              step="any"
+              value={scores[item._id] ?? ""}
+              disabled={loading}
+              onChange={(e) =>
+                setScores({ ...scores, [item._id]: e.target.value })
+              }
+              className="form-style w-20"
+            />
+            / {item.points}
+          </span>
+        </label>
+      ))}
+      <p className="text-right text-sm text-richblack-5">
+        Total: {total} / {maxScore}
+      </p>
+      <textarea
+        value={feedback}
+        disabled={loading}
+        placeholder="Comments for the student - needed when asking for a resubmission"
+        onChange={(e) => setFeedback(e.target.value)}
+        className="form-style min-h-[80px] w-full text-sm"
+      />
+      <div className="flex flex-wrap justify-end gap-3">
+        <button
+          onClick={() => review(ASSIGNMENT_STATUS.RESUBMIT)}
+          disabled={loading || !feedback.trim()}
+          className="rounded-md bg-pink-200 px-3 py-1 text-sm font-semibold text-richblack-900 hover:scale-105 duration-200 disabled:opacity-50"
+        >
+          Request resubmission
+        </button>
+        <button
+          onClick={() => review(ASSIGNMENT_STATUS.GRADED)}
+          disabled={loading || !allScored}
+          className="rounded-md bg-caribbeangreen-200 px-3 py-1 text-sm font-semibold text-richblack-900 hover:scale-105 duration-200 disabled:opacity-50"
+        >
+          Save grade
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const AssignmentReviews = () => {
+  const { token } = useSelector((state) => state.auth);
+  const [submissions, setSubmissions] = useState([]);
+  const [status, setStatus] = useState(ASSIGNMENT_STATUS.PENDING);
+  const [loading, setLoading] = useState(false);
+  // submission whose review form is open
+  const [reviewing, setReviewing] = useState(null);
+
+  // fetch submissions of selected status
+  const fetchSubmissions = useCallback(async () => {
+    setLoading(true);
+    const result = await getAssignmentSubmissions(token, status);
+    setSubmissions(result || []);
+    setLoading(false);
+  }, [token, status]);
+
+  useEffect(() => {
+    fetchSubmissions();
+  }, [fetchSubmissions]);
+
+  return (
+    <div>
+      <h1 className="mb-10 text-4xl font-medium text-richblack-5 font-boogaloo text-center sm:text-left">
+        Assignment Reviews
+      </h1>
+
+      {/* status filter */}
+      <div className="mb-6 flex flex-wrap gap-3">
+        {STATUS_FILTERS.map((filter) => (
+          <button
+            key={filter}
+            onClick={() => setStatus(filter)}
+            className={`rounded-full px-4 py-1 text-sm font-medium duration-200 ${
+              status === filter
+                ? "bg-yellow-50 text-richblack-900"
+                : "bg-richblack-700 text-richblack-100 hover:bg-richblack-600"
+            }`}
+          >
+            {filter}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex flex-col gap-4">
+        {loading ? (
+          <>
+            <LoadingSkeleton />
+            <LoadingSkeleton />
+            <LoadingSkeleton />
+          </>
+        ) : !submissions.length ? (
+          <p className="py-10 text-center text-2xl font-medium text-richblack-100">
+            No {status.toLowerCase()} submissions
+          </p>
+        ) : (
+          submissions.map((submission) => (
+            <div
+              key={submission._id}
+              className="flex flex-col gap-3 rounded-xl border border-richblack-700 bg-richblack-800 p-5 text-sm text-richblack-100"
+            >
+              <div className="flex flex-wrap items-start justify-between gap-3">
+                <div className="flex items-center gap-3">
+                  <img
+                    src={submission.user?.image}
+                    alt={submission.user?.firstName}
+                    className="h-10 w-10 rounded-full object-cover"
+                  />
+                  <div>
+                    <p className="text-base font-semibold text-richblack-5">
+                      {submission.user?.firstName} {submission.user?.lastName}
+                    </p>
+                    <p className="text-richblack-300">{submission.user?.email}</p>
+                  </div>
+                </div>
+                <div className="text-right">
+                  <p className="text-yellow-50">
+                    {submission.course?.courseName}
+                  </p>
+                  <p>{submission.assignment?.subSection?.title}</p>
+                  <p className="text-xs text-richblack-300">
+                    Submitted {formatDate(submission.submittedAt)}
+                  </p>
+                </div>
+              </div>
+
+              <div className="flex flex-wrap gap-3">
+                {submission.files.map((file) => (
+                  <a
+                    key={file._id}
+                    href={file.url}
+                    target="_blank"
+                    rel="noreferrer"
+                    className="flex items-center gap-1 text-yellow-50"
+                  >
+                    <MdOutlineFileDownload /> {file.name}
+                  </a>
+                ))}
+                {submission.links.map((link) => (
+                  <a
+                    key={link}
+                    href={link}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="flex items-center gap-1 break-all text-yellow-50"
+                  >
+                    {link} <MdOpenInNew className="shrink-0" />
+                  </a>
+                ))}
+              </div>
+              {submission.note && (
+                <p className="text-richblack-300">Note: {submission.note}</p>
+              )}
+
+              {submission.status === ASSIGNMENT_STATUS.PENDING ? (
+                reviewing === submission._id ? (
+                  <ReviewForm
+                    submission={submission}
+                    onReviewed={() => {
+                      setReviewing(null);
+                      fetchSubmissions();
+                    }}
+                  />
+                ) : (
+                  <button
+                    onClick={() => setReviewing(submission._id)}
+                    className="w-max rounded-md bg-yellow-50 px-3 py-1 font-semibold text-richblack-900 hover:scale-105 duration-200"
+                  >
+                    Review
+                  </button>
+                )
+              ) : (
+                <div className="flex flex-col gap-1 rounded-lg bg-richblack-700 p-3">
+                  <p className="text-richblack-5">
+                    {submission.status === ASSIGNMENT_STATUS.GRADED
+                      ? `Graded ${submission.score} / ${submission.maxScore}`
+                      : submission.status}
+                    {submission.reviewedAt &&
+                      ` on ${formatDate(submission.reviewedAt)}`}
+                  </p>
+                  {submission.feedback && (
+                    <p className="whitespace-pre-wrap">{submission.feedback}</p>
+                  )}
+                </div>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AssignmentReviews;
@@ -1,10 +1,20 @@
-import { useSelector } from "react-redux";
+import { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
 
+import { fetchCart } from "../../../../services/operations/cartAPI";
 import RenderCartCourses from "./RenderCartCourses";
 import RenderTotalAmount from "./RenderTotalAmount";
+import RenderWishlist from "./RenderWishlist";
 
 export default function Cart() {
-  const { total, totalItems } = useSelector((state) => state.cart);
+  const { totalItems, wishlist } = useSelector((state) => state.cart);
+  const { token } = useSelector((state) => state.auth);
+  const dispatch = useDispatch();
+
+  // the cart may have changed on another device, prices may have changed too
+  useEffect(() => {
+    dispatch(fetchCart(token));
+  }, [token, dispatch]);
 
   return (
     <>
@@ -14,7 +24,7 @@ export default function Cart() {
       <p className="border-b border-b-richblack-400 pb-2 font-semibold text-richblack-400">
         {totalItems} Courses in Cart
       </p>
-      {total > 0 ? (
+      {totalItems > 0 ? (
         <div className="mt-8 flex flex-col-reverse items-start gap-x-10 gap-y-6 lg:flex-row">
           <RenderCartCourses />
           <RenderTotalAmount />
@@ -24,6 +34,7 @@ export default function Cart() {
           Your cart is empty
         </p>
       )}
+      {wishlist.length > 0 && <RenderWishlist />}
     </>
   );
 }
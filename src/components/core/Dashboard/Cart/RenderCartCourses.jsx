@@ -1,14 +1,21 @@
 import { FaStar } from "react-icons/fa";
 import { RiDeleteBin6Line } from "react-icons/ri";
+import { VscBookmark } from "react-icons/vsc";
 import ReactStars from "react-rating-stars-component";
 import { useDispatch, useSelector } from "react-redux";
 
-import { removeFromCart } from "../../../../slices/cartSlice";
+import usePrice from "../../../../hooks/usePrice";
+import {
+  moveToWishlist,
+  removeFromCart,
+} from "../../../../services/operations/cartAPI";
 import Img from "./../../../common/Img";
 
 export default function RenderCartCourses() {
   const { cart } = useSelector((state) => state.cart);
+  const { token } = useSelector((state) => state.auth);
   const dispatch = useDispatch();
+  const formatPrice = usePrice();
 
   return (
     <div className="flex flex-1 flex-col">
@@ -54,14 +61,21 @@ export default function RenderCartCourses() {
 
           <div className="flex flex-col items-end space-y-2">
             <button
-              onClick={() => dispatch(removeFromCart(course._id))}
+              onClick={() => dispatch(removeFromCart(token, course._id))}
               className="flex items-center gap-x-1 rounded-md border border-richblack-600 bg-richblack-700 py-3 px-[12px] text-pink-200"
             >
               <RiDeleteBin6Line />
               <span>Remove</span>
             </button>
+            <button
+              onClick={() => dispatch(moveToWishlist(token, course._id))}
+              className="flex items-center gap-x-1 text-sm text-richblack-300 hover:text-yellow-50"
+            >
+              <VscBookmark />
+              <span>Save for later</span>
+            </button>
             <p className="mb-6 text-3xl font-medium text-yellow-100">
-              ₹ {course?.price}
+              {course?.price ? formatPrice(course.price) : "Free"}
             </p>
           </div>
         </div>
@@ -1,25 +1,118 @@
+import { useEffect, useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import { useNavigate } from "react-router-dom";
 
+import usePrice from "../../../../hooks/usePrice";
+import { selectDisplayCurrency } from "../../../../slices/currencySlice";
 import IconBtn from "../../../common/IconBtn";
-import { buyCourse } from "../../../../services/operations/studentFeaturesAPI";
+import {
+  applyCoupon,
+  buyCourse,
+} from "../../../../services/operations/studentFeaturesAPI";
 
 export default function RenderTotalAmount() {
   const { total, cart } = useSelector((state) => state.cart);
   const { token } = useSelector((state) => state.auth);
   const { user } = useSelector((state) => state.profile);
+  const currency = useSelector(selectDisplayCurrency);
+  const formatPrice = usePrice();
   const navigate = useNavigate();
   const dispatch = useDispatch();
 
+  const [couponCode, setCouponCode] = useState("");
+  // discount breakdown returned by the server
+  const [appliedCoupon, setAppliedCoupon] = useState(null);
+
+  // cart changed - the discount has to be computed again
+  useEffect(() => {
+    setAppliedCoupon(null);
+  }, [cart]);
+
+  const handleApplyCoupon = async () => {
+    const courses = cart.map((course) => course._id);
+    const result = await applyCoupon(courses, couponCode, token);
+    setAppliedCoupon(result);
+  };
+
+  const handleRemoveCoupon = () => {
+    setAppliedCoupon(null);
+    setCouponCode("");
+  };
+
   const handleBuyCourse = async () => {
     const courses = cart.map((course) => course._id);
-    await buyCourse(token, courses, user, navigate, dispatch);
+    await buyCourse(
+      token,
+      courses,
+      user,
+      navigate,
+      dispatch,
+      appliedCoupon?.couponCode,
+      currency
+    );
   };
 
   return (
     <div className="min-w-[280px] rounded-md border-[1px] border-richblack-700 bg-richblack-800 p-6">
-      <p className="mb-1 text-sm font-medium text-richblack-300">Total:</p>
-      <p className="mb-6 text-3xl font-medium text-yellow-100">₹ {total}</p>
+      {/* coupon */}
+      <div className="mb-6">
+        <p className="mb-2 text-sm font-medium text-richblack-300">
+          Have a coupon?
+        </p>
+        {appliedCoupon ? (
+          <div className="flex items-center justify-between gap-x-2 rounded-md border border-dashed border-caribbeangreen-200 px-3 py-2">
+            <p className="text-sm font-semibold text-caribbeangreen-100">
+              {appliedCoupon.couponCode}
+            </p>
+            <button
+              onClick={handleRemoveCoupon}
+              className="text-xs text-richblack-300 hover:text-pink-200"
+            >
+              Remove
+            </button>
+          </div>
+        ) : (
+          <div className="flex gap-x-2">
+            <input
+              type="text"
+              value={couponCode}
+              placeholder="Enter coupon code"
+              onChange={(e) => setCouponCode(e.target.value.toUpperCase())}
+              className="form-style w-full uppercase"
+            />
+            <IconBtn
+              text="Apply"
+              outline
+              onclick={handleApplyCoupon}
+              disabled={!couponCode}
+            />
+          </div>
+        )}
+      </div>
+
+      {appliedCoupon ? (
+        <>
+          <div className="mb-1 flex justify-between text-sm text-richblack-300">
+            <p>Subtotal</p>
+            <p>{formatPrice(appliedCoupon.subtotal)}</p>
+          </div>
+          <div className="mb-3 flex justify-between text-sm text-caribbeangreen-100">
+            <p>Discount</p>
+            <p>- {formatPrice(appliedCoupon.discount)}</p>
+          </div>
+          <p className="mb-1 text-sm font-medium text-richblack-300">Total:</p>
+          <p className="mb-6 text-3xl font-medium text-yellow-100">
+            {formatPrice(appliedCoupon.totalAmount)}
+          </p>
+        </>
+      ) : (
+        <>
+          <p className="mb-1 text-sm font-medium text-richblack-300">Total:</p>
+          <p className="mb-6 text-3xl font-medium text-yellow-100">
+            {formatPrice(total)}
+          </p>
+        </>
+      )}
       <IconBtn
         text="Buy Now"
         onclick={handleBuyCourse}
@@ -0,0 +1,67 @@
+import { RiDeleteBin6Line } from "react-icons/ri";
+import { useDispatch, useSelector } from "react-redux";
+
+import usePrice from "../../../../hooks/usePrice";
+import {
+  addToCart,
+  removeFromWishlist,
+} from "../../../../services/operations/cartAPI";
+import Img from "./../../../common/Img";
+
+// courses saved for later from the cart
+export default function RenderWishlist() {
+  const { wishlist } = useSelector((state) => state.cart);
+  const { token } = useSelector((state) => state.auth);
+  const dispatch = useDispatch();
+  const formatPrice = usePrice();
+
+  return (
+    <div className="mt-14">
+      <p className="border-b border-b-richblack-400 pb-2 font-semibold text-richblack-400">
+        {wishlist.length} Courses Saved for Later
+      </p>
+
+      {wishlist.map((course) => (
+        <div
+          key={course._id}
+          className="mt-6 flex w-full flex-wrap items-center justify-between gap-6 border-b border-b-richblack-700 pb-6"
+        >
+          <div className="flex flex-1 items-center gap-4">
+            <Img
+              src={course?.thumbnail}
+              alt={course?.courseName}
+              className="h-[74px] w-[110px] rounded-lg object-cover"
+            />
+            <div className="flex flex-col space-y-1">
+              <p className="text-lg font-medium text-richblack-5">
+                {course?.courseName}
+              </p>
+              <p className="text-sm text-richblack-300">
+                {course?.category?.name}
+              </p>
+            </div>
+          </div>
+
+          <div className="flex items-center gap-x-4">
+            <p className="text-xl font-medium text-yellow-100">
+              {course?.price ? formatPrice(course.price) : "Free"}
+            </p>
+            <button
+              onClick={() => dispatch(addToCart(token, course._id))}
+              className="rounded-md bg-yellow-50 py-2 px-3 text-sm font-semibold text-richblack-900"
+            >
+              Move to Cart
+            </button>
+            <button
+              onClick={() => dispatch(removeFromWishlist(token, course._id))}
+              className="text-pink-200"
+              aria-label="Remove from wishlist"
+            >
+              <RiDeleteBin6Line />
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -3,12 +3,20 @@ import {
   createNewCategory,
   deleteCategory,
   fetchCourseCategories,
+  getCategoryStats,
+  reorderCategories,
+  updateCategory,
 } from "../../../services/operations/courseDetailsAPI";
 import IconBtn from "../../common/IconBtn";
 
 import { IoIosAdd } from "react-icons/io";
 import { useSelector } from "react-redux";
-import { RiDeleteBin6Line } from "react-icons/ri";
+import { RiDeleteBin6Line, RiDragMove2Line } from "react-icons/ri";
+import { MdEdit } from "react-icons/md";
+import {
+  buildCategoryTree,
+  flattenCategoryTree,
+} from "../../../utils/categoryTree";
 
 // loading skeleton
 const LoadingSkeleton = () => {
@@ -22,18 +30,37 @@ const LoadingSkeleton = () => {
   );
 };
 
+const inputStyle =
+  "text-white pl-4 w-full h-10 bg-transparent border-2 border-yellow-500 focus:border-none outline-yellow-10 rounded-2xl";
+
 const CreateCategory = () => {
   const { token } = useSelector((state) => state.auth);
-  const [subLinks, setSubLinks] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [stats, setStats] = useState({});
   const [loading, setLoading] = useState(false);
   const [newCategory, setNewCategory] = useState("");
   const [description, setDescription] = useState("");
+  const [parentId, setParentId] = useState("");
+  const [icon, setIcon] = useState(null);
+
+  // category being edited / deleted
+  const [editing, setEditing] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+  const [reassignTo, setReassignTo] = useState("");
+  // category being dragged, reordering only happens among its siblings
+  const [dragged, setDragged] = useState(null);
 
   const fetchSublinks = async () => {
     try {
       setLoading(true);
-      const res = await fetchCourseCategories();
-      setSubLinks(res);
+      const [res, categoryStats] = await Promise.all([
+        fetchCourseCategories(),
+        getCategoryStats(token),
+      ]);
+      setCategories(res);
+      setStats(
+        Object.fromEntries(categoryStats.map((stat) => [stat._id, stat]))
+      );
     } catch (error) {
       console.log("Could not fetch the category list = ", error);
     }
@@ -42,23 +69,227 @@ const CreateCategory = () => {
 
   useEffect(() => {
     fetchSublinks();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  const subLinks = flattenCategoryTree(categories);
+
   // create new category
   const handleCreateCategory = async () => {
-    await createNewCategory(newCategory, description, token);
+    await createNewCategory(newCategory, description, token, parentId, icon);
     setNewCategory("");
     setDescription("");
+    setParentId("");
+    setIcon(null);
+    fetchSublinks();
+  };
+
+  const handleUpdateCategory = async () => {
+    const formData = new FormData();
+    formData.append("categoryId", editing._id);
+    formData.append("name", editing.name);
+    formData.append("description", editing.description || "");
+    if (editing.icon instanceof File) formData.append("icon", editing.icon);
+    if (await updateCategory(formData, token)) {
+      setEditing(null);
+      fetchSublinks();
+    }
   };
 
-  const handleDeleteCategory = async (categoryId) => {
-    await deleteCategory(categoryId, token);
+  const handleDeleteCategory = async () => {
+    if (await deleteCategory(deleting._id, token, reassignTo)) {
+      setDeleting(null);
+      setReassignTo("");
+      fetchSublinks();
+    }
   };
 
+  // move `dragged` to the place of `target`, both children of the same parent
+  const handleDrop = async (target, siblings) => {
+    if (!dragged || dragged._id === target._id) return;
+    const ids = siblings.map((sibling) => sibling._id);
+    // dragged down it lands after the target, dragged up before it
+    const after = ids.indexOf(dragged._id) < ids.indexOf(target._id);
+    ids.splice(ids.indexOf(dragged._id), 1);
+    ids.splice(ids.indexOf(target._id) + (after ? 1 : 0), 0, dragged._id);
+    setDragged(null);
+
+    // show the new order straight away, the server has the final say
+    setCategories((prev) => {
+      const moved = ids.map((id) => prev.find((c) => c._id === id));
+      let next = 0;
+      return prev.map((c) => (ids.includes(c._id) ? moved[next++] : c));
+    });
+    await reorderCategories(target.parent || null, ids, token);
+    fetchSublinks();
+  };
+
+  const renderRows = (nodes, depth) =>
+    nodes.map((node) => {
+      const stat = stats[node._id];
+      return (
+        <div key={node._id} className="flex flex-col gap-3">
+          <div
+            draggable
+            onDragStart={(e) => {
+              // Firefox only starts a drag that carries data
+              e.dataTransfer.setData("text/plain", node._id);
+              setDragged(node);
+            }}
+            onDragEnd={() => setDragged(null)}
+            onDragOver={(e) => {
+              // only siblings of the dragged category accept it
+              if ((dragged?.parent || null) === (node.parent || null)) {
+                e.preventDefault();
+              }
+            }}
+            onDrop={(e) => {
+              e.preventDefault();
+              handleDrop(node, nodes);
+            }}
+            style={{ marginLeft: `${depth * 1.5}rem` }}
+            className={`flex flex-col gap-3 rounded-xl border border-richblack-700 p-3 sm:flex-row sm:items-center ${
+              dragged?._id === node._id ? "opacity-50" : ""
+            }`}
+          >
+            <RiDragMove2Line
+              className="cursor-grab text-richblack-300"
+              title="Drag to reorder"
+            />
+            {node.icon && (
+              <img
+                src={node.icon}
+                alt=""
+                className="h-8 w-8 rounded object-cover"
+              />
+            )}
+            <p className="flex-1">{node.name}</p>
+            <p className="text-xs text-richblack-300">
+              {stat?.courseCount || 0} courses ({stat?.publishedCount || 0}{" "}
+              published) · {stat?.enrollmentCount || 0} enrollments
+            </p>
+            <div className="flex gap-3">
+              <button
+                onClick={() => setEditing({ ...node })}
+                aria-label={`Edit ${node.name}`}
+              >
+                <MdEdit className="hover:text-yellow-50" />
+              </button>
+              <button
+                onClick={() => {
+                  setDeleting(node);
+                  setReassignTo(node.parent || "");
+                }}
+                aria-label={`Delete ${node.name}`}
+              >
+                <RiDeleteBin6Line className="hover:text-pink-200 " />
+              </button>
+            </div>
+          </div>
+
+          {/* edit name, description and icon */}
+          {editing?._id === node._id && (
+            <div
+              style={{ marginLeft: `${depth * 1.5}rem` }}
+              className="flex flex-col gap-3 rounded-xl bg-richblack-700 p-4"
+            >
+              <input
+                type="text"
+                value={editing.name}
+                onChange={(e) =>
+                  setEditing((prev) => ({ ...prev, name: e.target.value }))
+                }
+                className={inputStyle}
+              />
+              <input
+                type="text"
+                value={editing.description || ""}
+                onChange={(e) =>
+                  setEditing((prev) => ({
+                    ...prev,
+                    description: e.target.value,
+                  }))
+                }
+                className={inputStyle}
+              />
+              <label className="text-sm text-richblack-200">
+                New icon{" "}
+                <input
+                  type="file"
+                  accept="image/png, image/jpeg, image/svg+xml"
+                  onChange={(e) =>
+                    setEditing((prev) => ({
+                      ...prev,
+                      icon: e.target.files[0] || prev.icon,
+                    }))
+                  }
+                />
+              </label>
+              <div className="flex justify-end gap-3">
+                <button
+                  onClick={() => setEditing(null)}
+                  className="rounded-md bg-richblack-600 px-3 py-1 font-semibold text-richblack-5"
+                >
+                  Cancel
+                </button>
+                <IconBtn
+                  text="Save"
+                  onclick={handleUpdateCategory}
+                  disabled={!editing.name.trim()}
+                />
+              </div>
+            </div>
+          )}
+
+          {/* delete - its courses need a new home first */}
+          {deleting?._id === node._id && (
+            <div
+              style={{ marginLeft: `${depth * 1.5}rem` }}
+              className="flex flex-col gap-3 rounded-xl bg-richblack-700 p-4"
+            >
+              <p className="text-sm text-richblack-100">
+                Move the {stat?.courseCount || 0} course(s) of{" "}
+                <span className="font-semibold">{node.name}</span> to:
+              </p>
+              <select
+                value={reassignTo}
+                onChange={(e) => setReassignTo(e.target.value)}
+                className="text-white pl-4 w-full h-10 bg-richblack-800 border-2 border-yellow-500 focus:border-none outline-yellow-10 rounded-2xl"
+              >
+                <option value="">Choose a category</option>
+                {subLinks
+                  .filter((category) => category._id !== node._id)
+                  .map((category) => (
+                    <option key={category._id} value={category._id}>
+                      {category.label}
+                    </option>
+                  ))}
+              </select>
+              <div className="flex justify-end gap-3">
+                <button
+                  onClick={() => setDeleting(null)}
+                  className="rounded-md bg-richblack-600 px-3 py-1 font-semibold text-richblack-5"
+                >
+                  Cancel
+                </button>
+                <IconBtn
+                  text="Delete"
+                  onclick={handleDeleteCategory}
+                  disabled={!reassignTo}
+                />
+              </div>
+            </div>
+          )}
+
+          {node.children.length > 0 && renderRows(node.children, depth + 1)}
+        </div>
+      );
+    });
+
   return (
     <div className="border-[1px] border-richblack-700 rounded-2xl bg-richblack-800 p-8 px-7 sm:px-12">
       <h1 className="mb-14 text-4xl font-medium text-richblack-5 font-boogaloo text-center sm:text-left">
-        Create Category
+        Categories
       </h1>
 
       <div className="flex flex-col sm:flex-row gap-5 items-center ">
@@ -68,7 +299,7 @@ const CreateCategory = () => {
             value={newCategory}
             placeholder="Enter new category name"
             onChange={(e) => setNewCategory(e.target.value)}
-            className="text-white pl-4 w-full h-10 bg-transparent border-2 border-yellow-500 focus:border-none outline-yellow-10 rounded-2xl"
+            className={inputStyle}
           />
           <input
             type="text"
@@ -77,6 +308,28 @@ const CreateCategory = () => {
             onChange={(e) => setDescription(e.target.value)}
             className="text-white pl-4 w-full h-20 bg-transparent border-2 border-yellow-500 focus:border-none outline-yellow-10 rounded-2xl"
           />
+          {/* optional parent - makes it a subcategory */}
+          <select
+            value={parentId}
+            onChange={(e) => setParentId(e.target.value)}
+            className="text-white pl-4 w-full h-10 bg-richblack-800 border-2 border-yellow-500 focus:border-none outline-yellow-10 rounded-2xl"
+          >
+            <option value="">Top level category</option>
+            {subLinks.map((category) => (
+              <option key={category._id} value={category._id}>
+                Under {category.label}
+              </option>
+            ))}
+          </select>
+          {/* optional icon, shown in the Navbar catalog menu */}
+          <label className="text-sm text-richblack-200">
+            Icon (optional){" "}
+            <input
+              type="file"
+              accept="image/png, image/jpeg, image/svg+xml"
+              onChange={(e) => setIcon(e.target.files[0] || null)}
+            />
+          </label>
         </div>
 
         <IconBtn
@@ -88,18 +341,15 @@ const CreateCategory = () => {
         </IconBtn>
       </div>
 
-      <div className="mt-10 flex flex-col gap-6 text-white">
-        {loading ? (
+      <p className="mt-10 text-sm text-richblack-300">
+        Drag a category above one of its siblings to change the order of the
+        Navbar catalog menu.
+      </p>
+      <div className="mt-4 flex flex-col gap-3 text-white">
+        {loading && !categories.length ? (
           <LoadingSkeleton />
         ) : (
-          subLinks?.map((subLink, i) => (
-            <div key={i} className="flex justify-between gap-10">
-              <p>{subLink.name}</p>
-              <button onClick={() => handleDeleteCategory(subLink._id)}>
-                <RiDeleteBin6Line className="hover:text-pink-200 " />
-              </button>
-            </div>
-          ))
+          renderRows(buildCategoryTree(categories), 0)
         )}
       </div>
     </div>
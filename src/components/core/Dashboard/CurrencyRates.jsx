@@ -0,0 +1,79 @@
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+
+import {
+  getCurrencyRates,
+  updateCurrencyRate,
+} from "../../../services/operations/currencyAPI";
+import { BASE_CURRENCY } from "../../../utils/formatPrice";
+import IconBtn from "../../common/IconBtn";
+
+const CurrencyRates = () => {
+  const { token } = useSelector((state) => state.auth);
+  const { supportedCurrencies, rates } = useSelector((state) => state.currency);
+  const dispatch = useDispatch();
+
+  // rates being edited, keyed by currency
+  const [newRates, setNewRates] = useState({});
+
+  useEffect(() => {
+    dispatch(getCurrencyRates());
+  }, [dispatch]);
+
+  const handleUpdateRate = async (currency) => {
+    await dispatch(updateCurrencyRate(token, currency, newRates[currency]));
+    setNewRates((prev) => ({ ...prev, [currency]: "" }));
+  };
+
+  return (
+    <div className="border-[1px] border-richblack-700 rounded-2xl bg-richblack-800 p-8 px-7 sm:px-12">
+      <h1 className="mb-4 text-4xl font-medium text-richblack-5 font-boogaloo text-center sm:text-left">
+        Currency Rates
+      </h1>
+      <p className="mb-10 text-sm text-richblack-300">
+        Course prices are set in {BASE_CURRENCY}. Students paying in another
+        currency are charged the price converted with these rates.
+      </p>
+
+      <div className="flex flex-col gap-6">
+        {supportedCurrencies
+          .filter((currency) => currency !== BASE_CURRENCY)
+          .map((currency) => (
+            <div
+              key={currency}
+              className="flex flex-col gap-3 sm:flex-row sm:items-center"
+            >
+              <p className="w-52 text-richblack-5">
+                1 {BASE_CURRENCY} ={" "}
+                <span className="font-semibold text-yellow-50">
+                  {rates[currency] ?? "not set"}
+                </span>{" "}
+                {currency}
+              </p>
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={newRates[currency] ?? ""}
+                placeholder={`New ${currency} rate`}
+                onChange={(e) =>
+                  setNewRates((prev) => ({
+                    ...prev,
+                    [currency]: e.target.value,
+                  }))
+                }
+                className="form-style sm:w-48"
+              />
+              <IconBtn
+                text="Update"
+                onclick={() => handleUpdateRate(currency)}
+                disabled={!newRates[currency]}
+              />
+            </div>
+          ))}
+      </div>
+    </div>
+  );
+};
+
+export default CurrencyRates;
@@ -4,13 +4,17 @@ import { useSelector } from "react-redux";
 import { useNavigate } from "react-router-dom";
 
 import { getUserEnrolledCourses } from "../../../services/operations/profileAPI";
+import { requestRefund } from "../../../services/operations/studentFeaturesAPI";
 import Img from "./../../common/Img";
+import ConfirmationModal from "../../common/ConfirmationModal";
+import Recommendations from "../Catalog/Recommendations";
 
 export default function EnrolledCourses() {
   const { token } = useSelector((state) => state.auth);
   const navigate = useNavigate();
 
   const [enrolledCourses, setEnrolledCourses] = useState(null);
+  const [confirmationModal, setConfirmationModal] = useState(null);
 
   // fetch all users enrolled courses
   // FIX: Wrap getEnrolledCourses in useCallback to stabilize the function instance.
@@ -28,6 +32,11 @@ export default function EnrolledCourses() {
     getEnrolledCourses();
   }, [getEnrolledCourses]); // FIX: Only need 'getEnrolledCourses' as a dependency now.
 
+  const handleRequestRefund = async (courseId) => {
+    setConfirmationModal(null);
+    await requestRefund(courseId, "", token);
+  };
+
   // Loading Skeleton
   const sklItem = () => {
     return (
@@ -141,10 +150,34 @@ export default function EnrolledCourses() {
                   isLabelVisible={false}
                 />
               </div>
+
+              <button
+                onClick={() =>
+                  setConfirmationModal({
+                    text1: "Request a refund?",
+                    text2:
+                      "If approved, the amount is refunded and you will lose access to this course.",
+                    btn1Text: "Request",
+                    btn2Text: "Cancel",
+                    btn1Handler: () => handleRequestRefund(course._id),
+                    btn2Handler: () => setConfirmationModal(null),
+                  })
+                }
+                className="px-5 py-3 text-left text-xs text-richblack-300 hover:text-pink-200 duration-200"
+              >
+                Request Refund
+              </button>
             </div>
           ))}
         </div>
       }
+
+      <Recommendations
+        rows={["continueLearning", "becauseYouAreLearning", "alsoBought"]}
+        className="mt-14"
+      />
+
+      {confirmationModal && <ConfirmationModal modalData={confirmationModal} />}
     </>
   );
 }
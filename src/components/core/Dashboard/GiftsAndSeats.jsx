@@ -0,0 +1,163 @@
+import { useEffect, useState } from "react";
+import copy from "copy-to-clipboard";
+import { toast } from "react-hot-toast";
+import { useSelector } from "react-redux";
+import { useNavigate, useSearchParams } from "react-router-dom";
+
+import {
+  getMyRedemptionCodes,
+  redeemCode,
+} from "../../../services/operations/studentFeaturesAPI";
+import { formatDate } from "../../../services/formatDate";
+import IconBtn from "../../common/IconBtn";
+
+// group the codes of the same order - one gift, or all seats bought together
+const groupByOrder = (codes) => {
+  const groups = {};
+  codes.forEach((code) => {
+    if (!groups[code.order]) {
+      groups[code.order] = {
+        order: code.order,
+        type: code.type,
+        course: code.course,
+        recipientEmail: code.recipientEmail,
+        createdAt: code.createdAt,
+        codes: [],
+      };
+    }
+    groups[code.order].codes.push(code);
+  });
+  return Object.values(groups);
+};
+
+const GiftsAndSeats = () => {
+  const { token } = useSelector((state) => state.auth);
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+
+  // prefilled from the link in the gift email
+  const [code, setCode] = useState(searchParams.get("code") || "");
+  const [purchases, setPurchases] = useState(null);
+
+  useEffect(() => {
+    (async () => {
+      const result = await getMyRedemptionCodes(token);
+      setPurchases(groupByOrder(result));
+    })();
+  }, [token]);
+
+  const handleRedeem = async () => {
+    if (await redeemCode(code, token)) {
+      navigate("/dashboard/enrolled-courses");
+    }
+  };
+
+  return (
+    <div>
+      <h1 className="mb-10 text-4xl font-medium text-richblack-5 font-boogaloo text-center sm:text-left">
+        Gifts & Seats
+      </h1>
+
+      {/* redeem */}
+      <div className="mb-12 rounded-md border-[1px] border-richblack-700 bg-richblack-800 p-6">
+        <p className="mb-2 text-lg font-semibold text-richblack-5">
+          Redeem a code
+        </p>
+        <p className="mb-4 text-sm text-richblack-300">
+          Got a gift or a seat from your company? Enter the code to join the
+          course.
+        </p>
+        <div className="flex flex-col gap-3 sm:flex-row">
+          <input
+            type="text"
+            value={code}
+            placeholder="XXXX-XXXX-XXXX"
+            onChange={(e) => setCode(e.target.value.toUpperCase())}
+            className="form-style w-full uppercase sm:max-w-[300px]"
+          />
+          <IconBtn text="Redeem" onclick={handleRedeem} disabled={!code} />
+        </div>
+      </div>
+
+      {/* bought for others */}
+      <p className="mb-4 text-xl font-semibold text-richblack-5">
+        Bought for Others
+      </p>
+      {!purchases ? (
+        <div className="grid min-h-[200px] place-items-center">
+          <div className="spinner"></div>
+        </div>
+      ) : !purchases.length ? (
+        <p className="text-richblack-300">
+          Courses you gift or buy as seats for your team will show up here.
+        </p>
+      ) : (
+        <div className="flex flex-col gap-6">
+          {purchases.map((purchase) => {
+            const claimed = purchase.codes.filter((c) => c.redeemedBy).length;
+            return (
+              <div
+                key={purchase.order}
+                className="rounded-md border-[1px] border-richblack-700 bg-richblack-800 p-6"
+              >
+                <div className="mb-4 flex flex-wrap items-center justify-between gap-2">
+                  <div>
+                    <p className="text-lg font-semibold text-richblack-5">
+                      {purchase.course?.courseName}
+                    </p>
+                    <p className="text-sm text-richblack-300">
+                      {purchase.type === "Gift"
+                        ? `Gift for ${purchase.recipientEmail}`
+                        : `${purchase.codes.length} seats`}{" "}
+                      | Bought on {formatDate(purchase.createdAt)}
+                    </p>
+                  </div>
+                  <p className="text-sm font-medium text-yellow-50">
+                    {claimed} / {purchase.codes.length} claimed
+                  </p>
+                </div>
+
+                <div className="flex flex-col divide-y divide-richblack-700">
+                  {purchase.codes.map((redemptionCode) => (
+                    <div
+                      key={redemptionCode._id}
+                      className="flex flex-wrap items-center justify-between gap-2 py-2 text-sm"
+                    >
+                      <button
+                        onClick={() => {
+                          copy(redemptionCode.code);
+                          toast.success("Code copied to clipboard");
+                        }}
+                        className="font-mono text-richblack-50 hover:text-yellow-50"
+                      >
+                        {redemptionCode.code}
+                      </button>
+                      {redemptionCode.revoked ? (
+                        <p className="text-pink-200">
+                          Revoked
+                          {redemptionCode.redeemedBy &&
+                            ` - ${redemptionCode.redeemedBy.firstName} ${redemptionCode.redeemedBy.lastName} lost access`}
+                        </p>
+                      ) : redemptionCode.redeemedBy ? (
+                        <p className="text-caribbeangreen-100">
+                          Claimed by {redemptionCode.redeemedBy.firstName}{" "}
+                          {redemptionCode.redeemedBy.lastName} (
+                          {redemptionCode.redeemedBy.email}) on{" "}
+                          {formatDate(redemptionCode.redeemedAt)}
+                        </p>
+                      ) : (
+                        <p className="text-richblack-300">Not claimed yet</p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GiftsAndSeats;
@@ -19,6 +19,7 @@ import { COURSE_STATUS } from "../../../../utils/constants";
 import ConfirmationModal from "../../../common/ConfirmationModal";
 import Img from "./../../../common/Img";
 import toast from "react-hot-toast";
+import { formatPrice } from "../../../../utils/formatPrice";
 
 export default function CoursesTable({
   courses,
@@ -163,7 +164,7 @@ export default function CoursesTable({
                   2hr 30min
                 </Td>
                 <Td className="text-sm font-medium text-richblack-100">
-                  ₹{course.price}
+                  {formatPrice(course.price)}
                 </Td>
 
                 <Td className="text-sm font-medium text-richblack-100 ">
@@ -6,6 +6,7 @@ import { fetchInstructorCourses } from "../../../../services/operations/courseDe
 import { getInstructorData } from "../../../../services/operations/profileAPI";
 import InstructorChart from "./InstructorChart";
 import Img from "../../../common/Img";
+import { formatPrice } from "../../../../utils/formatPrice";
 
 export default function Instructor() {
   const { token } = useSelector((state) => state.auth);
@@ -35,6 +36,12 @@ export default function Instructor() {
     0
   );
 
+  // StudyNotion Pro payout share, already part of the total income
+  const subscriptionAmount = instructorData?.reduce(
+    (acc, curr) => acc + (curr.subscriptionAmount || 0),
+    0
+  );
+
   const totalStudents = instructorData?.reduce(
     (acc, curr) => acc + curr.totalStudentsEnrolled,
     0
@@ -133,8 +140,19 @@ export default function Instructor() {
                 <div>
                   <p className="text-lg text-richblack-200">Total Income</p>
                   <p className="text-3xl font-semibold text-richblack-50">
-                    Rs. {totalAmount}
+                    {formatPrice(totalAmount)}
                   </p>
+                  {subscriptionAmount > 0 && (
+                    <p className="text-xs text-richblack-300">
+                      incl. {formatPrice(subscriptionAmount)} from Pro watch
+                      time
+                    </p>
+                  )}
+                  <Link to="/dashboard/earnings">
+                    <p className="mt-1 text-xs font-semibold text-yellow-50 hover:underline">
+                      View Earnings
+                    </p>
+                  </Link>
                 </div>
               </div>
             </div>
@@ -173,7 +191,7 @@ export default function Instructor() {
                     <div className="flex items-center text-xs text-richblack-300 gap-2">
                       <span>{course.studentsEnrolled.length} students</span>
                       <span>|</span>
-                      <span>Rs. {course.price}</span>
+                      <span>{formatPrice(course.price)}</span>
                     </div>
                   </div>
                 </Link>
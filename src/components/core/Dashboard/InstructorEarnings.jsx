@@ -0,0 +1,183 @@
+import { useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+import { Table, Th, Thead, Tr, Td, Tbody } from "react-super-responsive-table";
+
+import {
+  exportEarningsCsv,
+  getInstructorEarnings,
+} from "../../../services/operations/earningsAPI";
+import { formatDate } from "../../../services/formatDate";
+import { formatPrice } from "../../../utils/formatPrice";
+import IconBtn from "../../common/IconBtn";
+
+const SUMMARY = [
+  { key: "totalEarned", label: "Total Earned" },
+  { key: "available", label: "Awaiting Payout" },
+  { key: "pending", label: "In Payout" },
+  { key: "paidOut", label: "Paid Out" },
+];
+
+const COLUMNS = [
+  "Month",
+  "Sales",
+  "Refunds",
+  "Pro Share",
+  "Commission",
+  "Net",
+  "",
+];
+
+// "2025-03" -> "Mar 2025"
+const formatMonth = (month) =>
+  new Date(`${month}-01T00:00:00Z`).toLocaleDateString("en-US", {
+    month: "short",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+
+const InstructorEarnings = () => {
+  const { token } = useSelector((state) => state.auth);
+  const [earnings, setEarnings] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    (async () => {
+      setLoading(true);
+      setEarnings(await getInstructorEarnings(token));
+      setLoading(false);
+    })();
+  }, [token]);
+
+  return (
+    <div>
+      <div className="mb-10 flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
+        <h1 className="text-4xl font-medium text-richblack-5 font-boogaloo text-center sm:text-left">
+          Earnings
+        </h1>
+        <IconBtn
+          text="Export CSV"
+          onclick={() => exportEarningsCsv(token)}
+          disabled={!earnings?.monthlyTotals?.length}
+        />
+      </div>
+
+      {loading || !earnings ? (
+        <div className="flex flex-col gap-4">
+          <p className="h-24 rounded-xl skeleton"></p>
+          <p className="h-60 rounded-xl skeleton"></p>
+        </div>
+      ) : (
+        <>
+          {/* Balance */}
+          <div className="grid grid-cols-2 gap-4 lg:grid-cols-4">
+            {SUMMARY.map(({ key, label }) => (
+              <div key={key} className="rounded-md bg-richblack-800 p-6">
+                <p className="text-sm text-richblack-200">{label}</p>
+                <p className="mt-2 text-2xl font-semibold text-richblack-50">
+                  {formatPrice(earnings.summary[key])}
+                </p>
+              </div>
+            ))}
+          </div>
+          <p className="mt-3 text-xs text-richblack-300">
+            Course sales are shared after a {earnings.platformCommission}%
+            platform commission. StudyNotion Pro watch-time shares are added
+            once a month is over.
+          </p>
+
+          {/* Monthly totals */}
+          <p className="mt-10 mb-4 text-lg font-bold text-richblack-5">
+            Monthly Totals
+          </p>
+          <Table className="rounded-xl border-2 border-richblack-500 ">
+            <Thead>
+              <Tr className="flex gap-x-6 rounded-t-md border-b border-2 border-b-richblack-500 px-6 py-2">
+                {COLUMNS.map((heading) => (
+                  <Th
+                    key={heading}
+                    className="flex-1 text-left text-sm font-medium uppercase text-richblack-100"
+                  >
+                    {heading}
+                  </Th>
+                ))}
+              </Tr>
+            </Thead>
+            <Tbody>
+              {!earnings.monthlyTotals.length ? (
+                <Tr>
+                  <Td className="py-10 text-center text-2xl font-medium text-richblack-100">
+                    No earnings yet
+                  </Td>
+                </Tr>
+              ) : (
+                earnings.monthlyTotals.map((row) => (
+                  <Tr
+                    key={row.month}
+                    className="flex gap-x-6 border-b border-richblack-700 px-6 py-4 text-sm text-richblack-100"
+                  >
+                    <Td className="flex-1 font-semibold text-richblack-5">
+                      {formatMonth(row.month)}
+                    </Td>
+                    <Td className="flex-1">{formatPrice(row.sales)}</Td>
+                    <Td className="flex-1 text-pink-100">
+                      {formatPrice(row.refunds)}
+                    </Td>
+                    <Td className="flex-1">{formatPrice(row.subscription)}</Td>
+                    <Td className="flex-1">{formatPrice(row.commission)}</Td>
+                    <Td className="flex-1 font-semibold text-yellow-50">
+                      {formatPrice(row.net)}
+                    </Td>
+                    <Td className="flex-1">
+                      <button
+                        onClick={() => exportEarningsCsv(token, row.month)}
+                        className="text-yellow-50 hover:underline"
+                      >
+                        CSV
+                      </button>
+                    </Td>
+                  </Tr>
+                ))
+              )}
+            </Tbody>
+          </Table>
+
+          {/* Payouts */}
+          <p className="mt-10 mb-4 text-lg font-bold text-richblack-5">
+            Payouts
+          </p>
+          {!earnings.payouts.length ? (
+            <p className="text-richblack-300">No payouts yet</p>
+          ) : (
+            <div className="flex flex-col gap-3">
+              {earnings.payouts.map((payout) => (
+                <div
+                  key={payout._id}
+                  className="flex flex-wrap items-center justify-between gap-3 rounded-md bg-richblack-800 px-6 py-4 text-sm text-richblack-100"
+                >
+                  <p>{formatDate(payout.createdAt)}</p>
+                  <p className="font-semibold text-richblack-5">
+                    {formatPrice(payout.amount)}
+                  </p>
+                  <p
+                    className={
+                      payout.status === "Paid"
+                        ? "text-caribbeangreen-100"
+                        : payout.status === "Rejected"
+                        ? "text-pink-100"
+                        : "text-yellow-50"
+                    }
+                  >
+                    {payout.status}
+                    {payout.reference && ` - Ref ${payout.reference}`}
+                  </p>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default InstructorEarnings;
@@ -0,0 +1,200 @@
+import { useCallback, useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+import { Link } from "react-router-dom";
+
+import {
+  getAllTags,
+  mergeTags,
+  renameTag,
+} from "../../../services/operations/tagAPI";
+import IconBtn from "../../common/IconBtn";
+
+const ManageTags = () => {
+  const { token } = useSelector((state) => state.auth);
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [filter, setFilter] = useState("");
+  // tag being renamed, and its new name
+  const [editing, setEditing] = useState(null);
+  const [newName, setNewName] = useState("");
+  // tags ticked for merging, and the one they are merged into
+  const [selected, setSelected] = useState([]);
+  const [targetId, setTargetId] = useState("");
+
+  const fetchTags = useCallback(async () => {
+    setLoading(true);
+    setTags(await getAllTags(token));
+    setLoading(false);
+  }, [token]);
+
+  useEffect(() => {
+    fetchTags();
+  }, [fetchTags]);
+
+  const handleRename = async (tagId) => {
+    if (await renameTag(token, tagId, newName)) {
+      setEditing(null);
+      fetchTags();
+    }
+  };
+
+  const toggleSelected = (tagId) => {
+    setSelected((prev) =>
+      prev.includes(tagId)
+        ? prev.filter((id) => id !== tagId)
+        : [...prev, tagId]
+    );
+    if (targetId === tagId) setTargetId("");
+  };
+
+  const handleMerge = async () => {
+    const sources = selected.filter((id) => id !== targetId);
+    if (await mergeTags(token, sources, targetId)) {
+      setSelected([]);
+      setTargetId("");
+      fetchTags();
+    }
+  };
+
+  const visibleTags = tags.filter(
+    (tag) =>
+      tag.name.toLowerCase().includes(filter.toLowerCase()) ||
+      tag.slug.includes(filter.toLowerCase())
+  );
+  const selectedTags = tags.filter((tag) => selected.includes(tag._id));
+
+  return (
+    <div>
+      <h1 className="mb-4 text-4xl font-medium text-richblack-5 font-boogaloo text-center sm:text-left">
+        Tags
+      </h1>
+      <p className="mb-10 text-sm text-richblack-300">
+        Tags are created when instructors tag their courses. Rename a tag to fix
+        its spelling everywhere, or merge duplicates ("reactjs", "React JS")
+        into the one to keep.
+      </p>
+
+      {/* Merge */}
+      {selected.length > 1 && (
+        <div className="mb-8 flex flex-col gap-4 rounded-md border-[1px] border-richblack-700 bg-richblack-800 p-6 text-sm text-richblack-100">
+          <p className="text-richblack-5">
+            Merge {selected.length} tags into:
+          </p>
+          <div className="flex flex-wrap gap-4">
+            {selectedTags.map((tag) => (
+              <label
+                key={tag._id}
+                className="flex cursor-pointer items-center gap-2"
+              >
+                <input
+                  type="radio"
+                  name="mergeTarget"
+                  checked={targetId === tag._id}
+                  onChange={() => setTargetId(tag._id)}
+                />
+                {tag.name} ({tag.usageCount})
+              </label>
+            ))}
+          </div>
+          <div className="flex justify-end gap-3">
+            <button
+              onClick={() => {
+                setSelected([]);
+                setTargetId("");
+              }}
+              className="rounded-md bg-richblack-700 px-3 py-1 font-semibold text-richblack-5"
+            >
+              Cancel
+            </button>
+            <IconBtn
+              text="Merge"
+              onclick={handleMerge}
+              disabled={!targetId}
+            />
+          </div>
+        </div>
+      )}
+
+      <input
+        type="text"
+        value={filter}
+        placeholder="Filter tags"
+        onChange={(e) => setFilter(e.target.value)}
+        className="form-style mb-6 w-full sm:w-72"
+      />
+
+      {/* Tags */}
+      {loading ? (
+        <p className="h-24 rounded-xl skeleton"></p>
+      ) : !visibleTags.length ? (
+        <p className="py-10 text-center text-2xl font-medium text-richblack-100">
+          No tags found
+        </p>
+      ) : (
+        <div className="flex flex-col gap-3">
+          {visibleTags.map((tag) => (
+            <div
+              key={tag._id}
+              className="flex flex-col gap-3 rounded-xl border border-richblack-700 p-4 text-sm text-richblack-100 sm:flex-row sm:items-center"
+            >
+              <input
+                type="checkbox"
+                checked={selected.includes(tag._id)}
+                onChange={() => toggleSelected(tag._id)}
+                aria-label={`Select ${tag.name} for merging`}
+              />
+              {editing === tag._id ? (
+                <input
+                  type="text"
+                  value={newName}
+                  onChange={(e) => setNewName(e.target.value)}
+                  className="form-style flex-1"
+                />
+              ) : (
+                <div className="flex-1">
+                  <Link
+                    to={`/tags/${tag.slug}`}
+                    className="text-lg font-semibold text-richblack-5 hover:text-yellow-25"
+                  >
+                    {tag.name}
+                  </Link>
+                  <p className="text-xs text-richblack-400">/{tag.slug}</p>
+                </div>
+              )}
+              <p>
+                {tag.usageCount} {tag.usageCount === 1 ? "course" : "courses"}
+              </p>
+              {editing === tag._id ? (
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => setEditing(null)}
+                    className="rounded-md bg-richblack-700 px-3 py-1 font-semibold text-richblack-5"
+                  >
+                    Cancel
+                  </button>
+                  <IconBtn
+                    text="Save"
+                    onclick={() => handleRename(tag._id)}
+                    disabled={!newName.trim() || newName === tag.name}
+                  />
+                </div>
+              ) : (
+                <button
+                  onClick={() => {
+                    setEditing(tag._id);
+                    setNewName(tag.name);
+                  }}
+                  className="rounded-md bg-richblack-700 px-3 py-1 font-semibold text-richblack-5 hover:scale-105 duration-200"
+                >
+                  Rename
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ManageTags;
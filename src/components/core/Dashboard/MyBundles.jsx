@@ -0,0 +1,308 @@
+import { useCallback, useEffect, useState } from "react";
+import { useForm } from "react-hook-form";
+import { useSelector } from "react-redux";
+import { Link } from "react-router-dom";
+
+import {
+  createBundle,
+  deleteBundle,
+  editBundle,
+  fetchInstructorBundles,
+} from "../../../services/operations/bundleAPI";
+import { fetchInstructorCourses } from "../../../services/operations/courseDetailsAPI";
+import { formatPrice } from "../../../utils/formatPrice";
+import ConfirmationModal from "../../common/ConfirmationModal";
+import IconBtn from "../../common/IconBtn";
+import Img from "../../common/Img";
+
+const MyBundles = () => {
+  const { token } = useSelector((state) => state.auth);
+  const [bundles, setBundles] = useState([]);
+  const [courses, setCourses] = useState([]);
+  const [selectedCourses, setSelectedCourses] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [confirmationModal, setConfirmationModal] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm();
+
+  const fetchBundles = useCallback(async () => {
+    setLoading(true);
+    setBundles(await fetchInstructorBundles(token));
+    setLoading(false);
+  }, [token]);
+
+  useEffect(() => {
+    fetchBundles();
+    // only published courses can be bundled
+    (async () => {
+      const result = await fetchInstructorCourses(token);
+      setCourses(result.filter((course) => course.status === "Published"));
+    })();
+  }, [fetchBundles, token]);
+
+  const toggleCourse = (courseId) => {
+    setSelectedCourses((prev) =>
+      prev.includes(courseId)
+        ? prev.filter((id) => id !== courseId)
+        : [...prev, courseId]
+    );
+  };
+
+  // price of the selected courses bought one by one
+  const selectedPrice = courses
+    .filter((course) => selectedCourses.includes(course._id))
+    .reduce((acc, course) => acc + course.price, 0);
+
+  const onSubmit = async (data) => {
+    const formData = new FormData();
+    formData.append("bundleName", data.bundleName);
+    formData.append("bundleDescription", data.bundleDescription);
+    formData.append("price", data.price);
+    formData.append("courses", JSON.stringify(selectedCourses));
+    formData.append("status", data.publish ? "Published" : "Draft");
+    if (data.thumbnailImage?.[0]) {
+      formData.append("thumbnailImage", data.thumbnailImage[0]);
+    }
+
+    if (await createBundle(formData, token)) {
+      reset();
+      setSelectedCourses([]);
+      fetchBundles();
+    }
+  };
+
+  const handleToggleStatus = async (bundle) => {
+    const formData = new FormData();
+    formData.append("bundleId", bundle._id);
+    formData.append(
+      "status",
+      bundle.status === "Published" ? "Draft" : "Published"
+    );
+    if (await editBundle(formData, token)) {
+      fetchBundles();
+    }
+  };
+
+  const handleDelete = async (bundleId) => {
+    setConfirmationModal(null);
+    if (await deleteBundle(bundleId, token)) {
+      fetchBundles();
+    }
+  };
+
+  return (
+    <div>
+      <h1 className="mb-10 text-4xl font-medium text-richblack-5 font-boogaloo text-center sm:text-left">
+        My Bundles
+      </h1>
+
+      {/* Create bundle */}
+      <form
+        onSubmit={handleSubmit(onSubmit)}
+        className="mb-10 flex flex-col gap-y-6 rounded-md border-[1px] border-richblack-700 bg-richblack-800 p-8 px-6 sm:px-12"
+      >
+        <h2 className="text-lg font-semibold text-richblack-5">
+          Create a Bundle
+        </h2>
+
+        <div className="flex flex-col gap-2">
+          <label htmlFor="bundleName" className="lable-style">
+            Bundle Name <sup className="text-pink-200">*</sup>
+          </label>
+          <input
+            id="bundleName"
+            placeholder="Enter bundle name"
+            className="form-style"
+            {...register("bundleName", { required: true })}
+          />
+          {errors.bundleName && (
+            <span className="-mt-1 text-[12px] text-yellow-100">
+              Bundle name is required
+            </span>
+          )}
+        </div>
+
+        <div className="flex flex-col gap-2">
+          <label htmlFor="bundleDescription" className="lable-style">
+            Description
+          </label>
+          <textarea
+            id="bundleDescription"
+            placeholder="What do students get with this bundle?"
+            className="form-style min-h-[100px]"
+            {...register("bundleDescription")}
+          />
+        </div>
+
+        <div className="flex flex-col gap-2">
+          <p className="lable-style">
+            Courses <sup className="text-pink-200">*</sup>
+          </p>
+          {!courses.length ? (
+            <p className="text-sm text-richblack-300">
+              Publish at least 2 courses to create a bundle.
+            </p>
+          ) : (
+            <div className="flex flex-col gap-2">
+              {courses.map((course) => (
+                <label
+                  key={course._id}
+                  className="flex cursor-pointer items-center gap-3 text-sm text-richblack-5"
+                >
+                  <input
+                    type="checkbox"
+                    checked={selectedCourses.includes(course._id)}
+                    onChange={() => toggleCourse(course._id)}
+                  />
+                  <span className="flex-1">{course.courseName}</span>
+                  <span className="text-richblack-300">
+                    {formatPrice(course.price)}
+                  </span>
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="flex flex-col gap-5 lg:flex-row">
+          <div className="flex flex-col gap-2 lg:w-[48%]">
+            <label htmlFor="price" className="lable-style">
+              Bundle Price (INR) <sup className="text-pink-200">*</sup>
+            </label>
+            <input
+              id="price"
+              type="number"
+              min="1"
+              placeholder="Enter bundle price"
+              className="form-style"
+              {...register("price", {
+                required: true,
+                validate: (value) =>
+                  Number(value) < selectedPrice ||
+                  "Bundle price must be less than the price of its courses",
+              })}
+            />
+            {selectedCourses.length > 0 && (
+              <span className="text-[12px] text-richblack-300">
+                Courses bought separately: {formatPrice(selectedPrice)}
+              </span>
+            )}
+            {errors.price && (
+              <span className="-mt-1 text-[12px] text-yellow-100">
+                {errors.price.message || "Bundle price is required"}
+              </span>
+            )}
+          </div>
+
+          <div className="flex flex-col gap-2 lg:w-[48%]">
+            <label htmlFor="thumbnailImage" className="lable-style">
+              Thumbnail (optional)
+            </label>
+            <input
+              id="thumbnailImage"
+              type="file"
+              accept="image/png, image/gif, image/jpeg"
+              className="text-sm text-richblack-300"
+              {...register("thumbnailImage")}
+            />
+          </div>
+        </div>
+
+        <label className="flex items-center gap-2 text-sm text-richblack-5">
+          <input type="checkbox" {...register("publish")} />
+          Publish right away
+        </label>
+
+        <div className="flex justify-end">
+          <IconBtn
+            type="submit"
+            text="Create Bundle"
+            disabled={selectedCourses.length < 2}
+          />
+        </div>
+      </form>
+
+      {/* Bundles of the instructor */}
+      {loading ? (
+        <div className="flex flex-col gap-4">
+          <p className="h-24 rounded-xl skeleton"></p>
+          <p className="h-24 rounded-xl skeleton"></p>
+        </div>
+      ) : !bundles.length ? (
+        <p className="py-10 text-center text-2xl font-medium text-richblack-100">
+          You have not created any bundle yet
+        </p>
+      ) : (
+        <div className="flex flex-col gap-4">
+          {bundles.map((bundle) => (
+            <div
+              key={bundle._id}
+              className="flex flex-col gap-4 rounded-xl border border-richblack-700 p-4 sm:flex-row"
+            >
+              <Img
+                src={bundle.thumbnail}
+                alt={bundle.bundleName}
+                className="h-28 w-full rounded-lg object-cover sm:w-48"
+              />
+              <div className="flex flex-1 flex-col gap-1 text-sm text-richblack-100">
+                <Link
+                  to={`/bundles/${bundle._id}`}
+                  className="text-lg font-semibold text-richblack-5 hover:underline"
+                >
+                  {bundle.bundleName}
+                </Link>
+                <p>
+                  {bundle.courses.map((course) => course.courseName).join(" + ")}
+                </p>
+                <p className="font-semibold text-yellow-50">
+                  {formatPrice(bundle.price)}
+                </p>
+                <p
+                  className={
+                    bundle.status === "Published"
+                      ? "text-caribbeangreen-100"
+                      : "text-pink-100"
+                  }
+                >
+                  {bundle.status}
+                </p>
+              </div>
+              <div className="flex items-start gap-x-3 text-sm">
+                <button
+                  onClick={() => handleToggleStatus(bundle)}
+                  className="rounded-md bg-richblack-700 px-3 py-1 font-semibold text-richblack-5 hover:scale-105 duration-200"
+                >
+                  {bundle.status === "Published" ? "Unpublish" : "Publish"}
+                </button>
+                <button
+                  onClick={() =>
+                    setConfirmationModal({
+                      text1: "Delete this bundle?",
+                      text2: "Students who bought it keep their courses.",
+                      btn1Text: "Delete",
+                      btn2Text: "Cancel",
+                      btn1Handler: () => handleDelete(bundle._id),
+                      btn2Handler: () => setConfirmationModal(null),
+                    })
+                  }
+                  className="rounded-md bg-pink-200 px-3 py-1 font-semibold text-richblack-900 hover:scale-105 duration-200"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {confirmationModal && <ConfirmationModal modalData={confirmationModal} />}
+    </div>
+  );
+};
+
+export default MyBundles;
@@ -0,0 +1,99 @@
+import { useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+import { Link } from "react-router-dom";
+import { FaLinkedin } from "react-icons/fa";
+import { MdOutlineFileDownload } from "react-icons/md";
+
+import {
+  downloadCertificate,
+  getMyCertificates,
+} from "../../../services/operations/certificateAPI";
+import { formatDate } from "../../../services/formatDate";
+import { linkedInShareUrl } from "../../../utils/certificate";
+
+// loading skeleton
+const LoadingSkeleton = () => {
+  return (
+    <div className="flex flex-col gap-3 rounded-xl border border-richblack-700 p-4">
+      <div className="h-[150px] w-full rounded-lg skeleton"></div>
+      <p className="h-4 w-[220px] rounded-xl skeleton"></p>
+      <p className="h-4 w-[160px] rounded-xl skeleton"></p>
+    </div>
+  );
+};
+
+const MyCertificates = () => {
+  const { token } = useSelector((state) => state.auth);
+  const [certificates, setCertificates] = useState(null);
+
+  useEffect(() => {
+    (async () => {
+      setCertificates(await getMyCertificates(token));
+    })();
+  }, [token]);
+
+  return (
+    <div>
+      <h1 className="mb-10 text-4xl font-medium text-richblack-5 font-boogaloo text-center sm:text-left">
+        My Certificates
+      </h1>
+
+      {!certificates ? (
+        <div className="grid grid-cols-1 gap-6 md:grid-cols-2 xl:grid-cols-3">
+          <LoadingSkeleton />
+          <LoadingSkeleton />
+          <LoadingSkeleton />
+        </div>
+      ) : !certificates.length ? (
+        <p className="grid h-[20vh] place-content-center text-center text-2xl text-richblack-100">
+          Complete every lesson of a course to earn its certificate
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 gap-6 md:grid-cols-2 xl:grid-cols-3">
+          {certificates.map((certificate) => (
+            <div
+              key={certificate.certificateId}
+              className="flex flex-col gap-3 rounded-xl border border-richblack-700 bg-richblack-800 p-4"
+            >
+              {certificate.thumbnail && (
+                <img
+                  src={certificate.thumbnail}
+                  alt={certificate.courseName}
+                  className="h-[150px] w-full rounded-lg object-cover"
+                />
+              )}
+              <Link
+                to={`/certificates/${certificate.certificateId}`}
+                className="text-lg font-semibold text-richblack-5 hover:text-yellow-50"
+              >
+                {certificate.courseName}
+              </Link>
+              <div className="text-sm text-richblack-300">
+                <p>Completed on {formatDate(certificate.completedAt)}</p>
+                <p>ID: {certificate.certificateId}</p>
+              </div>
+              <div className="mt-auto flex flex-wrap gap-3 text-sm font-semibold">
+                <button
+                  onClick={() => downloadCertificate(certificate.certificateId)}
+                  className="flex items-center gap-1 rounded-md bg-yellow-50 px-3 py-1 text-richblack-900 hover:scale-105 duration-200"
+                >
+                  <MdOutlineFileDownload className="text-lg" /> Download PDF
+                </button>
+                <a
+                  href={linkedInShareUrl(certificate.url)}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="flex items-center gap-1 rounded-md bg-richblack-700 px-3 py-1 text-richblack-5 hover:scale-105 duration-200"
+                >
+                  <FaLinkedin className="text-lg" /> Share on LinkedIn
+                </a>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MyCertificates;
@@ -0,0 +1,113 @@
+import { useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+import { Link } from "react-router-dom";
+
+import {
+  cancelSubscription,
+  getMySubscription,
+} from "../../../services/operations/subscriptionAPI";
+import { formatDate } from "../../../services/formatDate";
+import { formatPrice } from "../../../utils/formatPrice";
+import ConfirmationModal from "../../common/ConfirmationModal";
+
+const MySubscription = () => {
+  const { token } = useSelector((state) => state.auth);
+  const [subscription, setSubscription] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [confirmationModal, setConfirmationModal] = useState(null);
+
+  useEffect(() => {
+    (async () => {
+      setLoading(true);
+      setSubscription(await getMySubscription(token));
+      setLoading(false);
+    })();
+  }, [token]);
+
+  const handleCancel = async () => {
+    setConfirmationModal(null);
+    const result = await cancelSubscription(token);
+    if (result) setSubscription(result);
+  };
+
+  // renewal stopped - by the student or after the last billing cycle
+  const ending =
+    subscription?.cancelAtPeriodEnd || subscription?.status === "Cancelled";
+
+  return (
+    <div>
+      <h1 className="mb-10 text-4xl font-medium text-richblack-5 font-boogaloo text-center sm:text-left">
+        StudyNotion Pro
+      </h1>
+
+      {loading ? (
+        <p className="h-40 rounded-xl skeleton"></p>
+      ) : !subscription ? (
+        <div className="rounded-md border-[1px] border-richblack-700 bg-richblack-800 p-8 text-richblack-100">
+          <p className="text-lg">You are not subscribed to StudyNotion Pro.</p>
+          <Link
+            to="/pro"
+            className="mt-4 inline-block font-semibold text-yellow-50 hover:underline"
+          >
+            See the plans
+          </Link>
+        </div>
+      ) : (
+        <div className="flex flex-col gap-4 rounded-md border-[1px] border-richblack-700 bg-richblack-800 p-8 text-richblack-100">
+          <p className="text-2xl font-semibold text-richblack-5">
+            {subscription.plan?.name}
+          </p>
+          <p>
+            {formatPrice(subscription.plan?.price)}
+            {subscription.plan?.interval === "Monthly" ? " / month" : " / year"}
+          </p>
+          <p>
+            Status:{" "}
+            <span
+              className={
+                subscription.status === "Active" && !ending
+                  ? "text-caribbeangreen-100"
+                  : "text-yellow-50"
+              }
+            >
+              {subscription.status === "Pending"
+                ? "Renewal payment pending"
+                : ending
+                ? "Cancelled"
+                : subscription.status}
+            </span>
+          </p>
+          {subscription.currentPeriodEnd && (
+            <p>
+              {ending ? "Access ends on " : "Renews on "}
+              {formatDate(subscription.currentPeriodEnd)}
+            </p>
+          )}
+
+          {!ending && (
+            <button
+              onClick={() =>
+                setConfirmationModal({
+                  text1: "Cancel StudyNotion Pro?",
+                  text2:
+                    "You keep access to every course until the current period ends.",
+                  btn1Text: "Cancel Subscription",
+                  btn2Text: "Keep it",
+                  btn1Handler: handleCancel,
+                  btn2Handler: () => setConfirmationModal(null),
+                })
+              }
+              className="w-fit rounded-md bg-pink-200 px-4 py-2 font-semibold text-richblack-900 hover:scale-105 duration-200"
+            >
+              Cancel Subscription
+            </button>
+          )}
+        </div>
+      )}
+
+      {confirmationModal && <ConfirmationModal modalData={confirmationModal} />}
+    </div>
+  );
+};
+
+export default MySubscription;
@@ -0,0 +1,230 @@
+import { useCallback, useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+import { Table, Th, Thead, Tr, Td, Tbody } from "react-super-responsive-table";
+
+import {
+  approvePayout,
+  generatePayouts,
+  getPayouts,
+  rejectPayout,
+} from "../../../services/operations/earningsAPI";
+import { formatDate } from "../../../services/formatDate";
+import { formatPrice } from "../../../utils/formatPrice";
+import ConfirmationModal from "../../common/ConfirmationModal";
+import IconBtn from "../../common/IconBtn";
+
+const STATUS_FILTERS = ["Pending", "Paid", "Rejected"];
+
+// loading skeleton
+const LoadingSkeleton = () => {
+  return (
+    <div className="flex p-5 flex-col gap-4 border-b border-2 border-b-richblack-500">
+      <p className="h-4 w-[220px] rounded-xl skeleton"></p>
+      <p className="h-4 w-[160px] rounded-xl skeleton"></p>
+    </div>
+  );
+};
+
+const Payouts = () => {
+  const { token } = useSelector((state) => state.auth);
+  const [payouts, setPayouts] = useState([]);
+  const [status, setStatus] = useState("Pending");
+  const [loading, setLoading] = useState(false);
+  const [confirmationModal, setConfirmationModal] = useState(null);
+  // transfer references being typed, keyed by payout id
+  const [references, setReferences] = useState({});
+
+  // fetch payouts of selected status
+  const fetchPayouts = useCallback(async () => {
+    setLoading(true);
+    const result = await getPayouts(token, status);
+    setPayouts(result || []);
+    setLoading(false);
+  }, [token, status]);
+
+  useEffect(() => {
+    fetchPayouts();
+  }, [fetchPayouts]);
+
+  const handleGenerate = async () => {
+    setConfirmationModal(null);
+    if (await generatePayouts(token)) {
+      setStatus("Pending");
+      fetchPayouts();
+    }
+  };
+
+  const handleApprove = async (payoutId) => {
+    setConfirmationModal(null);
+    if (await approvePayout(payoutId, references[payoutId], token)) {
+      fetchPayouts();
+    }
+  };
+
+  const handleReject = async (payoutId) => {
+    setConfirmationModal(null);
+    if (await rejectPayout(payoutId, "", token)) {
+      fetchPayouts();
+    }
+  };
+
+  return (
+    <div>
+      <div className="mb-10 flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
+        <h1 className="text-4xl font-medium text-richblack-5 font-boogaloo text-center sm:text-left">
+          Instructor Payouts
+        </h1>
+        <IconBtn
+          text="Create Payout Batch"
+          onclick={() =>
+            setConfirmationModal({
+              text1: "Create a payout batch?",
+              text2:
+                "Every instructor's earnings not paid out yet are batched into one payout each.",
+              btn1Text: "Create",
+              btn2Text: "Cancel",
+              btn1Handler: handleGenerate,
+              btn2Handler: () => setConfirmationModal(null),
+            })
+          }
+        />
+      </div>
+
+      {/* status filter */}
+      <div className="mb-6 flex flex-wrap gap-3">
+        {STATUS_FILTERS.map((filter) => (
+          <button
+            key={filter}
+            onClick={() => setStatus(filter)}
+            className={`rounded-full px-4 py-1 text-sm font-medium duration-200 ${
+              status === filter
+                ? "bg-yellow-50 text-richblack-900"
+                : "bg-richblack-700 text-richblack-100 hover:bg-richblack-600"
+            }`}
+          >
+            {filter}
+          </button>
+        ))}
+      </div>
+
+      <Table className="rounded-xl border-2 border-richblack-500 ">
+        <Thead>
+          <Tr className="flex gap-x-10 rounded-t-md border-b border-2 border-b-richblack-500 px-6 py-2">
+            <Th className="flex-1 text-left text-sm font-medium uppercase text-richblack-100">
+              Instructor
+            </Th>
+            <Th className="w-[15%] text-left text-sm font-medium uppercase text-richblack-100">
+              Amount
+            </Th>
+            <Th className="w-[15%] text-left text-sm font-medium uppercase text-richblack-100">
+              Created On
+            </Th>
+            <Th className="w-[30%] text-left text-sm font-medium uppercase text-richblack-100">
+              Actions
+            </Th>
+          </Tr>
+        </Thead>
+
+        <Tbody>
+          {loading ? (
+            <>
+              <LoadingSkeleton />
+              <LoadingSkeleton />
+              <LoadingSkeleton />
+            </>
+          ) : !payouts.length ? (
+            <Tr>
+              <Td className="py-10 text-center text-2xl font-medium text-richblack-100">
+                No {status.toLowerCase()} payouts
+              </Td>
+            </Tr>
+          ) : (
+            payouts.map((payout) => (
+              <Tr
+                key={payout._id}
+                className="flex gap-x-10 border-b border-richblack-700 px-6 py-6"
+              >
+                <Td className="flex flex-1 flex-col gap-1 text-sm text-richblack-100">
+                  <p className="text-base font-semibold text-richblack-5">
+                    {payout.instructor?.firstName} {payout.instructor?.lastName}
+                  </p>
+                  <p>{payout.instructor?.email}</p>
+                  <p className="text-xs text-richblack-400">
+                    {payout.entryCount} ledger entries
+                  </p>
+                </Td>
+                <Td className="w-[15%] text-sm font-medium text-richblack-100">
+                  {formatPrice(payout.amount)}
+                </Td>
+                <Td className="w-[15%] text-sm font-medium text-richblack-100">
+                  {formatDate(payout.createdAt)}
+                </Td>
+                <Td className="w-[30%] text-sm font-medium text-richblack-100">
+                  {payout.status === "Pending" ? (
+                    <div className="flex flex-col gap-2">
+                      <input
+                        value={references[payout._id] || ""}
+                        onChange={(e) =>
+                          setReferences((prev) => ({
+                            ...prev,
+                            [payout._id]: e.target.value,
+                          }))
+                        }
+                        placeholder="Transfer reference (UTR)"
+                        className="form-style"
+                      />
+                      <div className="flex gap-x-3">
+                        <button
+                          disabled={!references[payout._id]}
+                          onClick={() =>
+                            setConfirmationModal({
+                              text1: "Approve this payout?",
+                              text2: `Confirm that ${formatPrice(payout.amount)} has been transferred to the instructor.`,
+                              btn1Text: "Approve",
+                              btn2Text: "Cancel",
+                              btn1Handler: () => handleApprove(payout._id),
+                              btn2Handler: () => setConfirmationModal(null),
+                            })
+                          }
+                          className="rounded-md bg-caribbeangreen-200 px-3 py-1 font-semibold text-richblack-900 hover:scale-105 duration-200 disabled:cursor-not-allowed disabled:opacity-50"
+                        >
+                          Approve
+                        </button>
+                        <button
+                          onClick={() =>
+                            setConfirmationModal({
+                              text1: "Reject this payout?",
+                              text2:
+                                "Its earnings go back to the instructor's balance for the next batch.",
+                              btn1Text: "Reject",
+                              btn2Text: "Cancel",
+                              btn1Handler: () => handleReject(payout._id),
+                              btn2Handler: () => setConfirmationModal(null),
+                            })
+                          }
+                          className="rounded-md bg-pink-200 px-3 py-1 font-semibold text-richblack-900 hover:scale-105 duration-200"
+                        >
+                          Reject
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <p>
+                      {payout.status}
+                      {payout.reviewedAt && ` on ${formatDate(payout.reviewedAt)}`}
+                      {payout.reference && ` - Ref ${payout.reference}`}
+                    </p>
+                  )}
+                </Td>
+              </Tr>
+            ))
+          )}
+        </Tbody>
+      </Table>
+
+      {confirmationModal && <ConfirmationModal modalData={confirmationModal} />}
+    </div>
+  );
+};
+
+export default Payouts;
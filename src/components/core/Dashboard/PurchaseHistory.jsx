@@ -0,0 +1,142 @@
+import { useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+import { Table, Th, Thead, Tr, Td, Tbody } from "react-super-responsive-table";
+
+import {
+  downloadInvoice,
+  getMyOrders,
+} from "../../../services/operations/studentFeaturesAPI";
+import { formatDate } from "../../../services/formatDate";
+import { formatPrice } from "../../../utils/formatPrice";
+
+// loading skeleton
+const LoadingSkeleton = () => {
+  return (
+    <div className="flex p-5 flex-col gap-4 border-b border-2 border-b-richblack-500">
+      <p className="h-4 w-[220px] rounded-xl skeleton"></p>
+      <p className="h-4 w-[160px] rounded-xl skeleton"></p>
+    </div>
+  );
+};
+
+const PurchaseHistory = () => {
+  const { token } = useSelector((state) => state.auth);
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    (async () => {
+      setLoading(true);
+      const result = await getMyOrders(token);
+      // abandoned checkouts are not purchases
+      setOrders(result.filter((order) => order.status !== "Created"));
+      setLoading(false);
+    })();
+  }, [token]);
+
+  return (
+    <div>
+      <h1 className="mb-10 text-4xl font-medium text-richblack-5 font-boogaloo text-center sm:text-left">
+        Purchase History
+      </h1>
+
+      <Table className="rounded-xl border-2 border-richblack-500 ">
+        <Thead>
+          <Tr className="flex gap-x-10 rounded-t-md border-b border-2 border-b-richblack-500 px-6 py-2">
+            <Th className="flex-1 text-left text-sm font-medium uppercase text-richblack-100">
+              Courses
+            </Th>
+            <Th className="w-[15%] text-left text-sm font-medium uppercase text-richblack-100">
+              Amount
+            </Th>
+            <Th className="w-[15%] text-left text-sm font-medium uppercase text-richblack-100">
+              Date
+            </Th>
+            <Th className="w-[15%] text-left text-sm font-medium uppercase text-richblack-100">
+              Status
+            </Th>
+            <Th className="w-[15%] text-left text-sm font-medium uppercase text-richblack-100">
+              Invoice
+            </Th>
+          </Tr>
+        </Thead>
+
+        <Tbody>
+          {loading ? (
+            <>
+              <LoadingSkeleton />
+              <LoadingSkeleton />
+              <LoadingSkeleton />
+            </>
+          ) : !orders.length ? (
+            <Tr>
+              <Td className="py-10 text-center text-2xl font-medium text-richblack-100">
+                You have not purchased any course yet
+              </Td>
+            </Tr>
+          ) : (
+            orders.map((order) => (
+              <Tr
+                key={order._id}
+                className="flex gap-x-10 border-b border-richblack-700 px-6 py-6"
+              >
+                <Td className="flex flex-1 flex-col gap-1 text-sm text-richblack-100">
+                  {order.items.map((item) => (
+                    <p
+                      key={item.course}
+                      className="text-base font-semibold text-richblack-5"
+                    >
+                      {item.courseName}
+                      {item.quantity > 1 && ` (${item.quantity} seats)`}
+                    </p>
+                  ))}
+                  {order.purchaseType === "Gift" && (
+                    <p className="text-xs text-richblack-300">
+                      Gift for {order.recipientEmail}
+                    </p>
+                  )}
+                  {order.couponCode && (
+                    <p className="text-xs text-caribbeangreen-100">
+                      Coupon: {order.couponCode}
+                    </p>
+                  )}
+                </Td>
+                <Td className="w-[15%] text-sm font-medium text-richblack-100">
+                  {order.amount
+                    ? formatPrice(order.amount, order.currency)
+                    : "Free"}
+                </Td>
+                <Td className="w-[15%] text-sm font-medium text-richblack-100">
+                  {formatDate(order.createdAt)}
+                </Td>
+                <Td className="w-[15%] text-sm font-medium text-richblack-100">
+                  {order.status}
+                </Td>
+                <Td className="w-[15%] text-sm font-medium text-richblack-100">
+                  {order.amount && order.status !== "Failed" ? (
+                    <button
+                      onClick={() =>
+                        downloadInvoice(
+                          order._id,
+                          order.invoiceNumber || order._id,
+                          token
+                        )
+                      }
+                      className="text-left text-yellow-50 hover:underline"
+                    >
+                      {order.invoiceNumber || "Download"}
+                    </button>
+                  ) : (
+                    "-"
+                  )}
+                </Td>
+              </Tr>
+            ))
+          )}
+        </Tbody>
+      </Table>
+    </div>
+  );
+};
+
+export default PurchaseHistory;
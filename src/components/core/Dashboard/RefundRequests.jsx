@@ -0,0 +1,203 @@
+import { useCallback, useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+import { Table, Th, Thead, Tr, Td, Tbody } from "react-super-responsive-table";
+
+import {
+  approveRefund,
+  getRefundRequests,
+  rejectRefund,
+} from "../../../services/operations/adminApi";
+import { formatDate } from "../../../services/formatDate";
+import ConfirmationModal from "../../common/ConfirmationModal";
+import { formatPrice } from "../../../utils/formatPrice";
+
+const STATUS_FILTERS = ["Pending", "Approved", "Processed", "Rejected"];
+
+// loading skeleton
+const LoadingSkeleton = () => {
+  return (
+    <div className="flex p-5 flex-col gap-4 border-b border-2 border-b-richblack-500">
+      <p className="h-4 w-[220px] rounded-xl skeleton"></p>
+      <p className="h-4 w-[160px] rounded-xl skeleton"></p>
+    </div>
+  );
+};
+
+const RefundRequests = () => {
+  const { token } = useSelector((state) => state.auth);
+  const [refundRequests, setRefundRequests] = useState([]);
+  const [status, setStatus] = useState("Pending");
+  const [loading, setLoading] = useState(false);
+  const [confirmationModal, setConfirmationModal] = useState(null);
+
+  // fetch refund requests of selected status
+  const fetchRefundRequests = useCallback(async () => {
+    setLoading(true);
+    const result = await getRefundRequests(token, status);
+    setRefundRequests(result || []);
+    setLoading(false);
+  }, [token, status]);
+
+  useEffect(() => {
+    fetchRefundRequests();
+  }, [fetchRefundRequests]);
+
+  const handleApprove = async (refundRequestId) => {
+    setConfirmationModal(null);
+    if (await approveRefund(refundRequestId, token)) {
+      fetchRefundRequests();
+    }
+  };
+
+  const handleReject = async (refundRequestId) => {
+    setConfirmationModal(null);
+    if (await rejectRefund(refundRequestId, "", token)) {
+      fetchRefundRequests();
+    }
+  };
+
+  return (
+    <div>
+      <h1 className="mb-10 text-4xl font-medium text-richblack-5 font-boogaloo text-center sm:text-left">
+        Refund Requests
+      </h1>
+
+      {/* status filter */}
+      <div className="mb-6 flex flex-wrap gap-3">
+        {STATUS_FILTERS.map((filter) => (
+          <button
+            key={filter}
+            onClick={() => setStatus(filter)}
+            className={`rounded-full px-4 py-1 text-sm font-medium duration-200 ${
+              status === filter
+                ? "bg-yellow-50 text-richblack-900"
+                : "bg-richblack-700 text-richblack-100 hover:bg-richblack-600"
+            }`}
+          >
+            {filter}
+          </button>
+        ))}
+      </div>
+
+      <Table className="rounded-xl border-2 border-richblack-500 ">
+        <Thead>
+          <Tr className="flex gap-x-10 rounded-t-md border-b border-2 border-b-richblack-500 px-6 py-2">
+            <Th className="flex-1 text-left text-sm font-medium uppercase text-richblack-100">
+              Student / Course
+            </Th>
+            <Th className="w-[15%] text-left text-sm font-medium uppercase text-richblack-100">
+              Amount
+            </Th>
+            <Th className="w-[20%] text-left text-sm font-medium uppercase text-richblack-100">
+              Requested On
+            </Th>
+            <Th className="w-[20%] text-left text-sm font-medium uppercase text-richblack-100">
+              Actions
+            </Th>
+          </Tr>
+        </Thead>
+
+        <Tbody>
+          {loading ? (
+            <>
+              <LoadingSkeleton />
+              <LoadingSkeleton />
+              <LoadingSkeleton />
+            </>
+          ) : !refundRequests.length ? (
+            <Tr>
+              <Td className="py-10 text-center text-2xl font-medium text-richblack-100">
+                No {status.toLowerCase()} refund requests
+              </Td>
+            </Tr>
+          ) : (
+            refundRequests.map((request) => (
+              <Tr
+                key={request._id}
+                className="flex gap-x-10 border-b border-richblack-700 px-6 py-6"
+              >
+                <Td className="flex flex-1 flex-col gap-1 text-sm text-richblack-100">
+                  <p className="text-base font-semibold text-richblack-5">
+                    {request.user?.firstName} {request.user?.lastName}
+                  </p>
+                  <p>{request.user?.email}</p>
+                  <p className="text-yellow-50">{request.course?.courseName}</p>
+                  {request.reason && (
+                    <p className="text-richblack-300">
+                      Reason: {request.reason}
+                    </p>
+                  )}
+                  <p className="text-xs text-richblack-400">
+                    Payment: {request.order?.razorpayPaymentId}
+                  </p>
+                </Td>
+                <Td className="w-[15%] text-sm font-medium text-richblack-100">
+                  {formatPrice(request.amount, request.currency)}
+                </Td>
+                <Td className="w-[20%] text-sm font-medium text-richblack-100">
+                  {formatDate(request.createdAt)}
+                </Td>
+                <Td className="w-[20%] text-sm font-medium text-richblack-100">
+                  {request.status === "Pending" ? (
+                    <div className="flex gap-x-3">
+                      <button
+                        onClick={() =>
+                          setConfirmationModal({
+                            text1: "Approve this refund?",
+                            text2: `${formatPrice(request.amount, request.currency)} will be refunded and the student will lose access to the course.`,
+                            btn1Text: "Approve",
+                            btn2Text: "Cancel",
+                            btn1Handler: () => handleApprove(request._id),
+                            btn2Handler: () => setConfirmationModal(null),
+                          })
+                        }
+                        className="rounded-md bg-caribbeangreen-200 px-3 py-1 font-semibold text-richblack-900 hover:scale-105 duration-200"
+                      >
+                        Approve
+                      </button>
+                      <button
+                        onClick={() =>
+                          setConfirmationModal({
+                            text1: "Reject this refund?",
+                            text2: "The student will keep access to the course.",
+                            btn1Text: "Reject",
+                            btn2Text: "Cancel",
+                            btn1Handler: () => handleReject(request._id),
+                            btn2Handler: () => setConfirmationModal(null),
+                          })
+                        }
+                        className="rounded-md bg-pink-200 px-3 py-1 font-semibold text-richblack-900 hover:scale-105 duration-200"
+                      >
+                        Reject
+                      </button>
+                    </div>
+                  ) : (
+                    <div className="flex flex-col gap-y-2">
+                      <p>
+                        {request.status}
+                        {request.reviewedAt && ` on ${formatDate(request.reviewedAt)}`}
+                      </p>
+                      {/* refunded on Razorpay, but not all of it taken back yet */}
+                      {request.status === "Approved" && request.razorpayRefundId && (
+                        <button
+                          onClick={() => handleApprove(request._id)}
+                          className="w-fit rounded-md bg-yellow-50 px-3 py-1 font-semibold text-richblack-900 hover:scale-105 duration-200"
+                        >
+                          Finish refund
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </Td>
+              </Tr>
+            ))
+          )}
+        </Tbody>
+      </Table>
+
+      {confirmationModal && <ConfirmationModal modalData={confirmationModal} />}
+    </div>
+  );
+};
+
+export default RefundRequests;
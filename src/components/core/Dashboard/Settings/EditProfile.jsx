@@ -10,6 +10,9 @@ const genders = ["Male", "Female", "Non-Binary", "Prefer not to say", "Other"];
 export default function EditProfile() {
   const { user } = useSelector((state) => state.profile);
   const { token } = useSelector((state) => state.auth);
+  const { currency, supportedCurrencies } = useSelector(
+    (state) => state.currency
+  );
   const navigate = useNavigate();
   const dispatch = useDispatch();
 
@@ -183,6 +186,29 @@ export default function EditProfile() {
               )}
             </div>
           </div>
+
+          <div className="flex flex-col gap-5 lg:flex-row">
+            <div className="flex flex-col gap-2 lg:w-[48%]">
+              <label htmlFor="currency" className="lable-style">
+                Currency
+              </label>
+              <select
+                name="currency"
+                id="currency"
+                className="form-style"
+                {...register("currency")}
+                defaultValue={user?.additionalDetails?.currency || currency}
+              >
+                {supportedCurrencies.map((ele) => {
+                  return (
+                    <option key={ele} value={ele}>
+                      {ele}
+                    </option>
+                  );
+                })}
+              </select>
+            </div>
+          </div>
         </div>
 
         <div className="flex justify-end gap-2">
@@ -0,0 +1,180 @@
+import { useCallback, useEffect, useState } from "react";
+import { useForm } from "react-hook-form";
+import { useSelector } from "react-redux";
+
+import {
+  createPlan,
+  getAllPlans,
+  updatePlanStatus,
+} from "../../../services/operations/subscriptionAPI";
+import { formatPrice } from "../../../utils/formatPrice";
+import IconBtn from "../../common/IconBtn";
+
+const SubscriptionPlans = () => {
+  const { token } = useSelector((state) => state.auth);
+  const [plans, setPlans] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm({ defaultValues: { interval: "Monthly" } });
+
+  const fetchPlans = useCallback(async () => {
+    setLoading(true);
+    setPlans(await getAllPlans(token));
+    setLoading(false);
+  }, [token]);
+
+  useEffect(() => {
+    fetchPlans();
+  }, [fetchPlans]);
+
+  const onSubmit = async (data) => {
+    if (await createPlan(data, token)) {
+      reset();
+      fetchPlans();
+    }
+  };
+
+  const handleToggle = async (plan) => {
+    if (await updatePlanStatus(plan._id, !plan.active, token)) {
+      fetchPlans();
+    }
+  };
+
+  return (
+    <div>
+      <h1 className="mb-4 text-4xl font-medium text-richblack-5 font-boogaloo text-center sm:text-left">
+        Subscription Plans
+      </h1>
+      <p className="mb-10 text-sm text-richblack-300">
+        StudyNotion Pro plans unlock every published course. A plan's price
+        can't be changed once created - deactivate it and create a new one.
+      </p>
+
+      {/* Create plan */}
+      <form
+        onSubmit={handleSubmit(onSubmit)}
+        className="mb-10 flex flex-col gap-y-6 rounded-md border-[1px] border-richblack-700 bg-richblack-800 p-8 px-6 sm:px-12"
+      >
+        <div className="flex flex-col gap-5 lg:flex-row">
+          <div className="flex flex-col gap-2 lg:w-[48%]">
+            <label htmlFor="name" className="lable-style">
+              Plan Name <sup className="text-pink-200">*</sup>
+            </label>
+            <input
+              id="name"
+              placeholder="e.g. Pro Monthly"
+              className="form-style"
+              {...register("name", { required: true })}
+            />
+            {errors.name && (
+              <span className="-mt-1 text-[12px] text-yellow-100">
+                Plan name is required
+              </span>
+            )}
+          </div>
+
+          <div className="flex flex-col gap-2 lg:w-[48%]">
+            <label htmlFor="description" className="lable-style">
+              Description
+            </label>
+            <input
+              id="description"
+              placeholder="Shown on the pricing page"
+              className="form-style"
+              {...register("description")}
+            />
+          </div>
+        </div>
+
+        <div className="flex flex-col gap-5 lg:flex-row">
+          <div className="flex flex-col gap-2 lg:w-[48%]">
+            <label htmlFor="interval" className="lable-style">
+              Billing Interval
+            </label>
+            <select
+              id="interval"
+              className="form-style"
+              {...register("interval")}
+            >
+              <option value="Monthly">Monthly</option>
+              <option value="Yearly">Yearly</option>
+            </select>
+          </div>
+
+          <div className="flex flex-col gap-2 lg:w-[48%]">
+            <label htmlFor="price" className="lable-style">
+              Price (INR) <sup className="text-pink-200">*</sup>
+            </label>
+            <input
+              id="price"
+              type="number"
+              min="1"
+              placeholder="Price per billing period"
+              className="form-style"
+              {...register("price", { required: true, min: 1 })}
+            />
+            {errors.price && (
+              <span className="-mt-1 text-[12px] text-yellow-100">
+                Price must be more than 0
+              </span>
+            )}
+          </div>
+        </div>
+
+        <div className="flex justify-end">
+          <IconBtn type="submit" text="Create Plan" />
+        </div>
+      </form>
+
+      {/* Plans */}
+      {loading ? (
+        <p className="h-24 rounded-xl skeleton"></p>
+      ) : !plans.length ? (
+        <p className="py-10 text-center text-2xl font-medium text-richblack-100">
+          No plans yet
+        </p>
+      ) : (
+        <div className="flex flex-col gap-4">
+          {plans.map((plan) => (
+            <div
+              key={plan._id}
+              className="flex flex-col gap-3 rounded-xl border border-richblack-700 p-4 text-sm text-richblack-100 sm:flex-row sm:items-center"
+            >
+              <div className="flex-1">
+                <p className="text-lg font-semibold text-richblack-5">
+                  {plan.name}
+                </p>
+                <p>
+                  {formatPrice(plan.price)} / {plan.interval.toLowerCase()}
+                </p>
+                <p className="text-xs text-richblack-400">
+                  Razorpay plan: {plan.razorpayPlanId}
+                </p>
+              </div>
+              <p
+                className={
+                  plan.active ? "text-caribbeangreen-100" : "text-pink-100"
+                }
+              >
+                {plan.active ? "Active" : "Inactive"}
+              </p>
+              <button
+                onClick={() => handleToggle(plan)}
+                className="rounded-md bg-richblack-700 px-3 py-1 font-semibold text-richblack-5 hover:scale-105 duration-200"
+              >
+                {plan.active ? "Deactivate" : "Activate"}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SubscriptionPlans;
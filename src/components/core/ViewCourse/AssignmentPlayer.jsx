@@ -0,0 +1,257 @@
+import { useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+import { MdOutlineFileDownload, MdOpenInNew } from "react-icons/md";
+import { RiDeleteBin6Line } from "react-icons/ri";
+
+import {
+  getAssignment,
+  submitAssignment,
+} from "../../../services/operations/assignmentAPI";
+import { formatDate } from "../../../services/formatDate";
+import IconBtn from "../../common/IconBtn";
+import Markdown from "../../common/Markdown";
+import { ASSIGNMENT_STATUS } from "../../../utils/constants";
+
+const STATUS_CLASSES = {
+  [ASSIGNMENT_STATUS.PENDING]: "bg-richblack-700 text-richblack-100",
+  [ASSIGNMENT_STATUS.GRADED]: "bg-caribbeangreen-700/30 text-caribbeangreen-100",
+  [ASSIGNMENT_STATUS.RESUBMIT]: "bg-pink-700/30 text-pink-100",
+};
+
+// an Assignment lesson - students hand in files and / or links, the instructor
+// grades them against the rubric. Grading completes the lesson.
+export default function AssignmentPlayer({ subSectionId }) {
+  const { token } = useSelector((state) => state.auth);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [files, setFiles] = useState([]);
+  const [links, setLinks] = useState([""]);
+  const [note, setNote] = useState("");
+
+  useEffect(() => {
+    (async () => {
+      setLoading(true);
+      setData(await getAssignment(subSectionId, token));
+      setLoading(false);
+    })();
+  }, [subSectionId, token]);
+
+  if (loading || !data) {
+    return <div className="h-64 w-full rounded-xl skeleton"></div>;
+  }
+
+  const { assignment, submissions = [], canSubmit, preview } = data;
+  const maxScore = assignment.rubric.reduce((acc, item) => acc + item.points, 0);
+  const filledLinks = links.map((link) => link.trim()).filter(Boolean);
+
+  const handleSubmit = async () => {
+    const formData = new FormData();
+    formData.append("subSectionId", subSectionId);
+    files.forEach((file) => formData.append("files", file));
+    formData.append("links", JSON.stringify(filledLinks));
+    formData.append("note", note);
+
+    setSubmitting(true);
+    const result = await submitAssignment(formData, token);
+    if (result) {
+      setData(result);
+      setFiles([]);
+      setLinks([""]);
+      setNote("");
+    }
+    setSubmitting(false);
+  };
+
+  return (
+    <div className="flex flex-col gap-6 rounded-xl border border-richblack-700 bg-richblack-800 p-6">
+      {preview && (
+        <p className="text-sm text-yellow-50">
+          Preview - students hand in their work here, grade it from the
+          Assignment Reviews page of your dashboard
+        </p>
+      )}
+
+      {assignment.instructions && <Markdown>{assignment.instructions}</Markdown>}
+
+      {/* Rubric */}
+      <div className="flex flex-col gap-2">
+        <p className="font-semibold text-richblack-5">
+          Rubric - {maxScore} points
+        </p>
+        {assignment.rubric.map((item) => (
+          <div
+            key={item._id}
+            className="flex items-start justify-between gap-4 rounded-lg border border-richblack-600 px-4 py-2 text-sm"
+          >
+            <div>
+              <p className="text-richblack-5">{item.criterion}</p>
+              {item.description && (
+                <p className="text-richblack-300">{item.description}</p>
+              )}
+            </div>
+            <p className="shrink-0 text-richblack-200">{item.points} pts</p>
+          </div>
+        ))}
+      </div>
+
+      {/* Hand in */}
+      {!preview && canSubmit && (
+        <div className="flex flex-col gap-4 rounded-lg border border-richblack-600 p-4">
+          <p className="font-semibold text-richblack-5">
+            {submissions.length ? "Resubmit your work" : "Submit your work"}
+          </p>
+
+          {assignment.allowFiles && (
+            <label className="flex flex-col gap-2 text-sm text-richblack-5">
+              Files
+              <input
+                type="file"
+                multiple
+                disabled={submitting}
+                onChange={(e) => setFiles(Array.from(e.target.files))}
+                className="text-richblack-200"
+              />
+              <span className="text-xs text-richblack-300">
+                Up to 5 files, 25 MB each
+              </span>
+            </label>
+          )}
+
+          {assignment.allowLinks && (
+            <div className="flex flex-col gap-2 text-sm text-richblack-5">
+              Links
+              {links.map((link, index) => (
+                <div key={index} className="flex items-center gap-3">
+                  <input
+                    type="url"
+                    value={link}
+                    disabled={submitting}
+                    placeholder="https://github.com/you/project"
+                    onChange={(e) =>
+                      setLinks(
+                        links.map((l, i) => (i === index ? e.target.value : l))
+                      )
+                    }
+                    className="form-style w-full"
+                  />
+                  {links.length > 1 && (
+                    <button
+                      type="button"
+                      onClick={() =>
+                        setLinks(links.filter((_, i) => i !== index))
+                      }
+                      aria-label={`Remove link ${index + 1}`}
+                    >
+                      <RiDeleteBin6Line className="text-lg text-pink-200" />
+                    </button>
+                  )}
+                </div>
+              ))}
+              {links.length < 5 && (
+                <button
+                  type="button"
+                  onClick={() => setLinks([...links, ""])}
+                  className="w-max text-yellow-50"
+                >
+                  + Add another link
+                </button>
+              )}
+            </div>
+          )}
+
+          <textarea
+            value={note}
+            disabled={submitting}
+            placeholder="A note for your instructor (optional)"
+            onChange={(e) => setNote(e.target.value)}
+            className="form-style min-h-[80px] w-full text-sm"
+          />
+
+          <div className="flex justify-end">
+            <IconBtn
+              text={submitting ? "Submitting..." : "Submit"}
+              onclick={handleSubmit}
+              disabled={submitting || (!files.length && !filledLinks.length)}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Submissions and their reviews */}
+      {submissions.map((submission, index) => (
+        <div
+          key={submission._id}
+          className="flex flex-col gap-3 rounded-lg border border-richblack-600 p-4 text-sm"
+        >
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <p className="font-semibold text-richblack-5">
+              Submission {submissions.length - index}{" "}
+              <span className="font-normal text-richblack-300">
+                - {formatDate(submission.submittedAt)}
+              </span>
+            </p>
+            <span
+              className={`rounded-full px-3 py-1 text-xs font-medium ${
+                STATUS_CLASSES[submission.status]
+              }`}
+            >
+              {submission.status === ASSIGNMENT_STATUS.GRADED
+                ? `Graded - ${submission.score}/${submission.maxScore}`
+                : submission.status === ASSIGNMENT_STATUS.PENDING
+                ? "Waiting for review"
+                : submission.status}
+            </span>
+          </div>
+
+          <div className="flex flex-wrap gap-3">
+            {submission.files.map((file) => (
+              <a
+                key={file._id}
+                href={file.url}
+                target="_blank"
+                rel="noreferrer"
+                className="flex items-center gap-1 text-yellow-50"
+              >
+                <MdOutlineFileDownload /> {file.name}
+              </a>
+            ))}
+            {submission.links.map((link) => (
+              <a
+                key={link}
+                href={link}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="flex items-center gap-1 break-all text-yellow-50"
+              >
+                {link} <MdOpenInNew className="shrink-0" />
+              </a>
+            ))}
+          </div>
+
+          {submission.status === ASSIGNMENT_STATUS.GRADED && (
+            <div className="flex flex-col gap-1">
+              {assignment.rubric.map((item) => (
+                <p key={item._id} className="flex justify-between text-richblack-200">
+                  <span>{item.criterion}</span>
+                  <span>
+                    {submission.scores.find(
+                      (score) => score.criterion === item._id
+                    )?.points ?? "-"}
+                    /{item.points}
+                  </span>
+                </p>
+              ))}
+            </div>
+          )}
+
+          {submission.feedback && (
+            <p className="whitespace-pre-wrap rounded-md bg-richblack-700 p-3 text-richblack-100">
+              {submission.feedback}
+            </p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
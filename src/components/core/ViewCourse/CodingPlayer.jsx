@@ -0,0 +1,250 @@
+import { useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+
+import {
+  getCodingExercise,
+  submitCode,
+} from "../../../services/operations/codingAPI";
+import CodeEditor from "../../common/CodeEditor";
+import IconBtn from "../../common/IconBtn";
+import { CODING_LANGUAGES } from "../../../utils/constants";
+import { formatDate } from "../../../services/formatDate";
+
+const statusClasses = (status) =>
+  status === "Passed" ? "text-caribbeangreen-200" : "text-pink-200";
+
+const Output = ({ label, text }) => (
+  <div className="flex flex-col gap-1">
+    <p className="text-xs text-richblack-300">{label}</p>
+    <pre className="max-h-40 overflow-auto whitespace-pre-wrap rounded-md bg-richblack-900 p-3 font-mono text-xs text-richblack-5">
+      {text || " "}
+    </pre>
+  </div>
+);
+
+// a Coding lesson - the code runs on the server against the exercise's tests,
+// passing all of them completes the lesson. Hidden tests only show their status.
+export default function CodingPlayer({ subSectionId, onComplete }) {
+  const { token } = useSelector((state) => state.auth);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [code, setCode] = useState("");
+  // index of the submission whose results are shown, newest first
+  const [shown, setShown] = useState(0);
+
+  useEffect(() => {
+    (async () => {
+      setLoading(true);
+      const result = await getCodingExercise(subSectionId, token);
+      setData(result);
+      setCode(
+        result?.submissions?.[0]?.code ?? result?.exercise?.starterCode ?? ""
+      );
+      setShown(0);
+      setLoading(false);
+    })();
+  }, [subSectionId, token]);
+
+  if (loading || !data) {
+    return <div className="h-64 w-full rounded-xl skeleton"></div>;
+  }
+
+  const { exercise, submissions = [], passed, preview } = data;
+  // the instructor sees every test, students the examples
+  const examples = preview ? exercise.tests : exercise.examples;
+  const submission = submissions[shown];
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    const result = await submitCode(subSectionId, code, token);
+    if (result) {
+      setData(result);
+      setShown(0);
+      if (result.completed) onComplete();
+    }
+    setSubmitting(false);
+  };
+
+  return (
+    <div className="flex flex-col gap-6 rounded-xl border border-richblack-700 bg-richblack-800 p-6">
+      {/* Summary */}
+      <div className="flex flex-wrap gap-x-8 gap-y-2 text-sm text-richblack-200">
+        <p>
+          Language:{" "}
+          <span className="text-richblack-5">
+            {CODING_LANGUAGES[exercise.language]}
+          </span>
+        </p>
+        <p>
+          Tests:{" "}
+          <span className="text-richblack-5">
+            {preview ? exercise.tests.length : exercise.testCount}
+          </span>
+        </p>
+        <p>
+          Limits:{" "}
+          <span className="text-richblack-5">
+            {exercise.timeLimit} ms, {exercise.memoryLimit} MB per test
+          </span>
+        </p>
+        {passed && <p className="text-caribbeangreen-200">Passed</p>}
+        {preview && (
+          <p className="text-yellow-50">
+            Preview - students only see the example tests
+          </p>
+        )}
+      </div>
+
+      <p className="text-sm text-richblack-200">
+        Your program reads a test's input from standard input and must print
+        the expected output.
+      </p>
+
+      {/* Examples */}
+      {examples.map((test, index) => (
+        <div
+          key={test._id}
+          className="flex flex-col gap-2 rounded-lg border border-richblack-600 p-4"
+        >
+          <p className="text-sm font-semibold text-richblack-5">
+            {preview ? `Test ${index + 1}` : `Example ${index + 1}`}
+            {preview && test.hidden && (
+              <span className="ml-2 text-xs font-normal text-richblack-300">
+                hidden
+              </span>
+            )}
+          </p>
+          <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+            <Output label="Input" text={test.input} />
+            <Output label="Expected output" text={test.expectedOutput} />
+          </div>
+        </div>
+      ))}
+
+      {/* Code */}
+      <CodeEditor
+        value={code}
+        onChange={setCode}
+        disabled={preview || submitting}
+        className="min-h-[300px]"
+      />
+
+      {!preview && (
+        <div className="flex items-center justify-end gap-4">
+          {code !== exercise.starterCode && (
+            <button
+              type="button"
+              onClick={() => setCode(exercise.starterCode)}
+              disabled={submitting}
+              className="text-sm text-richblack-300 underline"
+            >
+              Reset to starter file
+            </button>
+          )}
+          <IconBtn
+            text={submitting ? "Running..." : "Run tests"}
+            onclick={handleSubmit}
+            disabled={submitting || !code.trim()}
+          />
+        </div>
+      )}
+
+      {/* Results */}
+      {submission && (
+        <div className="flex flex-col gap-3">
+          <div
+            className={`rounded-lg p-4 ${
+              submission.verdict === "Passed"
+                ? "bg-caribbeangreen-700/30 text-caribbeangreen-100"
+                : "bg-pink-700/30 text-pink-100"
+            }`}
+          >
+            <p className="text-lg font-semibold">
+              {submission.verdict} - {submission.passedCount}/
+              {submission.testCount} tests passed
+            </p>
+            <p className="text-sm">{formatDate(submission.submittedAt)}</p>
+          </div>
+
+          {submission.results.map((result) => (
+            <details
+              key={result.number}
+              className="rounded-lg border border-richblack-600 px-4 py-2"
+            >
+              <summary className="flex cursor-pointer items-center justify-between gap-4 text-sm">
+                <span className="text-richblack-5">
+                  Test {result.number}
+                  {result.hidden && (
+                    <span className="ml-2 text-xs text-richblack-300">
+                      hidden
+                    </span>
+                  )}
+                </span>
+                <span className={statusClasses(result.status)}>
+                  {result.status}{" "}
+                  <span className="text-xs text-richblack-300">
+                    {result.time} ms
+                  </span>
+                </span>
+              </summary>
+              {result.hidden ? (
+                <p className="py-2 text-xs text-richblack-300">
+                  The input and output of hidden tests are not shown.
+                </p>
+              ) : (
+                <div className="grid grid-cols-1 gap-3 py-2 sm:grid-cols-2">
+                  <Output label="Input" text={result.input} />
+                  <Output label="Expected output" text={result.expectedOutput} />
+                  <Output label="Your output" text={result.output} />
+                  {result.error && <Output label="Errors" text={result.error} />}
+                </div>
+              )}
+            </details>
+          ))}
+        </div>
+      )}
+
+      {/* History */}
+      {submissions.length > 1 && (
+        <div className="flex flex-col gap-2">
+          <p className="text-sm font-semibold text-richblack-5">
+            Your submissions
+          </p>
+          {submissions.map((item, index) => (
+            <div
+              key={item._id}
+              className={`flex flex-wrap items-center justify-between gap-2 rounded-lg border px-4 py-2 text-sm ${
+                index === shown ? "border-yellow-50" : "border-richblack-600"
+              }`}
+            >
+              <span className={statusClasses(item.verdict)}>
+                {item.verdict} ({item.passedCount}/{item.testCount})
+              </span>
+              <span className="text-richblack-300">
+                {formatDate(item.submittedAt)}
+              </span>
+              <div className="flex gap-4">
+                <button
+                  type="button"
+                  onClick={() => setShown(index)}
+                  className="text-yellow-50"
+                >
+                  Results
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setCode(item.code)}
+                  disabled={submitting}
+                  className="text-yellow-50"
+                >
+                  Load code
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
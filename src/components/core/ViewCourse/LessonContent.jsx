@@ -0,0 +1,81 @@
+import { MdOpenInNew, MdOutlineFileDownload } from "react-icons/md";
+
+import Markdown from "../../common/Markdown";
+import { LESSON_TYPES } from "../../../utils/constants";
+
+// browsers cannot show slides, Office's viewer can
+const isSlides = (fileName = "") => /\.pptx?$/i.test(fileName);
+
+// Article, PDF, Resource and Link lessons - videos and quizzes have their own players
+export default function LessonContent({ lesson }) {
+  if (lesson.type === LESSON_TYPES.ARTICLE) {
+    return (
+      <div className="rounded-xl border border-richblack-700 bg-richblack-800 p-6">
+        <Markdown>{lesson.content}</Markdown>
+      </div>
+    );
+  }
+
+  const download = lesson.fileUrl && (
+    <a
+      href={lesson.fileUrl}
+      target="_blank"
+      rel="noreferrer"
+      download={lesson.fileName}
+      className="flex w-max items-center gap-2 rounded-md bg-yellow-50 px-5 py-2 font-semibold text-richblack-900"
+    >
+      <MdOutlineFileDownload className="text-xl" />
+      Download {lesson.fileName}
+    </a>
+  );
+
+  if (lesson.type === LESSON_TYPES.PDF) {
+    return (
+      <div className="flex flex-col gap-4">
+        <iframe
+          title={lesson.title}
+          src={
+            isSlides(lesson.fileName)
+              ? `https://view.officeapps.live.com/op/embed.aspx?src=${encodeURIComponent(
+                  lesson.fileUrl
+                )}`
+              : lesson.fileUrl
+          }
+          className="h-[75vh] w-full rounded-md bg-white"
+        />
+        {download}
+      </div>
+    );
+  }
+
+  if (lesson.type === LESSON_TYPES.RESOURCE) {
+    return (
+      <div className="flex flex-col items-center gap-4 rounded-xl border border-richblack-700 bg-richblack-800 p-10 text-center">
+        <MdOutlineFileDownload className="text-6xl text-richblack-300" />
+        <p className="text-richblack-200">
+          This lesson comes with a file to download
+        </p>
+        {download}
+      </div>
+    );
+  }
+
+  if (lesson.type === LESSON_TYPES.LINK) {
+    return (
+      <div className="flex flex-col items-center gap-4 rounded-xl border border-richblack-700 bg-richblack-800 p-10 text-center">
+        <p className="text-richblack-200">This lesson continues on another site</p>
+        <a
+          href={lesson.linkUrl}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="flex max-w-full items-center gap-2 break-all rounded-md bg-yellow-50 px-5 py-2 font-semibold text-richblack-900"
+        >
+          {lesson.linkUrl}
+          <MdOpenInNew className="shrink-0" />
+        </a>
+      </div>
+    );
+  }
+
+  return null;
+}
@@ -0,0 +1,254 @@
+import { useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+
+import { getQuiz, submitQuiz } from "../../../services/operations/quizAPI";
+import IconBtn from "../../common/IconBtn";
+
+// a Quiz lesson - answers are graded on the server, passing completes the
+// lesson. The correct answers show once it is passed or no attempts are left.
+export default function QuizPlayer({ subSectionId, onComplete }) {
+  const { token } = useSelector((state) => state.auth);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  // questionId -> { selected: [optionIndex], text }
+  const [answers, setAnswers] = useState({});
+  // showing the result of the last attempt instead of a blank quiz
+  const [reviewing, setReviewing] = useState(false);
+
+  useEffect(() => {
+    (async () => {
+      setLoading(true);
+      const result = await getQuiz(subSectionId, token);
+      setData(result);
+      setAnswers({});
+      setReviewing(Boolean(result?.attempts?.length));
+      setLoading(false);
+    })();
+  }, [subSectionId, token]);
+
+  if (loading || !data) {
+    return <div className="h-64 w-full rounded-xl skeleton"></div>;
+  }
+
+  const { quiz, attempts = [], attemptsLeft, passed, preview } = data;
+  const lastAttempt = attempts[0];
+
+  const setAnswer = (question, changes) => {
+    setAnswers((prev) => ({
+      ...prev,
+      [question._id]: { selected: [], text: "", ...prev[question._id], ...changes },
+    }));
+  };
+
+  const toggleOption = (question, optionIndex) => {
+    const selected = answers[question._id]?.selected || [];
+    if (question.questionType === "multiple") {
+      setAnswer(question, {
+        selected: selected.includes(optionIndex)
+          ? selected.filter((i) => i !== optionIndex)
+          : [...selected, optionIndex],
+      });
+    } else {
+      setAnswer(question, { selected: [optionIndex] });
+    }
+  };
+
+  const isAnswered = (question) => {
+    const answer = answers[question._id];
+    return question.questionType === "short"
+      ? !!answer?.text.trim()
+      : !!answer?.selected.length;
+  };
+  const unanswered = quiz.questions.filter((q) => !isAnswered(q)).length;
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    const result = await submitQuiz(
+      subSectionId,
+      quiz.questions.map((question) => ({
+        question: question._id,
+        ...answers[question._id],
+      })),
+      token
+    );
+    if (result) {
+      setData(result);
+      setReviewing(true);
+      if (result.completed) onComplete();
+    }
+    setSubmitting(false);
+  };
+
+  // styles of an option - what the student picked, and whether it was right
+  const optionClasses = (question, optionIndex) => {
+    const picked = reviewing
+      ? question.answer?.selected.includes(optionIndex)
+      : answers[question._id]?.selected.includes(optionIndex);
+    const correct = question.correctOptions?.includes(optionIndex);
+    if ((reviewing || preview) && correct) {
+      return "border-caribbeangreen-200 bg-caribbeangreen-700/30";
+    }
+    // before the answers are revealed only the question is marked right or wrong
+    if (reviewing && picked) {
+      return question.answer?.correct
+        ? "border-caribbeangreen-200 bg-caribbeangreen-700/30"
+        : "border-pink-200 bg-pink-700/30";
+    }
+    if (picked) return "border-yellow-50 bg-richblack-700";
+    return "border-richblack-600";
+  };
+
+  return (
+    <div className="flex flex-col gap-6 rounded-xl border border-richblack-700 bg-richblack-800 p-6">
+      {/* Summary */}
+      <div className="flex flex-wrap gap-x-8 gap-y-2 text-sm text-richblack-200">
+        <p>
+          Pass mark:{" "}
+          <span className="text-richblack-5">{quiz.passPercentage}%</span>
+        </p>
+        <p>
+          Attempts:{" "}
+          <span className="text-richblack-5">
+            {quiz.maxAttempts
+              ? `${attempts.length} of ${quiz.maxAttempts}`
+              : `${attempts.length} (unlimited)`}
+          </span>
+        </p>
+        {preview && (
+          <p className="text-yellow-50">
+            Preview - students do not see the answers until they pass
+          </p>
+        )}
+      </div>
+
+      {reviewing && lastAttempt && (
+        <div
+          className={`rounded-lg p-4 ${
+            lastAttempt.passed
+              ? "bg-caribbeangreen-700/30 text-caribbeangreen-100"
+              : "bg-pink-700/30 text-pink-100"
+          }`}
+        >
+          <p className="text-lg font-semibold">
+            {lastAttempt.passed ? "Passed" : "Not passed"} -{" "}
+            {lastAttempt.percentage}% ({lastAttempt.score}/
+            {lastAttempt.maxScore} points)
+          </p>
+          {!lastAttempt.passed && passed && (
+            <p className="text-sm">You passed this quiz in an earlier attempt.</p>
+          )}
+          {attemptsLeft === 0 && !passed && (
+            <p className="text-sm">You have no attempts left.</p>
+          )}
+        </div>
+      )}
+
+      {/* Questions */}
+      {quiz.questions.map((question, index) => (
+        <div key={question._id} className="flex flex-col gap-3">
+          <div className="flex items-start justify-between gap-4">
+            <p className="font-semibold text-richblack-5">
+              {index + 1}. {question.prompt}
+            </p>
+            <p className="shrink-0 text-xs text-richblack-300">
+              {question.points} {question.points === 1 ? "point" : "points"}
+            </p>
+          </div>
+
+          {question.questionType === "multiple" && !reviewing && !preview && (
+            <p className="text-xs text-richblack-300">Select all that apply</p>
+          )}
+
+          {question.questionType === "short" ? (
+            <input
+              type="text"
+              value={
+                reviewing
+                  ? question.answer?.text || ""
+                  : answers[question._id]?.text || ""
+              }
+              disabled={reviewing || preview}
+              placeholder="Your answer"
+              onChange={(e) => setAnswer(question, { text: e.target.value })}
+              className="form-style w-full"
+            />
+          ) : (
+            <div className="flex flex-col gap-2">
+              {question.options.map((option, i) => (
+                <button
+                  type="button"
+                  key={i}
+                  disabled={reviewing || preview}
+                  onClick={() => toggleOption(question, i)}
+                  className={`rounded-lg border px-4 py-2 text-left text-sm text-richblack-5 ${optionClasses(
+                    question,
+                    i
+                  )}`}
+                >
+                  {option}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {(reviewing || preview) && (
+            <div className="text-sm">
+              {reviewing && question.answer && (
+                <p
+                  className={
+                    question.answer.correct
+                      ? "text-caribbeangreen-200"
+                      : "text-pink-200"
+                  }
+                >
+                  {question.answer.correct ? "Correct" : "Incorrect"}
+                </p>
+              )}
+              {question.questionType === "short" &&
+                question.acceptedAnswers?.length > 0 && (
+                  <p className="text-richblack-200">
+                    Accepted answers: {question.acceptedAnswers.join(", ")}
+                  </p>
+                )}
+              {question.explanation && (
+                <p className="text-richblack-200">{question.explanation}</p>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+
+      {/* Actions */}
+      {!preview && (
+        <div className="flex items-center justify-end gap-4">
+          {reviewing ? (
+            attemptsLeft !== 0 && (
+              <IconBtn
+                text={passed ? "Practice again" : "Try again"}
+                onclick={() => {
+                  setAnswers({});
+                  setReviewing(false);
+                }}
+              />
+            )
+          ) : (
+            <>
+              {unanswered > 0 && (
+                <p className="text-sm text-richblack-300">
+                  {unanswered} question{unanswered === 1 ? "" : "s"} left to
+                  answer
+                </p>
+              )}
+              <IconBtn
+                text={submitting ? "Submitting..." : "Submit answers"}
+                onclick={handleSubmit}
+                disabled={submitting || unanswered > 0}
+              />
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
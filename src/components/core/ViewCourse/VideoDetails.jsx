@@ -11,6 +11,11 @@ import { updateCompletedLectures } from "../../../slices/viewCourseSlice";
 import { setCourseViewSidebar } from "../../../slices/sidebarSlice";
 
 import IconBtn from "../../common/IconBtn";
+import AssignmentPlayer from "./AssignmentPlayer";
+import CodingPlayer from "./CodingPlayer";
+import LessonContent from "./LessonContent";
+import QuizPlayer from "./QuizPlayer";
+import { LESSON_TYPES } from "../../../utils/constants";
 
 import { HiMenuAlt1 } from "react-icons/hi";
 
@@ -204,7 +209,50 @@ const VideoDetails = () => {
         {!courseViewSidebar && <HiMenuAlt1 size={33} />}
       </div>
 
-      {!videoData ? (
+      {videoData?.type && videoData.type !== LESSON_TYPES.VIDEO ? (
+        <>
+          {videoData.type === LESSON_TYPES.QUIZ ? (
+            <QuizPlayer
+              subSectionId={subSectionId}
+              onComplete={() => dispatch(updateCompletedLectures(subSectionId))}
+            />
+          ) : videoData.type === LESSON_TYPES.CODING ? (
+            <CodingPlayer
+              subSectionId={subSectionId}
+              onComplete={() => dispatch(updateCompletedLectures(subSectionId))}
+            />
+          ) : videoData.type === LESSON_TYPES.ASSIGNMENT ? (
+            <AssignmentPlayer subSectionId={subSectionId} />
+          ) : (
+            <LessonContent lesson={videoData} />
+          )}
+          <div className="flex flex-wrap justify-center gap-4 text-xl">
+            {/* quizzes and coding exercises are completed by passing them,
+                assignments once they are graded */}
+            {videoData.type !== LESSON_TYPES.QUIZ &&
+              videoData.type !== LESSON_TYPES.CODING &&
+              videoData.type !== LESSON_TYPES.ASSIGNMENT &&
+              !completedLectures.includes(subSectionId) && (
+                <IconBtn
+                  disabled={loading}
+                  onclick={() => handleLectureCompletion()}
+                  text={!loading ? "Mark As Completed" : "Loading..."}
+                  customClasses="text-xl max-w-max px-4"
+                />
+              )}
+            {!isFirstVideo() && (
+              <button onClick={goToPrevVideo} className="blackButton">
+                Prev
+              </button>
+            )}
+            {!isLastVideo() && (
+              <button onClick={goToNextVideo} className="blackButton">
+                Next
+              </button>
+            )}
+          </div>
+        </>
+      ) : !videoData ? (
         <img
           src={previewSource}
           alt="Preview"
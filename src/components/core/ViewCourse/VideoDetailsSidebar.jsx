@@ -1,12 +1,13 @@
 import { useEffect, useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
-import { useLocation, useNavigate, useParams } from "react-router-dom";
+import { Link, useLocation, useNavigate, useParams } from "react-router-dom";
 import { BsChevronDown } from "react-icons/bs";
 import { IoIosArrowBack } from "react-icons/io";
 import { IoMdClose } from "react-icons/io";
 import { HiMenuAlt1 } from "react-icons/hi";
 
 import IconBtn from "../../common/IconBtn";
+import LessonTypeIcon from "../../common/LessonTypeIcon";
 import { setCourseViewSidebar } from "../../../slices/sidebarSlice";
 
 export default function VideoDetailsSidebar({ setReviewModal }) {
@@ -110,6 +111,16 @@ export default function VideoDetailsSidebar({ setReviewModal }) {
           <p className="text-sm font-semibold text-richblack-500">
             {completedLectures.length} / {totalNoOfLectures}
           </p>
+          {/* issued by the server with the last lesson */}
+          {totalNoOfLectures > 0 &&
+            completedLectures.length >= totalNoOfLectures && (
+              <Link
+                to="/dashboard/certificates"
+                className="text-sm font-semibold text-yellow-50 hover:underline"
+              >
+                View your certificate
+              </Link>
+            )}
         </div>
       </div>
 
@@ -160,6 +171,10 @@ export default function VideoDetailsSidebar({ setReviewModal }) {
                       checked={completedLectures.includes(topic._id)}
                       readOnly
                     />
+                    <LessonTypeIcon
+                      type={topic.type}
+                      className="mt-1 shrink-0 text-lg"
+                    />
                     {topic.title}
                   </div>
                 ))}
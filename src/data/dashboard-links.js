@@ -27,6 +27,27 @@ export const sidebarLinks = [
     type: ACCOUNT_TYPE.INSTRUCTOR,
     icon: "VscAdd",
   },
+  {
+    id: 11,
+    name: "My Bundles",
+    path: "/dashboard/my-bundles",
+    type: ACCOUNT_TYPE.INSTRUCTOR,
+    icon: "VscPackage",
+  },
+  {
+    id: 14,
+    name: "Earnings",
+    path: "/dashboard/earnings",
+    type: ACCOUNT_TYPE.INSTRUCTOR,
+    icon: "VscGraph",
+  },
+  {
+    id: 18,
+    name: "Assignment Reviews",
+    path: "/dashboard/assignment-reviews",
+    type: ACCOUNT_TYPE.INSTRUCTOR,
+    icon: "VscChecklist",
+  },
   {
     id: 5,
     name: "Enrolled Courses",
@@ -41,4 +62,74 @@ export const sidebarLinks = [
     type: ACCOUNT_TYPE.STUDENT,
     icon: "VscHistory",
   },
+  {
+    id: 9,
+    name: "Purchase History",
+    path: "/dashboard/purchase-history",
+    type: ACCOUNT_TYPE.STUDENT,
+    icon: "VscListOrdered",
+  },
+  {
+    id: 10,
+    name: "Gifts & Seats",
+    path: "/dashboard/gifts-and-seats",
+    type: ACCOUNT_TYPE.STUDENT,
+    icon: "VscGift",
+  },
+  {
+    id: 12,
+    name: "StudyNotion Pro",
+    path: "/dashboard/subscription",
+    type: ACCOUNT_TYPE.STUDENT,
+    icon: "VscStarFull",
+  },
+  {
+    id: 19,
+    name: "My Certificates",
+    path: "/dashboard/certificates",
+    type: ACCOUNT_TYPE.STUDENT,
+    icon: "VscVerified",
+  },
+  {
+    id: 7,
+    name: "Refund Requests",
+    path: "/dashboard/refund-requests",
+    type: ACCOUNT_TYPE.ADMIN,
+    icon: "VscCreditCard",
+  },
+  {
+    id: 8,
+    name: "Currency Rates",
+    path: "/dashboard/currency-rates",
+    type: ACCOUNT_TYPE.ADMIN,
+    icon: "VscGlobe",
+  },
+  {
+    id: 13,
+    name: "Subscription Plans",
+    path: "/dashboard/subscription-plans",
+    type: ACCOUNT_TYPE.ADMIN,
+    icon: "VscRocket",
+  },
+  {
+    id: 15,
+    name: "Payouts",
+    path: "/dashboard/payouts",
+    type: ACCOUNT_TYPE.ADMIN,
+    icon: "VscCheckAll",
+  },
+  {
+    id: 16,
+    name: "Tags",
+    path: "/dashboard/tags",
+    type: ACCOUNT_TYPE.ADMIN,
+    icon: "VscTag",
+  },
+  {
+    id: 17,
+    name: "Categories",
+    path: "/dashboard/create-category",
+    type: ACCOUNT_TYPE.ADMIN,
+    icon: "VscListTree",
+  },
 ];
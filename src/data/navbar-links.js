@@ -7,6 +7,10 @@ export const NavbarLinks = [
     title: "Catalog",
     // path: '/catalog',
   },
+  {
+    title: "Pro",
+    path: "/pro",
+  },
   {
     title: "About Us",
     path: "/about",
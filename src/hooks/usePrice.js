@@ -0,0 +1,12 @@
+import { useSelector } from "react-redux";
+
+import { selectDisplayCurrency } from "../slices/currencySlice";
+import { formatPrice } from "../utils/formatPrice";
+
+// returns a formatter for INR prices in the user's currency
+export default function usePrice() {
+  const currency = useSelector(selectDisplayCurrency);
+  const { rates } = useSelector((state) => state.currency);
+
+  return (amount) => formatPrice(amount, currency, rates[currency]);
+}
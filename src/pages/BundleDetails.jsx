@@ -0,0 +1,220 @@
+import React, { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { GiReturnArrow } from "react-icons/gi";
+import { MdOutlineVerified } from "react-icons/md";
+import toast from "react-hot-toast";
+
+import ConfirmationModal from "../components/common/ConfirmationModal";
+import Footer from "../components/common/Footer";
+import Img from "./../components/common/Img";
+import { fetchBundleDetails } from "../services/operations/bundleAPI";
+import { buyCourse } from "../services/operations/studentFeaturesAPI";
+import { selectDisplayCurrency } from "../slices/currencySlice";
+import usePrice from "../hooks/usePrice";
+import { ACCOUNT_TYPE } from "./../utils/constants";
+
+function BundleDetails() {
+  const { user } = useSelector((state) => state.profile);
+  const { token } = useSelector((state) => state.auth);
+  const { paymentLoading } = useSelector((state) => state.course);
+  const currency = useSelector(selectDisplayCurrency);
+  const formatPrice = usePrice();
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+
+  const { bundleId } = useParams();
+  const [bundle, setBundle] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [confirmationModal, setConfirmationModal] = useState(null);
+
+  useEffect(() => {
+    (async () => {
+      setLoading(true);
+      setBundle(await fetchBundleDetails(bundleId));
+      setLoading(false);
+    })();
+  }, [bundleId]);
+
+  // Scroll to the top of the page when the component mounts
+  useEffect(() => {
+    window.scrollTo(0, 0);
+  }, []);
+
+  if (paymentLoading || loading) {
+    return (
+      <div className="mt-24 p-5 flex flex-col justify-center gap-4">
+        <p className="h-9 sm:w-[39%] rounded-xl skeleton"></p>
+        <p className="h-4 w-[55%] lg:w-[25%] rounded-xl skeleton"></p>
+        <p className="h-4 w-[75%] lg:w-[30%] rounded-xl skeleton"></p>
+        <p className="mt-12 h-60 lg:w-[60%] rounded-xl skeleton"></p>
+      </div>
+    );
+  }
+
+  if (!bundle) {
+    return (
+      <div className="text-white text-4xl flex justify-center items-center mt-[20%]">
+        Bundle not found
+      </div>
+    );
+  }
+
+  const { bundleName, bundleDescription, thumbnail, price, courses, instructor } =
+    bundle;
+
+  // courses the student already has are not charged again
+  const ownedCourses = courses.filter((course) =>
+    course.studentsEnrolled?.includes(user?._id)
+  );
+  const coursesPrice = courses.reduce((acc, course) => acc + course.price, 0);
+  const ownsAll = ownedCourses.length === courses.length;
+
+  const handleBuyBundle = () => {
+    if (user && user?.accountType === ACCOUNT_TYPE.INSTRUCTOR) {
+      toast.error("You are an Instructor. You can't buy a course.");
+      return;
+    }
+    if (token) {
+      buyCourse(token, [], user, navigate, dispatch, null, currency, {
+        bundleId,
+      });
+      return;
+    }
+    setConfirmationModal({
+      text1: "You're not logged in!",
+      text2: "Please log in to purchase the bundle.",
+      btn1Text: "Login",
+      btn2Text: "Cancel",
+      btn1Handler: () => navigate("/login"),
+      btn2Handler: () => setConfirmationModal(null),
+    });
+  };
+
+  return (
+    <>
+      <div className="relative w-full bg-richblack-800">
+        <div className="mx-auto box-content max-w-maxContentTab px-4 py-8 lg:max-w-maxContent">
+          {/* Go back button */}
+          <div className="mb-5" onClick={() => navigate(-1)}>
+            <GiReturnArrow className="w-10 h-10 text-yellow-100 hover:text-yellow-50 cursor-pointer" />
+          </div>
+
+          <div className="flex flex-col gap-8 lg:flex-row">
+            {/* Bundle data */}
+            <div className="flex flex-1 flex-col justify-center gap-4 text-lg text-richblack-5">
+              <p className="text-sm font-semibold uppercase text-yellow-50">
+                Bundle of {courses.length} courses
+              </p>
+              <p className="text-4xl font-bold sm:text-[42px]">{bundleName}</p>
+              <p className="text-richblack-200">{bundleDescription}</p>
+              <p className="capitalize">
+                Created By{" "}
+                <span className="font-semibold underline">
+                  {instructor.firstName} {instructor.lastName}
+                </span>
+              </p>
+            </div>
+
+            {/* Buy card */}
+            <div className="flex flex-col gap-4 rounded-2xl bg-richblack-700 p-4 text-richblack-5 lg:w-[400px]">
+              <Img
+                src={thumbnail}
+                alt={bundleName}
+                className="max-h-[300px] min-h-[180px] w-full overflow-hidden rounded-2xl object-cover"
+              />
+              <div className="flex items-center gap-3 px-4">
+                <p className="text-3xl font-semibold">{formatPrice(price)}</p>
+                <p className="text-lg text-richblack-300 line-through">
+                  {formatPrice(coursesPrice)}
+                </p>
+              </div>
+              <p className="px-4 text-sm text-caribbeangreen-100">
+                Save {formatPrice(coursesPrice - price)} compared to buying
+                the courses one by one
+              </p>
+              {ownedCourses.length > 0 && !ownsAll && (
+                <p className="px-4 text-sm text-richblack-100">
+                  You already own {ownedCourses.length} of these courses - you
+                  only pay for the rest.
+                </p>
+              )}
+              <button
+                className="yellowButton mx-4 outline-none"
+                onClick={
+                  ownsAll
+                    ? () => navigate("/dashboard/enrolled-courses")
+                    : handleBuyBundle
+                }
+              >
+                {ownsAll ? "Go To Courses" : "Buy Bundle"}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="mx-auto box-content max-w-maxContentTab px-4 py-8 text-richblack-5 lg:max-w-maxContent">
+        {/* Included courses */}
+        <p className="text-[28px] font-semibold">Courses in this bundle</p>
+        <div className="flex flex-col gap-4 py-6">
+          {courses.map((course) => (
+            <Link
+              to={`/courses/${course._id}`}
+              key={course._id}
+              className="flex flex-col gap-4 rounded-xl border border-richblack-600 p-4 hover:bg-richblack-800 sm:flex-row"
+            >
+              <Img
+                src={course.thumbnail}
+                alt={course.courseName}
+                className="h-28 w-full rounded-lg object-cover sm:w-48"
+              />
+              <div className="flex flex-1 flex-col gap-2">
+                <p className="text-lg font-semibold">{course.courseName}</p>
+                <p className="text-sm text-richblack-300 line-clamp-2">
+                  {course.courseDescription}
+                </p>
+                {course.studentsEnrolled?.includes(user?._id) && (
+                  <p className="text-xs font-semibold text-caribbeangreen-100">
+                    Already enrolled
+                  </p>
+                )}
+              </div>
+              <p className="font-semibold text-yellow-50">
+                {formatPrice(course.price)}
+              </p>
+            </Link>
+          ))}
+        </div>
+
+        {/* Author Details */}
+        <div className="mb-12 py-4">
+          <p className="text-[28px] font-semibold">Author</p>
+          <div className="flex items-center gap-4 py-4">
+            <Img
+              src={instructor.image}
+              alt="Author"
+              className="h-14 w-14 rounded-full object-cover"
+            />
+            <div>
+              <p className="text-lg capitalize flex items-center gap-2 font-semibold">
+                {`${instructor.firstName} ${instructor.lastName}`}
+                <span>
+                  <MdOutlineVerified className="w-5 h-5 text-[#00BFFF]" />
+                </span>
+              </p>
+              <p className="text-richblack-50">
+                {instructor?.additionalDetails?.about}
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <Footer />
+      {confirmationModal && <ConfirmationModal modalData={confirmationModal} />}
+    </>
+  );
+}
+
+export default BundleDetails;
@@ -1,31 +1,37 @@
 import React, { useEffect, useState } from "react";
-import { useParams } from "react-router-dom";
+import { Link, useParams } from "react-router-dom";
 
 // import CourseCard from "../components/Catalog/CourseCard"
 // import CourseSlider from "../components/Catalog/CourseSlider"
 import Footer from "../components/common/Footer";
 import CourseCard from "../components/core/Catalog/CourseCard";
 import CourseSlider from "../components/core/Catalog/CourseSlider";
+import BundleCard from "../components/core/Catalog/BundleCard";
+import Recommendations from "../components/core/Catalog/Recommendations";
 import Loading from "./../components/common/Loading";
 
 import { getCatalogPageData } from "../services/operations/pageAndComponentData";
 import { fetchCourseCategories } from "./../services/operations/courseDetailsAPI";
+import { getAllBundles } from "../services/operations/bundleAPI";
+import { COURSE_LANGUAGES, COURSE_LEVELS } from "../utils/constants";
 
 function Catalog() {
   const { catalogName } = useParams();
   const [active, setActive] = useState(1);
   const [catalogPageData, setCatalogPageData] = useState(null);
   const [categoryId, setCategoryId] = useState("");
+  const [bundles, setBundles] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [filters, setFilters] = useState({ level: "", language: "" });
 
   // Fetch All Categories
   useEffect(() => {
     (async () => {
       try {
         const res = await fetchCourseCategories();
-        const category_id = res.filter(
-          (ct) => ct.name.split(" ").join("-").toLowerCase() === catalogName
-        )[0]._id;
+        const category_id = res.filter((ct) => ct.slug === catalogName)[0]
+          ._id;
         setCategoryId(category_id);
       } catch (error) {
         console.log("Could not fetch Categories.", error);
@@ -37,9 +43,11 @@ function Catalog() {
     if (categoryId) {
       (async () => {
         setLoading(true);
+        setFilters({ level: "", language: "" });
         try {
           const res = await getCatalogPageData(categoryId);
           setCatalogPageData(res);
+          setBundles(await getAllBundles(categoryId));
         } catch (error) {
           console.log(error);
         }
@@ -48,6 +56,50 @@ function Catalog() {
     }
   }, [categoryId]);
 
+  // "Most Populer" / "New" re-sort the category's courses from the first page
+  const sort = active === 1 ? "popular" : "new";
+  const changeTab = async (tab) => {
+    if (tab === active) return;
+    setActive(tab);
+    const res = await getCatalogPageData(categoryId, {
+      ...filters,
+      sort: tab === 1 ? "popular" : "new",
+    });
+    if (res) setCatalogPageData(res);
+  };
+
+  // level / language narrow down the category's courses, from the first page
+  const changeFilter = async (key, value) => {
+    const nextFilters = { ...filters, [key]: value };
+    setFilters(nextFilters);
+    const res = await getCatalogPageData(categoryId, { ...nextFilters, sort });
+    if (res) setCatalogPageData(res);
+  };
+
+  // next page of the selected category's courses
+  const loadMoreCourses = async () => {
+    setLoadingMore(true);
+    const res = await getCatalogPageData(categoryId, {
+      ...filters,
+      sort,
+      cursor: catalogPageData.nextCursor,
+    });
+    if (res) {
+      setCatalogPageData((data) => ({
+        ...data,
+        selectedCategory: {
+          ...data.selectedCategory,
+          courses: [
+            ...data.selectedCategory.courses,
+            ...res.selectedCategory.courses,
+          ],
+        },
+        nextCursor: res.nextCursor,
+      }));
+    }
+    setLoadingMore(false);
+  };
+
   // console.log('======================================= ', catalogPageData)
   // console.log('categoryId ==================================== ', categoryId)
 
@@ -71,11 +123,29 @@ function Catalog() {
       {/* Hero Section */}
       <div className=" box-content bg-richblack-800 px-4">
         <div className="mx-auto flex min-h-[260px] max-w-maxContentTab flex-col justify-center gap-4 lg:max-w-maxContent ">
+          {/* Breadcrumb - Home / Catalog / Development / Web / React */}
           <p className="text-sm text-richblack-300">
-            {`Home / Catalog / `}
-            <span className="text-yellow-25">
-              {catalogPageData?.selectedCategory?.name}
-            </span>
+            <Link to="/" className="hover:text-richblack-5">
+              Home
+            </Link>
+            {` / Catalog / `}
+            {catalogPageData?.selectedCategory?.breadcrumb?.map((crumb, i, all) =>
+              i === all.length - 1 ? (
+                <span key={crumb._id} className="text-yellow-25">
+                  {crumb.name}
+                </span>
+              ) : (
+                <span key={crumb._id}>
+                  <Link
+                    to={`/catalog/${crumb.slug}`}
+                    className="hover:text-richblack-5"
+                  >
+                    {crumb.name}
+                  </Link>
+                  {` / `}
+                </span>
+              )
+            )}
           </p>
           <p className="text-3xl text-richblack-5">
             {catalogPageData?.selectedCategory?.name}
@@ -83,6 +153,22 @@ function Catalog() {
           <p className="max-w-[870px] text-richblack-200">
             {catalogPageData?.selectedCategory?.description}
           </p>
+          {/* Subcategories - their courses are part of this page too */}
+          {catalogPageData?.selectedCategory?.subCategories?.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {catalogPageData.selectedCategory.subCategories.map(
+                (subCategory) => (
+                  <Link
+                    key={subCategory._id}
+                    to={`/catalog/${subCategory.slug}`}
+                    className="rounded-full border border-richblack-600 px-4 py-1 text-sm text-richblack-50 hover:border-yellow-25 hover:text-yellow-25"
+                  >
+                    {subCategory.name}
+                  </Link>
+                )
+              )}
+            </div>
+          )}
         </div>
       </div>
 
@@ -96,7 +182,7 @@ function Catalog() {
                 ? "border-b border-b-yellow-25 text-yellow-25"
                 : "text-richblack-50"
             } cursor-pointer`}
-            onClick={() => setActive(1)}
+            onClick={() => changeTab(1)}
           >
             Most Populer
           </p>
@@ -106,16 +192,83 @@ function Catalog() {
                 ? "border-b border-b-yellow-25 text-yellow-25"
                 : "text-richblack-50"
             } cursor-pointer`}
-            onClick={() => setActive(2)}
+            onClick={() => changeTab(2)}
           >
             New
           </p>
+          <div className="ml-auto flex gap-2 pb-2">
+            <select
+              aria-label="Level"
+              value={filters.level}
+              onChange={(e) => changeFilter("level", e.target.value)}
+              className="rounded-md bg-richblack-800 px-2 py-1 text-richblack-50"
+            >
+              <option value="">All levels</option>
+              {COURSE_LEVELS.map((level) => (
+                <option key={level} value={level}>
+                  {level}
+                </option>
+              ))}
+            </select>
+            <select
+              aria-label="Language"
+              value={filters.language}
+              onChange={(e) => changeFilter("language", e.target.value)}
+              className="rounded-md bg-richblack-800 px-2 py-1 text-richblack-50"
+            >
+              <option value="">All languages</option>
+              {COURSE_LANGUAGES.map((language) => (
+                <option key={language} value={language}>
+                  {language}
+                </option>
+              ))}
+            </select>
+          </div>
         </div>
         <div>
-          <CourseSlider Courses={catalogPageData?.selectedCategory?.courses} />
+          {catalogPageData?.selectedCategory?.courses?.length ? (
+            <CourseSlider
+              Courses={catalogPageData?.selectedCategory?.courses}
+            />
+          ) : (
+            <p className="py-8 text-center text-richblack-300">
+              No courses match these filters
+            </p>
+          )}
         </div>
+        {catalogPageData?.nextCursor && (
+          <div className="mt-6 flex justify-center">
+            <button
+              onClick={loadMoreCourses}
+              disabled={loadingMore}
+              className="blackButton outline-none disabled:opacity-50"
+            >
+              {loadingMore ? "Loading..." : "Show more courses"}
+            </button>
+          </div>
+        )}
       </div>
 
+      {/* Recommendations */}
+      <Recommendations
+        rows={["continueLearning", "becauseYouAreLearning", "alsoBought"]}
+        className=" mx-auto box-content w-full max-w-maxContentTab px-4 py-12 lg:max-w-maxContent"
+      />
+
+      {/* Bundles */}
+      {bundles.length > 0 && (
+        <div className=" mx-auto box-content w-full max-w-maxContentTab px-4 py-12 lg:max-w-maxContent">
+          <div className="section_heading">Course Bundles</div>
+          <div className="py-8">
+            <div className="grid grid-cols-1 gap-6 md:grid-cols-2 lg:grid-cols-3">
+              {bundles.map((bundle) => (
+                <BundleCard bundle={bundle} key={bundle._id} />
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Section 2 */}
       <div className=" mx-auto box-content w-full max-w-maxContentTab px-4 py-12 lg:max-w-maxContent">
         <div className="section_heading">
@@ -0,0 +1,113 @@
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { FaLinkedin } from "react-icons/fa";
+import { MdBlock, MdOutlineFileDownload, MdVerified } from "react-icons/md";
+
+import Footer from "../components/common/Footer";
+import Loading from "../components/common/Loading";
+
+import {
+  downloadCertificate,
+  verifyCertificate,
+} from "../services/operations/certificateAPI";
+import { formatDate } from "../services/formatDate";
+import { linkedInShareUrl } from "../utils/certificate";
+
+// public verification page of a certificate, linked from the PDF and LinkedIn
+function Certificate() {
+  const { id } = useParams();
+  const [certificate, setCertificate] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    (async () => {
+      setLoading(true);
+      setCertificate(await verifyCertificate(id));
+      setLoading(false);
+    })();
+  }, [id]);
+
+  if (loading) {
+    return (
+      <div className="grid min-h-[calc(100vh-3.5rem)] place-items-center">
+        <Loading />
+      </div>
+    );
+  }
+  if (!certificate) {
+    return (
+      <div className="mx-auto mt-[15%] flex max-w-maxContentTab flex-col items-center gap-4 px-4 text-center text-white">
+        <p className="text-4xl">Certificate not found</p>
+        <p className="text-richblack-300">
+          No certificate was issued with the ID {id}
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div className="box-content px-4 py-16">
+        <div className="mx-auto flex max-w-[800px] flex-col items-center gap-6 rounded-xl border-4 border-richblack-700 bg-richblack-800 p-10 text-center">
+          {certificate.revoked ? (
+            <p className="flex items-center gap-2 rounded-full bg-pink-700/30 px-4 py-1 text-sm font-semibold text-pink-100">
+              <MdBlock className="text-lg" /> Revoked certificate
+            </p>
+          ) : (
+            <p className="flex items-center gap-2 rounded-full bg-caribbeangreen-700/30 px-4 py-1 text-sm font-semibold text-caribbeangreen-100">
+              <MdVerified className="text-lg" /> Verified certificate
+            </p>
+          )}
+          <p className="text-sm uppercase tracking-[0.3em] text-richblack-300">
+            Certificate of Completion
+          </p>
+          <p className="text-4xl font-semibold text-richblack-5">
+            {certificate.studentName}
+          </p>
+          <p className="text-richblack-200">completed the course</p>
+          <Link
+            to={`/courses/${certificate.course}`}
+            className="text-2xl font-semibold text-yellow-50 hover:underline"
+          >
+            {certificate.courseName}
+          </Link>
+          {certificate.instructorName && (
+            <p className="text-richblack-200">
+              taught by {certificate.instructorName}
+            </p>
+          )}
+          <div className="text-sm text-richblack-300">
+            <p>Completed on {formatDate(certificate.completedAt)}</p>
+            <p>Certificate ID: {certificate.certificateId}</p>
+          </div>
+          {certificate.revoked ? (
+            <p className="text-sm text-pink-200">
+              This certificate was revoked on{" "}
+              {formatDate(certificate.revokedAt)} and is no longer valid
+            </p>
+          ) : (
+            <div className="flex flex-wrap justify-center gap-3 text-sm font-semibold">
+              <button
+                onClick={() => downloadCertificate(certificate.certificateId)}
+                className="flex items-center gap-1 rounded-md bg-yellow-50 px-4 py-2 text-richblack-900 hover:scale-105 duration-200"
+              >
+                <MdOutlineFileDownload className="text-lg" /> Download PDF
+              </button>
+              <a
+                href={linkedInShareUrl(certificate.url)}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="flex items-center gap-1 rounded-md bg-richblack-700 px-4 py-2 text-richblack-5 hover:scale-105 duration-200"
+              >
+                <FaLinkedin className="text-lg" /> Share on LinkedIn
+              </a>
+            </div>
+          )}
+        </div>
+      </div>
+      <Footer />
+    </>
+  );
+}
+
+export default Certificate;
@@ -2,7 +2,7 @@ import React, { useEffect, useState } from "react";
 import { BiInfoCircle } from "react-icons/bi";
 import { HiOutlineGlobeAlt } from "react-icons/hi";
 import { useDispatch, useSelector } from "react-redux";
-import { useNavigate, useParams } from "react-router-dom";
+import { Link, useNavigate, useParams } from "react-router-dom";
 
 import ConfirmationModal from "../components/common/ConfirmationModal";
 import Footer from "../components/common/Footer";
@@ -11,14 +11,24 @@ import CourseAccordionBar from "../components/core/Course/CourseAccordionBar";
 import CourseDetailsCard from "../components/core/Course/CourseDetailsCard";
 import { formatDate } from "../services/formatDate";
 import { fetchCourseDetails } from "../services/operations/courseDetailsAPI";
-import { buyCourse } from "../services/operations/studentFeaturesAPI";
+import {
+  buyCourse,
+  enrollFreeCourse,
+} from "../services/operations/studentFeaturesAPI";
 
 import GetAvgRating from "../utils/avgRating";
 import { ACCOUNT_TYPE } from "./../utils/constants";
-import { addToCart } from "../slices/cartSlice";
+import { addToCart } from "../services/operations/cartAPI";
+import { getMySubscription } from "../services/operations/subscriptionAPI";
+import { selectDisplayCurrency } from "../slices/currencySlice";
+import usePrice from "../hooks/usePrice";
 
 import { GiReturnArrow } from "react-icons/gi";
-import { MdOutlineVerified } from "react-icons/md";
+import {
+  MdOutlineClosedCaption,
+  MdOutlineSignalCellularAlt,
+  MdOutlineVerified,
+} from "react-icons/md";
 import Img from "./../components/common/Img";
 import toast from "react-hot-toast";
 
@@ -27,6 +37,8 @@ function CourseDetails() {
   const { token } = useSelector((state) => state.auth);
   const { loading } = useSelector((state) => state.profile);
   const { paymentLoading } = useSelector((state) => state.course);
+  const currency = useSelector(selectDisplayCurrency);
+  const formatPrice = usePrice();
   const dispatch = useDispatch();
   const navigate = useNavigate();
 
@@ -36,19 +48,29 @@ function CourseDetails() {
   // Declear a state to save the course details
   const [response, setResponse] = useState(null);
   const [confirmationModal, setConfirmationModal] = useState(null);
+  // StudyNotion Pro members can open any published course
+  const [hasPro, setHasPro] = useState(false);
+
+  useEffect(() => {
+    if (token && user?.accountType === ACCOUNT_TYPE.STUDENT) {
+      (async () => {
+        setHasPro(Boolean(await getMySubscription(token)));
+      })();
+    }
+  }, [token, user?.accountType]);
 
   useEffect(() => {
     // Calling fetchCourseDetails fucntion to fetch the details
     const fectchCourseDetailsData = async () => {
       try {
-        const res = await fetchCourseDetails(courseId);
+        const res = await fetchCourseDetails(courseId, token);
         setResponse(res);
       } catch (error) {
         console.log("Could not fetch Course Details");
       }
     };
     fectchCourseDetailsData();
-  }, [courseId]);
+  }, [courseId, token]);
 
   // Calculating Avg Review count
   const [avgReviewCount, setAvgReviewCount] = useState(0);
@@ -119,14 +141,30 @@ function CourseDetails() {
     instructor,
     studentsEnrolled,
     createdAt,
-    tag,
+    tags,
+    language,
+    level,
+    subtitles,
   } = response?.data?.courseDetails;
 
+  // first lecture of the course, where Pro members start watching
+  const handleWatchWithPro = () => {
+    navigate(
+      `/view-course/${courseId}/section/${courseContent?.[0]?._id}/sub-section/${courseContent?.[0]?.subSection?.[0]?._id}`
+    );
+  };
+  const isEnrolled = user && studentsEnrolled.includes(user?._id);
+
   // Buy Course handler
   const handleBuyCourse = () => {
     if (token) {
+      // free courses are enrolled directly, without Razorpay
+      if (!price) {
+        enrollFreeCourse(token, courseId, navigate);
+        return;
+      }
       const coursesId = [courseId];
-      buyCourse(token, coursesId, user, navigate, dispatch);
+      buyCourse(token, coursesId, user, navigate, dispatch, null, currency);
       return;
     }
     setConfirmationModal({
@@ -146,7 +184,7 @@ function CourseDetails() {
       return;
     }
     if (token) {
-      dispatch(addToCart(response?.data.courseDetails));
+      dispatch(addToCart(token, courseId));
       return;
     }
     setConfirmationModal({
@@ -187,6 +225,24 @@ function CourseDetails() {
             <div
               className={`mb-5 flex flex-col justify-center gap-4 py-5 text-lg text-richblack-5`}
             >
+              {/* Breadcrumb - Home / Catalog / Development / Web */}
+              <p className="text-sm text-richblack-300">
+                <Link to="/" className="hover:text-richblack-5">
+                  Home
+                </Link>
+                {` / Catalog`}
+                {response?.data?.breadcrumb?.map((crumb) => (
+                  <span key={crumb._id}>
+                    {` / `}
+                    <Link
+                      to={`/catalog/${crumb.slug}`}
+                      className="hover:text-richblack-5"
+                    >
+                      {crumb.name}
+                    </Link>
+                  </span>
+                ))}
+              </p>
               <p className="text-4xl font-bold text-richblack-5 sm:text-[42px]">
                 {courseName}
               </p>
@@ -211,19 +267,35 @@ function CourseDetails() {
                 </p>
                 <p className="flex items-center gap-2">
                   {" "}
-                  <HiOutlineGlobeAlt /> English
+                  <HiOutlineGlobeAlt /> {language || "English"}
                 </p>
+                {level && (
+                  <p className="flex items-center gap-2">
+                    <MdOutlineSignalCellularAlt /> {level}
+                  </p>
+                )}
+                {subtitles?.length > 0 && (
+                  <p className="flex items-center gap-2">
+                    <MdOutlineClosedCaption /> {subtitles.join(", ")}
+                  </p>
+                )}
               </div>
             </div>
 
             {/* will appear only for small size */}
             <div className="flex w-full flex-col gap-4 border-y border-y-richblack-500 py-4 lg:hidden">
               <p className="space-x-3 pb-4 text-3xl font-semibold text-richblack-5">
-                Rs. {price}
+                {price ? formatPrice(price) : "Free"}
               </p>
-              <button className="yellowButton" onClick={handleBuyCourse}>
-                Buy Now
-              </button>
+              {hasPro && !isEnrolled ? (
+                <button className="yellowButton" onClick={handleWatchWithPro}>
+                  Start Learning with Pro
+                </button>
+              ) : (
+                <button className="yellowButton" onClick={handleBuyCourse}>
+                  {price ? "Buy Now" : "Enroll for Free"}
+                </button>
+              )}
               <button onClick={handleAddToCart} className="blackButton">
                 Add to Cart
               </button>
@@ -236,6 +308,7 @@ function CourseDetails() {
               course={response?.data?.courseDetails}
               setConfirmationModal={setConfirmationModal}
               handleBuyCourse={handleBuyCourse}
+              handleWatchWithPro={hasPro ? handleWatchWithPro : null}
             />
           </div>
         </div>
@@ -257,18 +330,56 @@ function CourseDetails() {
             </div>
           </div>
 
+          {/* Recommended first - prerequisite courses */}
+          {response?.data?.prerequisites?.length > 0 && (
+            <div className="mb-8 border border-richblack-600 p-8">
+              <p className="text-3xl font-semibold">Recommended first</p>
+              <p className="mt-1 text-sm text-richblack-300">
+                The instructor suggests taking these courses before this one.
+              </p>
+              <div className="mt-4 flex flex-col gap-3">
+                {response.data.prerequisites.map((prerequisite) => (
+                  <Link
+                    key={prerequisite._id}
+                    to={`/courses/${prerequisite._id}`}
+                    className="flex items-center gap-4 rounded-lg bg-richblack-800 p-3 hover:bg-richblack-700"
+                  >
+                    <Img
+                      src={prerequisite.thumbnail}
+                      alt={prerequisite.courseName}
+                      className="h-12 w-20 rounded object-cover"
+                    />
+                    <p className="flex-1 font-semibold">
+                      {prerequisite.courseName}
+                    </p>
+                    {prerequisite.enrolled ? (
+                      <span className="text-sm text-caribbeangreen-100">
+                        Enrolled
+                      </span>
+                    ) : (
+                      <span className="text-sm text-yellow-50">
+                        Not taken yet
+                      </span>
+                    )}
+                  </Link>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Tags */}
           <div className="flex flex-col lg:flex-row gap-4">
             <p className="text-xl font-bold">Tags</p>
             <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
-              {tag &&
-                tag.map((item, ind) => (
-                  <p
-                    key={ind}
-                    className="bg-yellow-50 p-[2px] text-black rounded-full text-center font-semibold"
+              {tags &&
+                tags.map((item) => (
+                  <Link
+                    key={item._id}
+                    to={`/tags/${item.slug}`}
+                    className="bg-yellow-50 p-[2px] text-black rounded-full text-center font-semibold hover:bg-yellow-25"
                   >
-                    {item}
-                  </p>
+                    {item.name}
+                  </Link>
                 ))}
             </div>
           </div>
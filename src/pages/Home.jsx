@@ -12,6 +12,7 @@ import Footer from "../components/common/Footer";
 import ExploreMore from "../components/core/HomePage/ExploreMore";
 import ReviewSlider from "../components/common/ReviewSlider";
 import CourseSlider from "../components/core/Catalog/CourseSlider";
+import Recommendations from "../components/core/Catalog/Recommendations";
 
 import { getCatalogPageData } from "../services/operations/pageAndComponentData";
 
@@ -202,6 +203,12 @@ const Home = () => {
             />
           </div>
 
+          {/* personal recommendations - best sellers follow below anyway */}
+          <Recommendations
+            rows={["continueLearning", "becauseYouAreLearning", "alsoBought"]}
+            className="mx-auto box-content w-full max-w-maxContentTab py-12 lg:max-w-maxContent"
+          />
+
           {/* course slider */}
           <div className="mx-auto box-content w-full max-w-maxContentTab px- py-12 lg:max-w-maxContent">
             <h2 className="text-white mb-6 text-2xl ">
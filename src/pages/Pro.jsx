@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+import { Link, useNavigate } from "react-router-dom";
+import { FaCheck } from "react-icons/fa";
+import toast from "react-hot-toast";
+
+import Footer from "../components/common/Footer";
+import {
+  getMySubscription,
+  getPlans,
+  subscribeToPlan,
+} from "../services/operations/subscriptionAPI";
+import { formatPrice } from "../utils/formatPrice";
+import { ACCOUNT_TYPE } from "../utils/constants";
+
+const PERKS = [
+  "Every published course, new ones included",
+  "Progress tracking on every course you start",
+  "Cancel anytime, access lasts until the period ends",
+];
+
+function Pro() {
+  const { user } = useSelector((state) => state.profile);
+  const { token } = useSelector((state) => state.auth);
+  const navigate = useNavigate();
+
+  const [plans, setPlans] = useState([]);
+  const [subscription, setSubscription] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    (async () => {
+      setLoading(true);
+      setPlans(await getPlans());
+      if (token && user?.accountType === ACCOUNT_TYPE.STUDENT) {
+        setSubscription(await getMySubscription(token));
+      }
+      setLoading(false);
+    })();
+  }, [token, user?.accountType]);
+
+  const handleSubscribe = (planId) => {
+    if (!token) {
+      navigate("/login");
+      return;
+    }
+    if (user?.accountType !== ACCOUNT_TYPE.STUDENT) {
+      toast.error("Only students can subscribe to StudyNotion Pro");
+      return;
+    }
+    subscribeToPlan(token, planId, user, navigate);
+  };
+
+  return (
+    <>
+      <div className="mx-auto box-content w-full max-w-maxContentTab px-4 py-16 text-richblack-5 lg:max-w-maxContent">
+        <div className="mx-auto max-w-[700px] text-center">
+          <p className="text-4xl font-semibold">
+            StudyNotion <span className="text-yellow-50">Pro</span>
+          </p>
+          <p className="mt-4 text-richblack-200">
+            One membership, every course. Learn as much as you want for a
+            monthly or yearly fee.
+          </p>
+        </div>
+
+        <div className="mx-auto mt-8 flex max-w-[700px] flex-col gap-2">
+          {PERKS.map((perk) => (
+            <p
+              key={perk}
+              className="flex items-center gap-3 text-richblack-100"
+            >
+              <FaCheck className="text-caribbeangreen-100" /> {perk}
+            </p>
+          ))}
+        </div>
+
+        {subscription && (
+          <p className="mt-10 text-center text-caribbeangreen-100">
+            You are a Pro member.{" "}
+            <Link to="/dashboard/subscription" className="underline">
+              Manage your subscription
+            </Link>
+          </p>
+        )}
+
+        <div className="mt-12 grid grid-cols-1 gap-6 md:grid-cols-2">
+          {loading ? (
+            <>
+              <p className="h-60 rounded-xl skeleton"></p>
+              <p className="h-60 rounded-xl skeleton"></p>
+            </>
+          ) : !plans.length ? (
+            <p className="col-span-2 text-center text-xl text-richblack-100">
+              No plans are available right now
+            </p>
+          ) : (
+            plans.map((plan) => (
+              <div
+                key={plan._id}
+                className="flex flex-col gap-4 rounded-2xl border border-richblack-600 bg-richblack-800 p-8"
+              >
+                <p className="text-2xl font-semibold">{plan.name}</p>
+                {plan.description && (
+                  <p className="text-sm text-richblack-300">
+                    {plan.description}
+                  </p>
+                )}
+                <p className="text-3xl font-semibold text-yellow-50">
+                  {formatPrice(plan.price)}
+                  <span className="text-base font-normal text-richblack-300">
+                    {plan.interval === "Monthly" ? " / month" : " / year"}
+                  </span>
+                </p>
+                <button
+                  className="yellowButton mt-auto"
+                  disabled={Boolean(subscription)}
+                  onClick={() => handleSubscribe(plan._id)}
+                >
+                  {subscription ? "Subscribed" : "Subscribe"}
+                </button>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+
+      <Footer />
+    </>
+  );
+}
+
+export default Pro;
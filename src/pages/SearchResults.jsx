@@ -0,0 +1,352 @@
+import React, { useEffect, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+
+import Footer from "../components/common/Footer";
+import Loading from "../components/common/Loading";
+import TagInput from "../components/common/TagInput";
+import CourseCard from "../components/core/Catalog/CourseCard";
+
+import {
+  fetchCourseCategories,
+  searchCourses,
+} from "../services/operations/courseDetailsAPI";
+import {
+  COURSE_LANGUAGES,
+  COURSE_LEVELS,
+  SEARCH_SORTS,
+} from "../utils/constants";
+import { flattenCategoryTree } from "../utils/categoryTree";
+
+const RATINGS = [4.5, 4, 3.5, 3];
+const DURATIONS = [
+  { label: "0-2 Hours", min: "", max: 2 },
+  { label: "2-6 Hours", min: 2, max: 6 },
+  { label: "6-17 Hours", min: 6, max: 17 },
+  { label: "17+ Hours", min: 17, max: "" },
+];
+const FILTER_KEYS = [
+  "category",
+  "minPrice",
+  "maxPrice",
+  "minRating",
+  "minDuration",
+  "maxDuration",
+  "language",
+  "level",
+  "subtitle",
+  "tag",
+];
+
+function SearchResults() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [categories, setCategories] = useState([]);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const query = searchParams.get("q") || "";
+  const page = Number(searchParams.get("page")) || 1;
+
+  useEffect(() => {
+    (async () =>
+      setCategories(flattenCategoryTree(await fetchCourseCategories())))();
+  }, []);
+
+  useEffect(() => {
+    (async () => {
+      setLoading(true);
+      setResult(await searchCourses(Object.fromEntries(searchParams)));
+      setLoading(false);
+    })();
+  }, [searchParams]);
+
+  // every filter change starts again from the first page
+  const updateParams = (changes) => {
+    const params = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value === "" || value === undefined || value === null) {
+        params.delete(key);
+      } else {
+        params.set(key, value);
+      }
+    });
+    if (!("page" in changes)) params.delete("page");
+    setSearchParams(params);
+  };
+
+  const clearFilters = () => {
+    const params = new URLSearchParams(searchParams);
+    FILTER_KEYS.forEach((key) => params.delete(key));
+    params.delete("page");
+    setSearchParams(params);
+  };
+
+  const activeDuration = `${searchParams.get("minDuration") || ""}-${
+    searchParams.get("maxDuration") || ""
+  }`;
+
+  return (
+    <>
+      {/* Hero Section */}
+      <div className=" box-content bg-richblack-800 px-4">
+        <div className="mx-auto flex min-h-[160px] max-w-maxContentTab flex-col justify-center gap-2 lg:max-w-maxContent ">
+          <p className="text-sm text-richblack-300">{`Home / Search`}</p>
+          <p className="text-3xl text-richblack-5">
+            {query ? (
+              <>
+                Results for <span className="text-yellow-25">"{query}"</span>
+              </>
+            ) : (
+              "All Courses"
+            )}
+          </p>
+          {result && (
+            <p className="text-richblack-200">
+              {result.total} {result.total === 1 ? "course" : "courses"} found
+            </p>
+          )}
+        </div>
+      </div>
+
+      <div className="mx-auto box-content flex w-full max-w-maxContentTab flex-col gap-8 px-4 py-12 lg:max-w-maxContent lg:flex-row">
+        {/* Filters */}
+        <div className="flex w-full flex-col gap-6 text-richblack-5 lg:w-[260px] lg:shrink-0">
+          <div className="flex items-center justify-between">
+            <p className="text-lg font-semibold">Filters</p>
+            <button
+              onClick={clearFilters}
+              className="text-sm text-yellow-50 hover:underline"
+            >
+              Clear all
+            </button>
+          </div>
+
+          <div className="flex flex-col gap-2">
+            <label htmlFor="category" className="lable-style">
+              Category
+            </label>
+            <select
+              id="category"
+              className="form-style"
+              value={searchParams.get("category") || ""}
+              onChange={(e) => updateParams({ category: e.target.value })}
+            >
+              <option value="">All categories</option>
+              {categories.map((category) => (
+                <option key={category._id} value={category._id}>
+                  {category.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="flex flex-col gap-2">
+            <label htmlFor="tag" className="lable-style">
+              Tag
+            </label>
+            {searchParams.get("tag") ? (
+              <button
+                onClick={() => updateParams({ tag: "" })}
+                className="flex w-fit items-center gap-2 rounded-full bg-yellow-400 px-3 py-1 text-sm text-richblack-5"
+              >
+                {result?.tag?.name || searchParams.get("tag")}
+                <span aria-hidden>✕</span>
+              </button>
+            ) : (
+              <TagInput
+                id="tag"
+                placeholder="e.g. React"
+                // only existing tags can filter
+                onSelect={(tag) => tag.slug && updateParams({ tag: tag.slug })}
+              />
+            )}
+          </div>
+
+          <div className="flex flex-col gap-2">
+            <p className="lable-style">Price (₹)</p>
+            <div className="flex gap-2">
+              <input
+                type="number"
+                min={0}
+                placeholder="Min"
+                className="form-style w-full"
+                key={searchParams.get("minPrice") || ""}
+                defaultValue={searchParams.get("minPrice") || ""}
+                onBlur={(e) => updateParams({ minPrice: e.target.value })}
+              />
+              <input
+                type="number"
+                min={0}
+                placeholder="Max"
+                className="form-style w-full"
+                key={searchParams.get("maxPrice") || ""}
+                defaultValue={searchParams.get("maxPrice") || ""}
+                onBlur={(e) => updateParams({ maxPrice: e.target.value })}
+              />
+            </div>
+          </div>
+
+          <div className="flex flex-col gap-2">
+            <p className="lable-style">Rating</p>
+            {RATINGS.map((rating) => (
+              <label
+                key={rating}
+                className="flex cursor-pointer items-center gap-2 text-sm text-richblack-100"
+              >
+                <input
+                  type="radio"
+                  name="minRating"
+                  checked={searchParams.get("minRating") === String(rating)}
+                  onChange={() => updateParams({ minRating: rating })}
+                />
+                {rating} & up
+              </label>
+            ))}
+          </div>
+
+          <div className="flex flex-col gap-2">
+            <p className="lable-style">Video Duration</p>
+            {DURATIONS.map((duration) => (
+              <label
+                key={duration.label}
+                className="flex cursor-pointer items-center gap-2 text-sm text-richblack-100"
+              >
+                <input
+                  type="radio"
+                  name="duration"
+                  checked={activeDuration === `${duration.min}-${duration.max}`}
+                  onChange={() =>
+                    updateParams({
+                      minDuration: duration.min,
+                      maxDuration: duration.max,
+                    })
+                  }
+                />
+                {duration.label}
+              </label>
+            ))}
+          </div>
+
+          <div className="flex flex-col gap-2">
+            <label htmlFor="language" className="lable-style">
+              Language
+            </label>
+            <select
+              id="language"
+              className="form-style"
+              value={searchParams.get("language") || ""}
+              onChange={(e) => updateParams({ language: e.target.value })}
+            >
+              <option value="">All languages</option>
+              {COURSE_LANGUAGES.map((language) => (
+                <option key={language} value={language}>
+                  {language}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="flex flex-col gap-2">
+            <label htmlFor="subtitle" className="lable-style">
+              Subtitles
+            </label>
+            <select
+              id="subtitle"
+              className="form-style"
+              value={searchParams.get("subtitle") || ""}
+              onChange={(e) => updateParams({ subtitle: e.target.value })}
+            >
+              <option value="">Any</option>
+              {COURSE_LANGUAGES.map((language) => (
+                <option key={language} value={language}>
+                  {language}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="flex flex-col gap-2">
+            <p className="lable-style">Level</p>
+            {COURSE_LEVELS.map((level) => (
+              <label
+                key={level}
+                className="flex cursor-pointer items-center gap-2 text-sm text-richblack-100"
+              >
+                <input
+                  type="radio"
+                  name="level"
+                  checked={searchParams.get("level") === level}
+                  onChange={() => updateParams({ level })}
+                />
+                {level}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        {/* Results */}
+        <div className="flex w-full flex-col gap-6">
+          <div className="flex items-center justify-end gap-2 text-sm text-richblack-100">
+            <label htmlFor="sort">Sort by</label>
+            <select
+              id="sort"
+              className="form-style"
+              value={result?.sort || searchParams.get("sort") || "relevance"}
+              onChange={(e) => updateParams({ sort: e.target.value })}
+            >
+              {Object.entries(SEARCH_SORTS)
+                .filter(([sort]) => query || sort !== "relevance")
+                .map(([sort, label]) => (
+                  <option key={sort} value={sort}>
+                    {label}
+                  </option>
+                ))}
+            </select>
+          </div>
+
+          {loading ? (
+            <div className="grid min-h-[300px] place-items-center">
+              <Loading />
+            </div>
+          ) : !result?.courses?.length ? (
+            <p className="grid min-h-[300px] place-items-center text-center text-2xl text-richblack-5">
+              No courses match your search
+            </p>
+          ) : (
+            <div className="grid grid-cols-1 gap-6 md:grid-cols-2 xl:grid-cols-3">
+              {result.courses.map((course) => (
+                <CourseCard course={course} key={course._id} />
+              ))}
+            </div>
+          )}
+
+          {/* Pagination */}
+          {result?.totalPages > 1 && (
+            <div className="flex items-center justify-center gap-4 text-richblack-5">
+              <button
+                disabled={page <= 1}
+                onClick={() => updateParams({ page: page - 1 })}
+                className="rounded-md bg-richblack-700 px-4 py-2 disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <p className="text-sm text-richblack-200">
+                Page {page} of {result.totalPages}
+              </p>
+              <button
+                disabled={page >= result.totalPages}
+                onClick={() => updateParams({ page: page + 1 })}
+                className="rounded-md bg-richblack-700 px-4 py-2 disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <Footer />
+    </>
+  );
+}
+
+export default SearchResults;
@@ -0,0 +1,136 @@
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+
+import Footer from "../components/common/Footer";
+import Loading from "../components/common/Loading";
+import CourseCard from "../components/core/Catalog/CourseCard";
+
+import { getTagPageData } from "../services/operations/tagAPI";
+
+const TABS = [
+  { sort: "popular", label: "Most Populer" },
+  { sort: "new", label: "New" },
+];
+
+function TagCourses() {
+  const { slug } = useParams();
+  const [sort, setSort] = useState("popular");
+  const [tagPageData, setTagPageData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  useEffect(() => {
+    (async () => {
+      setLoading(true);
+      setTagPageData(await getTagPageData(slug, { sort }));
+      setLoading(false);
+    })();
+  }, [slug, sort]);
+
+  // next page of the tag's courses
+  const loadMoreCourses = async () => {
+    setLoadingMore(true);
+    const res = await getTagPageData(slug, {
+      sort,
+      cursor: tagPageData.nextCursor,
+    });
+    if (res) {
+      setTagPageData((data) => ({
+        ...data,
+        courses: [...data.courses, ...res.courses],
+        nextCursor: res.nextCursor,
+      }));
+    }
+    setLoadingMore(false);
+  };
+
+  if (loading && !tagPageData) {
+    return (
+      <div className="grid min-h-[calc(100vh-3.5rem)] place-items-center">
+        <Loading />
+      </div>
+    );
+  }
+  if (!loading && !tagPageData) {
+    return (
+      <div className="text-white text-4xl flex justify-center items-center mt-[20%]">
+        Tag not found
+      </div>
+    );
+  }
+
+  const { tag, courses, nextCursor } = tagPageData;
+
+  return (
+    <>
+      {/* Hero Section */}
+      <div className=" box-content bg-richblack-800 px-4">
+        <div className="mx-auto flex min-h-[220px] max-w-maxContentTab flex-col justify-center gap-4 lg:max-w-maxContent ">
+          <p className="text-sm text-richblack-300">
+            <Link to="/" className="hover:text-richblack-5">
+              Home
+            </Link>
+            {` / Tags / `}
+            <span className="text-yellow-25">{tag.name}</span>
+          </p>
+          <p className="text-3xl text-richblack-5">{tag.name}</p>
+          {tag.description && (
+            <p className="max-w-[870px] text-richblack-200">
+              {tag.description}
+            </p>
+          )}
+          <p className="text-richblack-200">
+            {tag.usageCount} {tag.usageCount === 1 ? "course" : "courses"}
+          </p>
+        </div>
+      </div>
+
+      {/* Courses */}
+      <div className=" mx-auto box-content w-full max-w-maxContentTab px-4 py-12 lg:max-w-maxContent">
+        <div className="my-4 flex border-b border-b-richblack-600 text-sm">
+          {TABS.map((tab) => (
+            <p
+              key={tab.sort}
+              className={`px-4 py-2 ${
+                sort === tab.sort
+                  ? "border-b border-b-yellow-25 text-yellow-25"
+                  : "text-richblack-50"
+              } cursor-pointer`}
+              onClick={() => setSort(tab.sort)}
+            >
+              {tab.label}
+            </p>
+          ))}
+        </div>
+
+        {courses.length === 0 ? (
+          <p className="py-12 text-center text-2xl text-richblack-5">
+            No published courses with this tag yet
+          </p>
+        ) : (
+          <div className="grid grid-cols-1 gap-6 md:grid-cols-2 lg:grid-cols-3">
+            {courses.map((course) => (
+              <CourseCard course={course} key={course._id} />
+            ))}
+          </div>
+        )}
+
+        {nextCursor && (
+          <div className="mt-6 flex justify-center">
+            <button
+              onClick={loadMoreCourses}
+              disabled={loadingMore}
+              className="blackButton outline-none disabled:opacity-50"
+            >
+              {loadingMore ? "Loading..." : "Show more courses"}
+            </button>
+          </div>
+        )}
+      </div>
+
+      <Footer />
+    </>
+  );
+}
+
+export default TagCourses;
@@ -5,6 +5,7 @@ import cartReducer from "../slices/cartSlice";
 import courseReducer from "../slices/courseSlice";
 import profileReducer from "../slices/profileSlice";
 import viewCourseReducer from "../slices/viewCourseSlice";
+import currencyReducer from "../slices/currencySlice";
 
 import sidebarSlice from "../slices/sidebarSlice";
 
@@ -14,6 +15,7 @@ const rootReducer = combineReducers({
   course: courseReducer,
   cart: cartReducer,
   viewCourse: viewCourseReducer,
+  currency: currencyReducer,
   sidebar: sidebarSlice,
 });
 
@@ -2,12 +2,21 @@ import axios from "axios";
 
 export const axiosInstance = axios.create({});
 
-export const apiConnector = (method, url, bodyData, headers, params) => {
+export const apiConnector = (
+  method,
+  url,
+  bodyData,
+  headers,
+  params,
+  responseType
+) => {
   return axiosInstance({
     method: `${method}`,
     url: `${url}`,
     data: bodyData ? bodyData : null,
     headers: headers ? headers : null,
     params: params ? params : null,
+    // "blob" for file downloads, JSON otherwise
+    responseType: responseType ? responseType : "json",
   });
 };
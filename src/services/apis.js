@@ -25,18 +25,31 @@ export const profileEndpoints = {
 export const adminEndPoints = {
   GET_ALL_STUDENTS_DATA_API: BASE_URL + "/auth/all-students",
   GET_ALL_INSTRUCTORS_DATA_API: BASE_URL + "/auth/all-instructors",
+  GET_ALL_ORDERS_API: BASE_URL + "/payment/allOrders",
+  GET_REFUND_REQUESTS_API: BASE_URL + "/payment/refundRequests",
+  APPROVE_REFUND_API: BASE_URL + "/payment/approveRefund",
+  REJECT_REFUND_API: BASE_URL + "/payment/rejectRefund",
 };
 
 // STUDENTS ENDPOINTS
 export const studentEndpoints = {
   COURSE_PAYMENT_API: BASE_URL + "/payment/capturePayment",
   COURSE_VERIFY_API: BASE_URL + "/payment/verifyPayment",
-  SEND_PAYMENT_SUCCESS_EMAIL_API: BASE_URL + "/payment/sendPaymentSuccessEmail",
+  GET_MY_ORDERS_API: BASE_URL + "/payment/myOrders",
+  DOWNLOAD_INVOICE_API: BASE_URL + "/payment/downloadInvoice",
+  REDEEM_CODE_API: BASE_URL + "/payment/redeemCode",
+  GET_MY_REDEMPTION_CODES_API: BASE_URL + "/payment/myRedemptionCodes",
+  REQUEST_REFUND_API: BASE_URL + "/payment/requestRefund",
+  APPLY_COUPON_API: BASE_URL + "/payment/applyCoupon",
+  ENROLL_FREE_COURSE_API: BASE_URL + "/payment/enrollFree",
 };
 
 // COURSE ENDPOINTS
 export const courseEndpoints = {
   GET_ALL_COURSE_API: BASE_URL + "/course/getAllCourses",
+  SEARCH_COURSES_API: BASE_URL + "/course/search",
+  SEARCH_SUGGESTIONS_API: BASE_URL + "/course/suggestions",
+  GET_RECOMMENDATIONS_API: BASE_URL + "/course/recommendations",
   COURSE_DETAILS_API: BASE_URL + "/course/getCourseDetails",
   EDIT_COURSE_API: BASE_URL + "/course/editCourse",
   COURSE_CATEGORIES_API: BASE_URL + "/course/showAllCategories",
@@ -55,6 +68,46 @@ export const courseEndpoints = {
   CREATE_RATING_API: BASE_URL + "/course/createRating",
   CREATE_NEW_CATEGORY: BASE_URL + "/course/createCategory",
   DELETE_CATEGORY: BASE_URL + "/course/deleteCategory",
+  UPDATE_CATEGORY: BASE_URL + "/course/updateCategory",
+  REORDER_CATEGORIES: BASE_URL + "/course/reorderCategories",
+  CATEGORY_STATS: BASE_URL + "/course/getCategoryStats",
+};
+
+// BUNDLE ENDPOINTS
+export const bundleEndpoints = {
+  CREATE_BUNDLE_API: BASE_URL + "/course/createBundle",
+  EDIT_BUNDLE_API: BASE_URL + "/course/editBundle",
+  DELETE_BUNDLE_API: BASE_URL + "/course/deleteBundle",
+  GET_INSTRUCTOR_BUNDLES_API: BASE_URL + "/course/getInstructorBundles",
+  GET_ALL_BUNDLES_API: BASE_URL + "/course/getAllBundles",
+  BUNDLE_DETAILS_API: BASE_URL + "/course/getBundleDetails",
+};
+
+// QUIZ API
+export const quizEndpoints = {
+  GET_QUIZ_API: BASE_URL + "/course/getQuiz",
+  SUBMIT_QUIZ_API: BASE_URL + "/course/submitQuiz",
+};
+
+// CODING EXERCISES API
+export const codingEndpoints = {
+  GET_CODING_EXERCISE_API: BASE_URL + "/course/getCodingExercise",
+  SUBMIT_CODE_API: BASE_URL + "/course/submitCode",
+};
+
+// ASSIGNMENTS API
+export const assignmentEndpoints = {
+  GET_ASSIGNMENT_API: BASE_URL + "/course/getAssignment",
+  SUBMIT_ASSIGNMENT_API: BASE_URL + "/course/submitAssignment",
+  GET_ASSIGNMENT_SUBMISSIONS_API: BASE_URL + "/course/assignmentSubmissions",
+  GRADE_ASSIGNMENT_API: BASE_URL + "/course/gradeAssignment",
+};
+
+// CERTIFICATES API
+export const certificateEndpoints = {
+  GET_MY_CERTIFICATES_API: BASE_URL + "/certificate/getMyCertificates",
+  VERIFY_CERTIFICATE_API: BASE_URL + "/certificate/verifyCertificate",
+  DOWNLOAD_CERTIFICATE_API: BASE_URL + "/certificate/downloadCertificate",
 };
 
 // RATINGS AND REVIEWS
@@ -71,11 +124,58 @@ export const categories = {
 export const catalogData = {
   CATALOGPAGEDATA_API: BASE_URL + "/course/getCategoryPageDetails",
 };
+// TAGS API
+export const tagEndpoints = {
+  SEARCH_TAGS_API: BASE_URL + "/tag/searchTags",
+  TAG_PAGE_DATA_API: BASE_URL + "/tag/getTagPageDetails",
+  GET_ALL_TAGS_API: BASE_URL + "/tag/showAllTags",
+  RENAME_TAG_API: BASE_URL + "/tag/renameTag",
+  MERGE_TAGS_API: BASE_URL + "/tag/mergeTags",
+};
+
 // CONTACT-US API
 export const contactusEndpoint = {
   CONTACT_US_API: BASE_URL + "/reach/contact",
 };
 
+// CART API
+export const cartEndpoints = {
+  GET_CART_API: BASE_URL + "/cart/getCart",
+  ADD_TO_CART_API: BASE_URL + "/cart/addToCart",
+  REMOVE_FROM_CART_API: BASE_URL + "/cart/removeFromCart",
+  MERGE_CART_API: BASE_URL + "/cart/mergeCart",
+  MOVE_TO_WISHLIST_API: BASE_URL + "/cart/moveToWishlist",
+  REMOVE_FROM_WISHLIST_API: BASE_URL + "/cart/removeFromWishlist",
+};
+
+// CURRENCY API
+export const currencyEndpoints = {
+  GET_CURRENCY_RATES_API: BASE_URL + "/payment/currencyRates",
+  UPDATE_CURRENCY_RATE_API: BASE_URL + "/payment/updateCurrencyRate",
+};
+
+// STUDYNOTION PRO SUBSCRIPTION API
+export const subscriptionEndpoints = {
+  GET_PLANS_API: BASE_URL + "/subscription/getPlans",
+  GET_ALL_PLANS_API: BASE_URL + "/subscription/getAllPlans",
+  CREATE_PLAN_API: BASE_URL + "/subscription/createPlan",
+  UPDATE_PLAN_STATUS_API: BASE_URL + "/subscription/updatePlanStatus",
+  SUBSCRIBE_API: BASE_URL + "/subscription/subscribe",
+  VERIFY_SUBSCRIPTION_API: BASE_URL + "/subscription/verifySubscription",
+  GET_MY_SUBSCRIPTION_API: BASE_URL + "/subscription/mySubscription",
+  CANCEL_SUBSCRIPTION_API: BASE_URL + "/subscription/cancelSubscription",
+};
+
+// EARNINGS & PAYOUTS API
+export const earningsEndpoints = {
+  GET_INSTRUCTOR_EARNINGS_API: BASE_URL + "/earnings/getInstructorEarnings",
+  EXPORT_EARNINGS_API: BASE_URL + "/earnings/exportEarnings",
+  GENERATE_PAYOUTS_API: BASE_URL + "/earnings/generatePayouts",
+  GET_PAYOUTS_API: BASE_URL + "/earnings/getPayouts",
+  APPROVE_PAYOUT_API: BASE_URL + "/earnings/approvePayout",
+  REJECT_PAYOUT_API: BASE_URL + "/earnings/rejectPayout",
+};
+
 // SETTINGS PAGE API
 export const settingsEndpoints = {
   UPDATE_DISPLAY_PICTURE_API: BASE_URL + "/profile/updateUserProfileImage",
@@ -1,10 +1,17 @@
+import { toast } from "react-hot-toast";
 import { apiConnector } from "../apiConnector";
 import { adminEndPoints } from "./../apis";
-const { GET_ALL_STUDENTS_DATA_API, GET_ALL_INSTRUCTORS_DATA_API } =
-  adminEndPoints;
+const {
+  GET_ALL_STUDENTS_DATA_API,
+  GET_ALL_INSTRUCTORS_DATA_API,
+  GET_ALL_ORDERS_API,
+  GET_REFUND_REQUESTS_API,
+  APPROVE_REFUND_API,
+  REJECT_REFUND_API,
+} = adminEndPoints;
 
 // ================ get all Students Data  ================
-export async function getAllStudentsData(token) {
+export async function getAllStudentsData(token, cursor) {
   let result = [];
   try {
     const response = await apiConnector(
@@ -13,7 +20,8 @@ export async function getAllStudentsData(token) {
       null,
       {
         Authorization: `Bearer ${token}`,
-      }
+      },
+      cursor ? { cursor } : null
     );
     console.log("GET_ALL_STUDENTS_DATA_API RESPONSE............", response);
     result = response?.data;
@@ -43,3 +51,100 @@ export async function getAllInstructorDetails(token) {
   }
   return result;
 }
+
+// ================ get all Orders  ================
+export async function getAllOrders(token, status) {
+  let result = [];
+  try {
+    const response = await apiConnector(
+      "GET",
+      GET_ALL_ORDERS_API,
+      null,
+      {
+        Authorization: `Bearer ${token}`,
+      },
+      status ? { status } : null
+    );
+    console.log("GET_ALL_ORDERS_API RESPONSE............", response);
+    result = response?.data?.data;
+  } catch (error) {
+    console.log("GET_ALL_ORDERS_API ERROR............", error);
+  }
+  return result;
+}
+
+// ================ get Refund Requests  ================
+export async function getRefundRequests(token, status) {
+  let result = [];
+  try {
+    const response = await apiConnector(
+      "GET",
+      GET_REFUND_REQUESTS_API,
+      null,
+      {
+        Authorization: `Bearer ${token}`,
+      },
+      status ? { status } : null
+    );
+    console.log("GET_REFUND_REQUESTS_API RESPONSE............", response);
+    result = response?.data?.data;
+  } catch (error) {
+    console.log("GET_REFUND_REQUESTS_API ERROR............", error);
+    toast.error("Could not fetch refund requests");
+  }
+  return result;
+}
+
+// ================ approve Refund  ================
+export async function approveRefund(refundRequestId, token) {
+  const toastId = toast.loading("Loading...");
+  let success = false;
+  try {
+    const response = await apiConnector(
+      "POST",
+      APPROVE_REFUND_API,
+      { refundRequestId },
+      {
+        Authorization: `Bearer ${token}`,
+      }
+    );
+    console.log("APPROVE_REFUND_API RESPONSE............", response);
+    if (!response?.data?.success) {
+      throw new Error(response.data.message);
+    }
+    toast.success("Refund Approved");
+    success = true;
+  } catch (error) {
+    console.log("APPROVE_REFUND_API ERROR............", error);
+    toast.error(error.response?.data?.message || "Could not approve refund");
+  }
+  toast.dismiss(toastId);
+  return success;
+}
+
+// ================ reject Refund  ================
+export async function rejectRefund(refundRequestId, adminNote, token) {
+  const toastId = toast.loading("Loading...");
+  let success = false;
+  try {
+    const response = await apiConnector(
+      "POST",
+      REJECT_REFUND_API,
+      { refundRequestId, adminNote },
+      {
+        Authorization: `Bearer ${token}`,
+      }
+    );
+    console.log("REJECT_REFUND_API RESPONSE............", response);
+    if (!response?.data?.success) {
+      throw new Error(response.data.message);
+    }
+    toast.success("Refund Rejected");
+    success = true;
+  } catch (error) {
+    console.log("REJECT_REFUND_API ERROR............", error);
+    toast.error(error.response?.data?.message || "Could not reject refund");
+  }
+  toast.dismiss(toastId);
+  return success;
+}
@@ -0,0 +1,110 @@
+import { toast } from "react-hot-toast";
+
+import { apiConnector } from "../apiConnector";
+import { assignmentEndpoints } from "../apis";
+
+const {
+  GET_ASSIGNMENT_API,
+  SUBMIT_ASSIGNMENT_API,
+  GET_ASSIGNMENT_SUBMISSIONS_API,
+  GRADE_ASSIGNMENT_API,
+} = assignmentEndpoints;
+
+// ================ get Assignment ================
+// students get the assignment with their submissions and whether they can
+// hand in (again), the instructor gets it as a preview (preview: true)
+export async function getAssignment(subSectionId, token) {
+  let result = null;
+  try {
+    const response = await apiConnector(
+      "POST",
+      GET_ASSIGNMENT_API,
+      { subSectionId },
+      { Authorization: `Bearer ${token}` }
+    );
+    console.log("GET_ASSIGNMENT_API RESPONSE............", response);
+    if (!response?.data?.success) {
+      throw new Error(response.data.message);
+    }
+    result = response.data.data;
+  } catch (error) {
+    console.log("GET_ASSIGNMENT_API ERROR............", error);
+    toast.error(
+      error.response?.data?.message || "Could not load the assignment"
+    );
+  }
+  return result;
+}
+
+// ================ submit Assignment ================
+// multipart - subSectionId, files, links (JSON list) and note
+export async function submitAssignment(formData, token) {
+  const toastId = toast.loading("Uploading...");
+  let result = null;
+  try {
+    const response = await apiConnector("POST", SUBMIT_ASSIGNMENT_API, formData, {
+      "Content-Type": "multipart/form-data",
+      Authorization: `Bearer ${token}`,
+    });
+    console.log("SUBMIT_ASSIGNMENT_API RESPONSE............", response);
+    if (!response?.data?.success) {
+      throw new Error(response.data.message);
+    }
+    toast.success("Assignment submitted");
+    result = response.data.data;
+  } catch (error) {
+    console.log("SUBMIT_ASSIGNMENT_API ERROR............", error);
+    toast.error(
+      error.response?.data?.message || "Could not submit the assignment"
+    );
+  }
+  toast.dismiss(toastId);
+  return result;
+}
+
+// ================ get Assignment Submissions ================
+// the instructor's review queue, by status
+export async function getAssignmentSubmissions(token, status) {
+  let result = [];
+  try {
+    const response = await apiConnector(
+      "GET",
+      GET_ASSIGNMENT_SUBMISSIONS_API,
+      null,
+      { Authorization: `Bearer ${token}` },
+      { status }
+    );
+    console.log("GET_ASSIGNMENT_SUBMISSIONS_API RESPONSE............", response);
+    result = response?.data?.data;
+  } catch (error) {
+    console.log("GET_ASSIGNMENT_SUBMISSIONS_API ERROR............", error);
+    toast.error("Could not fetch submissions");
+  }
+  return result;
+}
+
+// ================ grade Assignment ================
+// { submissionId, status, scores, feedback } - status is Graded or
+// Resubmission Requested
+export async function gradeAssignment(data, token) {
+  const toastId = toast.loading("Loading...");
+  let success = false;
+  try {
+    const response = await apiConnector("POST", GRADE_ASSIGNMENT_API, data, {
+      Authorization: `Bearer ${token}`,
+    });
+    console.log("GRADE_ASSIGNMENT_API RESPONSE............", response);
+    if (!response?.data?.success) {
+      throw new Error(response.data.message);
+    }
+    toast.success(response.data.message);
+    success = true;
+  } catch (error) {
+    console.log("GRADE_ASSIGNMENT_API ERROR............", error);
+    toast.error(
+      error.response?.data?.message || "Could not save the review"
+    );
+  }
+  toast.dismiss(toastId);
+  return success;
+}
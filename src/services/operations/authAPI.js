@@ -5,6 +5,8 @@ import { resetCart } from "../../slices/cartSlice";
 import { setUser } from "../../slices/profileSlice";
 import { apiConnector } from "../apiConnector";
 import { endpoints } from "../apis";
+import { ACCOUNT_TYPE } from "../../utils/constants";
+import { mergeCart } from "./cartAPI";
 
 const {
   SENDOTP_API,
@@ -90,7 +92,7 @@ export function signUp(
 
 // ================ Login ================
 export function login(email, password, navigate) {
-  return async (dispatch) => {
+  return async (dispatch, getState) => {
     const toastId = toast.loading("Loading...");
     dispatch(setLoading(true));
 
@@ -122,6 +124,12 @@ export function login(email, password, navigate) {
         JSON.stringify({ ...response.data.user, image: userImage })
       );
 
+      // merge the cart of this device into the stored cart of the student
+      if (response.data.user.accountType === ACCOUNT_TYPE.STUDENT) {
+        const coursesId = getState().cart.cart.map((course) => course._id);
+        await dispatch(mergeCart(response.data.token, coursesId));
+      }
+
       navigate("/dashboard/my-profile");
     } catch (error) {
       console.log("LOGIN API ERROR.......", error);
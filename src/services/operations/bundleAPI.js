@@ -0,0 +1,147 @@
+import { toast } from "react-hot-toast";
+
+import { apiConnector } from "../apiConnector";
+import { bundleEndpoints } from "../apis";
+
+const {
+  CREATE_BUNDLE_API,
+  EDIT_BUNDLE_API,
+  DELETE_BUNDLE_API,
+  GET_INSTRUCTOR_BUNDLES_API,
+  GET_ALL_BUNDLES_API,
+  BUNDLE_DETAILS_API,
+} = bundleEndpoints;
+
+// ================ get All Bundles ================
+// published bundles, of one category when categoryId is given
+export const getAllBundles = async (categoryId) => {
+  let result = [];
+  try {
+    const response = await apiConnector(
+      "GET",
+      GET_ALL_BUNDLES_API,
+      null,
+      null,
+      categoryId ? { categoryId } : null
+    );
+    // console.log("GET_ALL_BUNDLES_API RESPONSE............", response);
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Bundles");
+    }
+    result = response?.data?.data;
+  } catch (error) {
+    console.log("GET_ALL_BUNDLES_API ERROR............", error);
+  }
+  return result;
+};
+
+// ================ fetch Bundle Details ================
+export const fetchBundleDetails = async (bundleId) => {
+  let result = null;
+  try {
+    const response = await apiConnector("POST", BUNDLE_DETAILS_API, {
+      bundleId,
+    });
+    // console.log("BUNDLE_DETAILS_API RESPONSE............", response);
+    if (!response.data.success) {
+      throw new Error(response.data.message);
+    }
+    result = response.data.data;
+  } catch (error) {
+    console.log("BUNDLE_DETAILS_API ERROR............", error);
+  }
+  return result;
+};
+
+// ================ fetch Instructor Bundles ================
+export const fetchInstructorBundles = async (token) => {
+  let result = [];
+  try {
+    const response = await apiConnector(
+      "GET",
+      GET_INSTRUCTOR_BUNDLES_API,
+      null,
+      { Authorization: `Bearer ${token}` }
+    );
+    // console.log("GET_INSTRUCTOR_BUNDLES_API RESPONSE............", response);
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Instructor Bundles");
+    }
+    result = response?.data?.data;
+  } catch (error) {
+    console.log("GET_INSTRUCTOR_BUNDLES_API ERROR............", error);
+    toast.error(error.message);
+  }
+  return result;
+};
+
+// ================ create Bundle ================
+export const createBundle = async (data, token) => {
+  let result = null;
+  const toastId = toast.loading("Loading...");
+  try {
+    const response = await apiConnector("POST", CREATE_BUNDLE_API, data, {
+      "Content-Type": "multipart/form-data",
+      Authorization: `Bearer ${token}`,
+    });
+    console.log("CREATE_BUNDLE_API RESPONSE............", response);
+    if (!response?.data?.success) {
+      throw new Error("Could Not Create Bundle");
+    }
+    toast.success("Bundle Created");
+    result = response?.data?.data;
+  } catch (error) {
+    console.log("CREATE_BUNDLE_API ERROR............", error);
+    toast.error(error.response?.data?.message || "Could Not Create Bundle");
+  }
+  toast.dismiss(toastId);
+  return result;
+};
+
+// ================ edit Bundle ================
+export const editBundle = async (data, token) => {
+  let result = null;
+  const toastId = toast.loading("Loading...");
+  try {
+    const response = await apiConnector("POST", EDIT_BUNDLE_API, data, {
+      "Content-Type": "multipart/form-data",
+      Authorization: `Bearer ${token}`,
+    });
+    console.log("EDIT_BUNDLE_API RESPONSE............", response);
+    if (!response?.data?.success) {
+      throw new Error("Could Not Update Bundle");
+    }
+    toast.success("Bundle Updated");
+    result = response?.data?.data;
+  } catch (error) {
+    console.log("EDIT_BUNDLE_API ERROR............", error);
+    toast.error(error.response?.data?.message || "Could Not Update Bundle");
+  }
+  toast.dismiss(toastId);
+  return result;
+};
+
+// ================ delete Bundle ================
+export const deleteBundle = async (bundleId, token) => {
+  const toastId = toast.loading("Loading...");
+  let result = false;
+  try {
+    const response = await apiConnector(
+      "DELETE",
+      DELETE_BUNDLE_API,
+      { bundleId },
+      { Authorization: `Bearer ${token}` }
+    );
+    console.log("DELETE_BUNDLE_API RESPONSE............", response);
+    if (!response?.data?.success) {
+      throw new Error("Could Not Delete Bundle");
+    }
+    toast.success("Bundle Deleted");
+    result = true;
+  } catch (error) {
+    console.log("DELETE_BUNDLE_API ERROR............", error);
+    toast.error(error.response?.data?.message || "Could Not Delete Bundle");
+  }
+  toast.dismiss(toastId);
+  return result;
+};
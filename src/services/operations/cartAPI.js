@@ -0,0 +1,106 @@
+import { toast } from "react-hot-toast";
+
+import { setCart } from "../../slices/cartSlice";
+import { apiConnector } from "../apiConnector";
+import { cartEndpoints } from "../apis";
+
+const {
+  GET_CART_API,
+  ADD_TO_CART_API,
+  REMOVE_FROM_CART_API,
+  MERGE_CART_API,
+  MOVE_TO_WISHLIST_API,
+  REMOVE_FROM_WISHLIST_API,
+} = cartEndpoints;
+
+// every cart route responds with the whole cart, priced by the server
+async function updateCart(dispatch, url, bodyData, token, successMessage) {
+  try {
+    const response = await apiConnector("POST", url, bodyData, {
+      Authorization: `Bearer ${token}`,
+    });
+
+    if (!response.data.success) {
+      throw new Error(response.data.message);
+    }
+    dispatch(setCart(response.data.data));
+    if (successMessage) toast.success(successMessage);
+  } catch (error) {
+    console.log("CART API ERROR............", url, error);
+    toast.error(error.response?.data?.message || "Could not update cart");
+  }
+}
+
+// ================ fetch Cart ================
+export function fetchCart(token) {
+  return async (dispatch) => {
+    try {
+      const response = await apiConnector("GET", GET_CART_API, null, {
+        Authorization: `Bearer ${token}`,
+      });
+
+      if (!response.data.success) {
+        throw new Error(response.data.message);
+      }
+      dispatch(setCart(response.data.data));
+    } catch (error) {
+      console.log("GET_CART_API API ERROR............", error);
+    }
+  };
+}
+
+// ================ add to Cart ================
+// also moves a saved course back from the wishlist
+export function addToCart(token, courseId) {
+  return (dispatch) =>
+    updateCart(
+      dispatch,
+      ADD_TO_CART_API,
+      { courseId },
+      token,
+      "Course added to cart"
+    );
+}
+
+// ================ remove from Cart ================
+export function removeFromCart(token, courseId) {
+  return (dispatch) =>
+    updateCart(
+      dispatch,
+      REMOVE_FROM_CART_API,
+      { courseId },
+      token,
+      "Course removed from cart"
+    );
+}
+
+// ================ merge Cart ================
+// on login - courses added to the cart on this device join the stored cart
+export function mergeCart(token, coursesId) {
+  return (dispatch) =>
+    updateCart(dispatch, MERGE_CART_API, { coursesId }, token);
+}
+
+// ================ move to Wishlist ================
+export function moveToWishlist(token, courseId) {
+  return (dispatch) =>
+    updateCart(
+      dispatch,
+      MOVE_TO_WISHLIST_API,
+      { courseId },
+      token,
+      "Course saved for later"
+    );
+}
+
+// ================ remove from Wishlist ================
+export function removeFromWishlist(token, courseId) {
+  return (dispatch) =>
+    updateCart(
+      dispatch,
+      REMOVE_FROM_WISHLIST_API,
+      { courseId },
+      token,
+      "Course removed from wishlist"
+    );
+}
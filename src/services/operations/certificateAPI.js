@@ -0,0 +1,79 @@
+import { toast } from "react-hot-toast";
+
+import { apiConnector } from "../apiConnector";
+import { certificateEndpoints } from "../apis";
+
+const {
+  GET_MY_CERTIFICATES_API,
+  VERIFY_CERTIFICATE_API,
+  DOWNLOAD_CERTIFICATE_API,
+} = certificateEndpoints;
+
+// ================ get My Certificates ================
+export async function getMyCertificates(token) {
+  let result = [];
+  try {
+    const response = await apiConnector("GET", GET_MY_CERTIFICATES_API, null, {
+      Authorization: `Bearer ${token}`,
+    });
+    console.log("GET_MY_CERTIFICATES_API RESPONSE............", response);
+    if (!response?.data?.success) {
+      throw new Error(response.data.message);
+    }
+    result = response.data.data;
+  } catch (error) {
+    console.log("GET_MY_CERTIFICATES_API ERROR............", error);
+    toast.error("Could not fetch certificates");
+  }
+  return result;
+}
+
+// ================ verify Certificate ================
+// public - returns null when no certificate has this id
+export async function verifyCertificate(certificateId) {
+  let result = null;
+  try {
+    const response = await apiConnector(
+      "GET",
+      VERIFY_CERTIFICATE_API,
+      null,
+      null,
+      { certificateId }
+    );
+    console.log("VERIFY_CERTIFICATE_API RESPONSE............", response);
+    if (!response?.data?.success) {
+      throw new Error(response.data.message);
+    }
+    result = response.data.data;
+  } catch (error) {
+    console.log("VERIFY_CERTIFICATE_API ERROR............", error);
+  }
+  return result;
+}
+
+// ================ download Certificate ================
+export async function downloadCertificate(certificateId) {
+  const toastId = toast.loading("Loading...");
+  try {
+    const response = await apiConnector(
+      "GET",
+      DOWNLOAD_CERTIFICATE_API,
+      null,
+      null,
+      { certificateId },
+      "blob"
+    );
+
+    // save the PDF through a temporary link
+    const url = window.URL.createObjectURL(response.data);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `Certificate-${certificateId}.pdf`;
+    link.click();
+    window.URL.revokeObjectURL(url);
+  } catch (error) {
+    console.log("DOWNLOAD_CERTIFICATE_API ERROR....", error);
+    toast.error("Could not download certificate");
+  }
+  toast.dismiss(toastId);
+}
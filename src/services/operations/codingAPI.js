@@ -0,0 +1,60 @@
+import { toast } from "react-hot-toast";
+
+import { apiConnector } from "../apiConnector";
+import { codingEndpoints } from "../apis";
+
+const { GET_CODING_EXERCISE_API, SUBMIT_CODE_API } = codingEndpoints;
+
+// ================ get Coding Exercise ================
+// students get the starter file, examples and their submissions,
+// the instructor gets the hidden tests too (preview: true)
+export async function getCodingExercise(subSectionId, token) {
+  let result = null;
+  try {
+    const response = await apiConnector(
+      "POST",
+      GET_CODING_EXERCISE_API,
+      { subSectionId },
+      { Authorization: `Bearer ${token}` }
+    );
+    console.log("GET_CODING_EXERCISE_API RESPONSE............", response);
+    if (!response?.data?.success) {
+      throw new Error(response.data.message);
+    }
+    result = response.data.data;
+  } catch (error) {
+    console.log("GET_CODING_EXERCISE_API ERROR............", error);
+    toast.error(error.response?.data?.message || "Could not load the exercise");
+  }
+  return result;
+}
+
+// ================ submit Code ================
+// runs on the server against every test, this can take a few seconds
+export async function submitCode(subSectionId, code, token) {
+  const toastId = toast.loading("Running tests...");
+  let result = null;
+  try {
+    const response = await apiConnector(
+      "POST",
+      SUBMIT_CODE_API,
+      { subSectionId, code },
+      { Authorization: `Bearer ${token}` }
+    );
+    console.log("SUBMIT_CODE_API RESPONSE............", response);
+    if (!response?.data?.success) {
+      throw new Error(response.data.message);
+    }
+    result = response.data.data;
+    if (result.submissions[0]?.verdict === "Passed") {
+      toast.success(response.data.message);
+    } else {
+      toast.error(response.data.message);
+    }
+  } catch (error) {
+    console.log("SUBMIT_CODE_API ERROR............", error);
+    toast.error(error.response?.data?.message || "Could not run your code");
+  }
+  toast.dismiss(toastId);
+  return result;
+}
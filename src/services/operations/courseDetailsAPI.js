@@ -9,6 +9,9 @@ const {
   COURSE_DETAILS_API,
   COURSE_CATEGORIES_API,
   GET_ALL_COURSE_API,
+  SEARCH_COURSES_API,
+  SEARCH_SUGGESTIONS_API,
+  GET_RECOMMENDATIONS_API,
   CREATE_COURSE_API,
   EDIT_COURSE_API,
   CREATE_SECTION_API,
@@ -24,21 +27,33 @@ const {
   LECTURE_COMPLETION_API,
   CREATE_NEW_CATEGORY,
   DELETE_CATEGORY,
+  UPDATE_CATEGORY,
+  REORDER_CATEGORIES,
+  CATEGORY_STATS,
 } = courseEndpoints;
 
 // ================ createNewCategory ================
-export const createNewCategory = async (name, description, token) => {
+export const createNewCategory = async (
+  name,
+  description,
+  token,
+  parentId,
+  icon
+) => {
   const toastId = toast.loading("Loading...");
 
   try {
-    const response = await apiConnector(
-      "POST",
-      CREATE_NEW_CATEGORY,
-      { name, description },
-      {
-        Authorization: `Bearer ${token}`,
-      }
-    );
+    // multipart, the icon is an optional image
+    const formData = new FormData();
+    formData.append("name", name);
+    formData.append("description", description);
+    if (parentId) formData.append("parentId", parentId);
+    if (icon) formData.append("icon", icon);
+
+    const response = await apiConnector("POST", CREATE_NEW_CATEGORY, formData, {
+      "Content-Type": "multipart/form-data",
+      Authorization: `Bearer ${token}`,
+    });
     console.log("CREATE_NEW_CATEGORY RESPONSE............", response);
     if (!response?.data?.success) {
       console.log("Could Not create new category");
@@ -52,15 +67,80 @@ export const createNewCategory = async (name, description, token) => {
   toast.dismiss(toastId);
 };
 
+// ================ update Category ================
+// formData with categoryId and the changed name / description / icon
+export const updateCategory = async (formData, token) => {
+  const toastId = toast.loading("Loading...");
+  let success = false;
+
+  try {
+    const response = await apiConnector("POST", UPDATE_CATEGORY, formData, {
+      "Content-Type": "multipart/form-data",
+      Authorization: `Bearer ${token}`,
+    });
+    console.log("UPDATE_CATEGORY RESPONSE............", response);
+    if (!response?.data?.success) {
+      throw new Error(response.data.message);
+    }
+
+    toast.success("Category Updated !");
+    success = true;
+  } catch (error) {
+    console.log("UPDATE_CATEGORY API ERROR............", error);
+    toast.error(error.response?.data?.message || error.message);
+  }
+  toast.dismiss(toastId);
+  return success;
+};
+
+// ================ reorder Categories ================
+export const reorderCategories = async (parentId, categoryIds, token) => {
+  let success = false;
+  try {
+    const response = await apiConnector(
+      "POST",
+      REORDER_CATEGORIES,
+      { parentId, categoryIds },
+      {
+        Authorization: `Bearer ${token}`,
+      }
+    );
+    if (!response?.data?.success) {
+      throw new Error(response.data.message);
+    }
+    success = true;
+  } catch (error) {
+    console.log("REORDER_CATEGORIES API ERROR............", error);
+    toast.error(error.response?.data?.message || "Could not save the new order");
+  }
+  return success;
+};
+
+// ================ get Category Stats ================
+export const getCategoryStats = async (token) => {
+  let result = [];
+  try {
+    const response = await apiConnector("GET", CATEGORY_STATS, null, {
+      Authorization: `Bearer ${token}`,
+    });
+    result = response?.data?.data || [];
+  } catch (error) {
+    console.log("CATEGORY_STATS API ERROR............", error);
+  }
+  return result;
+};
+
 // ================ delete Category ================
-export const deleteCategory = async (categoryId, token) => {
+// its courses move to the reassignTo category
+export const deleteCategory = async (categoryId, token, reassignTo) => {
   const toastId = toast.loading("Loading...");
+  let success = false;
 
   try {
     const response = await apiConnector(
       "DELETE",
       DELETE_CATEGORY,
-      { categoryId },
+      { categoryId, reassignTo },
       {
         Authorization: `Bearer ${token}`,
       }
@@ -70,12 +150,14 @@ export const deleteCategory = async (categoryId, token) => {
       console.log("Could Not delete category");
     }
 
-    toast.success("Category Deleted !");
+    toast.success(response?.data?.message || "Category Deleted !");
+    success = true;
   } catch (error) {
     console.log("DELETE_CATEGORY API ERROR............", error);
-    toast.error(error.message);
+    toast.error(error.response?.data?.message || error.message);
   }
   toast.dismiss(toastId);
+  return success;
 };
 
 // ================ get All Courses ================
@@ -97,16 +179,91 @@ export const getAllCourses = async () => {
   return result;
 };
 
+// ================ search Courses ================
+export const searchCourses = async (params) => {
+  let result = null;
+
+  try {
+    const response = await apiConnector(
+      "GET",
+      SEARCH_COURSES_API,
+      null,
+      null,
+      params
+    );
+    console.log("SEARCH_COURSES_API RESPONSE............", response);
+    if (!response?.data?.success) {
+      throw new Error("Could Not Search Courses");
+    }
+    result = response?.data?.data;
+  } catch (error) {
+    console.log("SEARCH_COURSES_API API ERROR............", error);
+    toast.error(error.message);
+  }
+  return result;
+};
+
+// ================ fetch Search Suggestions ================
+// called while typing, so failures are only logged
+export const fetchSearchSuggestions = async (q) => {
+  let result = null;
+
+  try {
+    const response = await apiConnector(
+      "GET",
+      SEARCH_SUGGESTIONS_API,
+      null,
+      null,
+      { q }
+    );
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Suggestions");
+    }
+    result = response?.data?.data;
+  } catch (error) {
+    console.log("SEARCH_SUGGESTIONS_API API ERROR............", error);
+  }
+  return result;
+};
+
+// ================ fetch Recommendations ================
+// the token is optional - guests get the best sellers
+export const getRecommendations = async (token, courseId) => {
+  let result = null;
+
+  try {
+    const response = await apiConnector(
+      "GET",
+      GET_RECOMMENDATIONS_API,
+      null,
+      token ? { Authorization: `Bearer ${token}` } : null,
+      courseId ? { courseId } : null
+    );
+    console.log("GET_RECOMMENDATIONS_API RESPONSE............", response);
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Recommendations");
+    }
+    result = response?.data?.data;
+  } catch (error) {
+    console.log("GET_RECOMMENDATIONS_API API ERROR............", error);
+  }
+  return result;
+};
+
 // ================ fetch Course Details ================
-export const fetchCourseDetails = async (courseId) => {
+// token is optional - with it, prerequisites say whether the user took them
+export const fetchCourseDetails = async (courseId, token) => {
   // const toastId = toast.loading('Loading')
   // 	dispatch(setLoading(true));
   let result = null;
 
   try {
-    const response = await apiConnector("POST", COURSE_DETAILS_API, {
-      courseId,
-    });
+    const response = await apiConnector(
+      "POST",
+      COURSE_DETAILS_API,
+      { courseId },
+      token ? { Authorization: `Bearer ${token}` } : null
+    );
     console.log("COURSE_DETAILS_API API RESPONSE............", response);
 
     if (!response.data.success) {
@@ -237,7 +394,7 @@ export const createSubSection = async (data, token) => {
     toast.success("Lecture Added");
   } catch (error) {
     console.log("CREATE SUB-SECTION API ERROR............", error);
-    toast.error(error.message);
+    toast.error(error.response?.data?.message || error.message);
   }
   toast.dismiss(toastId);
   return result;
@@ -287,7 +444,7 @@ export const updateSubSection = async (data, token) => {
     toast.success("Lecture Updated");
   } catch (error) {
     console.log("UPDATE SUB-SECTION API ERROR............", error);
-    toast.error(error.message);
+    toast.error(error.response?.data?.message || error.message);
   }
   toast.dismiss(toastId);
   return result;
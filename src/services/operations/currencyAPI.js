@@ -0,0 +1,50 @@
+import { toast } from "react-hot-toast";
+
+import { setCurrencyRates } from "../../slices/currencySlice";
+import { apiConnector } from "../apiConnector";
+import { currencyEndpoints } from "../apis";
+
+const { GET_CURRENCY_RATES_API, UPDATE_CURRENCY_RATE_API } = currencyEndpoints;
+
+// ================ get Currency Rates ================
+export function getCurrencyRates() {
+  return async (dispatch) => {
+    try {
+      const response = await apiConnector("GET", GET_CURRENCY_RATES_API);
+      // console.log("GET_CURRENCY_RATES_API API RESPONSE............", response);
+
+      if (!response.data.success) {
+        throw new Error(response.data.message);
+      }
+      dispatch(setCurrencyRates(response.data.data));
+    } catch (error) {
+      console.log("GET_CURRENCY_RATES_API API ERROR............", error);
+    }
+  };
+}
+
+// ================ update Currency Rate (Admin) ================
+export function updateCurrencyRate(token, currency, rate) {
+  return async (dispatch) => {
+    const toastId = toast.loading("Loading...");
+    try {
+      const response = await apiConnector(
+        "POST",
+        UPDATE_CURRENCY_RATE_API,
+        { currency, rate },
+        { Authorization: `Bearer ${token}` }
+      );
+      console.log("UPDATE_CURRENCY_RATE_API API RESPONSE............", response);
+
+      if (!response.data.success) {
+        throw new Error(response.data.message);
+      }
+      toast.success("Currency Rate Updated");
+      dispatch(getCurrencyRates());
+    } catch (error) {
+      console.log("UPDATE_CURRENCY_RATE_API API ERROR............", error);
+      toast.error(error.response?.data?.message || "Could Not Update Rate");
+    }
+    toast.dismiss(toastId);
+  };
+}
@@ -0,0 +1,153 @@
+import { toast } from "react-hot-toast";
+
+import { apiConnector } from "../apiConnector";
+import { earningsEndpoints } from "../apis";
+
+const {
+  GET_INSTRUCTOR_EARNINGS_API,
+  EXPORT_EARNINGS_API,
+  GENERATE_PAYOUTS_API,
+  GET_PAYOUTS_API,
+  APPROVE_PAYOUT_API,
+  REJECT_PAYOUT_API,
+} = earningsEndpoints;
+
+// ================ get Instructor Earnings ================
+export async function getInstructorEarnings(token) {
+  let result = null;
+  try {
+    const response = await apiConnector(
+      "GET",
+      GET_INSTRUCTOR_EARNINGS_API,
+      null,
+      { Authorization: `Bearer ${token}` }
+    );
+    if (!response.data.success) {
+      throw new Error(response.data.message);
+    }
+    result = response.data.data;
+  } catch (error) {
+    console.log("GET_INSTRUCTOR_EARNINGS_API ERROR............", error);
+    toast.error("Could not fetch earnings");
+  }
+  return result;
+}
+
+// ================ export Earnings CSV ================
+// month "YYYY-MM", or every entry when not given
+export async function exportEarningsCsv(token, month) {
+  const toastId = toast.loading("Loading...");
+  try {
+    const response = await apiConnector(
+      "GET",
+      EXPORT_EARNINGS_API,
+      null,
+      { Authorization: `Bearer ${token}` },
+      month ? { month } : null,
+      "blob"
+    );
+
+    // save the CSV through a temporary link
+    const url = window.URL.createObjectURL(response.data);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `earnings${month ? `-${month}` : ""}.csv`;
+    link.click();
+    window.URL.revokeObjectURL(url);
+  } catch (error) {
+    console.log("EXPORT_EARNINGS_API ERROR............", error);
+    toast.error("Could not export earnings");
+  }
+  toast.dismiss(toastId);
+}
+
+// ================ generate Payouts (Admin) ================
+export async function generatePayouts(token) {
+  const toastId = toast.loading("Loading...");
+  let success = false;
+  try {
+    const response = await apiConnector("POST", GENERATE_PAYOUTS_API, null, {
+      Authorization: `Bearer ${token}`,
+    });
+    if (!response.data.success) {
+      throw new Error(response.data.message);
+    }
+    toast.success(response.data.message);
+    success = true;
+  } catch (error) {
+    console.log("GENERATE_PAYOUTS_API ERROR............", error);
+    toast.error(error.response?.data?.message || "Could not create payouts");
+  }
+  toast.dismiss(toastId);
+  return success;
+}
+
+// ================ get Payouts (Admin) ================
+export async function getPayouts(token, status) {
+  let result = [];
+  try {
+    const response = await apiConnector(
+      "GET",
+      GET_PAYOUTS_API,
+      null,
+      { Authorization: `Bearer ${token}` },
+      status ? { status } : null
+    );
+    if (!response.data.success) {
+      throw new Error(response.data.message);
+    }
+    result = response.data.data;
+  } catch (error) {
+    console.log("GET_PAYOUTS_API ERROR............", error);
+    toast.error("Could not fetch payouts");
+  }
+  return result;
+}
+
+// ================ approve Payout (Admin) ================
+export async function approvePayout(payoutId, reference, token) {
+  const toastId = toast.loading("Loading...");
+  let success = false;
+  try {
+    const response = await apiConnector(
+      "POST",
+      APPROVE_PAYOUT_API,
+      { payoutId, reference },
+      { Authorization: `Bearer ${token}` }
+    );
+    if (!response.data.success) {
+      throw new Error(response.data.message);
+    }
+    toast.success("Payout approved");
+    success = true;
+  } catch (error) {
+    console.log("APPROVE_PAYOUT_API ERROR............", error);
+    toast.error(error.response?.data?.message || "Could not approve payout");
+  }
+  toast.dismiss(toastId);
+  return success;
+}
+
+// ================ reject Payout (Admin) ================
+export async function rejectPayout(payoutId, adminNote, token) {
+  const toastId = toast.loading("Loading...");
+  let success = false;
+  try {
+    const response = await apiConnector(
+      "POST",
+      REJECT_PAYOUT_API,
+      { payoutId, adminNote },
+      { Authorization: `Bearer ${token}` }
+    );
+    if (!response.data.success) {
+      throw new Error(response.data.message);
+    }
+    toast.success("Payout rejected");
+    success = true;
+  } catch (error) {
+    console.log("REJECT_PAYOUT_API ERROR............", error);
+    toast.error(error.response?.data?.message || "Could not reject payout");
+  }
+  toast.dismiss(toastId);
+  return success;
+}
@@ -4,9 +4,14 @@ import { catalogData } from "../apis";
 /**
  * Fetches catalog page data for a given categoryId
  * @param {string} categoryId
+ * @param {object} [options] - sort ("popular" | "new"), cursor of the next page,
+ * and level / language filters
  * @returns {object} catalog page data or null
  */
-export const getCatalogPageData = async (categoryId) => {
+export const getCatalogPageData = async (
+  categoryId,
+  { sort, cursor, level, language } = {}
+) => {
   if (!categoryId) {
     console.error("Category ID is required!");
     return null;
@@ -19,7 +24,7 @@ export const getCatalogPageData = async (categoryId) => {
     const response = await apiConnector(
       "POST",
       catalogData.CATALOGPAGEDATA_API,
-      { categoryId } // body
+      { categoryId, sort, cursor, level, language } // body
     );
 
     // Check if API returned success
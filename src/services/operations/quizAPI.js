@@ -0,0 +1,56 @@
+import { toast } from "react-hot-toast";
+
+import { apiConnector } from "../apiConnector";
+import { quizEndpoints } from "../apis";
+
+const { GET_QUIZ_API, SUBMIT_QUIZ_API } = quizEndpoints;
+
+// ================ get Quiz ================
+// students get the questions with their attempts,
+// the instructor gets the answers too (preview: true)
+export async function getQuiz(subSectionId, token) {
+  let result = null;
+  try {
+    const response = await apiConnector(
+      "POST",
+      GET_QUIZ_API,
+      { subSectionId },
+      { Authorization: `Bearer ${token}` }
+    );
+    console.log("GET_QUIZ_API RESPONSE............", response);
+    if (!response?.data?.success) {
+      throw new Error(response.data.message);
+    }
+    result = response.data.data;
+  } catch (error) {
+    console.log("GET_QUIZ_API ERROR............", error);
+    toast.error(error.response?.data?.message || "Could not load the quiz");
+  }
+  return result;
+}
+
+// ================ submit Quiz ================
+// answers - [{ question, selected: [optionIndex], text }]
+export async function submitQuiz(subSectionId, answers, token) {
+  const toastId = toast.loading("Loading...");
+  let result = null;
+  try {
+    const response = await apiConnector(
+      "POST",
+      SUBMIT_QUIZ_API,
+      { subSectionId, answers },
+      { Authorization: `Bearer ${token}` }
+    );
+    console.log("SUBMIT_QUIZ_API RESPONSE............", response);
+    if (!response?.data?.success) {
+      throw new Error(response.data.message);
+    }
+    result = response.data.data;
+    toast.success(response.data.message);
+  } catch (error) {
+    console.log("SUBMIT_QUIZ_API ERROR............", error);
+    toast.error(error.response?.data?.message || "Could not submit the quiz");
+  }
+  toast.dismiss(toastId);
+  return result;
+}
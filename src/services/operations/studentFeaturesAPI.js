@@ -8,10 +8,16 @@ import { resetCart } from "../../slices/cartSlice";
 const {
   COURSE_PAYMENT_API,
   COURSE_VERIFY_API,
-  SEND_PAYMENT_SUCCESS_EMAIL_API,
+  GET_MY_ORDERS_API,
+  DOWNLOAD_INVOICE_API,
+  REDEEM_CODE_API,
+  GET_MY_REDEMPTION_CODES_API,
+  REQUEST_REFUND_API,
+  APPLY_COUPON_API,
+  ENROLL_FREE_COURSE_API,
 } = studentEndpoints;
 
-function loadScript(src) {
+export function loadScript(src) {
   return new Promise((resolve) => {
     const script = document.createElement("script");
     script.src = src;
@@ -32,7 +38,12 @@ export async function buyCourse(
   coursesId,
   userDetails,
   navigate,
-  dispatch
+  dispatch,
+  couponCode,
+  currency,
+  // { purchaseType: "Gift", recipientEmail, giftMessage }, { purchaseType: "Seats", seats }
+  // or { bundleId } - the courses of the bundle the student doesn't own yet
+  purchase = {}
 ) {
   const toastId = toast.loading("Loading...");
 
@@ -51,7 +62,7 @@ export async function buyCourse(
     const orderResponse = await apiConnector(
       "POST",
       COURSE_PAYMENT_API,
-      { coursesId },
+      { coursesId, couponCode, currency, ...purchase },
       {
         Authorization: `Bearer ${token}`,
       }
@@ -61,6 +72,15 @@ export async function buyCourse(
       throw new Error(orderResponse.data.message);
     }
 
+    // only free courses (or a 100% coupon) - already enrolled, nothing to pay
+    if (!orderResponse.data.paymentRequired) {
+      toast.success("You are added to the course");
+      navigate("/dashboard/enrolled-courses");
+      dispatch(resetCart());
+      toast.dismiss(toastId);
+      return;
+    }
+
     // ============== FIX: Use CRA env variable =================
     // const RAZORPAY_KEY = import.meta.env.VITE_APP_RAZORPAY_KEY; // ❌ Vite style (removed)
     const RAZORPAY_KEY = process.env.REACT_APP_RAZORPAY_KEY; // ✅ CRA style
@@ -81,14 +101,15 @@ export async function buyCourse(
         email: userDetails.email,
       },
       handler: function (response) {
-        //send successful mail
-        sendPaymentSuccessEmail(
-          response,
-          orderResponse.data.message.amount,
-          token
+        // the payment email and invoice are sent by the server once the order is paid
+        //verifyPayment - courses are taken from the stored order on the server
+        verifyPayment(
+          { ...response },
+          token,
+          navigate,
+          dispatch,
+          Boolean(purchase.purchaseType)
         );
-        //verifyPayment
-        verifyPayment({ ...response, coursesId }, token, navigate, dispatch);
       },
     };
 
@@ -106,46 +127,209 @@ export async function buyCourse(
   toast.dismiss(toastId);
 }
 
-// ================ send Payment Success Email ================
-async function sendPaymentSuccessEmail(response, amount, token) {
+// ================ verify payment ================
+async function verifyPayment(bodyData, token, navigate, dispatch, forOthers) {
+  const toastId = toast.loading("Verifying Payment....");
+  dispatch(setPaymentLoading(true));
+
   try {
-    await apiConnector(
-      "POST",
-      SEND_PAYMENT_SUCCESS_EMAIL_API,
+    const response = await apiConnector("POST", COURSE_VERIFY_API, bodyData, {
+      Authorization: `Bearer ${token}`,
+    });
+
+    if (!response.data.success) {
+      throw new Error(response.data.message);
+    }
+    // gifts and seats - the buyer is not enrolled, their codes are sent by email
+    if (forOthers) {
+      toast.success("Payment Successful, the codes are on their way");
+      navigate("/dashboard/gifts-and-seats");
+    } else {
+      toast.success("payment Successful, you are addded to the course");
+      navigate("/dashboard/enrolled-courses");
+      dispatch(resetCart());
+    }
+  } catch (error) {
+    console.log("PAYMENT VERIFY ERROR....", error);
+    toast.error("Could not verify Payment");
+  }
+  toast.dismiss(toastId);
+  dispatch(setPaymentLoading(false));
+}
+
+// ================ get My Orders ================
+export async function getMyOrders(token) {
+  let result = [];
+  try {
+    const response = await apiConnector("GET", GET_MY_ORDERS_API, null, {
+      Authorization: `Bearer ${token}`,
+    });
+
+    if (!response.data.success) {
+      throw new Error(response.data.message);
+    }
+    result = response.data.data;
+  } catch (error) {
+    console.log("GET_MY_ORDERS_API ERROR....", error);
+    toast.error("Could not fetch orders");
+  }
+  return result;
+}
+
+// ================ download Invoice ================
+export async function downloadInvoice(orderId, invoiceNumber, token) {
+  const toastId = toast.loading("Loading...");
+  try {
+    const response = await apiConnector(
+      "GET",
+      DOWNLOAD_INVOICE_API,
+      null,
       {
-        orderId: response.razorpay_order_id,
-        paymentId: response.razorpay_payment_id,
-        amount,
+        Authorization: `Bearer ${token}`,
       },
+      { orderId },
+      "blob"
+    );
+
+    // save the PDF through a temporary link
+    const url = window.URL.createObjectURL(response.data);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `Invoice-${invoiceNumber.replace(/\//g, "-")}.pdf`;
+    link.click();
+    window.URL.revokeObjectURL(url);
+  } catch (error) {
+    console.log("DOWNLOAD_INVOICE_API ERROR....", error);
+    toast.error("Could not download invoice");
+  }
+  toast.dismiss(toastId);
+}
+
+// ================ redeem Gift / Seat Code ================
+export async function redeemCode(code, token) {
+  const toastId = toast.loading("Loading...");
+  let success = false;
+  try {
+    const response = await apiConnector(
+      "POST",
+      REDEEM_CODE_API,
+      { code },
       {
         Authorization: `Bearer ${token}`,
       }
     );
+
+    if (!response.data.success) {
+      throw new Error(response.data.message);
+    }
+    toast.success("Code redeemed, you are added to the course");
+    success = true;
   } catch (error) {
-    console.log("PAYMENT SUCCESS EMAIL ERROR....", error);
+    console.log("REDEEM_CODE_API ERROR....", error);
+    toast.error(error.response?.data?.message || "Could not redeem code");
   }
+  toast.dismiss(toastId);
+  return success;
 }
 
-// ================ verify payment ================
-async function verifyPayment(bodyData, token, navigate, dispatch) {
-  const toastId = toast.loading("Verifying Payment....");
-  dispatch(setPaymentLoading(true));
+// ================ get My Redemption Codes ================
+export async function getMyRedemptionCodes(token) {
+  let result = [];
+  try {
+    const response = await apiConnector(
+      "GET",
+      GET_MY_REDEMPTION_CODES_API,
+      null,
+      {
+        Authorization: `Bearer ${token}`,
+      }
+    );
+
+    if (!response.data.success) {
+      throw new Error(response.data.message);
+    }
+    result = response.data.data;
+  } catch (error) {
+    console.log("GET_MY_REDEMPTION_CODES_API ERROR....", error);
+    toast.error("Could not fetch your gifts and seats");
+  }
+  return result;
+}
 
+// ================ request Refund ================
+export async function requestRefund(courseId, reason, token) {
+  const toastId = toast.loading("Loading...");
+  let success = false;
   try {
-    const response = await apiConnector("POST", COURSE_VERIFY_API, bodyData, {
-      Authorization: `Bearer ${token}`,
-    });
+    const response = await apiConnector(
+      "POST",
+      REQUEST_REFUND_API,
+      { courseId, reason },
+      {
+        Authorization: `Bearer ${token}`,
+      }
+    );
 
     if (!response.data.success) {
       throw new Error(response.data.message);
     }
-    toast.success("payment Successful, you are addded to the course");
+    toast.success("Refund requested, we will get back to you soon");
+    success = true;
+  } catch (error) {
+    console.log("REQUEST_REFUND_API ERROR....", error);
+    toast.error(error.response?.data?.message || "Could not request refund");
+  }
+  toast.dismiss(toastId);
+  return success;
+}
+
+// ================ apply Coupon ================
+// returns the discount breakdown computed by the server, or null if the coupon is invalid
+export async function applyCoupon(coursesId, couponCode, token) {
+  let result = null;
+  try {
+    const response = await apiConnector(
+      "POST",
+      APPLY_COUPON_API,
+      { coursesId, couponCode },
+      {
+        Authorization: `Bearer ${token}`,
+      }
+    );
+
+    if (!response.data.success) {
+      throw new Error(response.data.message);
+    }
+    result = response.data.data;
+    toast.success("Coupon applied");
+  } catch (error) {
+    console.log("APPLY_COUPON_API ERROR....", error);
+    toast.error(error.response?.data?.message || "Could not apply coupon");
+  }
+  return result;
+}
+
+// ================ enroll in Free Course ================
+export async function enrollFreeCourse(token, courseId, navigate) {
+  const toastId = toast.loading("Loading...");
+  try {
+    const response = await apiConnector(
+      "POST",
+      ENROLL_FREE_COURSE_API,
+      { courseId },
+      {
+        Authorization: `Bearer ${token}`,
+      }
+    );
+
+    if (!response.data.success) {
+      throw new Error(response.data.message);
+    }
+    toast.success("You are added to the course");
     navigate("/dashboard/enrolled-courses");
-    dispatch(resetCart());
   } catch (error) {
-    console.log("PAYMENT VERIFY ERROR....", error);
-    toast.error("Could not verify Payment");
+    console.log("ENROLL_FREE_COURSE_API ERROR....", error);
+    toast.error(error.response?.data?.message || "Could not enroll");
   }
   toast.dismiss(toastId);
-  dispatch(setPaymentLoading(false));
 }
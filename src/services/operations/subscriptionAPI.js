@@ -0,0 +1,209 @@
+import { toast } from "react-hot-toast";
+
+import rzpLogo from "../../assets/Logo/rzp_logo.png";
+import { apiConnector } from "../apiConnector";
+import { subscriptionEndpoints } from "../apis";
+import { loadScript } from "./studentFeaturesAPI";
+
+const {
+  GET_PLANS_API,
+  GET_ALL_PLANS_API,
+  CREATE_PLAN_API,
+  UPDATE_PLAN_STATUS_API,
+  SUBSCRIBE_API,
+  VERIFY_SUBSCRIPTION_API,
+  GET_MY_SUBSCRIPTION_API,
+  CANCEL_SUBSCRIPTION_API,
+} = subscriptionEndpoints;
+
+// ================ get Plans ================
+export async function getPlans() {
+  let result = [];
+  try {
+    const response = await apiConnector("GET", GET_PLANS_API);
+    if (!response.data.success) {
+      throw new Error(response.data.message);
+    }
+    result = response.data.data;
+  } catch (error) {
+    console.log("GET_PLANS_API ERROR............", error);
+  }
+  return result;
+}
+
+// ================ get All Plans (Admin) ================
+export async function getAllPlans(token) {
+  let result = [];
+  try {
+    const response = await apiConnector("GET", GET_ALL_PLANS_API, null, {
+      Authorization: `Bearer ${token}`,
+    });
+    if (!response.data.success) {
+      throw new Error(response.data.message);
+    }
+    result = response.data.data;
+  } catch (error) {
+    console.log("GET_ALL_PLANS_API ERROR............", error);
+    toast.error("Could not fetch plans");
+  }
+  return result;
+}
+
+// ================ create Plan (Admin) ================
+export async function createPlan(data, token) {
+  const toastId = toast.loading("Loading...");
+  let result = null;
+  try {
+    const response = await apiConnector("POST", CREATE_PLAN_API, data, {
+      Authorization: `Bearer ${token}`,
+    });
+    console.log("CREATE_PLAN_API RESPONSE............", response);
+    if (!response.data.success) {
+      throw new Error(response.data.message);
+    }
+    toast.success("Plan Created");
+    result = response.data.data;
+  } catch (error) {
+    console.log("CREATE_PLAN_API ERROR............", error);
+    toast.error(error.response?.data?.message || "Could Not Create Plan");
+  }
+  toast.dismiss(toastId);
+  return result;
+}
+
+// ================ update Plan Status (Admin) ================
+export async function updatePlanStatus(planId, active, token) {
+  let result = null;
+  try {
+    const response = await apiConnector(
+      "POST",
+      UPDATE_PLAN_STATUS_API,
+      { planId, active },
+      { Authorization: `Bearer ${token}` }
+    );
+    if (!response.data.success) {
+      throw new Error(response.data.message);
+    }
+    toast.success(active ? "Plan Activated" : "Plan Deactivated");
+    result = response.data.data;
+  } catch (error) {
+    console.log("UPDATE_PLAN_STATUS_API ERROR............", error);
+    toast.error(error.response?.data?.message || "Could Not Update Plan");
+  }
+  return result;
+}
+
+// ================ subscribe To Plan ================
+// opens Razorpay checkout for the subscription, renewals are charged automatically
+export async function subscribeToPlan(token, planId, userDetails, navigate) {
+  const toastId = toast.loading("Loading...");
+  try {
+    const res = await loadScript("https://checkout.razorpay.com/v1/checkout.js");
+    if (!res) {
+      toast.error("RazorPay SDK failed to load");
+      toast.dismiss(toastId);
+      return;
+    }
+
+    const response = await apiConnector(
+      "POST",
+      SUBSCRIBE_API,
+      { planId },
+      { Authorization: `Bearer ${token}` }
+    );
+    if (!response.data.success) {
+      throw new Error(response.data.message);
+    }
+    const { subscriptionId, plan } = response.data.data;
+
+    const options = {
+      key: process.env.REACT_APP_RAZORPAY_KEY,
+      subscription_id: subscriptionId,
+      name: "StudyNotion",
+      description: `StudyNotion Pro - ${plan.name}`,
+      image: rzpLogo,
+      prefill: {
+        name: userDetails.firstName,
+        email: userDetails.email,
+      },
+      handler: function (response) {
+        verifySubscription({ ...response }, token, navigate);
+      },
+    };
+
+    const paymentObject = new window.Razorpay(options);
+    paymentObject.open();
+    paymentObject.on("payment.failed", function (response) {
+      toast.error("oops, payment failed");
+      console.log("payment failed.... ", response.error);
+    });
+  } catch (error) {
+    console.log("SUBSCRIBE_API ERROR.....", error);
+    toast.error(error.response?.data?.message || "Could not subscribe");
+  }
+  toast.dismiss(toastId);
+}
+
+// ================ verify Subscription ================
+async function verifySubscription(bodyData, token, navigate) {
+  const toastId = toast.loading("Verifying Payment....");
+  try {
+    const response = await apiConnector(
+      "POST",
+      VERIFY_SUBSCRIPTION_API,
+      bodyData,
+      { Authorization: `Bearer ${token}` }
+    );
+    if (!response.data.success) {
+      throw new Error(response.data.message);
+    }
+    toast.success("Welcome to StudyNotion Pro, every course is unlocked");
+    navigate("/dashboard/subscription");
+  } catch (error) {
+    console.log("VERIFY_SUBSCRIPTION_API ERROR....", error);
+    toast.error("Could not verify Payment");
+  }
+  toast.dismiss(toastId);
+}
+
+// ================ get My Subscription ================
+// the active subscription, or null
+export async function getMySubscription(token) {
+  let result = null;
+  try {
+    const response = await apiConnector("GET", GET_MY_SUBSCRIPTION_API, null, {
+      Authorization: `Bearer ${token}`,
+    });
+    if (!response.data.success) {
+      throw new Error(response.data.message);
+    }
+    result = response.data.data;
+  } catch (error) {
+    console.log("GET_MY_SUBSCRIPTION_API ERROR............", error);
+  }
+  return result;
+}
+
+// ================ cancel Subscription ================
+export async function cancelSubscription(token) {
+  const toastId = toast.loading("Loading...");
+  let result = null;
+  try {
+    const response = await apiConnector(
+      "POST",
+      CANCEL_SUBSCRIPTION_API,
+      null,
+      { Authorization: `Bearer ${token}` }
+    );
+    if (!response.data.success) {
+      throw new Error(response.data.message);
+    }
+    toast.success("Subscription cancelled");
+    result = response.data.data;
+  } catch (error) {
+    console.log("CANCEL_SUBSCRIPTION_API ERROR............", error);
+    toast.error(error.response?.data?.message || "Could Not Cancel");
+  }
+  toast.dismiss(toastId);
+  return result;
+}
@@ -0,0 +1,109 @@
+import { toast } from "react-hot-toast";
+
+import { apiConnector } from "../apiConnector";
+import { tagEndpoints } from "../apis";
+
+const {
+  SEARCH_TAGS_API,
+  TAG_PAGE_DATA_API,
+  GET_ALL_TAGS_API,
+  RENAME_TAG_API,
+  MERGE_TAGS_API,
+} = tagEndpoints;
+
+// ================ search Tags (autocomplete) ================
+export async function searchTags(q) {
+  let result = [];
+  try {
+    const response = await apiConnector("GET", SEARCH_TAGS_API, null, null, {
+      q,
+    });
+    result = response?.data?.data || [];
+  } catch (error) {
+    console.log("SEARCH_TAGS_API ERROR............", error);
+  }
+  return result;
+}
+
+// ================ get Tag Page Data ================
+// sort ("popular" | "new") and cursor of the next page
+export async function getTagPageData(slug, { sort, cursor } = {}) {
+  let result = null;
+  try {
+    const response = await apiConnector("GET", TAG_PAGE_DATA_API, null, null, {
+      slug,
+      sort,
+      cursor,
+    });
+    result = response?.data?.data;
+  } catch (error) {
+    console.log("TAG_PAGE_DATA_API ERROR............", error);
+  }
+  return result;
+}
+
+// ================ get all Tags (Admin) ================
+export async function getAllTags(token) {
+  let result = [];
+  try {
+    const response = await apiConnector("GET", GET_ALL_TAGS_API, null, {
+      Authorization: `Bearer ${token}`,
+    });
+    console.log("GET_ALL_TAGS_API RESPONSE............", response);
+    result = response?.data?.allTags || [];
+  } catch (error) {
+    console.log("GET_ALL_TAGS_API ERROR............", error);
+    toast.error("Could not get tags");
+  }
+  return result;
+}
+
+// ================ rename Tag (Admin) ================
+export async function renameTag(token, tagId, name) {
+  const toastId = toast.loading("Loading...");
+  let success = false;
+  try {
+    const response = await apiConnector(
+      "POST",
+      RENAME_TAG_API,
+      { tagId, name },
+      { Authorization: `Bearer ${token}` }
+    );
+    console.log("RENAME_TAG_API RESPONSE............", response);
+    if (!response?.data?.success) {
+      throw new Error(response.data.message);
+    }
+    toast.success("Tag renamed");
+    success = true;
+  } catch (error) {
+    console.log("RENAME_TAG_API ERROR............", error);
+    toast.error(error.response?.data?.message || "Could not rename tag");
+  }
+  toast.dismiss(toastId);
+  return success;
+}
+
+// ================ merge Tags (Admin) ================
+export async function mergeTags(token, sourceTagIds, targetTagId) {
+  const toastId = toast.loading("Loading...");
+  let success = false;
+  try {
+    const response = await apiConnector(
+      "POST",
+      MERGE_TAGS_API,
+      { sourceTagIds, targetTagId },
+      { Authorization: `Bearer ${token}` }
+    );
+    console.log("MERGE_TAGS_API RESPONSE............", response);
+    if (!response?.data?.success) {
+      throw new Error(response.data.message);
+    }
+    toast.success(response.data.message);
+    success = true;
+  } catch (error) {
+    console.log("MERGE_TAGS_API ERROR............", error);
+    toast.error(error.response?.data?.message || "Could not merge tags");
+  }
+  toast.dismiss(toastId);
+  return success;
+}
@@ -1,10 +1,14 @@
 import { createSlice } from "@reduxjs/toolkit"
-import { toast } from "react-hot-toast"
 
+// the cart is stored on the server (see services/operations/cartAPI),
+// localStorage only keeps the last copy for page reloads
 const initialState = {
   cart: localStorage.getItem("cart")
     ? JSON.parse(localStorage.getItem("cart"))
     : [],
+  wishlist: localStorage.getItem("wishlist")
+    ? JSON.parse(localStorage.getItem("wishlist"))
+    : [],
   total: localStorage.getItem("total")
     ? JSON.parse(localStorage.getItem("total"))
     : 0,
@@ -17,58 +21,34 @@ const cartSlice = createSlice({
   name: "cart",
   initialState,
   reducers: {
-    addToCart: (state, action) => {
-      const course = action.payload
-      const index = state.cart.findIndex((item) => item._id === course._id)
-
-      if (index >= 0) {
-        // If the course is already in the cart, do not modify the quantity
-        toast.error("Course already in cart")
-        return;
-      }
-      // If the course is not in the cart, add it to the cart
-      state.cart.push(course);
-      // Update the total quantity and price
-      state.totalItems++;
-      state.total += course.price;
+    // replace the cart with the one returned (and priced) by the server
+    setCart: (state, action) => {
+      const { cart, wishlist, total, totalItems } = action.payload;
+      state.cart = cart;
+      state.wishlist = wishlist;
+      state.total = total;
+      state.totalItems = totalItems;
       // Update to localstorage
       localStorage.setItem("cart", JSON.stringify(state.cart));
+      localStorage.setItem("wishlist", JSON.stringify(state.wishlist));
       localStorage.setItem("total", JSON.stringify(state.total));
       localStorage.setItem("totalItems", JSON.stringify(state.totalItems));
-      // show toast
-      toast.success("Course added to cart");
-    },
-
-    removeFromCart: (state, action) => {
-      const courseId = action.payload;
-      const index = state.cart.findIndex((item) => item._id === courseId);
-
-      if (index >= 0) {
-        // If the course is found in the cart, remove it
-        state.totalItems--;
-        state.total -= state.cart[index].price;
-        state.cart.splice(index, 1);
-        // Update to localstorage
-        localStorage.setItem("cart", JSON.stringify(state.cart));
-        localStorage.setItem("total", JSON.stringify(state.total));
-        localStorage.setItem("totalItems", JSON.stringify(state.totalItems));
-        // show toast
-        toast.success("Course removed from cart");
-      }
     },
 
     resetCart: (state) => {
       state.cart = [];
+      state.wishlist = [];
       state.total = 0;
       state.totalItems = 0;
       // Update to localstorage
       localStorage.removeItem("cart");
+      localStorage.removeItem("wishlist");
       localStorage.removeItem("total");
       localStorage.removeItem("totalItems");
     },
   },
 })
 
-export const { addToCart, removeFromCart, resetCart } = cartSlice.actions;
+export const { setCart, resetCart } = cartSlice.actions;
 
-export default cartSlice.reducer;
\ No newline at end of file
+export default cartSlice.reducer;
@@ -0,0 +1,35 @@
+import { createSlice } from "@reduxjs/toolkit";
+
+import { BASE_CURRENCY, detectCurrency } from "../utils/formatPrice";
+
+const initialState = {
+  // picked by the user, else guessed from the browser locale
+  currency: localStorage.getItem("currency") || detectCurrency(),
+  supportedCurrencies: [BASE_CURRENCY],
+  // units of each currency for 1 INR
+  rates: { [BASE_CURRENCY]: 1 },
+};
+
+const currencySlice = createSlice({
+  name: "currency",
+  initialState: initialState,
+  reducers: {
+    setCurrency(state, value) {
+      state.currency = value.payload;
+      localStorage.setItem("currency", value.payload);
+    },
+    setCurrencyRates(state, value) {
+      state.supportedCurrencies = value.payload.supportedCurrencies;
+      state.rates = value.payload.rates;
+    },
+  },
+});
+
+// the currency prices are shown and charged in - INR until a rate is available
+export const selectDisplayCurrency = (state) =>
+  state.currency.rates[state.currency.currency]
+    ? state.currency.currency
+    : BASE_CURRENCY;
+
+export const { setCurrency, setCurrencyRates } = currencySlice.actions;
+export default currencySlice.reducer;
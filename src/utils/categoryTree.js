@@ -0,0 +1,29 @@
+// categories come flat from showAllCategories, each with its parent id
+
+// nested list of top level categories, each with its children
+export function buildCategoryTree(categories = []) {
+  const nodes = new Map(
+    categories.map((category) => [category._id, { ...category, children: [] }])
+  );
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parent && nodes.get(node.parent);
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  });
+  return roots;
+}
+
+// depth-first list with the full path as label, e.g. "Development / Web / React"
+// - for <select> options
+export function flattenCategoryTree(categories = []) {
+  const result = [];
+  const walk = (nodes, path) =>
+    nodes.forEach((node) => {
+      const label = [...path, node.name].join(" / ");
+      result.push({ ...node, label });
+      walk(node.children, [...path, node.name]);
+    });
+  walk(buildCategoryTree(categories), []);
+  return result;
+}
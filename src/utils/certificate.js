@@ -0,0 +1,5 @@
+// LinkedIn's share dialog for the public verification page of a certificate
+export const linkedInShareUrl = (certificateUrl) =>
+  `https://www.linkedin.com/sharing/share-offsite/?url=${encodeURIComponent(
+    certificateUrl
+  )}`;
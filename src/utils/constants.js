@@ -8,3 +8,51 @@ export const COURSE_STATUS = {
   DRAFT: "Draft",
   PUBLISHED: "Published",
 };
+
+export const COURSE_LANGUAGES = [
+  "English",
+  "Hindi",
+  "Marathi",
+  "Tamil",
+  "Telugu",
+  "Bengali",
+];
+
+export const COURSE_LEVELS = [
+  "Beginner",
+  "Intermediate",
+  "Advanced",
+  "All Levels",
+];
+
+// kinds of lessons in a course section
+export const LESSON_TYPES = {
+  VIDEO: "Video",
+  ARTICLE: "Article",
+  PDF: "PDF",
+  RESOURCE: "Resource",
+  LINK: "Link",
+  QUIZ: "Quiz",
+  CODING: "Coding",
+  ASSIGNMENT: "Assignment",
+};
+
+// review states of an assignment submission
+export const ASSIGNMENT_STATUS = {
+  PENDING: "Pending",
+  GRADED: "Graded",
+  RESUBMIT: "Resubmission Requested",
+};
+
+// languages coding exercises can be solved in
+export const CODING_LANGUAGES = {
+  javascript: "JavaScript",
+  python: "Python",
+};
+
+export const SEARCH_SORTS = {
+  relevance: "Most Relevant",
+  newest: "Newest",
+  rating: "Highest Rated",
+  popularity: "Most Popular",
+};
@@ -0,0 +1,24 @@
+// Course prices are stored in INR, the backend converts them with the
+// rates admins maintain and charges in the student's currency
+export const BASE_CURRENCY = "INR";
+
+// region of the browser locale -> currency
+const EURO_REGIONS = [
+  "AT", "BE", "DE", "ES", "FI", "FR", "GR", "IE", "IT", "NL", "PT",
+];
+
+export const detectCurrency = () => {
+  const region = navigator.language?.split("-")[1]?.toUpperCase();
+  if (region === "US") return "USD";
+  if (EURO_REGIONS.includes(region)) return "EUR";
+  return BASE_CURRENCY;
+};
+
+// convert a base currency amount and format it, e.g. "₹1,499", "$17.99"
+export const formatPrice = (amount, currency = BASE_CURRENCY, rate = 1) => {
+  return new Intl.NumberFormat(navigator.language, {
+    style: "currency",
+    currency,
+    maximumFractionDigits: currency === BASE_CURRENCY ? 0 : 2,
+  }).format(Math.round(amount * rate * 100) / 100);
+};